@@ -40,6 +40,8 @@ export default [
         ...globals.browser,
         ...globals.node,
         ...globals.es2020,
+        // Defined by the pyodideRuntime plugin in vite.config.js
+        __PYODIDE_DOWNLOAD_SIZES__: 'readonly',
       },
     },
     plugins: {
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resumeData } from '../src/data/resume.js';
+import { getSnippetsByLanguage } from '../src/data/snippets.js';
+import { getBlogSlug } from '../src/utils/slug.js';
+import { buildChunks, buildIndex } from '../src/utils/retrieval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BLOGS_PATH = path.join(__dirname, '../src/data/blogs.json');
+const POSTS_DIR = path.join(__dirname, '../src/data/posts');
+const OUTPUT_PATH = path.join(__dirname, '../src/data/retrievalIndex.json');
+
+/**
+ * Reads synced markdown bodies for the given posts, skipping posts without one.
+ * @param {Array<object>} blogs - Entries from blogs.json
+ * @returns {Record<string, string>} Markdown bodies keyed by slug
+ */
+function readBlogBodies(blogs) {
+  const bodies = {};
+  blogs.forEach(blog => {
+    const slug = getBlogSlug(blog);
+    const bodyPath = path.join(POSTS_DIR, `${slug}.md`);
+    if (fs.existsSync(bodyPath)) {
+      bodies[slug] = fs.readFileSync(bodyPath, 'utf8');
+    }
+  });
+  return bodies;
+}
+
+/**
+ * Builds the index from resume.js, snippets.js, blogs.json and the synced posts, and
+ * writes it. With `check`, compares it to the committed file instead and exits with an
+ * error when that is out of date.
+ * @param {{check: boolean}} options - Whether to only check the committed file
+ */
+function buildRetrievalIndex({ check }) {
+  const blogs = JSON.parse(fs.readFileSync(BLOGS_PATH, 'utf8'));
+  const chunks = buildChunks({
+    resume: resumeData,
+    blogs,
+    blogBodies: readBlogBodies(blogs),
+    snippets: getSnippetsByLanguage('all'),
+  });
+  const index = buildIndex(chunks);
+  const content = `${JSON.stringify(index)}\n`;
+
+  if (check) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+    if (current !== content) {
+      console.error(
+        `FAILED: ${OUTPUT_PATH} is out of date. Run \`pnpm generate:retrieval\` and commit it.`
+      );
+      process.exit(1);
+    }
+    console.log(`PASS: ${OUTPUT_PATH} is up to date (${index.chunks.length} chunks)`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, content);
+  console.log(`Successfully generated ${OUTPUT_PATH} (${index.chunks.length} chunks)`);
+}
+
+buildRetrievalIndex({ check: process.argv.includes('--check') });
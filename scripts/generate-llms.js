@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { resumeData } from '../src/data/resume.js';
+import { getProjectSlug } from '../src/utils/slug.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_PATH = path.join(__dirname, '../public/llms.txt');
@@ -18,6 +19,7 @@ function generateLLMsText() {
   content += `## Site Architecture\n`;
   content += `- /: Homepage (Introduction, Highlights)\n`;
   content += `- /projects: Portfolio of work (Data Science, Analytics, Web Dev)\n`;
+  content += `- /projects/<slug>: Case study per project (Problem, Approach, Results, Tech Breakdown)\n`;
   content += `- /resume: Professional Experience, Skills, Education\n`;
   content += `- /blog: Technical Articles & Insights\n`;
   content += `- /contact: Get in touch\n`;
@@ -49,6 +51,7 @@ function generateLLMsText() {
     content += `### ${project.title}\n`;
     content += `${project.description}\n`;
     content += `- **Tech Stack**: ${project.tags.join(', ')}\n`;
+    content += `- **Case Study**: ${basics.website}/projects/${getProjectSlug(project, projects)}\n`;
     if (project.link) content += `- **Demo**: ${project.link}\n`;
     if (project.github) content += `- **Code**: ${project.github}\n`;
     content += `\n`;
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resumeData } from '../src/data/resume.js';
+import { getProjectSlug } from '../src/utils/slug.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_PATH = path.join(__dirname, '../public/sitemap.xml');
@@ -14,6 +16,12 @@ const ROUTES = [
   { path: '/contact', priority: '0.5', changefreq: 'yearly' },
   { path: '/games', priority: '0.6', changefreq: 'monthly' },
   { path: '/playground', priority: '0.6', changefreq: 'monthly' },
+  // Per-project case study pages (/projects/:slug)
+  ...resumeData.projects.map(project => ({
+    path: `/projects/${getProjectSlug(project, resumeData.projects)}`,
+    priority: '0.7',
+    changefreq: 'monthly',
+  })),
 ];
 
 function generateSitemap() {
@@ -5,7 +5,9 @@
  * them into a single JSON file for the portfolio website. This script runs periodically
  * (via GitHub Actions) to keep the blog list up-to-date.
  *
- * Output: src/data/blogs.json
+ * Output:
+ * - src/data/blogs.json: post metadata (title, link, date, summary, slug, ...)
+ * - src/data/posts/<slug>.md: full sanitized article body as markdown, rendered on /blog/:slug
  *
  * Data Sources:
  * - Dev.to: Uses their public API
@@ -20,7 +22,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { htmlToText } from 'html-to-text';
+import TurndownService from 'turndown';
 import * as prettier from 'prettier';
+import { slugify } from '../src/utils/slug.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,6 +34,35 @@ const parser = new Parser();
 const NETWORK_TIMEOUT_MS = 10000;
 const NETWORK_RETRY_ATTEMPTS = 2;
 
+// Dev.to rate-limits its article endpoint, so bodies are fetched a few at a time
+const DEVTO_BODY_BATCH_SIZE = 3;
+
+const BLOGS_OUTPUT_PATH = path.join(__dirname, '../src/data/blogs.json');
+const POSTS_OUTPUT_DIR = path.join(__dirname, '../src/data/posts');
+
+// Hard cap per article so a runaway feed entry can't bloat the bundle
+const MAX_CONTENT_LENGTH = 100000;
+
+// Tracking beacons injected into RSS bodies (e.g. Medium's stat pixel)
+const TRACKING_PIXEL_PATTERN = /medium\.com\/_\/stat/i;
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+});
+
+// Drop active and embedded content entirely; only readable text, links and images survive
+turndown.remove(['script', 'style', 'iframe', 'noscript', 'form', 'object', 'embed', 'svg']);
+
+turndown.addRule('dropTrackingPixels', {
+  filter: node =>
+    node.nodeName === 'IMG' &&
+    (TRACKING_PIXEL_PATTERN.test(node.getAttribute('src') || '') ||
+      (node.getAttribute('width') === '1' && node.getAttribute('height') === '1')),
+  replacement: () => '',
+});
+
 /**
  * Fetch helper with timeout and retries to avoid hanging CI jobs.
  *
@@ -83,8 +116,11 @@ async function fetchDevTo() {
     }
     const articles = await response.json();
 
+    // The list endpoint omits article bodies, so fetch each article's markdown separately
+    const bodies = await fetchDevToBodies(articles.map(article => article.id));
+
     // Normalize Dev.to API response to common blog post format
-    return articles.map(article => ({
+    return articles.map((article, idx) => ({
       title: article.title,
       link: article.url,
       date: article.published_at,
@@ -92,6 +128,7 @@ async function fetchDevTo() {
       source: 'Dev.to',
       tags: article.tag_list,
       coverImage: article.cover_image,
+      content: sanitizeMarkdown(bodies[idx]),
     }));
   } catch (error) {
     console.error('Error fetching Dev.to:', error);
@@ -99,6 +136,50 @@ async function fetchDevTo() {
   }
 }
 
+/**
+ * Fetches the markdown body of a single Dev.to article.
+ *
+ * @async
+ * @param {number} id - Dev.to article id
+ * @returns {Promise<string>} Article markdown, or an empty string if unavailable
+ */
+async function fetchDevToBody(id) {
+  try {
+    const response = await fetchWithTimeoutAndRetry(`https://dev.to/api/articles/${id}`);
+    if (!response.ok) {
+      console.warn(`Failed to fetch Dev.to article ${id}:`, response.statusText);
+      return '';
+    }
+    const article = await response.json();
+    return article.body_markdown || '';
+  } catch (error) {
+    console.warn(`Error fetching Dev.to article ${id}:`, error);
+    return '';
+  }
+}
+
+/**
+ * Fetches the markdown bodies of Dev.to articles in batches of `DEVTO_BODY_BATCH_SIZE`.
+ * Bodies that fail are left empty, so those posts are kept without an on-site copy.
+ *
+ * @async
+ * @param {number[]} ids - Dev.to article ids
+ * @returns {Promise<string[]>} Article markdown in `ids` order; empty strings for failures
+ */
+async function fetchDevToBodies(ids) {
+  const bodies = [];
+  for (let start = 0; start < ids.length; start += DEVTO_BODY_BATCH_SIZE) {
+    const batch = ids.slice(start, start + DEVTO_BODY_BATCH_SIZE);
+    bodies.push(...(await Promise.all(batch.map(fetchDevToBody))));
+  }
+
+  const skipped = bodies.filter(body => !body).length;
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} of ${ids.length} Dev.to article bodies`);
+  }
+  return bodies;
+}
+
 /**
  * Fetches blog articles from Medium using RSS feed.
  *
@@ -120,6 +201,7 @@ async function fetchMedium() {
       tags: item.categories || [],
       // Extract cover image from HTML content if available
       coverImage: extractImage(item['content:encoded']),
+      content: htmlToMarkdown(item['content:encoded']),
     }));
   } catch (error) {
     console.error('Error fetching Medium:', error);
@@ -185,6 +267,7 @@ async function fetchSubstack() {
         source: 'Substack',
         tags,
         coverImage: item.enclosure?.url || extractImage(item['content:encoded']),
+        content: htmlToMarkdown(item['content:encoded']),
       };
     });
   } catch (error) {
@@ -223,6 +306,96 @@ function extractImage(content) {
   return match ? match[1] : null;
 }
 
+/**
+ * Converts an RSS HTML body into sanitized markdown.
+ *
+ * Scripts, styles, embeds and tracking pixels are removed before conversion.
+ * Any inline HTML left in the output is inert: the site renders it with
+ * react-markdown, which never injects raw HTML.
+ *
+ * @param {string} content - HTML content string
+ * @returns {string} Markdown body (empty if no content)
+ */
+function htmlToMarkdown(content) {
+  if (!content) return '';
+  return sanitizeMarkdown(turndown.turndown(content));
+}
+
+/**
+ * Normalizes a markdown body: strips front matter and Dev.to liquid tags
+ * (`{% embed ... %}`), collapses excess blank lines and enforces the size cap.
+ *
+ * @param {string} markdown - Raw markdown
+ * @returns {string} Sanitized markdown
+ */
+function sanitizeMarkdown(markdown) {
+  if (!markdown) return '';
+
+  const cleaned = markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/\{%[\s\S]*?%\}/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return cleaned.length > MAX_CONTENT_LENGTH
+    ? `${cleaned.substring(0, MAX_CONTENT_LENGTH)}\n\n...`
+    : cleaned;
+}
+
+/**
+ * Assigns each post a unique route slug derived from its title.
+ * Cross-posted articles with the same title get a numeric suffix.
+ *
+ * @param {Array<object>} posts - Posts sorted newest first
+ * @returns {Array<object>} Posts with a `slug` field
+ */
+function assignSlugs(posts) {
+  const seen = new Map();
+
+  return posts.map(post => {
+    const base = slugify(post.title) || 'post';
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { ...post, slug: count === 1 ? base : `${base}-${count}` };
+  });
+}
+
+/**
+ * Writes one markdown file per post and removes files for posts that no longer exist.
+ *
+ * @async
+ * @param {Array<object>} posts - Posts with `slug` and `content`
+ * @returns {Promise<number>} Number of post bodies written
+ */
+async function writePostBodies(posts) {
+  await fs.mkdir(POSTS_OUTPUT_DIR, { recursive: true });
+
+  const keep = new Set();
+  for (const post of posts) {
+    if (!post.content) continue;
+    const fileName = `${post.slug}.md`;
+    const filePath = path.join(POSTS_OUTPUT_DIR, fileName);
+    keep.add(fileName);
+
+    // Same prettier pass as blogs.json, so `format:check` accepts the synced bodies
+    const prettierConfig = await prettier.resolveConfig(filePath);
+    const formatted = await prettier.format(post.content, {
+      ...prettierConfig,
+      filepath: filePath,
+    });
+    await fs.writeFile(filePath, formatted);
+  }
+
+  const existing = await fs.readdir(POSTS_OUTPUT_DIR);
+  await Promise.all(
+    existing
+      .filter(fileName => fileName.endsWith('.md') && !keep.has(fileName))
+      .map(fileName => fs.unlink(path.join(POSTS_OUTPUT_DIR, fileName)))
+  );
+
+  return keep.size;
+}
+
 /**
  * Main synchronization function that fetches from all sources and writes to JSON file.
  *
@@ -240,25 +413,29 @@ async function syncBlogs() {
   ]);
 
   // Combine all blogs and sort by date (newest first)
-  const allBlogs = [...devTo, ...medium, ...substack].sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
+  const allBlogs = assignSlugs(
+    [...devTo, ...medium, ...substack].sort((a, b) => new Date(b.date) - new Date(a.date))
   );
 
-  const outputPath = path.join(__dirname, '../src/data/blogs.json');
+  // Article bodies live in their own files so blogs.json stays small enough to import eagerly
+  const bodyCount = await writePostBodies(allBlogs);
+  const metadata = allBlogs.map(({ content: _content, ...post }) => post);
 
   // Ensure directory exists
-  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.mkdir(path.dirname(BLOGS_OUTPUT_PATH), { recursive: true });
 
   // Format output with prettier so the file always matches project formatting rules
-  const prettierConfig = await prettier.resolveConfig(outputPath);
-  const formatted = await prettier.format(JSON.stringify(allBlogs, null, 2), {
+  const prettierConfig = await prettier.resolveConfig(BLOGS_OUTPUT_PATH);
+  const formatted = await prettier.format(JSON.stringify(metadata, null, 2), {
     ...prettierConfig,
-    filepath: outputPath,
+    filepath: BLOGS_OUTPUT_PATH,
   });
 
   // Write consolidated blog data to JSON file
-  await fs.writeFile(outputPath, formatted);
-  console.log(`Successfully synced ${allBlogs.length} blogs to ${outputPath}`);
+  await fs.writeFile(BLOGS_OUTPUT_PATH, formatted);
+  console.log(
+    `Successfully synced ${allBlogs.length} blogs (${bodyCount} with full content) to ${BLOGS_OUTPUT_PATH}`
+  );
 }
 
 // Execute the sync
@@ -1,8 +1,9 @@
 /**
  * SRI Verification Script
  *
- * Verifies that the Pyodide script injection in PythonRunner.jsx includes
- * the correct Subresource Integrity (SRI) hash and crossOrigin attribute.
+ * Verifies that the Pyodide script the Python worker loads from the CDN is checked
+ * against the correct Subresource Integrity (SRI) hash: pyodideLoader.js gives the CDN
+ * source the hash, and pythonWorker.js passes it to `fetch`.
  *
  * @module scripts/verify-sri
  */
@@ -15,15 +16,24 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const pyodideLoaderPath = path.resolve(__dirname, '../src/components/shared/pyodideLoader.js');
+const pythonWorkerPath = path.resolve(__dirname, '../src/components/shared/pythonWorker.js');
 const EXPECTED_HASH = 'sha384-+R8PTzDXzivdjpxOqwVwRhPS9dlske7tKAjwj0O0Kr361gKY5d2Xe6Osl+faRLT7';
 
 try {
   const content = fs.readFileSync(pyodideLoaderPath, 'utf8');
+  const workerContent = fs.readFileSync(pythonWorkerPath, 'utf8');
 
-  // Check for integrity attribute
-  if (!content.includes(`script.integrity = PYODIDE_SCRIPT_SRI`)) {
-    console.error('FAILED: SRI integrity attribute is missing or incorrect.');
-    console.error(`Expected: script.integrity = PYODIDE_SCRIPT_SRI`);
+  // Check that the worker fetches the script with the source's integrity
+  if (!workerContent.includes(`{ integrity: source.integrity }`)) {
+    console.error('FAILED: pythonWorker.js does not fetch Pyodide with its SRI hash.');
+    console.error(`Expected: { integrity: source.integrity }`);
+    process.exit(1);
+  }
+
+  // Check that the CDN source carries the hash
+  if (!content.includes(`integrity: PYODIDE_SCRIPT_SRI`)) {
+    console.error('FAILED: The CDN source does not use the SRI hash.');
+    console.error(`Expected: integrity: PYODIDE_SCRIPT_SRI`);
     process.exit(1);
   }
 
@@ -46,15 +56,8 @@ try {
     process.exit(1);
   }
 
-  // Check for crossOrigin attribute
-  if (!content.includes("script.crossOrigin = 'anonymous'")) {
-    console.error('FAILED: crossOrigin attribute is missing or incorrect.');
-    console.error("Expected: script.crossOrigin = 'anonymous'");
-    process.exit(1);
-  }
-
-  console.log('PASS: pyodideLoader.js contains correct SRI attributes.');
+  console.log('PASS: The Python worker loads Pyodide with the correct SRI hash.');
 } catch (error) {
-  console.error('Error reading pyodideLoader.js:', error);
+  console.error('Error reading the Pyodide loader files:', error);
   process.exit(1);
 }
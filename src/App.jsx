@@ -19,8 +19,10 @@ import PageLoading from './components/shared/PageLoading';
 // Lazy load page components to improve initial bundle size and load time
 const Chatbot = lazy(() => import('./components/shared/Chatbot'));
 const Projects = lazy(() => import('./components/pages/Projects'));
+const ProjectDetail = lazy(() => import('./components/pages/ProjectDetail'));
 const Resume = lazy(() => import('./components/pages/Resume'));
 const Blog = lazy(() => import('./components/pages/Blog'));
+const BlogPost = lazy(() => import('./components/pages/BlogPost'));
 const Contact = lazy(() => import('./components/pages/Contact'));
 const Games = lazy(() => import('./components/pages/Games'));
 const Playground = lazy(() => import('./components/pages/Playground'));
@@ -61,6 +63,14 @@ const AnimatedRoutes = React.memo(() => {
               </PageWrapper>
             }
           />
+          <Route
+            path="/projects/:slug"
+            element={
+              <PageWrapper>
+                <ProjectDetail />
+              </PageWrapper>
+            }
+          />
           <Route
             path="/resume"
             element={
@@ -77,6 +87,14 @@ const AnimatedRoutes = React.memo(() => {
               </PageWrapper>
             }
           />
+          <Route
+            path="/blog/:slug"
+            element={
+              <PageWrapper>
+                <BlogPost />
+              </PageWrapper>
+            }
+          />
           <Route
             path="/contact"
             element={
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Game commands: `play <game>` in the terminal and one palette entry per game.
+ */
+
+import { Gamepad2 } from 'lucide-react';
+import { registerCommands } from '../shared/commandRegistry';
+import { GAME_INSTRUCTIONS } from './gameInstructionsData';
+
+registerCommands([
+  {
+    id: 'play',
+    category: 'Games',
+    icon: Gamepad2,
+    description: 'Start a game',
+    args: [{ name: 'game', complete: Object.keys(GAME_INSTRUCTIONS) }],
+    palette: [
+      {
+        id: 'page-games',
+        label: 'Play a game',
+        children: Object.entries(GAME_INSTRUCTIONS).map(([id, game]) => ({
+          id: `game-${id}`,
+          label: game.title,
+          keywords: game.goal,
+          args: [id],
+        })),
+      },
+      ...Object.entries(GAME_INSTRUCTIONS).map(([id, game]) => ({
+        id: `game-${id}`,
+        label: `Play ${game.title}`,
+        keywords: game.goal,
+        args: [id],
+        searchOnly: true,
+      })),
+    ],
+    run: (args, { write, fail, navigate }) => {
+      const id = args.join(' ').toLowerCase();
+      const game = GAME_INSTRUCTIONS[id];
+      if (!game) {
+        fail(`play: choose one of ${Object.keys(GAME_INSTRUCTIONS).join(', ')}`);
+        return;
+      }
+      write(`Starting ${game.title}...`);
+      navigate(`/games?game=${encodeURIComponent(id)}`);
+    },
+  },
+]);
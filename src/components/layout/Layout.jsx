@@ -261,6 +261,12 @@ const Layout = ({ children }) => {
     setIsTerminalOpen(true);
   }, []);
 
+  // Listen for custom openTerminal event (from the chatbot's site actions)
+  useEffect(() => {
+    document.addEventListener('openTerminal', handleOpenTerminal);
+    return () => document.removeEventListener('openTerminal', handleOpenTerminal);
+  }, [handleOpenTerminal]);
+
   return (
     <div
       className={`min-h-screen flex flex-col text-primary overflow-hidden relative ${
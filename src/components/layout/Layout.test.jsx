@@ -196,6 +196,22 @@ describe('Layout component Terminal and Konami Code behavior', () => {
     expect(screen.getByTestId('terminal-mode')).toBeInTheDocument();
   });
 
+  it('opens terminal via openTerminal custom event', async () => {
+    render(
+      <MemoryRouter initialEntries={['/']}>
+        <Routes>
+          <Route path="*" element={<Layout>Test</Layout>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await act(async () => {
+      document.dispatchEvent(new CustomEvent('openTerminal'));
+    });
+
+    expect(screen.getByTestId('terminal-mode')).toBeInTheDocument();
+  });
+
   it('resets Konami Code progress on incorrect key', async () => {
     render(
       <MemoryRouter initialEntries={['/']}>
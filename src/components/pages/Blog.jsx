@@ -15,9 +15,12 @@ import {
   FileQuestion,
   BookOpen,
 } from 'lucide-react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
 import blogs from '../../data/blogs.json';
+import { hasBlogContent } from '../../data/blogContent';
 import { resumeData } from '../../data/resume';
 import { isSafeHref } from '../../utils/security';
+import { getBlogSlug } from '../../utils/slug';
 import SEOHead from '../shared/SEOHead';
 import {
   breadcrumbSchema,
@@ -30,56 +33,11 @@ import ThemedCard from '../shared/ThemedCard';
 import ThemedChip from '../shared/ThemedChip';
 import ThemedSectionHeading from '../shared/ThemedSectionHeading';
 import { useTheme } from '../shared/theme-context';
+import { formatDate, getSourceColor, getSourceTextColor } from './Blog.utils';
 
 /** Number of blog posts to display per page */
 const POSTS_PER_PAGE = 6;
 
-/**
- * Format date string to DD/MM/YYYY format
- * @param {string} dateStr - ISO date string
- * @returns {string} Formatted date
- */
-// ⚡ Bolt: Extracted static pure functions outside the component scope to prevent recreation on every render
-const formatDate = dateStr => {
-  const date = new Date(dateStr);
-  const day = date.getDate().toString().padStart(2, '0');
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const year = date.getFullYear();
-  return `${day}/${month}/${year}`;
-};
-
-/**
- * Get background color class for blog source badge
- * @param {string} source - Blog source name
- * @returns {string} Tailwind background color class
- */
-const getSourceColor = source => {
-  switch (source) {
-    case 'Dev.to':
-      return 'bg-accent';
-    case 'Medium':
-      return 'bg-fun-yellow';
-    case 'Substack':
-      return 'bg-fun-pink';
-    default:
-      return 'bg-secondary';
-  }
-};
-
-/**
- * Get text color class for blog source badge
- * @param {string} source - Blog source name
- * @returns {string} Tailwind text color class
- */
-const getSourceTextColor = source => {
-  switch (source) {
-    case 'Medium':
-      return 'text-black';
-    default:
-      return 'text-white';
-  }
-};
-
 /**
  * Blog Page Component
  *
@@ -89,21 +47,36 @@ const getSourceTextColor = source => {
  *
  * Features:
  * - Filter by source (Dev.to, Medium, Substack, All)
- * - Real-time search with deferred value for performance
+ * - Real-time search with deferred value for performance; `?q=` links prefill it
  * - Pagination with keyboard navigation
  * - Responsive card grid layout
  * - Pre-computed search strings for O(1) filtering
  * - Dynamic color coding by source
+ * - On-site reader at `/blog/:slug` for posts whose full content was synced
  *
  * @component
  * @returns {JSX.Element} The Blog listing page.
  */
 // ⚡ Bolt: Wrapped `Blog` component in `React.memo` to prevent unnecessary re-renders when parent layout state changes.
 const Blog = React.memo(() => {
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const [filter, setFilter] = useState('All');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(() => searchParams.get('q') ?? '');
   const deferredSearchTerm = useDeferredValue(searchTerm); // Deferred for better UX during typing
   const [currentPage, setCurrentPage] = useState(1);
+  const [prevLocationKey, setPrevLocationKey] = useState(location.key);
+
+  // Follow new ?q= links while already on this page (e.g. opened from the command palette)
+  if (location.key !== prevLocationKey) {
+    setPrevLocationKey(location.key);
+    const linkedQuery = searchParams.get('q');
+    if (linkedQuery !== null) {
+      setSearchTerm(linkedQuery);
+      setFilter('All');
+      setCurrentPage(1);
+    }
+  }
   const shouldReduceMotion = useReducedMotion();
   const { theme } = useTheme();
   const isLiquid = theme === 'liquid';
@@ -129,6 +102,8 @@ const Blog = React.memo(() => {
     return blogs
       .map(blog => ({
         ...blog,
+        slug: getBlogSlug(blog),
+        hasContent: hasBlogContent(getBlogSlug(blog)),
         // Pre-compute lowercase search string to avoid O(N) .toLowerCase() calls during filtering
         searchStr: `${blog.title} ${blog.summary}`.toLowerCase(),
         // Pre-parse date for sorting
@@ -492,8 +467,20 @@ const BlogCard = React.memo(({ blog, variants, isLiquid, formatDate }) => {
           </div>
         )}
 
-        {/* Read Link */}
-        <div className="mt-auto">
+        {/* Read Links */}
+        <div className="mt-auto flex flex-wrap items-center gap-3">
+          {blog.hasContent && (
+            <ThemedButton
+              as={Link}
+              to={`/blog/${blog.slug}`}
+              aria-label={`Read "${blog.title}" here`}
+              variant="primary"
+              size="md"
+              className="hover:-translate-y-0.5"
+            >
+              Read here <BookOpen size={14} aria-hidden="true" />
+            </ThemedButton>
+          )}
           {isSafeHref(blog.link) ? (
             <ThemedButton
               as="a"
@@ -501,11 +488,12 @@ const BlogCard = React.memo(({ blog, variants, isLiquid, formatDate }) => {
               target="_blank"
               rel="noopener noreferrer"
               aria-label={`Read "${blog.title}" on ${blog.source} (opens in new tab)`}
-              variant="primary"
+              variant={blog.hasContent ? 'secondary' : 'primary'}
               size="md"
               className="hover:-translate-y-0.5"
             >
-              Read on {blog.source} <ExternalLink size={14} aria-hidden="true" />
+              {blog.hasContent ? blog.source : `Read on ${blog.source}`}{' '}
+              <ExternalLink size={14} aria-hidden="true" />
             </ThemedButton>
           ) : (
             <span className="text-sm text-muted italic flex items-center gap-2 px-4 py-2 border-[3px] border-transparent">
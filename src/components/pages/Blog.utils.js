@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Formatting helpers shared by the Blog listing and the Blog post reader.
+ */
+
+/**
+ * Format date string to DD/MM/YYYY format
+ * @param {string} dateStr - ISO date string
+ * @returns {string} Formatted date
+ */
+export const formatDate = dateStr => {
+  const date = new Date(dateStr);
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const year = date.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Get background color class for blog source badge
+ * @param {string} source - Blog source name
+ * @returns {string} Tailwind background color class
+ */
+export const getSourceColor = source => {
+  switch (source) {
+    case 'Dev.to':
+      return 'bg-accent';
+    case 'Medium':
+      return 'bg-fun-yellow';
+    case 'Substack':
+      return 'bg-fun-pink';
+    default:
+      return 'bg-secondary';
+  }
+};
+
+/**
+ * Get text color class for blog source badge
+ * @param {string} source - Blog source name
+ * @returns {string} Tailwind text color class
+ */
+export const getSourceTextColor = source => {
+  switch (source) {
+    case 'Medium':
+      return 'text-black';
+    default:
+      return 'text-white';
+  }
+};
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview On-site reader for a single blog post, served at `/blog/:slug`.
+ * Renders the full markdown body synced by `scripts/sync-blogs.js`.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion, useReducedMotion } from 'framer-motion';
+import ReactMarkdown from 'react-markdown';
+import { ArrowLeft, Calendar, ExternalLink, Loader2 } from 'lucide-react';
+import blogs from '../../data/blogs.json';
+import { loadBlogContent } from '../../data/blogContent';
+import { isSafeHref, isSafeImageSrc } from '../../utils/security';
+import { findBlogBySlug, getBlogSlug } from '../../utils/slug';
+import { breadcrumbSchema, blogPostingSchema, SITE_URL } from '../../utils/seo';
+import SEOHead from '../shared/SEOHead';
+import SyntaxHighlighter from '../shared/SyntaxHighlighter';
+import NotFound from './NotFound';
+import ThemedButton from '../shared/ThemedButton';
+import ThemedCard from '../shared/ThemedCard';
+import ThemedChip from '../shared/ThemedChip';
+import { useTheme } from '../shared/theme-context';
+import { formatDate, getSourceColor, getSourceTextColor } from './Blog.utils';
+
+/**
+ * Markdown link renderer. Only safe protocols become anchors; external links
+ * open in a new tab.
+ */
+const ArticleLink = ({ href, children, node: _node, ...rest }) => {
+  if (!isSafeHref(href)) {
+    return <span {...rest}>{children}</span>;
+  }
+
+  return (
+    <a
+      {...rest}
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-accent underline font-bold"
+    >
+      {children}
+    </a>
+  );
+};
+
+/**
+ * Markdown image renderer that drops images with unsafe sources.
+ */
+const ArticleImage = ({ src, alt, node: _node, ...rest }) => {
+  if (!isSafeImageSrc(src)) return null;
+
+  return (
+    <img
+      {...rest}
+      src={src}
+      alt={alt || ''}
+      className="max-w-full h-auto my-6 border-2 border-[color:var(--color-border)]"
+      loading="lazy"
+      decoding="async"
+    />
+  );
+};
+
+/**
+ * Markdown code renderer: fenced blocks go through the shared SyntaxHighlighter,
+ * inline code stays inline.
+ */
+const ArticleCode = ({ className, children, node, ...rest }) => {
+  const isBlock = Boolean(node?.position) && node.position.start.line !== node.position.end.line;
+  const match = /language-([\w+-]+)/.exec(className || '');
+
+  if (isBlock || match) {
+    return (
+      <div className="my-6">
+        <SyntaxHighlighter
+          code={String(children).replace(/\n$/, '')}
+          language={match ? match[1] : 'text'}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <code className="px-1 py-0.5 bg-secondary font-mono text-sm" {...rest}>
+      {children}
+    </code>
+  );
+};
+
+/** The page already owns the only h1, so article headings start at h2. */
+const ArticleHeading = ({ node: _node, ...props }) => (
+  <h2 className="text-2xl font-heading font-bold text-primary mt-10 mb-4" {...props} />
+);
+
+// Stable markdown components object to prevent unnecessary re-renders
+const MARKDOWN_COMPONENTS = {
+  a: ArticleLink,
+  img: ArticleImage,
+  code: ArticleCode,
+  // SyntaxHighlighter renders its own <pre>
+  pre: ({ children }) => <>{children}</>,
+  h1: ArticleHeading,
+  h2: ArticleHeading,
+  h3: ({ node: _node, ...props }) => (
+    <h3 className="text-xl font-heading font-bold text-primary mt-8 mb-3" {...props} />
+  ),
+  p: ({ node: _node, ...props }) => <p className="mb-5 leading-relaxed" {...props} />,
+  ul: ({ node: _node, ...props }) => <ul className="list-disc pl-6 mb-5 space-y-2" {...props} />,
+  ol: ({ node: _node, ...props }) => <ol className="list-decimal pl-6 mb-5 space-y-2" {...props} />,
+  blockquote: ({ node: _node, ...props }) => (
+    <blockquote
+      className="border-l-4 border-[color:var(--color-border)] pl-4 italic my-6"
+      {...props}
+    />
+  ),
+};
+
+/**
+ * BlogPost Page Component
+ *
+ * Displays the full body of a synced blog post. The post metadata comes from
+ * `blogs.json` and the markdown body is lazy-loaded per post. When no body was
+ * synced (or it fails to load) the summary is shown with a link to the original.
+ *
+ * Features:
+ * - Markdown rendering with safe link/image handling and syntax-highlighted code
+ * - Canonical link back to the original platform (visible and in `<head>`)
+ * - TechArticle + BreadcrumbList structured data
+ *
+ * @component
+ * @returns {JSX.Element} The blog post reader page.
+ */
+const BlogPost = () => {
+  const { slug } = useParams();
+  const shouldReduceMotion = useReducedMotion();
+  const { theme } = useTheme();
+  const isLiquid = theme === 'liquid';
+
+  const blog = useMemo(() => findBlogBySlug(blogs, slug), [slug]);
+  const blogSlug = blog ? getBlogSlug(blog) : null;
+
+  // Content is keyed by slug so switching posts never shows the previous body
+  const [loaded, setLoaded] = useState({ slug: null, content: null });
+  const isLoading = Boolean(blogSlug) && loaded.slug !== blogSlug;
+  const content = isLoading ? null : loaded.content;
+
+  useEffect(() => {
+    if (!blogSlug) return undefined;
+    let isActive = true;
+
+    loadBlogContent(blogSlug)
+      .catch(() => null)
+      .then(markdown => {
+        if (isActive) setLoaded({ slug: blogSlug, content: markdown });
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [blogSlug]);
+
+  if (!blog) {
+    return <NotFound />;
+  }
+
+  const path = `/blog/${blogSlug}`;
+  const hasSafeLink = isSafeHref(blog.link);
+  const schemas = [
+    breadcrumbSchema([
+      { name: 'Home', url: SITE_URL },
+      { name: 'Blog', url: `${SITE_URL}/blog` },
+      { name: blog.title, url: `${SITE_URL}${path}` },
+    ]),
+    blogPostingSchema(blog),
+  ];
+
+  return (
+    <>
+      <SEOHead
+        title={blog.title}
+        description={blog.summary}
+        path={path}
+        canonicalUrl={hasSafeLink ? blog.link : undefined}
+        ogType="article"
+        ogImage={blog.coverImage && isSafeImageSrc(blog.coverImage) ? blog.coverImage : undefined}
+        keywords={blog.tags?.length ? blog.tags.join(', ') : undefined}
+        schemas={schemas}
+      />
+      <article className="max-w-3xl mx-auto py-12 px-4">
+        <ThemedButton as={Link} to="/blog" variant="secondary" size="sm" className="mb-8">
+          <ArrowLeft size={14} aria-hidden="true" /> All posts
+        </ThemedButton>
+
+        <motion.header
+          initial={shouldReduceMotion ? false : { opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={shouldReduceMotion ? { duration: 0 } : undefined}
+          className="mb-8"
+        >
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <ThemedChip
+              className={`font-heading font-bold px-3 ${isLiquid ? 'tracking-wide uppercase text-xs' : `${getSourceColor(blog.source)} ${getSourceTextColor(blog.source)}`}`}
+            >
+              {blog.source}
+            </ThemedChip>
+            <ThemedChip variant="neutral" className="text-secondary font-sans">
+              <Calendar size={12} aria-hidden="true" />
+              {formatDate(blog.date)}
+            </ThemedChip>
+            {blog.tags?.slice(0, 3).map(tag => (
+              <ThemedChip key={tag} variant="neutral" className="font-sans">
+                #{tag}
+              </ThemedChip>
+            ))}
+          </div>
+          <h1 className="font-heading text-3xl md:text-5xl font-bold text-primary">{blog.title}</h1>
+        </motion.header>
+
+        {hasSafeLink && (
+          <ThemedCard className={`p-4 mb-10 font-sans text-sm ${isLiquid ? 'rounded-2xl' : ''}`}>
+            Originally published on{' '}
+            <a
+              href={blog.link}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-accent underline font-bold"
+            >
+              {blog.source}
+              <span className="sr-only"> (opens in new tab)</span>
+            </a>
+            .
+          </ThemedCard>
+        )}
+
+        {isLoading ? (
+          <div role="status" className="flex items-center gap-2 text-muted font-sans">
+            <Loader2 size={18} className="animate-spin" aria-hidden="true" />
+            Loading article...
+          </div>
+        ) : content ? (
+          <div className="text-primary font-sans text-lg">
+            <ReactMarkdown components={MARKDOWN_COMPONENTS}>{content}</ReactMarkdown>
+          </div>
+        ) : (
+          <div className="font-sans">
+            <p className="text-secondary text-lg leading-relaxed mb-6">{blog.summary}</p>
+            {hasSafeLink && (
+              <ThemedButton
+                as="a"
+                href={blog.link}
+                target="_blank"
+                rel="noopener noreferrer"
+                variant="primary"
+                size="md"
+                aria-label={`Read "${blog.title}" on ${blog.source} (opens in new tab)`}
+              >
+                Read the full post on {blog.source} <ExternalLink size={14} aria-hidden="true" />
+              </ThemedButton>
+            )}
+          </div>
+        )}
+      </article>
+    </>
+  );
+};
+
+/** @type {React.FC} */
+export default BlogPost;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import BlogPost from './BlogPost';
+import { loadBlogContent } from '../../data/blogContent';
+
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return {
+    ...actual,
+    motion: {
+      header: ({ children, initial: _i, animate: _a, transition: _t, ...props }) => (
+        <header {...props}>{children}</header>
+      ),
+    },
+    useReducedMotion: () => false,
+  };
+});
+
+const mockSEOHead = vi.fn();
+vi.mock('../shared/SEOHead', () => ({
+  default: props => {
+    mockSEOHead(props);
+    return null;
+  },
+}));
+
+vi.mock('../shared/SyntaxHighlighter', () => ({
+  default: ({ code, language }) => (
+    <pre data-testid="syntax-highlighter" data-language={language}>
+      {code}
+    </pre>
+  ),
+}));
+
+vi.mock('./NotFound', () => ({
+  default: () => <div data-testid="not-found">Not Found</div>,
+}));
+
+vi.mock('../shared/theme-context', () => ({
+  useTheme: () => ({ theme: 'neubrutalism' }),
+}));
+
+vi.mock('../../data/blogs.json', () => ({
+  default: [
+    {
+      title: 'Data Analysis with Pandas',
+      slug: 'data-analysis-with-pandas',
+      link: 'https://dev.to/test/pandas',
+      date: '2025-10-25T05:13:39Z',
+      summary: 'A short pandas summary.',
+      source: 'Dev.to',
+      tags: ['python', 'pandas'],
+    },
+    {
+      title: 'Summary Only Post',
+      link: 'https://medium.com/@test/summary-only',
+      date: 'Wed, 17 Dec 2025 03:20:49 GMT',
+      summary: 'Only the summary was synced.',
+      source: 'Medium',
+      tags: [],
+    },
+  ],
+}));
+
+vi.mock('../../data/blogContent', () => ({
+  loadBlogContent: vi.fn(),
+}));
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/blog/:slug" element={<BlogPost />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('BlogPost', () => {
+  beforeEach(() => {
+    mockSEOHead.mockClear();
+    loadBlogContent.mockReset();
+  });
+
+  it('renders the synced markdown body with highlighted code', async () => {
+    loadBlogContent.mockResolvedValue(
+      '# Getting started\n\nLoad a [dataset](https://example.com/data).\n\n```python\nimport pandas as pd\n```'
+    );
+    renderAt('/blog/data-analysis-with-pandas');
+
+    expect(screen.getByRole('status')).toHaveTextContent('Loading article...');
+    expect(
+      await screen.findByRole('heading', { level: 2, name: 'Getting started' })
+    ).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'dataset' })).toHaveAttribute(
+      'href',
+      'https://example.com/data'
+    );
+    const code = screen.getByTestId('syntax-highlighter');
+    expect(code).toHaveAttribute('data-language', 'python');
+    expect(code).toHaveTextContent('import pandas as pd');
+    expect(loadBlogContent).toHaveBeenCalledWith('data-analysis-with-pandas');
+  });
+
+  it('links back to the original platform and uses it as canonical URL', async () => {
+    loadBlogContent.mockResolvedValue('Body');
+    renderAt('/blog/data-analysis-with-pandas');
+    await screen.findByText('Body');
+
+    expect(screen.getByText(/originally published on/i)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /dev\.to/i })).toHaveAttribute(
+      'href',
+      'https://dev.to/test/pandas'
+    );
+
+    const props = mockSEOHead.mock.calls.at(-1)[0];
+    expect(props.path).toBe('/blog/data-analysis-with-pandas');
+    expect(props.canonicalUrl).toBe('https://dev.to/test/pandas');
+    expect(props.schemas.map(schema => schema['@type'])).toEqual(['BreadcrumbList', 'TechArticle']);
+  });
+
+  it('drops unsafe links from the markdown body', async () => {
+    loadBlogContent.mockResolvedValue('[click me](javascript:alert(1))');
+    renderAt('/blog/data-analysis-with-pandas');
+
+    expect(await screen.findByText('click me')).not.toHaveAttribute('href');
+  });
+
+  it('falls back to the summary when no body was synced', async () => {
+    loadBlogContent.mockResolvedValue(null);
+    renderAt('/blog/summary-only-post');
+
+    expect(await screen.findByText('Only the summary was synced.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /on medium/i })).toHaveAttribute(
+      'href',
+      'https://medium.com/@test/summary-only'
+    );
+  });
+
+  it('renders the 404 page for unknown slugs', () => {
+    renderAt('/blog/missing-post');
+
+    expect(screen.getByTestId('not-found')).toBeInTheDocument();
+    expect(loadBlogContent).not.toHaveBeenCalled();
+  });
+});
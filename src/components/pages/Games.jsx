@@ -1,8 +1,10 @@
 /**
  * @fileoverview Games page - Easter egg feature with Tic Tac Toe and Snake games.
+ * `/games?game=<id>` selects that game on arrival.
  */
 
 import React, { useState, Suspense, lazy } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import {
   Check,
@@ -26,6 +28,15 @@ import ThemedCard from '../shared/ThemedCard';
 import ThemedChip from '../shared/ThemedChip';
 import { useTheme } from '../shared/theme-context';
 import GameInstructions from '../games/GameInstructions';
+import { GAME_INSTRUCTIONS } from '../games/gameInstructionsData';
+
+/**
+ * Whether a `?game=` value names a game on this page.
+ *
+ * @param {string|null} id - Game id from the URL
+ * @returns {boolean} True for known game ids
+ */
+const isGameId = id => Boolean(id) && Object.hasOwn(GAME_INSTRUCTIONS, id);
 
 // Lazy load game components to reduce initial bundle size
 const TicTacToe = lazy(() => import('../games/TicTacToe'));
@@ -125,7 +136,19 @@ GameTabButton.displayName = 'GameTabButton';
  */
 // ⚡ Bolt: Wrapped `Games` component in `React.memo` to prevent unnecessary re-renders when parent layout state changes.
 const Games = React.memo(() => {
-  const [activeGame, setActiveGame] = useState('tictactoe');
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const linkedGame = searchParams.get('game');
+  const [activeGame, setActiveGame] = useState(() =>
+    isGameId(linkedGame) ? linkedGame : 'tictactoe'
+  );
+  const [prevLocationKey, setPrevLocationKey] = useState(location.key);
+
+  // Follow new ?game= links while already on this page (e.g. opened from the chatbot)
+  if (location.key !== prevLocationKey) {
+    setPrevLocationKey(location.key);
+    if (isGameId(linkedGame)) setActiveGame(linkedGame);
+  }
   const shouldReduceMotion = useReducedMotion();
   const { theme } = useTheme();
   const isLiquid = theme === 'liquid';
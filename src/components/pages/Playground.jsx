@@ -1,18 +1,25 @@
 /**
  * @fileoverview Code playground page showcasing Python one-liners and CSS snippets.
  * Features live previews, code copying, and interactive Python execution.
+ * `/playground?snippet=<id>` opens that snippet's preview, runner or sandbox directly, and
+ * `/playground#sandbox=<data>` opens a shared sandbox (see `sandboxShare.js`). The
+ * "My snippets" tab lists the visitor's saved snippets (see `mySnippets.js`).
  */
 
-import React, { useState, useCallback, Suspense, lazy } from 'react';
+import React, { useState, useCallback, useEffect, Suspense, lazy } from 'react';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
-import { Code2, Palette, Braces, Copy, Check, Play, Terminal } from 'lucide-react';
+import { Code2, Palette, Braces, Copy, Check, Play, Terminal, X, Bookmark } from 'lucide-react';
 import { resumeData } from '../../data/resume';
 import SEOHead from '../shared/SEOHead';
 import { breadcrumbSchema, playgroundSchema, SITE_URL } from '../../utils/seo';
 import { getSnippetsByLanguage } from '../../data/snippets';
-import { loadPyodide } from '../shared/pyodideLoader';
+import { preloadPython } from '../shared/pythonWorkerClient';
 import PythonRunner from '../shared/PythonRunner';
 import JsHtmlSandbox from '../shared/JsHtmlSandbox';
+import { decodeSandboxState, readSandboxHash } from '../shared/sandboxShare';
+import { MY_SNIPPETS_CHANGE_EVENT, listMySnippets } from '../shared/mySnippets';
+import MySnippetsPanel from '../shared/MySnippetsPanel';
 import Modal from '../shared/Modal';
 import ThemedButton from '../shared/ThemedButton';
 import ThemedCard from '../shared/ThemedCard';
@@ -21,6 +28,54 @@ import { useTheme } from '../shared/theme-context';
 
 const SyntaxHighlighter = lazy(() => import('../shared/SyntaxHighlighter'));
 
+/**
+ * Finds the snippet a `?snippet=` link points at and the modal that shows it.
+ *
+ * @param {string|null} id - Snippet id from the URL
+ * @returns {{snippet: Object, type: 'preview'|'runner'|'sandbox'}|null} Modal to open, if any
+ */
+const findLinkedSnippet = id => {
+  const snippet = id && getSnippetsByLanguage('all').find(candidate => candidate.id === id);
+  if (!snippet) return null;
+  if (snippet.preview) return { snippet, type: 'preview' };
+  if (snippet.interactive?.type === 'python-runner') return { snippet, type: 'runner' };
+  if (snippet.interactive?.type === 'web-sandbox') return { snippet, type: 'sandbox' };
+  return null;
+};
+
+/**
+ * Wraps the sources of a shared sandbox link as a snippet for the sandbox modal.
+ *
+ * @param {import('../shared/sandboxShare').SandboxState} state - Decoded link state
+ * @returns {Object} Snippet with a web-sandbox `interactive` block
+ */
+const toSharedSnippet = ({ title, html, css, js }) => ({
+  id: 'shared-sandbox',
+  title: title ? `${title} (shared)` : 'Shared sandbox',
+  interactive: { type: 'web-sandbox', html, css, js },
+});
+
+/**
+ * Wraps a saved snippet of the visitor's as a snippet for the runner or sandbox modal.
+ *
+ * @param {import('../shared/mySnippets').MySnippet} saved - Library record
+ * @returns {Object} Snippet with a python-runner or web-sandbox `interactive` block
+ */
+const toLibrarySnippet = ({ id, title, tags, language, sources }) => ({
+  id: `mine-${id}`,
+  title,
+  tags,
+  interactive:
+    language === 'python'
+      ? {
+          type: 'python-runner',
+          codeTemplate: () => sources.code,
+          defaultInput: sources.input,
+          inputLabel: 'Input',
+        }
+      : { type: 'web-sandbox', ...sources },
+});
+
 /** Color classes for snippet card accent bars */
 const cardColors = ['bg-fun-yellow', 'bg-accent', 'bg-fun-pink'];
 
@@ -39,7 +94,7 @@ const emptyStateVariants = {
  * Playground page for code snippets and interactive demos
  *
  * Features:
- * - Filter by language (Python, CSS, All)
+ * - Filter by language (Python, CSS, All), or show the visitor's saved snippets
  * - Copy code to clipboard with visual feedback
  * - Live CSS preview in modal
  * - Interactive Python code runner
@@ -53,12 +108,69 @@ const emptyStateVariants = {
 const Playground = React.memo(() => {
   const { theme } = useTheme();
   const isLiquid = theme === 'liquid';
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedSnippetId = searchParams.get('snippet');
+  const sharedSandboxData = readSandboxHash(location.hash);
+  const [shareError, setShareError] = useState(null);
   const [activeFilter, setActiveFilter] = useState('all');
+  const [myLibrary, setMyLibrary] = useState(null); // listMySnippets result while "My snippets" is open
   const [copiedId, setCopiedId] = useState(null);
-  const [modalSnippet, setModalSnippet] = useState(null);
-  const [modalType, setModalType] = useState(null); // 'preview' or 'runner'
+  const [modalSnippet, setModalSnippet] = useState(
+    () => findLinkedSnippet(linkedSnippetId)?.snippet ?? null
+  );
+  const [modalType, setModalType] = useState(
+    () => findLinkedSnippet(linkedSnippetId)?.type ?? null
+  ); // 'preview', 'runner' or 'sandbox'
+  const [prevLocationKey, setPrevLocationKey] = useState(location.key);
   const shouldReduceMotion = useReducedMotion();
 
+  // Follow new ?snippet= links while already on this page (e.g. opened from the chatbot)
+  if (location.key !== prevLocationKey) {
+    setPrevLocationKey(location.key);
+    const linked = findLinkedSnippet(linkedSnippetId);
+    if (linked) {
+      setModalSnippet(linked.snippet);
+      setModalType(linked.type);
+    }
+  }
+
+  // Open a shared sandbox link once its data is decoded and validated
+  useEffect(() => {
+    if (!sharedSandboxData) return undefined;
+    let cancelled = false;
+    decodeSandboxState(sharedSandboxData).then(result => {
+      if (cancelled) return;
+      if (result.ok) {
+        setShareError(null);
+        setModalSnippet(toSharedSnippet(result.state));
+        setModalType('sandbox');
+      } else {
+        setShareError(result.error);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sharedSandboxData]);
+
+  // Load the visitor's library while its tab is open, and reload it after every change
+  useEffect(() => {
+    if (activeFilter !== 'mine') return undefined;
+    let cancelled = false;
+    const refresh = () =>
+      listMySnippets().then(result => {
+        if (!cancelled) setMyLibrary(result);
+      });
+    refresh();
+    window.addEventListener(MY_SNIPPETS_CHANGE_EVENT, refresh);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(MY_SNIPPETS_CHANGE_EVENT, refresh);
+    };
+  }, [activeFilter]);
+
   const description =
     'Explore powerful Python one-liners, creative CSS snippets, and an editable JS/HTML sandbox. Copy, learn, and experiment with advanced code techniques.';
   const title = `Code Playground | ${resumeData.basics.name}`;
@@ -71,6 +183,8 @@ const Playground = React.memo(() => {
   ];
 
   const filteredSnippets = React.useMemo(() => getSnippetsByLanguage(activeFilter), [activeFilter]);
+  const visibleCount =
+    activeFilter === 'mine' ? (myLibrary?.snippets?.length ?? 0) : filteredSnippets.length;
 
   /** Filter tabs configuration */
   const filters = React.useMemo(
@@ -79,6 +193,7 @@ const Playground = React.memo(() => {
       { id: 'python', label: 'Python', icon: Terminal, color: 'bg-accent' },
       { id: 'css', label: 'CSS', icon: Palette, color: 'bg-fun-pink' },
       { id: 'js', label: 'JS/HTML', icon: Braces, color: 'bg-emerald-500' },
+      { id: 'mine', label: 'My snippets', icon: Bookmark, color: 'bg-violet-500' },
     ],
     []
   );
@@ -116,11 +231,22 @@ const Playground = React.memo(() => {
     setModalType('sandbox');
   }, []);
 
-  /** Close modal */
+  /** Open one of the visitor's saved snippets in its runner or sandbox */
+  const openLibrarySnippet = useCallback(saved => {
+    setModalSnippet(toLibrarySnippet(saved));
+    setModalType(saved.language === 'python' ? 'runner' : 'sandbox');
+  }, []);
+
+  /** Close modal, dropping any ?snippet= or #sandbox= link so a reload does not reopen it */
   const closeModal = useCallback(() => {
     setModalSnippet(null);
     setModalType(null);
-  }, []);
+    if (sharedSandboxData) {
+      navigate({ pathname: location.pathname, search: location.search }, { replace: true });
+    } else if (linkedSnippetId) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [linkedSnippetId, setSearchParams, sharedSandboxData, navigate, location]);
 
   // ⚡ Bolt: Extracted container motion variants into a useMemo hook to prevent recreation on each render.
   const container = React.useMemo(
@@ -198,6 +324,28 @@ const Playground = React.memo(() => {
           </p>
         </motion.div>
 
+        {/* Problem with a shared sandbox link */}
+        {shareError && (
+          <div
+            role="alert"
+            className={themeClass(
+              'flex items-center justify-between gap-3 mb-8 px-4 py-3 bg-fun-pink text-white font-sans font-bold border-2 border-[color:var(--color-border)] rounded-nb',
+              'flex items-center justify-between gap-3 mb-8 px-4 py-3 lg-surface-2 rounded-2xl text-primary font-sans'
+            )}
+            style={isLiquid ? undefined : borderShadowStyle}
+          >
+            <span>{shareError}</span>
+            <button
+              type="button"
+              onClick={() => setShareError(null)}
+              className="p-1 rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+              aria-label="Dismiss"
+            >
+              <X size={16} aria-hidden="true" />
+            </button>
+          </div>
+        )}
+
         {/* Filter Tabs */}
         <motion.div
           initial={shouldReduceMotion ? false : { opacity: 0, y: 20 }}
@@ -249,7 +397,7 @@ const Playground = React.memo(() => {
                       'px-2 py-0.5 rounded-full text-xs bg-[color:var(--surface-muted)] text-[color:var(--text-primary)] border border-[color:var(--border-soft)]'
                     )}
                   >
-                    {filteredSnippets.length}
+                    {visibleCount}
                   </span>
                 )}
               </ThemedButton>
@@ -259,62 +407,70 @@ const Playground = React.memo(() => {
 
         {/* Screen reader summary */}
         <div className="sr-only" aria-live="polite">
-          {`Showing ${filteredSnippets.length} ${activeFilter === 'all' ? '' : activeFilter} snippets`}
+          {activeFilter === 'mine'
+            ? `Showing ${visibleCount} saved snippets`
+            : `Showing ${filteredSnippets.length} ${activeFilter === 'all' ? '' : activeFilter} snippets`}
         </div>
 
         {/* Snippets Grid */}
-        <motion.div
-          id="snippets-grid"
-          role="tabpanel"
-          aria-labelledby={`tab-${activeFilter}`}
-          variants={container}
-          initial={shouldReduceMotion ? false : 'hidden'}
-          animate="show"
-          key={activeFilter}
-          className="grid grid-cols-1 lg:grid-cols-2 gap-6"
-        >
-          <AnimatePresence mode="popLayout">
-            {filteredSnippets.length > 0 ? (
-              filteredSnippets.map((snippet, idx) => (
-                <SnippetCard
-                  key={snippet.id}
-                  snippet={snippet}
-                  colorClass={cardColors[idx % cardColors.length]}
-                  variants={item}
-                  isCopied={copiedId === snippet.id}
-                  onCopy={handleCopy}
-                  onOpenPreview={openPreviewModal}
-                  onOpenRunner={openRunnerModal}
-                  onOpenSandbox={openSandboxModal}
-                  shouldReduceMotion={shouldReduceMotion}
-                />
-              ))
-            ) : (
-              <motion.div
-                variants={emptyStateVariants}
-                initial="initial"
-                animate="animate"
-                exit="exit"
-                className="col-span-full text-center py-12"
-                role="status"
-                aria-live="polite"
-              >
-                <Code2 className="mx-auto h-12 w-12 text-gray-400" aria-hidden="true" />
-                <h2 className="mt-4 text-lg font-heading font-bold text-[color:var(--text-primary)]">
-                  No snippets found
-                </h2>
-                <p className="mt-2 text-sm text-[color:var(--text-secondary)] font-sans">
-                  Try selecting a different category.
-                </p>
-                <div className="mt-6 flex justify-center">
-                  <ThemedButton onClick={() => setActiveFilter('all')} variant="primary">
-                    Clear Filters
-                  </ThemedButton>
-                </div>
-              </motion.div>
-            )}
-          </AnimatePresence>
-        </motion.div>
+        {activeFilter === 'mine' ? (
+          <div id="snippets-grid" role="tabpanel" aria-labelledby="tab-mine">
+            <MySnippetsPanel library={myLibrary} onOpen={openLibrarySnippet} />
+          </div>
+        ) : (
+          <motion.div
+            id="snippets-grid"
+            role="tabpanel"
+            aria-labelledby={`tab-${activeFilter}`}
+            variants={container}
+            initial={shouldReduceMotion ? false : 'hidden'}
+            animate="show"
+            key={activeFilter}
+            className="grid grid-cols-1 lg:grid-cols-2 gap-6"
+          >
+            <AnimatePresence mode="popLayout">
+              {filteredSnippets.length > 0 ? (
+                filteredSnippets.map((snippet, idx) => (
+                  <SnippetCard
+                    key={snippet.id}
+                    snippet={snippet}
+                    colorClass={cardColors[idx % cardColors.length]}
+                    variants={item}
+                    isCopied={copiedId === snippet.id}
+                    onCopy={handleCopy}
+                    onOpenPreview={openPreviewModal}
+                    onOpenRunner={openRunnerModal}
+                    onOpenSandbox={openSandboxModal}
+                    shouldReduceMotion={shouldReduceMotion}
+                  />
+                ))
+              ) : (
+                <motion.div
+                  variants={emptyStateVariants}
+                  initial="initial"
+                  animate="animate"
+                  exit="exit"
+                  className="col-span-full text-center py-12"
+                  role="status"
+                  aria-live="polite"
+                >
+                  <Code2 className="mx-auto h-12 w-12 text-gray-400" aria-hidden="true" />
+                  <h2 className="mt-4 text-lg font-heading font-bold text-[color:var(--text-primary)]">
+                    No snippets found
+                  </h2>
+                  <p className="mt-2 text-sm text-[color:var(--text-secondary)] font-sans">
+                    Try selecting a different category.
+                  </p>
+                  <div className="mt-6 flex justify-center">
+                    <ThemedButton onClick={() => setActiveFilter('all')} variant="primary">
+                      Clear Filters
+                    </ThemedButton>
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </motion.div>
+        )}
 
         {/* Footer hint */}
         <motion.div
@@ -353,7 +509,11 @@ const Playground = React.memo(() => {
         title={modalSnippet?.title || 'Python Runner'}
       >
         {modalSnippet?.interactive?.type === 'python-runner' && (
-          <PythonRunner snippet={modalSnippet} shouldReduceMotion={shouldReduceMotion} />
+          <PythonRunner
+            key={modalSnippet.id}
+            snippet={modalSnippet}
+            shouldReduceMotion={shouldReduceMotion}
+          />
         )}
       </Modal>
 
@@ -364,7 +524,7 @@ const Playground = React.memo(() => {
         title={modalSnippet?.title || 'JS/HTML Sandbox'}
       >
         {modalSnippet?.interactive?.type === 'web-sandbox' && (
-          <JsHtmlSandbox snippet={modalSnippet} />
+          <JsHtmlSandbox key={modalSnippet.id} snippet={modalSnippet} />
         )}
       </Modal>
     </>
@@ -533,8 +693,8 @@ const SnippetCard = React.memo(
             {hasInteractive && snippet.interactive.type === 'python-runner' && (
               <ThemedButton
                 onClick={() => onOpenRunner(snippet)}
-                onMouseEnter={() => loadPyodide().catch(() => {})}
-                onFocus={() => loadPyodide().catch(() => {})}
+                onMouseEnter={() => preloadPython().catch(() => {})}
+                onFocus={() => preloadPython().catch(() => {})}
                 variant="secondary"
                 className={themeClass(
                   'flex items-center gap-2 flex-1 justify-center px-4 py-2 font-heading font-bold text-sm rounded-nb bg-accent text-white hover:-translate-x-0.5 hover:-translate-y-0.5',
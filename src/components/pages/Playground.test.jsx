@@ -86,6 +86,8 @@ vi.mock('lucide-react', async () => {
     Check: mockIcon('Check'),
     Play: mockIcon('Play'),
     Terminal: mockIcon('Terminal'),
+    X: mockIcon('X'),
+    Bookmark: mockIcon('Bookmark'),
   };
 });
 
@@ -93,8 +95,8 @@ vi.mock('../shared/SEOHead', () => ({
   default: () => <div data-testid="seo-head">SEO Head Mock</div>,
 }));
 
-vi.mock('../shared/pyodideLoader', () => ({
-  loadPyodide: vi.fn().mockResolvedValue(true),
+vi.mock('../shared/pythonWorkerClient', () => ({
+  preloadPython: vi.fn().mockResolvedValue(),
 }));
 
 vi.mock('../shared/PythonRunner', () => ({
@@ -102,7 +104,52 @@ vi.mock('../shared/PythonRunner', () => ({
 }));
 
 vi.mock('../shared/JsHtmlSandbox', () => ({
-  default: () => <div data-testid="js-html-sandbox">JS/HTML Sandbox Mock</div>,
+  default: ({ snippet }) => (
+    <div data-testid="js-html-sandbox" data-js={snippet.interactive.js}>
+      JS/HTML Sandbox Mock
+    </div>
+  ),
+}));
+
+vi.mock('../shared/mySnippets', () => ({
+  MY_SNIPPETS_CHANGE_EVENT: 'mySnippetsChange',
+  listMySnippets: vi.fn(() =>
+    Promise.resolve({
+      ok: true,
+      snippets: [
+        {
+          id: 'saved-js',
+          title: 'My Ball',
+          tags: [],
+          language: 'js',
+          sources: { html: '', css: '', js: 'draw()' },
+          createdAt: 1,
+          updatedAt: 2,
+        },
+        {
+          id: 'saved-py',
+          title: 'My Greeter',
+          tags: [],
+          language: 'python',
+          sources: { code: 'print(user_input)', input: 'Ada' },
+          createdAt: 1,
+          updatedAt: 1,
+        },
+      ],
+    })
+  ),
+}));
+
+vi.mock('../shared/MySnippetsPanel', () => ({
+  default: ({ library, onOpen }) => (
+    <ul data-testid="my-snippets-panel">
+      {library?.snippets.map(snippet => (
+        <li key={snippet.id}>
+          <button onClick={() => onOpen(snippet)}>Open {snippet.title}</button>
+        </li>
+      ))}
+    </ul>
+  ),
 }));
 
 vi.mock('../shared/Modal', () => ({
@@ -223,6 +270,7 @@ vi.mock('../../data/snippets', () => ({
 
 // Import component after mocks
 import Playground from './Playground';
+import { encodeSandboxState } from '../shared/sandboxShare';
 
 Object.assign(navigator, {
   clipboard: {
@@ -230,9 +278,9 @@ Object.assign(navigator, {
   },
 });
 
-const renderPlayground = () => {
+const renderPlayground = (initialEntries = ['/playground']) => {
   return render(
-    <MemoryRouter>
+    <MemoryRouter initialEntries={initialEntries}>
       <Playground />
     </MemoryRouter>
   );
@@ -369,4 +417,58 @@ describe('Playground Component', () => {
     fireEvent.click(closeButton);
     expect(screen.queryByTestId('modal')).not.toBeInTheDocument();
   });
+
+  it('opens the snippet linked with ?snippet=', () => {
+    renderPlayground(['/playground?snippet=test-js-1']);
+
+    expect(screen.getByTestId('modal')).toBeInTheDocument();
+    expect(screen.getByTestId('js-html-sandbox')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('modal-close'));
+    expect(screen.queryByTestId('modal')).not.toBeInTheDocument();
+  });
+
+  it('ignores unknown ?snippet= links', () => {
+    renderPlayground(['/playground?snippet=does-not-exist']);
+
+    expect(screen.queryByTestId('modal')).not.toBeInTheDocument();
+  });
+
+  it('opens a shared sandbox from the #sandbox= fragment', async () => {
+    const { fragment } = await encodeSandboxState({
+      title: 'Demo',
+      html: '<p>hi</p>',
+      css: '',
+      js: 'console.log("shared")',
+    });
+    renderPlayground([`/playground#${fragment}`]);
+
+    expect(await screen.findByTestId('js-html-sandbox')).toHaveAttribute(
+      'data-js',
+      'console.log("shared")'
+    );
+    expect(screen.getByRole('heading', { name: 'Demo (shared)' })).toBeInTheDocument();
+  });
+
+  it('reports damaged shared sandbox links without opening them', async () => {
+    renderPlayground(['/playground#sandbox=not*valid']);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/damaged/);
+    expect(screen.queryByTestId('modal')).not.toBeInTheDocument();
+    expect(screen.getByText('Python Test')).toBeInTheDocument();
+  });
+
+  it('lists saved snippets under My snippets and opens them in their runner', async () => {
+    renderPlayground();
+
+    fireEvent.click(screen.getByRole('tab', { name: /My snippets/ }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Open My Ball' }));
+    expect(screen.getByTestId('js-html-sandbox')).toHaveAttribute('data-js', 'draw()');
+    expect(screen.getByText('Showing 2 saved snippets')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('modal-close'));
+    fireEvent.click(screen.getByRole('button', { name: 'Open My Greeter' }));
+    expect(screen.getByTestId('python-runner')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'My Greeter' })).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Case study page for a single project, served at `/projects/:slug`.
+ */
+
+import React, { useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion, useReducedMotion } from 'framer-motion';
+import {
+  ArrowLeft,
+  ArrowRight,
+  ExternalLink,
+  Star,
+  Target,
+  Lightbulb,
+  TrendingUp,
+  Layers,
+  Images,
+} from 'lucide-react';
+import { Github } from '../shared/BrandIcons';
+import { resumeData } from '../../data/resume';
+import SEOHead from '../shared/SEOHead';
+import NotFound from './NotFound';
+import { isSafeHref, isSafeImageSrc } from '../../utils/security';
+import { findProjectBySlug, getProjectSlug } from '../../utils/slug';
+import { breadcrumbSchema, projectCreativeWorkSchema, SITE_URL } from '../../utils/seo';
+import ThemedCard from '../shared/ThemedCard';
+import ThemedButton from '../shared/ThemedButton';
+import ThemedChip from '../shared/ThemedChip';
+import { useTheme } from '../shared/theme-context';
+
+/**
+ * Titled block used for each case study section (problem, approach, results...).
+ */
+const CaseStudySection = ({ icon, title, children, shadowColor, isLiquid }) => {
+  const headingId = `case-study-${title.toLowerCase().replace(/\s+/g, '-')}`;
+
+  return (
+    <ThemedCard
+      as="section"
+      shadowColor={isLiquid ? undefined : shadowColor}
+      className={`p-6 ${isLiquid ? 'rounded-3xl' : ''}`}
+      aria-labelledby={headingId}
+    >
+      <h2
+        id={headingId}
+        className="flex items-center gap-2 text-2xl font-heading font-bold text-primary mb-4"
+      >
+        {icon}
+        {title}
+      </h2>
+      {children}
+    </ThemedCard>
+  );
+};
+
+/**
+ * ProjectDetail Page Component
+ *
+ * Renders the case study for the project matching the `:slug` route param.
+ * Sections come from the optional `caseStudy` object on the project; projects
+ * without one fall back to their description and tags so every project still
+ * gets a page. Unknown slugs render the 404 page.
+ *
+ * Features:
+ * - Problem, approach, results, screenshots and tech breakdown sections
+ * - Shared view-transition names with the Projects grid card
+ * - CreativeWork + BreadcrumbList structured data
+ * - Link to the next project for continuous browsing
+ *
+ * @component
+ * @returns {JSX.Element} The project case study page.
+ */
+const ProjectDetail = () => {
+  const { slug } = useParams();
+  const shouldReduceMotion = useReducedMotion();
+  const { theme } = useTheme();
+  const isLiquid = theme === 'liquid';
+
+  const project = useMemo(() => findProjectBySlug(resumeData.projects, slug), [slug]);
+
+  const nextProject = useMemo(() => {
+    if (!project) return null;
+    const { projects } = resumeData;
+    return projects[(projects.indexOf(project) + 1) % projects.length];
+  }, [project]);
+
+  if (!project) {
+    return <NotFound />;
+  }
+
+  const projectSlug = getProjectSlug(project, resumeData.projects);
+  const path = `/projects/${projectSlug}`;
+  const caseStudy = project.caseStudy || {};
+  const screenshots = (
+    caseStudy.screenshots?.length
+      ? caseStudy.screenshots
+      : project.image
+        ? [{ src: project.image, alt: `Screenshot of ${project.title} project` }]
+        : []
+  ).filter(shot => isSafeImageSrc(shot.src));
+  const [heroShot, ...galleryShots] = screenshots;
+  const techBreakdown = caseStudy.techBreakdown?.length
+    ? caseStudy.techBreakdown
+    : project.tags.map(tag => ({ name: tag }));
+
+  const schemas = [
+    breadcrumbSchema([
+      { name: 'Home', url: SITE_URL },
+      { name: 'Projects', url: `${SITE_URL}/projects` },
+      { name: project.title, url: `${SITE_URL}${path}` },
+    ]),
+    projectCreativeWorkSchema(project),
+  ];
+
+  return (
+    <>
+      <SEOHead
+        title={`${project.title} Case Study`}
+        description={project.description}
+        path={path}
+        ogType="article"
+        ogImage={project.image ? `${SITE_URL}${project.image}` : undefined}
+        ogImageAlt={`Screenshot of ${project.title} project`}
+        keywords={project.tags.join(', ')}
+        schemas={schemas}
+      />
+      <article className="max-w-4xl mx-auto py-12 px-4">
+        <ThemedButton as={Link} to="/projects" variant="secondary" size="sm" className="mb-8">
+          <ArrowLeft size={14} aria-hidden="true" /> All projects
+        </ThemedButton>
+
+        <motion.header
+          initial={shouldReduceMotion ? false : { opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={shouldReduceMotion ? { duration: 0 } : undefined}
+          className="mb-10"
+        >
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {project.featured && (
+              <ThemedChip variant="accent" className="font-bold">
+                Featured
+              </ThemedChip>
+            )}
+            {project.stars && (
+              <ThemedChip variant="yellow" className="font-bold">
+                <Star size={12} className="fill-black" aria-hidden="true" />
+                {project.stars}
+              </ThemedChip>
+            )}
+          </div>
+          <h1
+            className="font-heading text-4xl md:text-5xl font-bold text-primary mb-4"
+            style={{ viewTransitionName: `project-title-${projectSlug}` }}
+          >
+            {project.title}
+          </h1>
+          <p className="text-secondary text-lg leading-relaxed font-sans">{project.description}</p>
+
+          <div className="flex flex-wrap items-center gap-4 mt-6">
+            {project.link && isSafeHref(project.link) && (
+              <ThemedButton
+                as="a"
+                href={project.link}
+                target="_blank"
+                rel="noopener noreferrer"
+                variant="primary"
+                size="sm"
+                aria-label={`Live Demo for ${project.title} (opens in new tab)`}
+              >
+                <ExternalLink size={14} aria-hidden="true" /> Demo
+              </ThemedButton>
+            )}
+            {project.github && isSafeHref(project.github) && (
+              <ThemedButton
+                as="a"
+                href={project.github}
+                target="_blank"
+                rel="noopener noreferrer"
+                variant="secondary"
+                size="sm"
+                aria-label={`View source code for ${project.title} on GitHub (opens in new tab)`}
+              >
+                <Github size={14} aria-hidden="true" /> Code
+              </ThemedButton>
+            )}
+          </div>
+        </motion.header>
+
+        {heroShot && (
+          <div
+            className={`overflow-hidden mb-10 ${isLiquid ? 'rounded-3xl' : 'border-nb border-[color:var(--color-border)]'}`}
+            style={isLiquid ? undefined : { boxShadow: 'var(--nb-shadow)' }}
+          >
+            <img
+              src={heroShot.src}
+              alt={heroShot.alt || `Screenshot of ${project.title} project`}
+              className="w-full h-auto object-cover"
+              style={{ viewTransitionName: `project-thumb-${projectSlug}` }}
+              fetchPriority="high"
+              decoding="async"
+              width={1200}
+              height={800}
+            />
+          </div>
+        )}
+
+        <div className="grid gap-6">
+          {caseStudy.problem && (
+            <CaseStudySection
+              icon={<Target size={22} aria-hidden="true" />}
+              title="Problem"
+              shadowColor="pink"
+              isLiquid={isLiquid}
+            >
+              <p className="text-secondary leading-relaxed font-sans">{caseStudy.problem}</p>
+            </CaseStudySection>
+          )}
+
+          {caseStudy.approach?.length > 0 && (
+            <CaseStudySection
+              icon={<Lightbulb size={22} aria-hidden="true" />}
+              title="Approach"
+              shadowColor="yellow"
+              isLiquid={isLiquid}
+            >
+              <ol className="list-decimal pl-6 space-y-2 text-secondary font-sans">
+                {caseStudy.approach.map(step => (
+                  <li key={step}>{step}</li>
+                ))}
+              </ol>
+            </CaseStudySection>
+          )}
+
+          {caseStudy.results?.length > 0 && (
+            <CaseStudySection
+              icon={<TrendingUp size={22} aria-hidden="true" />}
+              title="Results"
+              shadowColor="blue"
+              isLiquid={isLiquid}
+            >
+              <ul className="list-disc pl-6 space-y-2 text-secondary font-sans">
+                {caseStudy.results.map(result => (
+                  <li key={result}>{result}</li>
+                ))}
+              </ul>
+            </CaseStudySection>
+          )}
+
+          {galleryShots.length > 0 && (
+            <CaseStudySection
+              icon={<Images size={22} aria-hidden="true" />}
+              title="Screenshots"
+              shadowColor="violet"
+              isLiquid={isLiquid}
+            >
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {galleryShots.map(shot => (
+                  <figure key={shot.src}>
+                    <img
+                      src={shot.src}
+                      alt={shot.alt || `Screenshot of ${project.title} project`}
+                      className="w-full h-auto object-cover"
+                      loading="lazy"
+                      decoding="async"
+                    />
+                    {shot.caption && (
+                      <figcaption className="text-sm text-muted mt-2 font-sans">
+                        {shot.caption}
+                      </figcaption>
+                    )}
+                  </figure>
+                ))}
+              </div>
+            </CaseStudySection>
+          )}
+
+          <CaseStudySection
+            icon={<Layers size={22} aria-hidden="true" />}
+            title="Tech Breakdown"
+            shadowColor="coral"
+            isLiquid={isLiquid}
+          >
+            <dl className="grid gap-3">
+              {techBreakdown.map(tech => (
+                <div key={tech.name} className="flex flex-wrap items-baseline gap-3">
+                  <dt>
+                    <ThemedChip variant="neutral" className="font-sans font-bold">
+                      {tech.name}
+                    </ThemedChip>
+                  </dt>
+                  {tech.detail && (
+                    <dd className="text-secondary text-sm font-sans">{tech.detail}</dd>
+                  )}
+                </div>
+              ))}
+            </dl>
+          </CaseStudySection>
+        </div>
+
+        {nextProject && nextProject !== project && (
+          <nav aria-label="More projects" className="mt-12 flex justify-end">
+            <ThemedButton
+              as={Link}
+              to={`/projects/${getProjectSlug(nextProject, resumeData.projects)}`}
+              variant="primary"
+              size="md"
+            >
+              Next: {nextProject.title} <ArrowRight size={16} aria-hidden="true" />
+            </ThemedButton>
+          </nav>
+        )}
+      </article>
+    </>
+  );
+};
+
+/** @type {React.FC} */
+export default ProjectDetail;
@@ -0,0 +1,138 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ProjectDetail from './ProjectDetail';
+
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return {
+    ...actual,
+    motion: {
+      header: ({ children, initial: _i, animate: _a, transition: _t, ...props }) => (
+        <header {...props}>{children}</header>
+      ),
+    },
+    useReducedMotion: () => false,
+  };
+});
+
+const mockSEOHead = vi.fn();
+vi.mock('../shared/SEOHead', () => ({
+  default: props => {
+    mockSEOHead(props);
+    return null;
+  },
+}));
+
+vi.mock('./NotFound', () => ({
+  default: () => <div data-testid="not-found">Not Found</div>,
+}));
+
+vi.mock('../shared/theme-context', () => ({
+  useTheme: () => ({ theme: 'neubrutalism' }),
+}));
+
+vi.mock('../../data/resume', () => ({
+  resumeData: {
+    basics: { name: 'Test User', website: 'https://test.com', socials: [] },
+    projects: [
+      {
+        title: 'Case Study Project',
+        description: 'A project with a full case study.',
+        tags: ['Python', 'OpenCV'],
+        github: 'https://github.com/test/case-study',
+        image: '/images/projects/case.webp',
+        featured: true,
+        caseStudy: {
+          problem: 'Attendance was tracked by hand.',
+          approach: ['Detected faces', 'Logged check-ins'],
+          results: ['No more roll calls'],
+          screenshots: [
+            { src: '/images/projects/case.webp', alt: 'Hero shot' },
+            { src: '/images/projects/dashboard.webp', alt: 'Dashboard', caption: 'Analytics' },
+          ],
+          techBreakdown: [{ name: 'OpenCV', detail: 'Face detection' }],
+        },
+      },
+      {
+        title: 'Plain Project',
+        description: 'No case study yet.',
+        tags: ['Nim'],
+      },
+    ],
+  },
+}));
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/projects/:slug" element={<ProjectDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('ProjectDetail', () => {
+  beforeEach(() => {
+    mockSEOHead.mockClear();
+  });
+
+  it('renders every case study section for a matching slug', () => {
+    renderAt('/projects/case-study-project');
+
+    expect(
+      screen.getByRole('heading', { level: 1, name: 'Case Study Project' })
+    ).toBeInTheDocument();
+    expect(screen.getByText('Attendance was tracked by hand.')).toBeInTheDocument();
+    expect(screen.getByText('Detected faces')).toBeInTheDocument();
+    expect(screen.getByText('No more roll calls')).toBeInTheDocument();
+    expect(screen.getByAltText('Dashboard')).toBeInTheDocument();
+    expect(screen.getByText('Analytics')).toBeInTheDocument();
+    expect(screen.getByText('Face detection')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /all projects/i })).toHaveAttribute(
+      'href',
+      '/projects'
+    );
+  });
+
+  it('passes the case study path and schemas to SEOHead', () => {
+    renderAt('/projects/case-study-project');
+
+    const props = mockSEOHead.mock.calls.at(-1)[0];
+    expect(props.path).toBe('/projects/case-study-project');
+    expect(props.ogImage).toBe('https://test.com/images/projects/case.webp');
+    expect(props.schemas.map(schema => schema['@type'])).toEqual([
+      'BreadcrumbList',
+      'CreativeWork',
+    ]);
+    expect(props.schemas[0].itemListElement[2].item).toBe(
+      'https://test.com/projects/case-study-project'
+    );
+  });
+
+  it('falls back to tags for projects without a case study', () => {
+    renderAt('/projects/plain-project');
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Plain Project' })).toBeInTheDocument();
+    expect(screen.queryByRole('heading', { name: 'Problem' })).not.toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Tech Breakdown' })).toBeInTheDocument();
+    expect(screen.getByText('Nim')).toBeInTheDocument();
+  });
+
+  it('links to the next project', () => {
+    renderAt('/projects/case-study-project');
+
+    expect(screen.getByRole('link', { name: /next: plain project/i })).toHaveAttribute(
+      'href',
+      '/projects/plain-project'
+    );
+  });
+
+  it('renders the 404 page for unknown slugs', () => {
+    renderAt('/projects/does-not-exist');
+
+    expect(screen.getByTestId('not-found')).toBeInTheDocument();
+    expect(mockSEOHead).not.toHaveBeenCalled();
+  });
+});
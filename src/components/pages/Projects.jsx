@@ -3,12 +3,15 @@
  */
 
 import React, { useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion, useReducedMotion } from 'framer-motion';
 import { ExternalLink, Star, Folder } from 'lucide-react';
 import { Github } from '../shared/BrandIcons';
 import { resumeData } from '../../data/resume';
 import SEOHead from '../shared/SEOHead';
 import { isSafeHref, isSafeImageSrc } from '../../utils/security';
+import { getProjectSlug } from '../../utils/slug';
+import { viewTransitionNavigate } from '../../navigation/viewTransitionNavigate';
 import {
   breadcrumbSchema,
   projectsCollectionSchema,
@@ -22,13 +25,6 @@ import ThemedChip from '../shared/ThemedChip';
 import ThemedSectionHeading from '../shared/ThemedSectionHeading';
 import { useTheme } from '../shared/theme-context';
 
-const projectSlugFromData = project =>
-  `${project?.title || ''}-${project?.link || project?.github || ''}`
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-
 const stickerStyles = [{ '--sticker-rotate': '1deg' }, { '--sticker-rotate': '-1deg' }];
 
 const featuredStickerStyle = { '--sticker-rotate': '3deg' };
@@ -39,7 +35,7 @@ const featuredStickerStyle = { '--sticker-rotate': '3deg' };
 // ⚡ Bolt: Wrapped card in React.memo to prevent unnecessary re-renders in list
 const ProjectCard = React.memo(
   ({ project, idx, isLiquid, shadowColors, cardColors, item, onClick }) => {
-    const projectSlug = useMemo(() => projectSlugFromData(project), [project]);
+    const projectSlug = useMemo(() => getProjectSlug(project, resumeData.projects), [project]);
     const thumbStyle = useMemo(
       () => ({ viewTransitionName: `project-thumb-${projectSlug}` }),
       [projectSlug]
@@ -183,6 +179,7 @@ ProjectCard.displayName = 'ProjectCard';
  * - Detailed project information including descriptions and tags
  * - Support for featured badges and metrics
  * - Tech stack chip components
+ * - Card click opens the on-site case study at `/projects/:slug`
  * - Direct links to live demos and source code repositories
  * - Rotating accent colors for visual interest
  *
@@ -192,6 +189,7 @@ ProjectCard.displayName = 'ProjectCard';
 // ⚡ Bolt: Wrapped `Projects` component in `React.memo` to prevent unnecessary re-renders when parent layout state changes.
 const Projects = React.memo(() => {
   const shouldReduceMotion = useReducedMotion();
+  const navigate = useNavigate();
   const { theme } = useTheme();
   const isLiquid = theme === 'liquid';
   const description =
@@ -243,21 +241,19 @@ const Projects = React.memo(() => {
   }, []);
 
   /**
-   * Handle card click to open primary link.
+   * Handle card click to open the project's case study.
    * Checks for text selection to avoid accidental navigation.
    */
-  const handleCardClick = useCallback(project => {
-    // Ignore if user is selecting text
-    const selection = window.getSelection();
-    if (selection && selection.toString().length > 0) return;
+  const handleCardClick = useCallback(
+    project => {
+      // Ignore if user is selecting text
+      const selection = window.getSelection();
+      if (selection && selection.toString().length > 0) return;
 
-    // Prioritize Live Demo, fallback to GitHub
-    const targetUrl = project.link || project.github;
-    // 🛡️ Sentinel: Validate URL before opening to prevent malicious protocol execution (e.g., javascript:)
-    if (targetUrl && isSafeHref(targetUrl)) {
-      window.open(targetUrl, '_blank', 'noopener,noreferrer');
-    }
-  }, []);
+      viewTransitionNavigate(navigate, `/projects/${getProjectSlug(project, resumeData.projects)}`);
+    },
+    [navigate]
+  );
 
   return (
     <>
@@ -3,7 +3,8 @@
  * Features interactive section filters and scroll-triggered reveal animations.
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import {
   Briefcase,
@@ -17,6 +18,7 @@ import {
   Filter,
 } from 'lucide-react';
 import { resumeData } from '../../data/resume';
+import { slugify } from '../../utils/slug';
 import SEOHead from '../shared/SEOHead';
 import { breadcrumbSchema, resumePersonSchema, SITE_URL } from '../../utils/seo';
 import TechStackVisual from '../shared/TechStackVisual';
@@ -156,6 +158,21 @@ TimelineCard.displayName = 'TimelineCard';
 /** Filter section identifiers */
 const SECTIONS = ['Experience', 'Education', 'Tech Stack', 'Certifications', 'Languages'];
 
+/**
+ * Reads a `?skill=<slug>` or `?cert=<slug>` link (e.g. from the command palette).
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {{section: string, targetId: string, slug: string}|null} Section holding the
+ *   item and the element id to scroll to, or null without a link
+ */
+const findLinkedItem = searchParams => {
+  const skill = searchParams.get('skill');
+  if (skill) return { section: 'Tech Stack', targetId: `skill-${skill}`, slug: skill };
+  const cert = searchParams.get('cert');
+  if (cert) return { section: 'Certifications', targetId: `cert-${cert}`, slug: cert };
+  return null;
+};
+
 // ⚡ Bolt: Extracted static array configurations outside component to prevent recreation on every render
 const expShadowColors = ['pink', 'coral', 'violet', 'orange', 'blue'];
 const eduShadowColors = ['blue', 'yellow', 'lime'];
@@ -175,6 +192,7 @@ const borderShadowStyle = { boxShadow: '2px 2px 0 var(--color-border)' };
  * - Timeline-based experience and education display
  * - Skill categorization with proficiency levels
  * - Certifications list
+ * - `?skill=` and `?cert=` links scroll to and highlight one item
  * - Language proficiency display
  * - Print-friendly layout adaptations
  * - Scroll-triggered reveal animations
@@ -198,8 +216,36 @@ const Resume = React.memo(() => {
     resumePersonSchema(),
   ];
 
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const linkedItem = findLinkedItem(searchParams);
+
   // Interactive filter state — all sections visible by default
   const [visibleSections, setVisibleSections] = useState(() => new Set(SECTIONS));
+  const [prevLocationKey, setPrevLocationKey] = useState(location.key);
+
+  // Show the linked item's section again if it was filtered out
+  if (location.key !== prevLocationKey) {
+    setPrevLocationKey(location.key);
+    if (linkedItem && !visibleSections.has(linkedItem.section)) {
+      setVisibleSections(prev => new Set(prev).add(linkedItem.section));
+    }
+  }
+
+  // Scroll to the linked item and focus it; a focused skill node shows its proficiency
+  const linkedTargetId = linkedItem?.targetId;
+  useEffect(() => {
+    if (!linkedTargetId) return undefined;
+    const frame = window.requestAnimationFrame(() => {
+      const target = document.getElementById(linkedTargetId);
+      target?.scrollIntoView({
+        block: 'center',
+        behavior: shouldReduceMotion ? 'auto' : 'smooth',
+      });
+      target?.focus({ preventScroll: true });
+    });
+    return () => window.cancelAnimationFrame(frame);
+  }, [linkedTargetId, location.key, shouldReduceMotion]);
 
   /** Toggle a section's visibility */
   const toggleSection = useCallback(section => {
@@ -449,7 +495,14 @@ const Resume = React.memo(() => {
                       {resumeData.certifications.map((cert, i) => (
                         <li
                           key={i}
-                          className="flex items-start gap-3 p-3 border-2 border-[color:var(--color-border)] bg-secondary"
+                          id={`cert-${slugify(cert.name)}`}
+                          tabIndex={-1}
+                          className={`flex items-start gap-3 p-3 border-2 border-[color:var(--color-border)] bg-secondary focus:outline-none ${
+                            linkedItem?.section === 'Certifications' &&
+                            linkedItem.slug === slugify(cert.name)
+                              ? 'ring-4 ring-fun-yellow'
+                              : ''
+                          }`}
                         >
                           <div className="w-3 h-3 bg-fun-yellow border-2 border-[color:var(--color-border)] flex-shrink-0 mt-1" />
                           <div>
@@ -6,11 +6,19 @@
  * and implements accessibility features including focus trapping and keyboard navigation.
  *
  * Features:
- * - Persistent chat history stored in localStorage
+ * - Persistent chat history stored in localStorage, as named conversations that can be
+ *   created, switched, renamed and deleted
+ * - Transcript export as Markdown, JSON or plain text, and import of JSON exports
  * - Markdown rendering with safe link handling (XSS prevention)
  * - Quick reply buttons for common questions
+ * - Streaming responses rendered token by token, with a stop control
+ * - Offline answers from resume data when the model is unavailable, labelled as such
+ * - Numbered source links for the retrieved passages an answer cites
+ * - Site actions requested by the model (navigate, open a project, start a game, ...),
+ *   validated before running and shown as action chips
  * - Real-time typing indicators
- * - Message history limiting to prevent token exhaustion
+ * - Message history limiting to prevent token exhaustion, with older messages condensed
+ *   into a rolling summary (by the model, or extractively when offline)
  * - Focus trap for modal dialog behavior
  * - Auto-scrolling to latest messages
  * - Character counter for input validation
@@ -19,18 +27,50 @@
  */
 
 import React, { useState, useEffect, useRef, useCallback, lazy, Suspense } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { motion, useReducedMotion } from 'framer-motion';
-import { Bot, X, Send, Copy, Check } from 'lucide-react';
-import { chatWithGemini } from '../../services/ai';
+import {
+  Bot,
+  X,
+  Send,
+  Square,
+  Copy,
+  Check,
+  WifiOff,
+  Zap,
+  Ban,
+  Plus,
+  Pencil,
+  Trash2,
+  Download,
+  Upload,
+} from 'lucide-react';
+import { streamChatWithGemini, summarizeConversation } from '../../services/ai';
+import { summarizeExtractively } from '../../services/chatSummary';
+import { answerOffline } from '../../services/offlineAnswers';
+import { runChatTool } from '../../services/chatTools';
 import ReactMarkdown from 'react-markdown';
 import { TypingIndicator } from './SkeletonLoader';
-import { isSafeHref, isSafeImageSrc, isValidChatMessage } from '../../utils/security';
-import { buildNextMessages, buildGeminiHistory } from './chatHistory';
+import { isSafeHref, isSafeImageSrc } from '../../utils/security';
+import { buildNextMessages, buildGeminiHistory, planSummary } from './chatHistory';
+import {
+  MAX_THREADS,
+  MAX_TITLE_LENGTH,
+  createDefaultMessage,
+  createThread,
+  loadThreadStore,
+  nextThreadTitle,
+  sanitizeThreadTitle,
+  saveThreadStore,
+} from './chatThreads';
 import {
-  safeGetLocalStorage,
-  safeSetLocalStorage,
-  safeRemoveLocalStorage,
-} from '../../utils/storage';
+  MAX_TRANSCRIPT_BYTES,
+  TRANSCRIPT_FORMATS,
+  formatTranscript,
+  parseTranscript,
+} from './chatTranscript';
+import { downloadTextFile, readTextFile } from '../../utils/download';
+import { generateId } from '../../utils/id';
 import { useFocusTrap } from './useFocusTrap';
 import { useTheme } from './theme-context';
 import { getOverlayShell, joinClasses } from './ThemedPrimitives.utils';
@@ -38,42 +78,13 @@ import { useIsMounted } from './useIsMounted';
 
 const SyntaxHighlighter = lazy(() => import('./SyntaxHighlighter'));
 
-// localStorage key for persisting chat history across sessions
-const STORAGE_KEY = 'portfolio_chat_history';
-
-// Maximum number of messages to load from localStorage (DoS prevention)
-// ReactMarkdown rendering is expensive; limit to most recent messages
-const MAX_STORED_MESSAGES = 100;
-
-// Monotonic counter for ID fallback to prevent insecure pseudo-randomness
-let fallbackCounter = 0;
-
-const generateMessageId = () => {
-  if (typeof crypto !== 'undefined') {
-    if (typeof crypto.randomUUID === 'function') {
-      return crypto.randomUUID();
-    }
-    if (typeof crypto.getRandomValues === 'function') {
-      const array = new Uint32Array(4);
-      crypto.getRandomValues(array);
-      return Array.from(array, dec => dec.toString(16).padStart(8, '0')).join('-');
-    }
-  }
-
-  // Final fallback if crypto is entirely unavailable (very rare in modern browsers)
-  // 🛡️ Sentinel: Replaced Math.random() with a monotonic counter to avoid insecure pseudo-randomness
-  const timestamp = Date.now();
-  fallbackCounter += 1;
-  return `${timestamp}-${fallbackCounter}`;
-};
-
-const DEFAULT_MESSAGE_ID = 'default-message';
+// Hover/focus tooltip shown above the send and stop buttons
+const ACTION_TOOLTIP_CLASSNAME =
+  'absolute bottom-full mb-2 right-0 bg-black text-white text-xs px-2 py-1 opacity-0 group-hover:opacity-100 group-focus-visible:opacity-100 transition-opacity whitespace-nowrap pointer-events-none z-50 font-sans';
 
-const createDefaultMessage = () => ({
-  id: DEFAULT_MESSAGE_ID,
-  role: 'model',
-  text: "Hi! I'm Digital Rishabh. Ask me about my projects, skills, or experience!",
-});
+// Compact icon buttons in the conversation bar
+const THREAD_BUTTON_CLASSNAME =
+  'p-1.5 text-primary border-2 border-[color:var(--color-border)] bg-card hover:bg-fun-yellow disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-card focus:outline-none focus-visible:ring-2 focus-visible:ring-accent';
 
 // Quick reply suggestions shown when chat history is empty
 const QUICK_REPLIES = [
@@ -276,6 +287,62 @@ const ALLOWED_MARKDOWN_ELEMENTS = [
   'ul',
 ];
 
+/**
+ * Numbered list of the knowledge-base passages an answer was grounded in.
+ * Numbers match the `[n]` citations the model writes inline. Sources come from
+ * localStorage on reload, so only well-formed entries with site-internal paths link.
+ */
+const MessageSources = ({ sources }) => (
+  <div className="mt-2 pt-2 border-t-2 border-[color:var(--color-border)] font-sans text-xs">
+    <p className="font-bold mb-1">Sources</p>
+    <ol className="space-y-0.5">
+      {sources
+        .filter(source => typeof source?.id === 'string' && typeof source.title === 'string')
+        .map((source, index) => {
+          const isInternal =
+            typeof source.url === 'string' &&
+            source.url.startsWith('/') &&
+            !source.url.startsWith('//') &&
+            isSafeHref(source.url);
+          return (
+            <li key={source.id}>
+              [{index + 1}]{' '}
+              {isInternal ? (
+                <Link to={source.url} className="text-accent underline">
+                  {source.title}
+                </Link>
+              ) : (
+                source.title
+              )}
+            </li>
+          );
+        })}
+    </ol>
+  </div>
+);
+
+/**
+ * Chips for the site actions the model ran (or that were rejected) while answering.
+ * Actions come from localStorage on reload, so only entries with a string label render.
+ */
+const MessageActions = ({ actions }) => (
+  <ul className="mt-2 flex flex-wrap gap-2 font-sans text-xs" aria-label="Actions">
+    {actions
+      .filter(action => typeof action?.label === 'string')
+      .map((action, index) => (
+        <li
+          key={`${action.name}-${index}`}
+          className={`flex items-center gap-1 px-2 py-1 font-bold border-2 border-[color:var(--color-border)] ${
+            action.ok ? 'bg-fun-yellow text-black' : 'bg-secondary text-muted line-through'
+          }`}
+        >
+          {action.ok ? <Zap size={12} aria-hidden="true" /> : <Ban size={12} aria-hidden="true" />}
+          {action.label}
+        </li>
+      ))}
+  </ul>
+);
+
 /**
  * Individual message item component.
  * Memoized to prevent re-rendering of expensive Markdown content when parent list updates.
@@ -288,6 +355,12 @@ const MessageItem = React.memo(({ msg }) => (
       }`}
       style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
     >
+      {msg.offline && (
+        <span className="flex items-center gap-1 mb-1 text-[10px] font-bold uppercase tracking-wide text-muted font-sans">
+          <WifiOff size={12} aria-hidden="true" />
+          Offline answer
+        </span>
+      )}
       <ReactMarkdown
         components={MARKDOWN_COMPONENTS}
         allowedElements={ALLOWED_MARKDOWN_ELEMENTS}
@@ -295,6 +368,12 @@ const MessageItem = React.memo(({ msg }) => (
       >
         {msg.text}
       </ReactMarkdown>
+      {Array.isArray(msg.actions) && msg.actions.length > 0 && (
+        <MessageActions actions={msg.actions} />
+      )}
+      {Array.isArray(msg.sources) && msg.sources.length > 0 && (
+        <MessageSources sources={msg.sources} />
+      )}
     </div>
   </div>
 ));
@@ -311,16 +390,17 @@ MessageItem.displayName = 'MessageItem';
  * @component
  * @param {object} props
  * @param {Array<{role: string, text: string}>} props.messages - Array of chat messages
- * @param {boolean} props.isTyping - Whether the AI is currently generating a response
+ * @param {boolean} props.isTyping - Whether the AI is waiting for the first streamed chunk
+ * @param {boolean} props.isGenerating - Whether a response is still being generated
  * @param {React.RefObject} props.messagesEndRef - Ref for auto-scrolling to bottom
  * @returns {JSX.Element} Scrollable message list with markdown rendering
  */
-const MessageList = React.memo(({ messages, isTyping, messagesEndRef }) => (
+const MessageList = React.memo(({ messages, isTyping, isGenerating, messagesEndRef }) => (
   <div
     className="flex-grow overflow-y-auto p-4 space-y-4 scrollbar-thin scrollbar-thumb-slate-700 bg-primary"
     role="log"
     aria-live="polite"
-    aria-busy={isTyping}
+    aria-busy={isGenerating}
   >
     {messages.map(msg => (
       <MessageItem key={msg.id} msg={msg} />
@@ -339,16 +419,16 @@ MessageList.displayName = 'MessageList';
  * Main chat interface component.
  *
  * Provides a complete chat experience with message history persistence, AI responses,
- * and full accessibility support. Messages are stored in localStorage and restored
- * on subsequent visits. The interface includes quick reply buttons, typing indicators,
+ * and full accessibility support. Conversations are stored in localStorage and restored
+ * on subsequent visits; switching is disabled while a response is generating. The interface includes quick reply buttons, typing indicators,
  * and a focus trap for modal behavior.
  *
  * Message Flow:
  * 1. User types message and submits
  * 2. Message is added to history and sent to AI service
- * 3. While waiting, typing indicator is shown
- * 4. AI response is received and added to history
- * 5. Messages are persisted to localStorage
+ * 3. While waiting for the first chunk, typing indicator is shown
+ * 4. AI response streams into a model message until done or stopped
+ * 5. Conversations are persisted to localStorage once generation ends
  * 6. UI auto-scrolls to show latest message
  *
  * @component
@@ -356,61 +436,34 @@ MessageList.displayName = 'MessageList';
  * @param {Function} props.onClose - Callback to close the chat interface
  * @returns {JSX.Element} Animated chat dialog with full functionality
  */
-/**
- * Load chat history from localStorage for the initial `messages` state.
- * This provides continuity across page refreshes and return visits.
- * Gracefully handles JSON parsing errors and invalid data.
- */
-const loadStoredMessages = () => {
-  try {
-    const saved = safeGetLocalStorage(STORAGE_KEY);
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      if (Array.isArray(parsed) && parsed.length > 0) {
-        // Security: Validate loaded messages to guard against malformed/oversized data from localStorage
-        // Note: XSS mitigation is handled when rendering via ReactMarkdown and isSafeHref, not by this check
-        const validMessages = parsed.filter(isValidChatMessage);
-
-        // Limit number of messages to prevent rendering DoS (e.g., thousands of small messages)
-        const recentMessages = validMessages.slice(-MAX_STORED_MESSAGES);
-
-        if (recentMessages.length > 0) {
-          return recentMessages.map(message => {
-            const existingId = message.id;
-            const isStringId = typeof existingId === 'string' && existingId.trim() !== '';
-            const isNumberId = typeof existingId === 'number' && Number.isFinite(existingId);
-            const safeId = isStringId || isNumberId ? existingId : generateMessageId();
-
-            return {
-              ...message,
-              id: safeId,
-            };
-          });
-        }
-      }
-    }
-  } catch {
-    // Ignore load errors
-  }
-
-  return [createDefaultMessage()];
-};
-
 const ChatInterface = ({ onClose }) => {
-  const { theme } = useTheme();
+  const { theme, setTheme } = useTheme();
+  const navigate = useNavigate();
   const isLiquid = theme === 'liquid';
-  // Chat state: messages array with role ('user' | 'model') and text
-  const [messages, setMessages] = useState(loadStoredMessages);
+  // Conversations: each thread holds a messages array with role ('user' | 'model') and text
+  const [threadStore, setThreadStore] = useState(loadThreadStore);
   const [input, setInput] = useState('');
-  const [isTyping, setIsTyping] = useState(false); // AI response loading state
-  const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [isTyping, setIsTyping] = useState(false); // Waiting for the first streamed chunk
+  const [isGenerating, setIsGenerating] = useState(false); // Response stream in progress
+  const [pendingConfirm, setPendingConfirm] = useState(null); // 'clear' | 'delete' awaiting a second click
+  const [renameDraft, setRenameDraft] = useState(null); // Title being edited, or null
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [transcriptNotice, setTranscriptNotice] = useState(null); // Import result shown under the bar
+
+  const { activeId, threads } = threadStore;
+  const activeThread = threads.find(thread => thread.id === activeId) ?? threads[0];
+  const messages = activeThread.messages;
 
   // Refs for DOM manipulation and lifecycle tracking
   const messagesEndRef = useRef(null); // For auto-scrolling to bottom
   const inputRef = useRef(null); // For auto-focusing input field
+  const importInputRef = useRef(null); // Hidden file picker for transcript import
   const inputFocusTimeoutRef = useRef(null); // For delayed input focus timeout
   const chatDialogRef = useRef(null); // For focus trapping
   const confirmTimeoutRef = useRef(null); // For clearing confirmation state
+  const hasUnsavedChangesRef = useRef(false); // Set by every thread store update
+  const isSummarizingRef = useRef(false); // One rolling summary request at a time
+  const abortControllerRef = useRef(null); // Cancels the in-flight response stream
   const isMountedRef = useIsMounted(); // Prevents state updates after unmount
   const prefersReducedMotion = useReducedMotion();
 
@@ -418,21 +471,91 @@ const ChatInterface = ({ onClose }) => {
   const titleId = 'chatbot-title';
   const dialogId = 'chatbot-dialog';
   const shell = getOverlayShell({ theme, depth: 'hover' });
+  const actionButtonClassName = joinClasses(
+    'group relative p-3 cursor-pointer disabled:bg-secondary disabled:text-muted disabled:cursor-not-allowed motion-reduce:transform-none motion-reduce:transition-none focus:outline-none focus-visible:ring-2 focus-visible:ring-accent focus-visible:ring-offset-2 focus-visible:ring-offset-secondary transition-transform',
+    isLiquid
+      ? 'liquid-overlay-action lg-spring-hover bg-[color:var(--surface-muted)] border border-[color:var(--border-soft)] text-[color:var(--text-primary)] rounded-full hover:brightness-110 hover:scale-[1.01]'
+      : 'bg-fun-yellow text-black border-nb border-[color:var(--color-border)] hover:-translate-y-0.5 rounded-nb'
+  );
 
   /**
-   * Persist chat history to localStorage whenever messages change.
-   * Only saves if there's more than just the default greeting message.
+   * Updates the thread store and marks it for saving.
+   */
+  const updateThreadStore = useCallback(updater => {
+    hasUnsavedChangesRef.current = true;
+    setThreadStore(updater);
+  }, []);
+
+  /**
+   * Updates the messages of one thread. Streaming writes to the thread the question
+   * was asked in, which stays active because switching is disabled meanwhile.
+   *
+   * @param {string} threadId - Thread to update
+   * @param {(messages: Array<Object>, thread: Object) => Array<Object>} updater - Next messages from the current ones
+   */
+  const updateThreadMessages = useCallback(
+    (threadId, updater) => {
+      updateThreadStore(prev => ({
+        ...prev,
+        threads: prev.threads.map(thread =>
+          thread.id === threadId
+            ? { ...thread, messages: updater(thread.messages, thread), updatedAt: Date.now() }
+            : thread
+        ),
+      }));
+    },
+    [updateThreadStore]
+  );
+
+  /**
+   * Persist conversations to localStorage after they change. Skips the initial
+   * load and intermediate streaming states, so a response is written once, not per chunk.
    * Handles localStorage quota exceeded errors gracefully.
    */
   useEffect(() => {
-    if (messages.length > 1) {
-      try {
-        safeSetLocalStorage(STORAGE_KEY, JSON.stringify(messages));
-      } catch {
-        // Ignore save errors
-      }
+    if (isGenerating || !hasUnsavedChangesRef.current) return;
+    hasUnsavedChangesRef.current = false;
+    try {
+      saveThreadStore(threadStore);
+    } catch {
+      // Ignore save errors
     }
-  }, [messages]);
+  }, [threadStore, isGenerating]);
+
+  /**
+   * Condenses older messages into the thread's rolling summary once they no longer
+   * fit the model context. Runs between responses, so the next question already
+   * benefits; until the summary arrives, the oldest messages are simply left out.
+   */
+  useEffect(() => {
+    if (isGenerating || isSummarizingRef.current) return;
+    const plan = planSummary(activeThread.messages, activeThread.summary);
+    if (!plan) return;
+
+    const threadId = activeThread.id;
+    isSummarizingRef.current = true;
+    summarizeConversation(plan.messages, activeThread.summary?.text, {
+      fallback: summarizeExtractively,
+    })
+      .then(result => {
+        if (!result || !isMountedRef.current) return;
+        updateThreadStore(prev => ({
+          ...prev,
+          threads: prev.threads.map(thread =>
+            // Skip threads that were cleared while the summary was being written
+            thread.id === threadId && thread.messages.some(msg => msg.id === plan.throughId)
+              ? { ...thread, summary: { text: result.text, throughId: plan.throughId } }
+              : thread
+          ),
+        }));
+      })
+      .catch(() => {
+        // Keep the windowed history without a summary
+      })
+      .finally(() => {
+        isSummarizingRef.current = false;
+      });
+  }, [activeThread, isGenerating, isMountedRef, updateThreadStore]);
 
   /**
    * Auto-scroll to bottom whenever messages change (new message added).
@@ -469,9 +592,10 @@ const ChatInterface = ({ onClose }) => {
    * 1. Adds the user message to the chat history
    * 2. Shows typing indicator
    * 3. Converts recent message history to AI API format
-   * 4. Sends message to AI service with context
-   * 5. Adds AI response to chat history
-   * 6. Hides typing indicator
+   * 4. Streams the AI response, appending each chunk to a single model message
+   *    (or an offline answer from resume data when the model is unavailable)
+   * 5. Hides typing indicator on the first chunk and ends generation when the
+   *    stream finishes or the user presses stop (partial text is kept)
    *
    * Context Management: Only sends the last 30 messages to prevent exceeding
    * token limits and to keep API costs manageable. This still provides enough
@@ -485,13 +609,14 @@ const ChatInterface = ({ onClose }) => {
       if (!text.trim()) return;
 
       // Add user message to UI immediately for responsive feel
-      const userMsg = { id: generateMessageId(), role: 'user', text };
+      const userMsg = { id: generateId(), role: 'user', text };
+      const threadId = activeId;
 
       // Use functional state update to get latest messages and compute history
       let historyForApi = [];
-      setMessages(prevMessages => {
+      updateThreadMessages(threadId, (prevMessages, thread) => {
         const nextMessages = buildNextMessages(prevMessages, userMsg);
-        historyForApi = buildGeminiHistory(nextMessages);
+        historyForApi = buildGeminiHistory(nextMessages, thread.summary);
         return nextMessages;
       });
 
@@ -500,25 +625,96 @@ const ChatInterface = ({ onClose }) => {
       setInput(prevInput => (text === prevInput ? '' : prevInput));
 
       setIsTyping(true);
+      setIsGenerating(true);
+
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      const modelMsgId = generateId();
+      let responseText = '';
+
+      // The service calls this instead of showing an error when the model is unavailable
+      let answeredOffline = false;
+      const answerWhenOffline = question => {
+        answeredOffline = true;
+        return answerOffline(question);
+      };
+
+      // Retrieved passages the model was given, listed under the answer for its citations
+      let sources = [];
+      const handleSources = retrieved => {
+        sources = retrieved;
+      };
+
+      // Adds the model message on the first text chunk or action, then updates it in place
+      let hasModelMessage = false;
+      const showModelMessage = update => {
+        if (hasModelMessage) {
+          updateThreadMessages(threadId, prev =>
+            prev.map(msg => (msg.id === modelMsgId ? { ...msg, ...update } : msg))
+          );
+          return;
+        }
+
+        hasModelMessage = true;
+        setIsTyping(false);
+        const modelMsg = { id: modelMsgId, role: 'model', text: responseText, ...update };
+        if (answeredOffline) modelMsg.offline = true;
+        if (sources.length > 0) modelMsg.sources = sources;
+        updateThreadMessages(threadId, prev => [...prev, modelMsg]);
+      };
+
+      // Site actions requested by the model; runChatTool validates the arguments first
+      let actions = [];
+      const handleToolCall = call => {
+        if (controller.signal.aborted || !isMountedRef.current) return;
+        actions = [...actions, runChatTool(call, { navigate, setTheme })];
+        showModelMessage({ actions });
+      };
 
       try {
-        const responseText = await chatWithGemini(userMsg.text, historyForApi);
-        // Only update state if component is still mounted
-        if (isMountedRef.current) {
-          setMessages(prev => [
-            ...prev,
-            { id: generateMessageId(), role: 'model', text: responseText },
-          ]);
+        for await (const chunk of streamChatWithGemini(userMsg.text, historyForApi, {
+          signal: controller.signal,
+          fallback: answerWhenOffline,
+          onSources: handleSources,
+          onToolCall: handleToolCall,
+        })) {
+          // Stop consuming once the user cancelled or the component unmounted
+          if (controller.signal.aborted || !isMountedRef.current) break;
+
+          responseText += chunk;
+          showModelMessage({ text: responseText });
         }
       } finally {
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+        }
         if (isMountedRef.current) {
           setIsTyping(false);
+          setIsGenerating(false);
         }
       }
     },
-    [isMountedRef]
+    [activeId, updateThreadMessages, isMountedRef, navigate, setTheme]
   );
 
+  /**
+   * Stops the response currently being generated. Text streamed so far stays
+   * in the conversation.
+   */
+  const handleStopGenerating = useCallback(() => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setIsTyping(false);
+    setIsGenerating(false);
+  }, []);
+
+  // Cancel any in-flight stream on unmount
+  useEffect(() => {
+    return () => {
+      abortControllerRef.current?.abort();
+    };
+  }, []);
+
   const handleSubmit = useCallback(
     async (e, currentInput) => {
       e.preventDefault();
@@ -545,37 +741,204 @@ const ChatInterface = ({ onClose }) => {
   );
 
   /**
-   * Clears the chat history and resets to default greeting message.
-   * Also removes the saved history from localStorage.
+   * Clears the active conversation and resets it to the default greeting message.
+   * The saved store is rewritten without its messages and summary.
    */
   const clearHistory = useCallback(() => {
-    setMessages([createDefaultMessage()]);
-    safeRemoveLocalStorage(STORAGE_KEY);
-  }, []);
+    updateThreadStore(prev => ({
+      ...prev,
+      threads: prev.threads.map(thread => {
+        if (thread.id !== prev.activeId) return thread;
+        return {
+          ...thread,
+          messages: [createDefaultMessage()],
+          summary: undefined,
+          updatedAt: Date.now(),
+        };
+      }),
+    }));
+  }, [updateThreadStore]);
 
   /**
-   * Handles the clear button click with a confirmation step.
-   * First click shows "Confirm?", second click actually clears.
-   * Confirmation state resets after 3 seconds.
+   * Runs a destructive action on its second click. The first click shows a
+   * confirmation state that resets after 3 seconds.
+   *
+   * @param {'clear'|'delete'} kind - Action awaiting confirmation
+   * @param {Function} action - Runs once confirmed
    */
-  const handleClearClick = useCallback(() => {
-    if (showClearConfirm) {
-      clearHistory();
-      setShowClearConfirm(false);
+  const confirmThen = useCallback(
+    (kind, action) => {
       if (confirmTimeoutRef.current) {
         clearTimeout(confirmTimeoutRef.current);
         confirmTimeoutRef.current = null;
       }
-    } else {
-      setShowClearConfirm(true);
+
+      if (pendingConfirm === kind) {
+        action();
+        setPendingConfirm(null);
+        return;
+      }
+
+      setPendingConfirm(kind);
       confirmTimeoutRef.current = setTimeout(() => {
         if (isMountedRef.current) {
-          setShowClearConfirm(false);
+          setPendingConfirm(null);
         }
         confirmTimeoutRef.current = null;
       }, 3000);
+    },
+    [pendingConfirm, isMountedRef]
+  );
+
+  /**
+   * Handles the clear button click with a confirmation step.
+   * First click shows "Confirm?", second click actually clears.
+   */
+  const handleClearClick = useCallback(
+    () => confirmThen('clear', clearHistory),
+    [confirmThen, clearHistory]
+  );
+
+  /**
+   * Starts a new conversation and switches to it.
+   */
+  const handleNewThread = useCallback(() => {
+    updateThreadStore(prev => {
+      if (prev.threads.length >= MAX_THREADS) return prev;
+      const thread = createThread({ title: nextThreadTitle(prev.threads) });
+      return { activeId: thread.id, threads: [...prev.threads, thread] };
+    });
+    setPendingConfirm(null);
+    setRenameDraft(null);
+    inputRef.current?.focus();
+  }, [updateThreadStore]);
+
+  const handleSelectThread = useCallback(
+    e => {
+      const threadId = e.target.value;
+      updateThreadStore(prev => ({ ...prev, activeId: threadId }));
+      setPendingConfirm(null);
+      setTranscriptNotice(null);
+    },
+    [updateThreadStore]
+  );
+
+  /**
+   * Deletes the active conversation after confirmation and switches to the most
+   * recently updated remaining one. Deleting the only conversation starts a fresh one.
+   */
+  const handleDeleteThreadClick = useCallback(
+    () =>
+      confirmThen('delete', () => {
+        updateThreadStore(prev => {
+          const remaining = prev.threads.filter(thread => thread.id !== prev.activeId);
+          if (remaining.length === 0) {
+            const thread = createThread();
+            return { activeId: thread.id, threads: [thread] };
+          }
+          const next = remaining.reduce((latest, thread) =>
+            thread.updatedAt > latest.updatedAt ? thread : latest
+          );
+          return { activeId: next.id, threads: remaining };
+        });
+      }),
+    [confirmThen, updateThreadStore]
+  );
+
+  /**
+   * Saves the edited title. An empty title keeps the current one.
+   */
+  const commitRename = useCallback(() => {
+    const title = sanitizeThreadTitle(renameDraft);
+    if (title) {
+      updateThreadStore(prev => ({
+        ...prev,
+        threads: prev.threads.map(thread =>
+          thread.id === prev.activeId ? { ...thread, title } : thread
+        ),
+      }));
     }
-  }, [showClearConfirm, clearHistory, isMountedRef]);
+    setRenameDraft(null);
+  }, [renameDraft, updateThreadStore]);
+
+  const handleRenameKeyDown = useCallback(
+    e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        commitRename();
+      } else if (e.key === 'Escape') {
+        // Cancel the rename without closing the chat dialog
+        e.stopPropagation();
+        setRenameDraft(null);
+      }
+    },
+    [commitRename]
+  );
+
+  const handleExport = useCallback(
+    format => {
+      const { filename, content, mimeType } = formatTranscript(activeThread, format);
+      downloadTextFile(filename, content, mimeType);
+      setIsExportMenuOpen(false);
+    },
+    [activeThread]
+  );
+
+  const handleExportMenuKeyDown = useCallback(e => {
+    if (e.key === 'Escape') {
+      // Close the menu without closing the chat dialog
+      e.stopPropagation();
+      setIsExportMenuOpen(false);
+    }
+  }, []);
+
+  /**
+   * Imports a JSON transcript export as a new conversation. The file is validated
+   * by `parseTranscript`; problems are reported under the conversation bar.
+   */
+  const handleImportFile = useCallback(
+    async e => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (!file) return;
+
+      let result;
+      try {
+        result = parseTranscript(await readTextFile(file, MAX_TRANSCRIPT_BYTES));
+      } catch (error) {
+        result = { ok: false, error: error.message };
+      }
+      if (!isMountedRef.current) return;
+
+      if (!result.ok) {
+        setTranscriptNotice({ type: 'error', text: `Import failed: ${result.error}` });
+        return;
+      }
+
+      if (threads.length >= MAX_THREADS) {
+        setTranscriptNotice({
+          type: 'error',
+          text: `Import failed: delete a conversation first (up to ${MAX_THREADS})`,
+        });
+        return;
+      }
+
+      updateThreadStore(prev => {
+        const thread = createThread({
+          title: result.title || nextThreadTitle(prev.threads),
+          messages: result.messages,
+          summary: result.summary,
+        });
+        return { activeId: thread.id, threads: [...prev.threads, thread] };
+      });
+      const imported = `Imported ${result.messages.length} message${result.messages.length === 1 ? '' : 's'}`;
+      setTranscriptNotice({
+        type: 'status',
+        text: result.dropped > 0 ? `${imported} (${result.dropped} skipped)` : imported,
+      });
+    },
+    [threads.length, isMountedRef, updateThreadStore]
+  );
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -643,14 +1006,17 @@ const ChatInterface = ({ onClose }) => {
             <button
               type="button"
               onClick={handleClearClick}
-              className={`text-xs transition-all duration-200 font-heading font-bold px-2 py-1 border-2 ${
-                showClearConfirm
+              disabled={isGenerating}
+              className={`text-xs transition-all duration-200 font-heading font-bold px-2 py-1 border-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+                pendingConfirm === 'clear'
                   ? 'bg-red-500 text-white border-white hover:bg-red-600'
                   : 'text-white/70 hover:text-white border-white/30 hover:border-white'
               }`}
-              aria-label={showClearConfirm ? 'Confirm clear chat history' : 'Clear chat history'}
+              aria-label={
+                pendingConfirm === 'clear' ? 'Confirm clear chat history' : 'Clear chat history'
+              }
             >
-              {showClearConfirm ? 'Confirm?' : 'Clear'}
+              {pendingConfirm === 'clear' ? 'Confirm?' : 'Clear'}
             </button>
           )}
           <button
@@ -669,12 +1035,176 @@ const ChatInterface = ({ onClose }) => {
         </div>
       </div>
 
+      {/* Conversation bar */}
+      <div
+        className={joinClasses(
+          'px-4 py-2 flex items-center gap-2 font-sans text-xs',
+          isLiquid
+            ? 'bg-[color:var(--surface-muted)] border-b border-[color:var(--border-soft)]'
+            : 'bg-secondary border-b-2 border-[color:var(--color-border)]'
+        )}
+      >
+        {renameDraft === null ? (
+          <>
+            <label htmlFor="chatbot-thread" className="sr-only">
+              Conversation
+            </label>
+            <select
+              id="chatbot-thread"
+              value={activeThread.id}
+              onChange={handleSelectThread}
+              disabled={isGenerating}
+              className="flex-grow min-w-0 px-2 py-1.5 bg-card text-primary border-2 border-[color:var(--color-border)] font-bold disabled:opacity-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+            >
+              {threads.map(thread => (
+                <option key={thread.id} value={thread.id}>
+                  {thread.title}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleNewThread}
+              disabled={isGenerating || threads.length >= MAX_THREADS}
+              className={THREAD_BUTTON_CLASSNAME}
+              aria-label="New conversation"
+              title={
+                threads.length >= MAX_THREADS
+                  ? `Up to ${MAX_THREADS} conversations`
+                  : 'New conversation'
+              }
+            >
+              <Plus size={14} aria-hidden="true" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setRenameDraft(activeThread.title)}
+              disabled={isGenerating}
+              className={THREAD_BUTTON_CLASSNAME}
+              aria-label="Rename conversation"
+              title="Rename conversation"
+            >
+              <Pencil size={14} aria-hidden="true" />
+            </button>
+            <button
+              type="button"
+              onClick={handleDeleteThreadClick}
+              disabled={isGenerating}
+              className={joinClasses(
+                THREAD_BUTTON_CLASSNAME,
+                pendingConfirm === 'delete' && '!bg-red-500 text-white'
+              )}
+              aria-label={
+                pendingConfirm === 'delete' ? 'Confirm delete conversation' : 'Delete conversation'
+              }
+              title="Delete conversation"
+            >
+              <Trash2 size={14} aria-hidden="true" />
+            </button>
+            <div className="relative" onKeyDown={handleExportMenuKeyDown}>
+              <button
+                type="button"
+                onClick={() => setIsExportMenuOpen(open => !open)}
+                disabled={isGenerating}
+                className={THREAD_BUTTON_CLASSNAME}
+                aria-label="Export conversation"
+                aria-haspopup="true"
+                aria-expanded={isExportMenuOpen}
+                title="Export conversation"
+              >
+                <Download size={14} aria-hidden="true" />
+              </button>
+              {isExportMenuOpen && (
+                <div
+                  role="group"
+                  aria-label="Export format"
+                  className="absolute right-0 top-full mt-1 z-50 flex flex-col min-w-[120px] bg-card border-2 border-[color:var(--color-border)]"
+                  style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+                >
+                  {Object.entries(TRANSCRIPT_FORMATS).map(([format, { label }]) => (
+                    <button
+                      key={format}
+                      type="button"
+                      onClick={() => handleExport(format)}
+                      className="px-3 py-2 text-left text-primary font-bold hover:bg-fun-yellow hover:text-black focus:outline-none focus-visible:bg-fun-yellow focus-visible:text-black"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => importInputRef.current?.click()}
+              disabled={isGenerating}
+              className={THREAD_BUTTON_CLASSNAME}
+              aria-label="Import conversation"
+              title="Import a JSON transcript"
+            >
+              <Upload size={14} aria-hidden="true" />
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              className="hidden"
+              tabIndex={-1}
+              aria-hidden="true"
+            />
+          </>
+        ) : (
+          <>
+            <label htmlFor="chatbot-thread-title" className="sr-only">
+              Conversation name
+            </label>
+            <input
+              id="chatbot-thread-title"
+              type="text"
+              value={renameDraft}
+              onChange={e => setRenameDraft(e.target.value)}
+              onKeyDown={handleRenameKeyDown}
+              onBlur={commitRename}
+              maxLength={MAX_TITLE_LENGTH}
+              autoFocus
+              className="flex-grow min-w-0 px-2 py-1.5 bg-card text-primary border-2 border-[color:var(--color-border)] focus:outline-none focus:ring-2 focus:ring-accent"
+            />
+            <button
+              type="button"
+              onMouseDown={e => e.preventDefault()}
+              onClick={commitRename}
+              className={THREAD_BUTTON_CLASSNAME}
+              aria-label="Save conversation name"
+            >
+              <Check size={14} aria-hidden="true" />
+            </button>
+          </>
+        )}
+      </div>
+
+      {transcriptNotice && (
+        <p
+          role={transcriptNotice.type === 'error' ? 'alert' : 'status'}
+          className={`px-4 py-1 font-sans text-xs ${
+            transcriptNotice.type === 'error' ? 'text-red-500 font-bold' : 'text-muted'
+          }`}
+        >
+          {transcriptNotice.text}
+        </p>
+      )}
+
       <p id="chatbot-helper" className="sr-only">
         Chat dialog. Press Escape to close. Tab cycles within the chat window.
       </p>
 
       {/* Messages Area */}
-      <MessageList messages={messages} isTyping={isTyping} messagesEndRef={messagesEndRef} />
+      <MessageList
+        messages={messages}
+        isTyping={isTyping}
+        isGenerating={isGenerating}
+        messagesEndRef={messagesEndRef}
+      />
 
       {/* Input Area */}
       <div
@@ -684,7 +1214,7 @@ const ChatInterface = ({ onClose }) => {
             : 'bg-secondary border-t-nb border-[color:var(--color-border)]'
         }
       >
-        {messages.length === 1 && !isTyping && (
+        {messages.length === 1 && !isGenerating && (
           <div className="px-4 pt-4 pb-0 flex gap-2 overflow-x-auto scrollbar-thin">
             {QUICK_REPLIES.map((reply, index) => (
               <button
@@ -707,7 +1237,7 @@ const ChatInterface = ({ onClose }) => {
         )}
         <form
           onSubmit={e => handleSubmit(e, input)}
-          className={`p-4 ${messages.length === 1 && !isTyping ? 'pt-3' : ''}`}
+          className={`p-4 ${messages.length === 1 && !isGenerating ? 'pt-3' : ''}`}
         >
           <div className="flex gap-2 items-start">
             <div className="flex-grow relative">
@@ -722,8 +1252,8 @@ const ChatInterface = ({ onClose }) => {
                 value={input}
                 onChange={e => setInput(e.target.value)}
                 maxLength={500}
-                disabled={isTyping}
-                placeholder={isTyping ? 'Thinking...' : 'Ask about my skills...'}
+                disabled={isGenerating}
+                placeholder={isGenerating ? 'Thinking...' : 'Ask about my skills...'}
                 className={joinClasses(
                   'w-full px-4 py-3 text-sm font-sans focus:outline-none focus:ring-2 focus:ring-accent disabled:bg-secondary disabled:text-muted',
                   isLiquid
@@ -745,26 +1275,33 @@ const ChatInterface = ({ onClose }) => {
                 <span className="sr-only">Character limit:</span> {input.length}/500
               </div>
             </div>
-            <button
-              type="submit"
-              disabled={!input.trim() || isTyping}
-              className={joinClasses(
-                'group relative p-3 cursor-pointer disabled:bg-secondary disabled:text-muted disabled:cursor-not-allowed motion-reduce:transform-none motion-reduce:transition-none focus:outline-none focus-visible:ring-2 focus-visible:ring-accent focus-visible:ring-offset-2 focus-visible:ring-offset-secondary transition-transform',
-                isLiquid
-                  ? 'liquid-overlay-action lg-spring-hover bg-[color:var(--surface-muted)] border border-[color:var(--border-soft)] text-[color:var(--text-primary)] rounded-full hover:brightness-110 hover:scale-[1.01]'
-                  : 'bg-fun-yellow text-black border-nb border-[color:var(--color-border)] hover:-translate-y-0.5 rounded-nb'
-              )}
-              style={isLiquid ? undefined : { boxShadow: '2px 2px 0 var(--color-border)' }}
-              aria-label="Send message"
-            >
-              <Send size={20} aria-hidden="true" />
-              <span
-                className="absolute bottom-full mb-2 right-0 bg-black text-white text-xs px-2 py-1 opacity-0 group-hover:opacity-100 group-focus-visible:opacity-100 transition-opacity whitespace-nowrap pointer-events-none z-50 font-sans"
-                aria-hidden="true"
+            {isGenerating ? (
+              <button
+                type="button"
+                onClick={handleStopGenerating}
+                className={actionButtonClassName}
+                style={isLiquid ? undefined : { boxShadow: '2px 2px 0 var(--color-border)' }}
+                aria-label="Stop generating"
               >
-                Send
-              </span>
-            </button>
+                <Square size={20} aria-hidden="true" />
+                <span className={ACTION_TOOLTIP_CLASSNAME} aria-hidden="true">
+                  Stop
+                </span>
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!input.trim()}
+                className={actionButtonClassName}
+                style={isLiquid ? undefined : { boxShadow: '2px 2px 0 var(--color-border)' }}
+                aria-label="Send message"
+              >
+                <Send size={20} aria-hidden="true" />
+                <span className={ACTION_TOOLTIP_CLASSNAME} aria-hidden="true">
+                  Send
+                </span>
+              </button>
+            )}
           </div>
         </form>
       </div>
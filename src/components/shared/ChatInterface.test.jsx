@@ -1,13 +1,15 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
 import ChatInterface from './ChatInterface';
 import * as aiService from '../../services/ai';
 import * as storage from '../../utils/storage';
 
 // Mock AI Service
 vi.mock('../../services/ai', () => ({
-  chatWithGemini: vi.fn(),
+  streamChatWithGemini: vi.fn(),
   sanitizeHistoryForGemini: vi.fn(h => h), // identity mock
+  summarizeConversation: vi.fn(async () => null),
 }));
 
 // Mock Storage
@@ -41,6 +43,13 @@ vi.mock('framer-motion', async () => {
   };
 });
 
+// Streams the given chunks from the mocked AI service
+const mockStreamReply = (...chunks) => {
+  aiService.streamChatWithGemini.mockImplementation(async function* () {
+    yield* chunks;
+  });
+};
+
 // Mock ScrollIntoView
 window.HTMLElement.prototype.scrollIntoView = vi.fn();
 
@@ -51,9 +60,23 @@ Object.assign(navigator, {
   },
 });
 
+const LocationProbe = () => {
+  const location = useLocation();
+  return <div data-testid="location">{`${location.pathname}${location.search}`}</div>;
+};
+
 describe('ChatInterface', () => {
   const mockOnClose = vi.fn();
 
+  // Source links and site actions need a router
+  const renderChat = (initialEntries = ['/']) =>
+    render(
+      <MemoryRouter initialEntries={initialEntries}>
+        <ChatInterface onClose={mockOnClose} />
+        <LocationProbe />
+      </MemoryRouter>
+    );
+
   beforeEach(() => {
     vi.clearAllMocks();
     useTheme.mockReturnValue({ theme: 'neubrutalism', toggleTheme: vi.fn() });
@@ -61,7 +84,7 @@ describe('ChatInterface', () => {
   });
 
   it('renders correctly', () => {
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     expect(screen.getByText('Digital Rishabh')).toBeInTheDocument();
     expect(screen.getByRole('textbox')).toBeInTheDocument();
@@ -75,16 +98,16 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     expect(screen.getByText('Hello')).toBeInTheDocument();
     expect(screen.getByText('Hi there')).toBeInTheDocument();
   });
 
   it('sends a message and displays response', async () => {
-    aiService.chatWithGemini.mockResolvedValue('I am good');
+    mockStreamReply('I am good');
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const input = screen.getByRole('textbox');
     fireEvent.change(input, { target: { value: 'How are you?' } });
@@ -99,7 +122,11 @@ describe('ChatInterface', () => {
       expect(screen.getByText('I am good')).toBeInTheDocument();
     });
 
-    expect(aiService.chatWithGemini).toHaveBeenCalledWith('How are you?', expect.any(Array));
+    expect(aiService.streamChatWithGemini).toHaveBeenCalledWith(
+      'How are you?',
+      expect.any(Array),
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    );
   });
 
   it('handles cleared history', async () => {
@@ -109,7 +136,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     expect(screen.getByText('Hello')).toBeInTheDocument();
 
@@ -127,24 +154,25 @@ describe('ChatInterface', () => {
   });
 
   it('handles quick replies', async () => {
-    aiService.chatWithGemini.mockResolvedValue('AI Response');
+    mockStreamReply('AI Response');
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const quickReply = screen.getByText('Tell me about your projects');
     fireEvent.click(quickReply);
 
     await waitFor(() => {
-      expect(aiService.chatWithGemini).toHaveBeenCalledWith(
+      expect(aiService.streamChatWithGemini).toHaveBeenCalledWith(
         'Tell me about your projects',
-        expect.any(Array)
+        expect.any(Array),
+        expect.any(Object)
       );
       expect(screen.getByText('AI Response')).toBeInTheDocument();
     });
   });
 
   it('closes on escape key', () => {
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' });
 
@@ -161,7 +189,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const link = screen.getByText('Google');
     expect(link).toHaveAttribute('href', 'https://google.com');
@@ -174,9 +202,9 @@ describe('ChatInterface', () => {
   });
 
   it('displays error message from AI service', async () => {
-    aiService.chatWithGemini.mockResolvedValue('I seem to be having a connection glitch.');
+    mockStreamReply('I seem to be having a connection glitch.');
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const input = screen.getByRole('textbox');
     fireEvent.change(input, { target: { value: 'Crash' } });
@@ -188,7 +216,7 @@ describe('ChatInterface', () => {
   });
 
   it('updates character count and validates input', () => {
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
     const input = screen.getByRole('textbox');
 
     fireEvent.change(input, { target: { value: 'a'.repeat(450) } });
@@ -202,7 +230,7 @@ describe('ChatInterface', () => {
 
   it('applies liquid theme classes', () => {
     useTheme.mockReturnValue({ theme: 'liquid' });
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     // Check for a known liquid theme class
     const botIconContainer =
@@ -220,7 +248,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const safeLink = screen.getByText('Google');
     expect(safeLink.tagName).toBe('A');
@@ -241,7 +269,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const safeImage = screen.getByAltText('Safe Image');
     expect(safeImage.tagName).toBe('IMG');
@@ -261,7 +289,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    const { unmount } = render(<ChatInterface onClose={mockOnClose} />);
+    const { unmount } = renderChat();
 
     // The copy button is available on blocks, not inline.
     const copyButton = await screen.findByRole(
@@ -303,7 +331,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    const { unmount } = render(<ChatInterface onClose={mockOnClose} />);
+    const { unmount } = renderChat();
 
     const copyButton = await screen.findByRole('button', { name: /copy code to clipboard/i });
 
@@ -327,19 +355,19 @@ describe('ChatInterface', () => {
 
   it('handles parsing errors gracefully when loading history', () => {
     storage.safeGetLocalStorage.mockReturnValue('{invalid-json');
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
     // Should render default greeting
     expect(screen.getAllByText(/Digital Rishabh/)[0]).toBeInTheDocument();
   });
 
   it('handles local storage save errors gracefully', async () => {
     vi.useRealTimers();
-    aiService.chatWithGemini.mockResolvedValue('I am good');
+    mockStreamReply('I am good');
     storage.safeSetLocalStorage.mockImplementation(() => {
       throw new Error('Quota Exceeded');
     });
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const input = screen.getByRole('textbox');
     fireEvent.change(input, { target: { value: 'How are you?' } });
@@ -362,13 +390,45 @@ describe('ChatInterface', () => {
     }));
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     // It should load the last 100 messages (MAX_STORED_MESSAGES)
     expect(screen.getByText('Message 109')).toBeInTheDocument();
     expect(screen.queryByText('Message 0')).not.toBeInTheDocument();
   });
 
+  it('condenses older messages into a rolling summary', async () => {
+    const mockHistory = Array.from({ length: 40 }, (_, i) => ({
+      id: `id-${i}`,
+      role: i % 2 ? 'model' : 'user',
+      text: `Message ${i}`,
+    }));
+    storage.safeGetLocalStorage.mockImplementation(key =>
+      key === 'portfolio_chat_history' ? JSON.stringify(mockHistory) : null
+    );
+    aiService.summarizeConversation.mockResolvedValueOnce({
+      text: 'Earlier topics',
+      offline: false,
+    });
+
+    renderChat();
+
+    await waitFor(() => {
+      expect(storage.safeSetLocalStorage).toHaveBeenCalled();
+    });
+    const [olderMessages, previousSummary, options] = aiService.summarizeConversation.mock.calls[0];
+    expect(olderMessages.map(message => message.id)).toEqual(
+      mockHistory.slice(0, 20).map(message => message.id)
+    );
+    expect(previousSummary).toBeUndefined();
+    expect(options.fallback).toEqual(expect.any(Function));
+
+    const saved = JSON.parse(storage.safeSetLocalStorage.mock.calls.at(-1)[1]);
+    expect(saved.threads[0].summary).toEqual({ text: 'Earlier topics', throughId: 'id-19' });
+    // The transcript itself is unchanged
+    expect(screen.getByText('Message 0')).toBeInTheDocument();
+  });
+
   it('handles code block copy failure gracefully', async () => {
     navigator.clipboard.writeText.mockRejectedValueOnce(new Error('Failed to copy'));
 
@@ -381,7 +441,7 @@ describe('ChatInterface', () => {
     ];
     storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-    const { unmount } = render(<ChatInterface onClose={mockOnClose} />);
+    const { unmount } = renderChat();
     const copyButton = await screen.findByRole(
       'button',
       { name: /copy code to clipboard/i },
@@ -398,10 +458,13 @@ describe('ChatInterface', () => {
     unmount();
   });
 
-  it('handles chatWithGemini API failure in handleSendMessage', async () => {
-    aiService.chatWithGemini.mockRejectedValueOnce(new Error('API failed'));
+  it('handles streamChatWithGemini API failure in handleSendMessage', async () => {
+    aiService.streamChatWithGemini.mockImplementationOnce(async function* () {
+      yield* [];
+      throw new Error('API failed');
+    });
 
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const input = screen.getByRole('textbox');
     fireEvent.change(input, { target: { value: 'Trigger error' } });
@@ -416,8 +479,348 @@ describe('ChatInterface', () => {
     });
   });
 
+  it('renders streamed chunks progressively into one message', async () => {
+    let releaseRest;
+    const rest = new Promise(resolve => {
+      releaseRest = resolve;
+    });
+    aiService.streamChatWithGemini.mockImplementation(async function* () {
+      yield 'Hello';
+      await rest;
+      yield ' there';
+    });
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Hi' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Hello')).toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText('AI is typing')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Stop generating')).toBeInTheDocument();
+    // History is written once the response finishes, not per chunk
+    expect(storage.safeSetLocalStorage).not.toHaveBeenCalled();
+
+    await act(async () => {
+      releaseRest();
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Hello there')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Send message')).toBeInTheDocument();
+    expect(storage.safeSetLocalStorage).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops generation and keeps the partial response', async () => {
+    let receivedSignal;
+    aiService.streamChatWithGemini.mockImplementation(async function* (_msg, _history, options) {
+      receivedSignal = options.signal;
+      yield 'Partial answer';
+      await new Promise(() => {});
+    });
+
+    renderChat();
+    const input = screen.getByRole('textbox');
+    fireEvent.change(input, { target: { value: 'Tell me everything' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    const stopButton = await screen.findByLabelText('Stop generating');
+    expect(input).toBeDisabled();
+
+    fireEvent.click(stopButton);
+
+    expect(receivedSignal.aborted).toBe(true);
+    expect(screen.getByText('Partial answer')).toBeInTheDocument();
+    expect(screen.getByLabelText('Send message')).toBeInTheDocument();
+    expect(input).not.toBeDisabled();
+  });
+
+  it('labels fallback answers as offline', async () => {
+    aiService.streamChatWithGemini.mockImplementation(async function* (message, _history, options) {
+      yield options.fallback(message, 'missing-provider');
+    });
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), {
+      target: { value: 'What languages do you speak?' },
+    });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('Offline answer')).toBeInTheDocument();
+    expect(screen.getByText('French')).toBeInTheDocument();
+  });
+
+  it('does not label model answers as offline', async () => {
+    mockStreamReply('From the model');
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Hello' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('From the model')).toBeInTheDocument();
+    expect(screen.queryByText('Offline answer')).not.toBeInTheDocument();
+  });
+
+  it('lists cited sources under the answer', async () => {
+    aiService.streamChatWithGemini.mockImplementation(
+      async function* (_message, _history, options) {
+        options.onSources([
+          { id: 'resume/certifications', title: 'Resume: Certifications', url: '/resume' },
+          { id: 'project/evil', title: 'Project: Evil', url: 'javascript:alert(1)' },
+        ]);
+        yield 'Three AWS certifications [1].';
+      }
+    );
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'AWS certs?' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('Sources')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Resume: Certifications' })).toHaveAttribute(
+      'href',
+      '/resume'
+    );
+    expect(screen.getByText(/Project: Evil/)).toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: 'Project: Evil' })).not.toBeInTheDocument();
+  });
+
+  it('omits the sources list when nothing was retrieved', async () => {
+    mockStreamReply('No idea');
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'zxqv' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('No idea')).toBeInTheDocument();
+    expect(screen.queryByText('Sources')).not.toBeInTheDocument();
+  });
+
+  it('runs requested site actions and shows them as chips', async () => {
+    const setTheme = vi.fn();
+    useTheme.mockReturnValue({ theme: 'neubrutalism', setTheme });
+    aiService.streamChatWithGemini.mockImplementation(
+      async function* (_message, _history, options) {
+        yield 'Here you go.';
+        options.onToolCall({ name: 'start_game', args: { game: 'snake' } });
+        options.onToolCall({ name: 'switch_theme', args: { theme: 'liquid' } });
+      }
+    );
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Play snake in liquid' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('Started Snake')).toBeInTheDocument();
+    expect(screen.getByText('Switched to the liquid theme')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByTestId('location')).toHaveTextContent('/games?game=snake');
+    });
+    expect(setTheme).toHaveBeenCalledWith('liquid');
+  });
+
+  it('shows rejected actions without running them', async () => {
+    aiService.streamChatWithGemini.mockImplementation(
+      async function* (_message, _history, options) {
+        options.onToolCall({ name: 'navigate', args: { path: 'https://evil.example' } });
+        yield 'Let me take you there.';
+      }
+    );
+
+    renderChat();
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Go' } });
+    fireEvent.click(screen.getByLabelText('Send message'));
+
+    expect(await screen.findByText('Skipped navigate: Invalid path')).toBeInTheDocument();
+    expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+  });
+
+  it('restores action chips from local storage', () => {
+    storage.safeGetLocalStorage.mockReturnValue(
+      JSON.stringify([
+        { id: '1', role: 'user', text: 'Show me your CV' },
+        {
+          id: '2',
+          role: 'model',
+          text: '',
+          actions: [{ name: 'navigate', label: 'Opened Resume', ok: true }, { label: 42 }],
+        },
+      ])
+    );
+
+    renderChat();
+
+    expect(screen.getByText('Opened Resume')).toBeInTheDocument();
+    expect(screen.getByRole('list', { name: 'Actions' }).children).toHaveLength(1);
+  });
+
+  describe('conversations', () => {
+    const storedThreads = {
+      activeId: 'work',
+      threads: [
+        {
+          id: 'work',
+          title: 'Work',
+          updatedAt: 1,
+          messages: [{ id: '1', role: 'user', text: 'Hello from work' }],
+        },
+        {
+          id: 'fun',
+          title: 'Fun',
+          updatedAt: 2,
+          messages: [{ id: '2', role: 'user', text: 'Hello from fun' }],
+        },
+      ],
+    };
+
+    const lastSavedStore = () => JSON.parse(storage.safeSetLocalStorage.mock.calls.at(-1)[1]);
+
+    beforeEach(() => {
+      storage.safeGetLocalStorage.mockImplementation(key =>
+        key === 'portfolio_chat_threads' ? JSON.stringify(storedThreads) : null
+      );
+    });
+
+    it('switches between saved conversations', () => {
+      renderChat();
+
+      expect(screen.getByText('Hello from work')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Conversation'), { target: { value: 'fun' } });
+
+      expect(screen.getByText('Hello from fun')).toBeInTheDocument();
+      expect(screen.queryByText('Hello from work')).not.toBeInTheDocument();
+      expect(lastSavedStore().activeId).toBe('fun');
+    });
+
+    it('creates a new conversation', () => {
+      renderChat();
+
+      fireEvent.click(screen.getByLabelText('New conversation'));
+
+      expect(screen.getByLabelText('Conversation')).toHaveDisplayValue('Chat 1');
+      expect(screen.queryByText('Hello from work')).not.toBeInTheDocument();
+      expect(lastSavedStore().threads).toHaveLength(3);
+    });
+
+    it('renames the active conversation', () => {
+      renderChat();
+
+      fireEvent.click(screen.getByLabelText('Rename conversation'));
+      const titleInput = screen.getByLabelText('Conversation name');
+      fireEvent.change(titleInput, { target: { value: '  Job search ' } });
+      fireEvent.keyDown(titleInput, { key: 'Enter' });
+
+      expect(screen.getByLabelText('Conversation')).toHaveDisplayValue('Job search');
+      expect(lastSavedStore().threads[0].title).toBe('Job search');
+    });
+
+    it('cancels renaming on Escape without closing the chat', () => {
+      renderChat();
+
+      fireEvent.click(screen.getByLabelText('Rename conversation'));
+      fireEvent.keyDown(screen.getByLabelText('Conversation name'), { key: 'Escape' });
+
+      expect(screen.getByLabelText('Conversation')).toHaveDisplayValue('Work');
+      expect(mockOnClose).not.toHaveBeenCalled();
+    });
+
+    it('deletes the active conversation after confirmation', () => {
+      renderChat();
+
+      fireEvent.click(screen.getByLabelText('Delete conversation'));
+      expect(screen.getByText('Hello from work')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Confirm delete conversation'));
+
+      expect(screen.getByText('Hello from fun')).toBeInTheDocument();
+      expect(screen.getAllByRole('option')).toHaveLength(1);
+      expect(lastSavedStore().threads.map(thread => thread.id)).toEqual(['fun']);
+    });
+
+    it('exports the active conversation in the chosen format', () => {
+      const { createObjectURL, revokeObjectURL } = URL;
+      URL.createObjectURL = vi.fn(() => 'blob:transcript');
+      URL.revokeObjectURL = vi.fn();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      try {
+        renderChat();
+
+        fireEvent.click(screen.getByLabelText('Export conversation'));
+        fireEvent.click(screen.getByRole('button', { name: 'Markdown' }));
+
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown;charset=utf-8');
+        expect(screen.queryByRole('group', { name: 'Export format' })).not.toBeInTheDocument();
+      } finally {
+        click.mockRestore();
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+      }
+    });
+
+    it('imports a JSON transcript as a new conversation', async () => {
+      const { container } = renderChat();
+      const file = new File(
+        [
+          JSON.stringify({
+            format: 'portfolio-chat-transcript',
+            version: 1,
+            title: 'Imported chat',
+            messages: [
+              { role: 'user', text: 'Saved question' },
+              { role: 'system', text: 'Injected' },
+            ],
+          }),
+        ],
+        'chat.json',
+        { type: 'application/json' }
+      );
+
+      fireEvent.change(container.querySelector('input[type="file"]'), {
+        target: { files: [file] },
+      });
+
+      expect(await screen.findByText('Saved question')).toBeInTheDocument();
+      expect(screen.queryByText('Injected')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Conversation')).toHaveDisplayValue('Imported chat');
+      expect(screen.getByRole('status')).toHaveTextContent('Imported 1 message (1 skipped)');
+    });
+
+    it('reports an invalid transcript file', async () => {
+      const { container } = renderChat();
+
+      fireEvent.change(container.querySelector('input[type="file"]'), {
+        target: { files: [new File(['not json'], 'chat.json')] },
+      });
+
+      expect(await screen.findByRole('alert')).toHaveTextContent(
+        'Import failed: The file is not valid JSON'
+      );
+      expect(screen.getAllByRole('option')).toHaveLength(2);
+    });
+
+    it('disables switching while a response is generating', async () => {
+      aiService.streamChatWithGemini.mockImplementation(async function* () {
+        yield 'Thinking';
+        await new Promise(() => {});
+      });
+
+      renderChat();
+      fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Hi' } });
+      fireEvent.click(screen.getByLabelText('Send message'));
+
+      expect(await screen.findByText('Thinking')).toBeInTheDocument();
+      expect(screen.getByLabelText('Conversation')).toBeDisabled();
+      expect(screen.getByLabelText('New conversation')).toBeDisabled();
+    });
+  });
+
   it('handles form submission error in handleSubmit', async () => {
-    render(<ChatInterface onClose={mockOnClose} />);
+    renderChat();
 
     const input = screen.getByRole('textbox');
     fireEvent.change(input, { target: { value: 'Trigger error' } });
@@ -452,11 +855,11 @@ describe('ChatInterface', () => {
       });
 
       const mockHistory = [
-        { id: '', role: 'user', text: 'Hello' }, // will trigger generateMessageId
+        { id: '', role: 'user', text: 'Hello' }, // will trigger generateId
       ];
       storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(mockHistory));
 
-      render(<ChatInterface onClose={mockOnClose} />);
+      renderChat();
       expect(screen.getByText('Hello')).toBeInTheDocument();
 
       // Test completely missing crypto
@@ -470,7 +873,7 @@ describe('ChatInterface', () => {
         JSON.stringify([{ id: null, role: 'model', text: 'Hi' }])
       );
 
-      render(<ChatInterface onClose={mockOnClose} />);
+      renderChat();
       expect(screen.getByText('Hi')).toBeInTheDocument();
     } finally {
       // Restore crypto reliably
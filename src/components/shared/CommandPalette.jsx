@@ -1,39 +1,159 @@
 /**
  * @fileoverview Command Palette component for keyboard-driven site navigation.
  * Triggered via Ctrl+K / Cmd+K, provides fuzzy search over site commands.
+ * Its options are the palette entries of the shared command registry (see `commands.js`),
+ * ranked by match quality and by how often and how recently the visitor used them
+ * (see `paletteUsage.js`).
  */
 
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import { useFocusTrap } from './useFocusTrap';
-import {
-  Search,
-  Terminal,
-  Briefcase,
-  User,
-  FileText,
-  Mail,
-  Code2,
-  Gamepad2,
-  MousePointer2,
-  Bot,
-  Printer,
-  ArrowUp,
-  ArrowDown,
-  CornerDownLeft,
-  X,
-} from 'lucide-react';
+import { Search, ArrowUp, ArrowDown, CornerDownLeft, X, Check, ChevronRight } from 'lucide-react';
 import { useTheme } from './theme-context';
 import { getOverlayShell, joinClasses } from './ThemedPrimitives.utils';
+import { getPaletteEntries } from './commands';
+import { fuzzyMatch } from '../../utils/fuzzyMatch';
+import { frecencyScore, getRecentIds, loadUsageLog, recordUsage } from './paletteUsage';
+
+// Entries in the "Recent" group shown before the visitor types
+const RECENT_LIMIT = 5;
+
+// Weight of frecency against match quality; a few recent uses lift an entry past
+// slightly better matches, but not past a clearly better one
+const FRECENCY_WEIGHT = 2;
+
+// Score of entries found through their keywords rather than their label
+const KEYWORD_SCORE = 5;
+
+// Results shown per group while searching, so one content type cannot bury the rest
+const MAX_GROUP_RESULTS = 8;
+
+/**
+ * Matches a query against an entry: fuzzily against its label, otherwise by every
+ * query word appearing in its keywords, otherwise fuzzily against its category. Only
+ * label matches have positions to highlight, and the fallbacks score lower.
+ *
+ * @param {string} query - Search text
+ * @param {Object} cmd - Palette entry
+ * @returns {{score: number, positions: number[]}|null} Match, or null
+ * @private
+ */
+const matchCommand = (query, cmd) => {
+  const labelMatch = fuzzyMatch(query, cmd.label);
+  if (labelMatch) return labelMatch;
+
+  const keywords = cmd.keywords?.toLowerCase();
+  if (
+    keywords &&
+    query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .every(word => keywords.includes(word))
+  ) {
+    return { score: KEYWORD_SCORE, positions: [] };
+  }
+
+  // A category match lists the whole group
+  const categoryMatch = fuzzyMatch(query, cmd.category);
+  return categoryMatch && { score: categoryMatch.score / 2, positions: [] };
+};
+
+/**
+ * Splits entries into category groups, in order of each category's first entry.
+ *
+ * @param {Array<{cmd: Object, positions: number[]}>} results - Entries to group
+ * @returns {Array<{category: string, results: Array}>} Groups
+ * @private
+ */
+const groupByCategory = results => {
+  const groups = new Map();
+  results.forEach(result => {
+    const { category } = result.cmd;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(result);
+  });
+  return [...groups].map(([category, grouped]) => ({ category, results: grouped }));
+};
+
+/**
+ * Groups the entries to show for a query. Without a query, the most recently used
+ * entries come first under "Recent", followed by the rest in registry order. With
+ * one, matching entries (see `matchCommand`) are ranked by match score plus frecency,
+ * each category is placed at its best result and shows at most `MAX_GROUP_RESULTS`.
+ * On a sub-page, all of the page's entries form one group named after it.
+ *
+ * @param {string} query - Search text
+ * @param {Array<Object>} commands - Palette entries
+ * @param {Record<string, number[]>} usage - Usage log
+ * @param {Object|null} page - Entry whose sub-page is open, or null at the top level
+ * @returns {Array<{category: string, results: Array<{cmd: Object, positions: number[]}>}>}
+ *   Groups with the matched label positions of each entry
+ * @private
+ */
+const rankCommands = (query, commands, usage, page) => {
+  if (page) {
+    const results = query.trim()
+      ? commands
+          .map(cmd => ({ cmd, match: matchCommand(query, cmd) }))
+          .filter(({ match }) => match)
+          .sort((a, b) => b.match.score - a.match.score)
+          .map(({ cmd, match }) => ({ cmd, positions: match.positions }))
+      : commands.map(cmd => ({ cmd, positions: [] }));
+    return results.length > 0 ? [{ category: page.label, results }] : [];
+  }
+
+  if (!query.trim()) {
+    const byId = new Map(commands.map(cmd => [cmd.id, cmd]));
+    const recent = getRecentIds(usage)
+      .filter(id => byId.has(id))
+      .slice(0, RECENT_LIMIT)
+      .map(id => ({ cmd: byId.get(id), positions: [] }));
+    const recentIds = new Set(recent.map(({ cmd }) => cmd.id));
+    const rest = commands
+      .filter(cmd => !cmd.searchOnly && !recentIds.has(cmd.id))
+      .map(cmd => ({ cmd, positions: [] }));
+    return [
+      ...(recent.length > 0 ? [{ category: 'Recent', results: recent }] : []),
+      ...groupByCategory(rest),
+    ];
+  }
+
+  const ranked = commands
+    .map(cmd => {
+      const match = matchCommand(query, cmd);
+      if (!match) return null;
+      return {
+        cmd,
+        positions: match.positions,
+        score: match.score + FRECENCY_WEIGHT * Math.log2(1 + frecencyScore(usage[cmd.id])),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+  return groupByCategory(ranked).map(group => ({
+    ...group,
+    results: group.results.slice(0, MAX_GROUP_RESULTS),
+  }));
+};
 
 /**
  * Command Palette overlay for keyboard-driven navigation
  *
  * Features:
- * - Fuzzy search over all available commands
+ * - Fuzzy search over all available commands, with matched characters highlighted and
+ *   results ranked by match quality and frecency
+ * - Recently used commands listed first before the visitor types
+ * - Content search over blog posts, projects, snippets, games, skills and
+ *   certifications, grouped by type
  * - Full keyboard navigation (arrows, Enter, Escape)
- * - Grouped commands by category
+ * - Grouped commands by category, in registry order; single games and snippets appear
+ *   once the visitor starts typing
+ * - Sub-pages for entries with a second step (theme, game, snippet) with breadcrumb
+ *   chips, Backspace on an empty query to go back, and live preview of the highlighted
+ *   entry where its command supports it
  * - Neubrutalist styled overlay with bold borders and shadows
  *
  * @component
@@ -46,124 +166,71 @@ import { getOverlayShell, joinClasses } from './ThemedPrimitives.utils';
 const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
   const [query, setQuery] = useState('');
   const [selectedIndex, setSelectedIndex] = useState(0);
+  /** Entries whose sub-pages are open, outermost first */
+  const [pages, setPages] = useState([]);
+  const page = pages.length > 0 ? pages[pages.length - 1] : null;
+  /** Undoes the live preview of the open sub-page, unless an entry was chosen */
+  const previewUndoRef = useRef(null);
+  const committedRef = useRef(false);
+  const commandContextRef = useRef(null);
   const inputRef = useRef(null);
   const listRef = useRef(null);
   const containerRef = useRef(null);
   const navigate = useNavigate();
   const shouldReduceMotion = useReducedMotion();
-  const { theme } = useTheme();
+  const { theme, setTheme } = useTheme();
   const isLiquid = theme === 'liquid';
   const shell = getOverlayShell({ theme, depth: 'hover' });
 
-  /** All available commands grouped by category */
-  const commands = useMemo(
-    () => [
-      // Navigation commands
-      {
-        id: 'nav-home',
-        label: 'Go to Home',
-        category: 'Navigation',
-        icon: <Terminal size={18} aria-hidden="true" />,
-        action: () => navigate('/'),
-      },
-      {
-        id: 'nav-projects',
-        label: 'Go to Projects',
-        category: 'Navigation',
-        icon: <Briefcase size={18} aria-hidden="true" />,
-        action: () => navigate('/projects'),
-      },
-      {
-        id: 'nav-resume',
-        label: 'Go to Resume',
-        category: 'Navigation',
-        icon: <User size={18} aria-hidden="true" />,
-        action: () => navigate('/resume'),
-      },
-      {
-        id: 'nav-blog',
-        label: 'Go to Blog',
-        category: 'Navigation',
-        icon: <FileText size={18} aria-hidden="true" />,
-        action: () => navigate('/blog'),
-      },
-      {
-        id: 'nav-playground',
-        label: 'Go to Playground',
-        category: 'Navigation',
-        icon: <Code2 size={18} aria-hidden="true" />,
-        action: () => navigate('/playground'),
-      },
-      {
-        id: 'nav-contact',
-        label: 'Go to Contact',
-        category: 'Navigation',
-        icon: <Mail size={18} aria-hidden="true" />,
-        action: () => navigate('/contact'),
-      },
-      {
-        id: 'nav-games',
-        label: 'Go to Games',
-        category: 'Navigation',
-        icon: <Gamepad2 size={18} aria-hidden="true" />,
-        action: () => navigate('/games'),
-      },
-      // Actions
-      {
-        id: 'action-chatbot',
-        label: 'Open Chatbot',
-        category: 'Actions',
-        icon: <Bot size={18} aria-hidden="true" />,
-        action: () => document.dispatchEvent(new CustomEvent('openChatbot')),
-      },
-      {
-        id: 'action-cursor',
-        label: 'Toggle Custom Cursor',
-        category: 'Actions',
-        icon: <MousePointer2 size={18} aria-hidden="true" />,
-        action: () => document.dispatchEvent(new CustomEvent('toggleCursor')),
-      },
-      {
-        id: 'action-print',
-        label: 'Print Resume',
-        category: 'Actions',
-        icon: <Printer size={18} aria-hidden="true" />,
-        action: () => {
-          navigate('/resume');
-          setTimeout(() => window.print(), 500);
-        },
-      },
-      {
-        id: 'action-terminal',
-        label: 'Open Terminal Mode',
-        category: 'Actions',
-        icon: <Terminal size={18} aria-hidden="true" />,
-        action: () => onOpenTerminal?.(),
-      },
-    ],
-    [navigate, onOpenTerminal]
+  /** Palette entries from the command registry, re-read each time the palette opens */
+  const [commands, setCommands] = useState(getPaletteEntries);
+
+  /** Usage log behind the ranking, re-read each time the palette opens */
+  const [usage, setUsage] = useState(loadUsageLog);
+
+  /** What command handlers can do from the palette; output and errors have nowhere to go */
+  const commandContext = useMemo(
+    () => ({
+      navigate,
+      close: () => {},
+      write: () => {},
+      fail: () => {},
+      stdin: null,
+      theme,
+      setTheme,
+      openTerminal: onOpenTerminal,
+    }),
+    [navigate, theme, setTheme, onOpenTerminal]
   );
 
   /**
-   * Filter commands based on search query (case-insensitive substring match)
+   * Ranked, grouped results for the query; `filteredCommands` lists them in display
+   * order so arrow keys follow what the visitor sees
    */
-  const filteredCommands = useMemo(() => {
-    if (!query.trim()) return commands;
-    const q = query.toLowerCase();
-    return commands.filter(
-      cmd => cmd.label.toLowerCase().includes(q) || cmd.category.toLowerCase().includes(q)
-    );
-  }, [query, commands]);
+  const groups = useMemo(
+    () => rankCommands(query, page ? page.children : commands, usage, page),
+    [query, commands, usage, page]
+  );
+  const filteredCommands = useMemo(
+    () => groups.flatMap(group => group.results.map(({ cmd }) => cmd)),
+    [groups]
+  );
 
   const [prevFilteredLength, setPrevFilteredLength] = useState(filteredCommands.length);
   const [prevQuery, setPrevQuery] = useState(query);
+  const [prevPage, setPrevPage] = useState(page);
   const [prevIsOpen, setPrevIsOpen] = useState(isOpen);
 
-  // Reset selected index when filtered results change
-  if (filteredCommands.length !== prevFilteredLength || query !== prevQuery) {
+  // Reset selected index when filtered results change; a new sub-page starts at the
+  // entry matching the current state (e.g. the active theme)
+  if (filteredCommands.length !== prevFilteredLength || query !== prevQuery || page !== prevPage) {
     setPrevFilteredLength(filteredCommands.length);
     setPrevQuery(query);
-    setSelectedIndex(0);
+    setPrevPage(page);
+    const current = query
+      ? -1
+      : filteredCommands.findIndex(cmd => cmd.command.isCurrent?.(cmd.args || [], commandContext));
+    setSelectedIndex(Math.max(current, 0));
   }
 
   // Reset state when palette opens
@@ -172,9 +239,42 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
     if (isOpen) {
       setQuery('');
       setSelectedIndex(0);
+      setPages([]);
+      setCommands(getPaletteEntries());
+      setUsage(loadUsageLog());
     }
   }
 
+  // Previews read the latest context without re-running when a preview changes it
+  useEffect(() => {
+    commandContextRef.current = commandContext;
+  }, [commandContext]);
+
+  // Live preview of the highlighted sub-page entry; the first preview's undo restores
+  // the state from before the page opened
+  const previewEntry =
+    isOpen && page && filteredCommands[selectedIndex]?.command.preview
+      ? filteredCommands[selectedIndex]
+      : null;
+  useEffect(() => {
+    const context = commandContextRef.current;
+    const args = previewEntry?.args || [];
+    if (!previewEntry || previewEntry.command.isCurrent?.(args, context)) return;
+    const undo = previewEntry.command.preview(args, context);
+    previewUndoRef.current ??= undo;
+  }, [previewEntry]);
+
+  // Undo the preview when the page is left or the palette closes without a choice
+  useEffect(() => {
+    if (!isOpen || !page) return undefined;
+    committedRef.current = false;
+    return () => {
+      const undo = previewUndoRef.current;
+      previewUndoRef.current = null;
+      if (!committedRef.current) undo?.();
+    };
+  }, [isOpen, page]);
+
   // Initialize focus trap and modal behavior
   useFocusTrap({
     isOpen,
@@ -191,18 +291,37 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
   }, [selectedIndex]);
 
   /**
-   * Execute the selected command and close the palette
+   * Open a sub-page, or go back to the page at `depth` (0 for the top level), keeping
+   * focus in the search input
+   */
+  const openPage = useCallback(entry => {
+    setPages(prev => [...prev, entry]);
+    setQuery('');
+    inputRef.current?.focus();
+  }, []);
+  const goToDepth = useCallback(depth => {
+    setPages(prev => prev.slice(0, depth));
+    setQuery('');
+    inputRef.current?.focus();
+  }, []);
+
+  /**
+   * Execute the selected command and close the palette, or open its sub-page
    */
   const executeCommand = useCallback(
     index => {
       const cmd = filteredCommands[index];
-      if (cmd) {
+      if (cmd?.children) {
+        openPage(cmd);
+      } else if (cmd) {
+        committedRef.current = true;
+        setUsage(recordUsage(usage, cmd.id));
         onClose();
         // Delay action slightly so the close animation plays first
-        setTimeout(() => cmd.action(), 100);
+        setTimeout(() => cmd.command.run(cmd.args || [], commandContext), 100);
       }
     },
-    [filteredCommands, onClose]
+    [filteredCommands, usage, onClose, commandContext, openPage]
   );
 
   /**
@@ -223,13 +342,27 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
           e.preventDefault();
           executeCommand(selectedIndex);
           break;
+        case 'Backspace':
+          if (query === '' && pages.length > 0) {
+            e.preventDefault();
+            goToDepth(pages.length - 1);
+          }
+          break;
         case 'Escape':
           e.preventDefault();
           onClose();
           break;
       }
     },
-    [filteredCommands.length, selectedIndex, executeCommand, onClose]
+    [
+      filteredCommands.length,
+      selectedIndex,
+      executeCommand,
+      onClose,
+      query,
+      pages.length,
+      goToDepth,
+    ]
   );
 
   return (
@@ -260,6 +393,48 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
             aria-modal="true"
           >
             <div className={joinClasses('overflow-hidden', shell.className)} style={shell.style}>
+              {/* Breadcrumbs of the open sub-pages */}
+              {pages.length > 0 && (
+                <nav
+                  aria-label="Command palette pages"
+                  className="flex flex-wrap items-center gap-1.5 px-4 pt-3"
+                >
+                  {['Commands', ...pages.map(entry => entry.label)].map((label, depth) => (
+                    <React.Fragment key={depth}>
+                      {depth > 0 && (
+                        <ChevronRight size={14} className="text-muted" aria-hidden="true" />
+                      )}
+                      {depth === pages.length ? (
+                        <span
+                          className={joinClasses(
+                            'px-2 py-0.5 text-xs font-heading font-bold',
+                            isLiquid
+                              ? 'lg-surface-3 lg-pill rounded-full text-primary'
+                              : 'bg-fun-yellow text-black border-2 border-[color:var(--color-border)] rounded-nb'
+                          )}
+                          aria-current="page"
+                        >
+                          {label}
+                        </span>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => goToDepth(depth)}
+                          className={joinClasses(
+                            'px-2 py-0.5 text-xs font-heading font-bold text-primary transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-accent',
+                            isLiquid
+                              ? 'lg-surface-3 lg-pill rounded-full hover:brightness-110'
+                              : 'bg-secondary border-2 border-[color:var(--color-border)] rounded-nb hover:bg-fun-yellow'
+                          )}
+                        >
+                          {label}
+                        </button>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </nav>
+              )}
+
               {/* Search Input */}
               <div
                 className={joinClasses(
@@ -280,7 +455,11 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
                   value={query}
                   onChange={e => setQuery(e.target.value)}
                   onKeyDown={handleKeyDown}
-                  placeholder="Type a command or search..."
+                  placeholder={
+                    page
+                      ? `Search ${page.label.toLowerCase()}... (Backspace to go back)`
+                      : 'Type a command or search...'
+                  }
                   className="flex-1 bg-transparent text-primary font-sans text-base outline-none placeholder:text-muted"
                   aria-label="Search commands"
                   autoComplete="off"
@@ -334,37 +513,34 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
                 ) : (
                   <>
                     {/* Group commands by category */}
-                    {['Navigation', 'Actions'].map(category => {
-                      const categoryCommands = filteredCommands.filter(
-                        cmd => cmd.category === category
-                      );
-                      if (categoryCommands.length === 0) return null;
-
-                      return (
-                        <div key={category} role="group" aria-label={category}>
-                          <div
-                            className="px-4 py-1.5 text-xs font-heading font-bold text-muted uppercase tracking-wider"
-                            aria-hidden="true"
-                          >
-                            {category}
-                          </div>
-                          {categoryCommands.map(cmd => {
-                            const globalIndex = filteredCommands.indexOf(cmd);
-                            const isSelected = globalIndex === selectedIndex;
-                            return (
-                              <CommandItem
-                                key={cmd.id}
-                                cmd={cmd}
-                                isSelected={isSelected}
-                                globalIndex={globalIndex}
-                                executeCommand={executeCommand}
-                                setSelectedIndex={setSelectedIndex}
-                              />
-                            );
-                          })}
+                    {groups.map(({ category, results }) => (
+                      <div key={category} role="group" aria-label={category}>
+                        <div
+                          className="px-4 py-1.5 text-xs font-heading font-bold text-muted uppercase tracking-wider"
+                          aria-hidden="true"
+                        >
+                          {category}
                         </div>
-                      );
-                    })}
+                        {results.map(({ cmd, positions }) => {
+                          const globalIndex = filteredCommands.indexOf(cmd);
+                          const isSelected = globalIndex === selectedIndex;
+                          return (
+                            <CommandItem
+                              key={cmd.id}
+                              cmd={cmd}
+                              positions={positions}
+                              isCurrent={Boolean(
+                                cmd.command.isCurrent?.(cmd.args || [], commandContext)
+                              )}
+                              isSelected={isSelected}
+                              globalIndex={globalIndex}
+                              executeCommand={executeCommand}
+                              setSelectedIndex={setSelectedIndex}
+                            />
+                          );
+                        })}
+                      </div>
+                    ))}
                   </>
                 )}
               </div>
@@ -387,6 +563,14 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
                   <CornerDownLeft size={12} aria-hidden="true" />
                   select
                 </span>
+                {pages.length > 0 && (
+                  <span className="flex items-center gap-1 text-xs text-muted font-sans">
+                    <span className="px-1 py-0.5 bg-card border border-[color:var(--color-border)] text-[10px] font-mono rounded">
+                      ⌫
+                    </span>
+                    back
+                  </span>
+                )}
                 <span className="flex items-center gap-1 text-xs text-muted font-sans">
                   <span className="px-1 py-0.5 bg-card border border-[color:var(--color-border)] text-[10px] font-mono rounded">
                     esc
@@ -402,8 +586,39 @@ const CommandPalette = ({ isOpen, onClose, onOpenTerminal }) => {
   );
 };
 
+/**
+ * Label with the characters matched by the query emphasized
+ *
+ * @param {Object} props
+ * @param {string} props.label - Entry label
+ * @param {number[]} props.positions - Matched character positions
+ * @returns {JSX.Element} Label text
+ */
+const HighlightedLabel = ({ label, positions }) => {
+  const matched = new Set(positions);
+  const segments = [];
+  label.split('').forEach((char, index) => {
+    const isMatch = matched.has(index);
+    const last = segments[segments.length - 1];
+    if (last && last.isMatch === isMatch) last.text += char;
+    else segments.push({ text: char, isMatch });
+  });
+  return segments.map(({ text, isMatch }, index) =>
+    isMatch ? (
+      <mark
+        key={index}
+        className="bg-transparent text-current font-extrabold underline decoration-2 underline-offset-2"
+      >
+        {text}
+      </mark>
+    ) : (
+      text
+    )
+  );
+};
+
 const CommandItem = React.memo(
-  ({ cmd, isSelected, globalIndex, executeCommand, setSelectedIndex }) => {
+  ({ cmd, positions, isCurrent, isSelected, globalIndex, executeCommand, setSelectedIndex }) => {
     return (
       <div
         id={cmd.id}
@@ -416,8 +631,17 @@ const CommandItem = React.memo(
         role="option"
         aria-selected={isSelected}
       >
-        <span className={isSelected ? 'text-black' : 'text-secondary'}>{cmd.icon}</span>
-        <span className="font-sans text-sm font-medium">{cmd.label}</span>
+        <span className={isSelected ? 'text-black' : 'text-secondary'}>
+          {cmd.icon && <cmd.icon size={18} aria-hidden="true" />}
+        </span>
+        <span className="font-sans text-sm font-medium">
+          <HighlightedLabel label={cmd.label} positions={positions} />
+          {isCurrent && <span className="sr-only">, current</span>}
+        </span>
+        {isCurrent && <Check size={16} className="ml-auto flex-shrink-0" aria-hidden="true" />}
+        {cmd.children && (
+          <ChevronRight size={16} className="ml-auto flex-shrink-0" aria-hidden="true" />
+        )}
       </div>
     );
   }
@@ -0,0 +1,217 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CommandPalette from './CommandPalette';
+
+const { mockNavigate, mockSetTheme } = vi.hoisted(() => ({
+  mockNavigate: vi.fn(),
+  mockSetTheme: vi.fn(),
+}));
+
+vi.mock('react-router-dom', () => ({
+  useNavigate: () => mockNavigate,
+}));
+
+vi.mock('./theme-context', async () => ({
+  ...(await vi.importActual('./theme-context')),
+  useTheme: () => ({ theme: 'neubrutalism', setTheme: mockSetTheme }),
+}));
+
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return { ...actual, useReducedMotion: () => true };
+});
+
+window.HTMLElement.prototype.scrollIntoView = vi.fn();
+
+describe('CommandPalette', () => {
+  const onClose = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const search = value =>
+    fireEvent.change(screen.getByRole('combobox', { name: /search commands/i }), {
+      target: { value },
+    });
+
+  it('groups registry commands by category', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    const navigation = screen.getByRole('group', { name: 'Navigation' });
+    expect(within(navigation).getByRole('option', { name: 'Go to Projects' })).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Actions' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Change theme' })).toBeInTheDocument();
+  });
+
+  it('lists games and snippets only while searching', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+    expect(screen.queryByRole('option', { name: 'Play Snake' })).not.toBeInTheDocument();
+
+    search('snake');
+
+    expect(screen.getByRole('option', { name: 'Play Snake' })).toBeInTheDocument();
+  });
+
+  it('runs the command handler with the entry arguments', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    search('play snake');
+    fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Enter' });
+    vi.runAllTimers();
+
+    expect(onClose).toHaveBeenCalled();
+    expect(mockNavigate).toHaveBeenCalledWith('/games?game=snake');
+  });
+
+  it('switches the theme and opens the terminal', () => {
+    const onOpenTerminal = vi.fn();
+    render(<CommandPalette isOpen={true} onClose={onClose} onOpenTerminal={onOpenTerminal} />);
+
+    search('liquid night');
+    fireEvent.click(screen.getByRole('option', { name: 'Switch to Liquid Night theme' }));
+    search('terminal');
+    fireEvent.click(screen.getByRole('option', { name: 'Open Terminal Mode' }));
+    vi.runAllTimers();
+
+    expect(mockSetTheme).toHaveBeenCalledWith('liquid-dark');
+    expect(onOpenTerminal).toHaveBeenCalled();
+  });
+
+  it('ranks acronym matches first and highlights the matched characters', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    search('gtp');
+
+    const [first] = screen.getAllByRole('option');
+    expect(first).toHaveAccessibleName('Go to Projects');
+    expect(first).toHaveAttribute('aria-selected', 'true');
+    expect([...first.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual([
+      'G',
+      't',
+      'P',
+    ]);
+  });
+
+  it('lists recently used commands first when reopened', () => {
+    const { rerender } = render(<CommandPalette isOpen={true} onClose={onClose} />);
+    expect(screen.queryByRole('group', { name: 'Recent' })).not.toBeInTheDocument();
+
+    search('snake');
+    fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Enter' });
+    rerender(<CommandPalette isOpen={false} onClose={onClose} />);
+    rerender(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    const recent = screen.getByRole('group', { name: 'Recent' });
+    expect(within(recent).getByRole('option', { name: 'Play Snake' })).toBeInTheDocument();
+    expect(screen.getAllByRole('option')[0]).toHaveAccessibleName('Play Snake');
+  });
+
+  it('searches site content grouped by type', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    search('python');
+
+    expect(
+      within(screen.getByRole('group', { name: 'Skills' })).getByRole('option', { name: 'Python' })
+    ).toBeInTheDocument();
+    // Found by its tags rather than its title
+    expect(
+      within(screen.getByRole('group', { name: 'Projects' })).getByRole('option', {
+        name: 'Coding-For-MBA',
+      })
+    ).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Blog Posts' })).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Certifications' })).toBeInTheDocument();
+  });
+
+  it('opens the page showing a content result', () => {
+    render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+    search('coding for mba');
+    fireEvent.click(screen.getByRole('option', { name: 'Coding-For-MBA' }));
+    search('technical journey');
+    fireEvent.click(screen.getByRole('option', { name: 'My Technical Journey' }));
+    search('cloud practitioner');
+    fireEvent.click(screen.getByRole('option', { name: 'AWS Certified Cloud Practitioner' }));
+    vi.runAllTimers();
+
+    expect(mockNavigate).toHaveBeenCalledWith('/projects/coding-for-mba');
+    expect(mockNavigate).toHaveBeenCalledWith('/blog?q=My%20Technical%20Journey');
+    expect(mockNavigate).toHaveBeenCalledWith('/resume?cert=aws-certified-cloud-practitioner');
+  });
+
+  describe('sub-pages', () => {
+    const input = () => screen.getByRole('combobox');
+
+    it('previews themes on highlight and restores the theme when going back', () => {
+      render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+      fireEvent.click(screen.getByRole('option', { name: 'Change theme' }));
+
+      const breadcrumbs = screen.getByRole('navigation', { name: 'Command palette pages' });
+      expect(within(breadcrumbs).getByRole('button', { name: 'Commands' })).toBeInTheDocument();
+      expect(within(breadcrumbs).getByText('Change theme')).toHaveAttribute('aria-current', 'page');
+      expect(screen.getByRole('option', { name: 'Neubrutalism, current' })).toHaveAttribute(
+        'aria-selected',
+        'true'
+      );
+      expect(screen.queryByRole('group', { name: 'Navigation' })).not.toBeInTheDocument();
+
+      fireEvent.keyDown(input(), { key: 'ArrowDown' });
+      expect(mockSetTheme).toHaveBeenLastCalledWith('neubrutalism-dark');
+
+      fireEvent.keyDown(input(), { key: 'Backspace' });
+      expect(mockSetTheme).toHaveBeenLastCalledWith('neubrutalism');
+      expect(screen.getByRole('group', { name: 'Navigation' })).toBeInTheDocument();
+      expect(
+        screen.queryByRole('navigation', { name: 'Command palette pages' })
+      ).not.toBeInTheDocument();
+    });
+
+    it('keeps the chosen theme', () => {
+      const { rerender } = render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+      search('change theme');
+      fireEvent.keyDown(input(), { key: 'Enter' });
+      fireEvent.keyDown(input(), { key: 'ArrowUp' });
+      expect(mockSetTheme).toHaveBeenLastCalledWith('liquid-dark');
+
+      fireEvent.keyDown(input(), { key: 'Enter' });
+      rerender(<CommandPalette isOpen={false} onClose={onClose} />);
+      vi.runAllTimers();
+
+      expect(onClose).toHaveBeenCalled();
+      expect(mockSetTheme).toHaveBeenLastCalledWith('liquid-dark');
+      expect(mockSetTheme).not.toHaveBeenCalledWith('neubrutalism');
+    });
+
+    it('searches within a page and goes back with the breadcrumbs', () => {
+      render(<CommandPalette isOpen={true} onClose={onClose} />);
+
+      fireEvent.click(screen.getByRole('option', { name: 'Play a game' }));
+      expect(input()).toHaveFocus();
+      search('snake');
+      expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['Snake']);
+
+      // Backspace edits a non-empty query instead of leaving the page
+      fireEvent.keyDown(input(), { key: 'Backspace' });
+      expect(screen.getByRole('group', { name: 'Play a game' })).toBeInTheDocument();
+
+      fireEvent.keyDown(input(), { key: 'Enter' });
+      vi.runAllTimers();
+      expect(mockNavigate).toHaveBeenCalledWith('/games?game=snake');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Commands' }));
+      expect(screen.getByRole('group', { name: 'Navigation' })).toBeInTheDocument();
+      expect(input()).toHaveValue('');
+    });
+  });
+});
@@ -20,12 +20,18 @@
  *   messages whose `event.origin` matches its own origin, so a third-party
  *   page framing `/sandbox.html` directly (outside our sandboxed iframe)
  *   can't use it to run script in a non-opaque context.
+ * - Share links carry the sources in the URL fragment (see `sandboxShare.js`) and
+ *   open in this same sandbox, so shared code gets no more access than typed code.
+ *   "Save" keeps them in the visitor's own library (see `mySnippets.js`), which
+ *   reopens here too.
  *
  * @module components/shared/JsHtmlSandbox
  */
 
 import React, { useState, useCallback, useRef, useEffect, useId } from 'react';
-import { Play, RotateCcw } from 'lucide-react';
+import { BookmarkPlus, Play, RotateCcw, Share2 } from 'lucide-react';
+import { buildShareUrl, encodeSandboxState } from './sandboxShare';
+import { saveMySnippet } from './mySnippets';
 
 const TABS = [
   { id: 'html', label: 'HTML' },
@@ -43,6 +49,8 @@ const TABS = [
  * @param {string} props.snippet.interactive.html - Initial HTML markup.
  * @param {string} props.snippet.interactive.css - Initial CSS.
  * @param {string} props.snippet.interactive.js - Initial JavaScript.
+ * @param {string} [props.snippet.title] - Name carried by share links and saved snippets.
+ * @param {string[]} [props.snippet.tags] - Tags given to saved snippets.
  * @returns {JSX.Element} Interactive web sandbox interface.
  */
 const JsHtmlSandbox = ({ snippet }) => {
@@ -54,6 +62,7 @@ const JsHtmlSandbox = ({ snippet }) => {
   const [js, setJs] = useState(initialJs);
   const [output, setOutput] = useState([]);
   const [runId, setRunId] = useState(0);
+  const [status, setStatus] = useState(null); // Result of the last share or save
   const iframeRef = useRef(null);
   // Holds the payload for the run the iframe should execute once it signals it's ready.
   const pendingPayloadRef = useRef({
@@ -88,6 +97,38 @@ const JsHtmlSandbox = ({ snippet }) => {
     });
   }, [initialHtml, initialCss, initialJs]);
 
+  /** Copy a link that reopens the current sources in the Playground */
+  const shareCode = useCallback(async () => {
+    const result = await encodeSandboxState({ title: snippet.title, html, css, js });
+    if (!result.ok) {
+      setStatus({ ok: false, text: result.error });
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(result.fragment));
+      setStatus({ ok: true, text: 'Link copied' });
+      setTimeout(() => setStatus(null), 2000);
+    } catch {
+      setStatus({ ok: false, text: 'Could not copy the link' });
+    }
+  }, [snippet.title, html, css, js]);
+
+  /** Save the current sources to the visitor's snippet library */
+  const saveCode = useCallback(async () => {
+    const result = await saveMySnippet({
+      title: snippet.title,
+      tags: snippet.tags,
+      language: 'js',
+      sources: { html, css, js },
+    });
+    if (!result.ok) {
+      setStatus({ ok: false, text: result.error });
+      return;
+    }
+    setStatus({ ok: true, text: 'Saved to My snippets' });
+    setTimeout(() => setStatus(null), 2000);
+  }, [snippet.title, snippet.tags, html, css, js]);
+
   useEffect(() => {
     const handleMessage = event => {
       if (event.source !== iframeRef.current?.contentWindow) return;
@@ -159,7 +200,7 @@ const JsHtmlSandbox = ({ snippet }) => {
           rows={8}
           className="w-full p-3 font-mono text-xs resize-y focus:outline-none focus:ring-2 focus:ring-inset focus:ring-accent"
         />
-        <div className="flex gap-2 p-3 pt-0">
+        <div className="flex flex-wrap gap-2 p-3 pt-0">
           <button
             onClick={runCode}
             className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-accent text-white transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
@@ -176,6 +217,31 @@ const JsHtmlSandbox = ({ snippet }) => {
             <RotateCcw size={14} aria-hidden="true" />
             Reset
           </button>
+          <button
+            onClick={shareCode}
+            className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-fun-yellow text-black transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
+            style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+          >
+            <Share2 size={14} aria-hidden="true" />
+            Share
+          </button>
+          <button
+            onClick={saveCode}
+            aria-label="Save as my snippet"
+            className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-white text-gray-800 transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
+            style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+          >
+            <BookmarkPlus size={14} aria-hidden="true" />
+            Save
+          </button>
+          <span
+            role="status"
+            className={`self-center text-xs font-sans font-bold ${
+              status?.ok === false ? 'text-red-600' : 'text-gray-700'
+            }`}
+          >
+            {status?.text}
+          </span>
         </div>
       </div>
 
@@ -2,6 +2,12 @@ import React from 'react';
 import { render, screen, fireEvent, cleanup, act } from '@testing-library/react';
 import { describe, it, expect, afterEach, vi } from 'vitest';
 import JsHtmlSandbox from './JsHtmlSandbox';
+import { decodeSandboxState, readSandboxHash } from './sandboxShare';
+import { saveMySnippet } from './mySnippets';
+
+vi.mock('./mySnippets', () => ({
+  saveMySnippet: vi.fn(() => Promise.resolve({ ok: true })),
+}));
 
 const snippet = {
   interactive: {
@@ -141,4 +147,42 @@ describe('JsHtmlSandbox', () => {
 
     expect(screen.queryByText('stale output')).not.toBeInTheDocument();
   });
+
+  it('copies a share link with the edited sources', async () => {
+    const writeText = vi.fn().mockResolvedValue();
+    Object.assign(navigator, { clipboard: { writeText } });
+    render(<JsHtmlSandbox snippet={{ ...snippet, title: 'Demo' }} />);
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'console.log("edited");' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+
+    expect(await screen.findByText('Link copied')).toHaveAttribute('role', 'status');
+    const [url] = writeText.mock.calls[0];
+    const result = await decodeSandboxState(readSandboxHash(new URL(url).hash));
+    expect(result.state).toEqual({
+      title: 'Demo',
+      html: snippet.interactive.html,
+      css: snippet.interactive.css,
+      js: 'console.log("edited");',
+    });
+  });
+
+  it('saves the edited sources as a snippet of my own', async () => {
+    render(<JsHtmlSandbox snippet={{ ...snippet, title: 'Demo', tags: ['dom'] }} />);
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'console.log("mine");' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save as my snippet' }));
+
+    expect(await screen.findByText('Saved to My snippets')).toHaveAttribute('role', 'status');
+    expect(saveMySnippet).toHaveBeenCalledWith({
+      title: 'Demo',
+      tags: ['dom'],
+      language: 'js',
+      sources: {
+        html: snippet.interactive.html,
+        css: snippet.interactive.css,
+        js: 'console.log("mine");',
+      },
+    });
+  });
 });
@@ -0,0 +1,314 @@
+/**
+ * My Snippets Panel Component Module
+ *
+ * The Playground's "My snippets" tab: the visitor's saved sandboxes and Python
+ * programs (see `mySnippets.js`), each with open, rename, duplicate and delete
+ * actions, plus JSON export and import of the whole library.
+ *
+ * @module components/shared/MySnippetsPanel
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import { Braces, Copy, Download, Pencil, Play, Terminal, Trash2, Upload } from 'lucide-react';
+import ThemedButton from './ThemedButton';
+import ThemedChip from './ThemedChip';
+import { useTheme } from './theme-context';
+import {
+  MAX_IMPORT_BYTES,
+  MAX_TITLE_LENGTH,
+  deleteMySnippet,
+  duplicateMySnippet,
+  formatMySnippetsExport,
+  importMySnippets,
+  renameMySnippet,
+} from './mySnippets';
+import { downloadTextFile, readTextFile } from '../../utils/download';
+
+const nbShadowStyle = { boxShadow: 'var(--nb-shadow)' };
+
+const LANGUAGES = {
+  python: { label: 'PYTHON', icon: Terminal, chip: 'accent' },
+  js: { label: 'JS/HTML', icon: Braces, chip: 'yellow' },
+};
+
+/**
+ * Saved snippet library with per-snippet actions and JSON export/import.
+ *
+ * @component
+ * @param {object} props
+ * @param {{ok: true, snippets: import('./mySnippets').MySnippet[]}|{ok: false, error: string}|null} props.library
+ *   Result of `listMySnippets`, or null while it loads
+ * @param {(snippet: import('./mySnippets').MySnippet) => void} props.onOpen - Opens a snippet
+ *   in its runner
+ * @returns {JSX.Element} Library panel
+ */
+const MySnippetsPanel = ({ library, onOpen }) => {
+  const { theme } = useTheme();
+  const isLiquid = theme === 'liquid';
+  const [notice, setNotice] = useState(null); // Result of the last action
+  const [renaming, setRenaming] = useState(null); // { id, title } being edited, or null
+  const [confirmingId, setConfirmingId] = useState(null); // Snippet awaiting a second Delete click
+  const importInputRef = useRef(null);
+  const snippets = library?.ok ? library.snippets : [];
+  const themeClass = (neubClass, liquidClass) => (isLiquid ? liquidClass : neubClass);
+
+  /** Shows the outcome of an action, prefixed with what failed */
+  const report = useCallback((result, successText, failurePrefix) => {
+    setNotice(
+      result.ok
+        ? { type: 'status', text: successText }
+        : { type: 'error', text: `${failurePrefix}: ${result.error}` }
+    );
+  }, []);
+
+  const submitRename = async (e, snippet) => {
+    e.preventDefault();
+    const result = await renameMySnippet(snippet, renaming.title);
+    setRenaming(null);
+    report(result, 'Snippet renamed', 'Rename failed');
+  };
+
+  const handleDuplicate = async snippet => {
+    setConfirmingId(null);
+    report(await duplicateMySnippet(snippet), 'Snippet duplicated', 'Duplicate failed');
+  };
+
+  const handleDelete = async snippet => {
+    if (confirmingId !== snippet.id) {
+      setConfirmingId(snippet.id);
+      return;
+    }
+    setConfirmingId(null);
+    report(await deleteMySnippet(snippet.id), `Deleted "${snippet.title}"`, 'Delete failed');
+  };
+
+  const handleExport = () => {
+    downloadTextFile('my-snippets.json', formatMySnippetsExport(snippets), 'application/json');
+  };
+
+  /** Imports a JSON export; problems are reported in the notice line */
+  const handleImportFile = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let result;
+    try {
+      result = await importMySnippets(await readTextFile(file, MAX_IMPORT_BYTES));
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    }
+    report(
+      result,
+      result.ok ? `Imported ${result.count} snippet${result.count === 1 ? '' : 's'}` : null,
+      'Import failed'
+    );
+  };
+
+  const actionClassName = themeClass(
+    'flex items-center gap-1.5 px-3 py-1.5 font-heading font-bold text-xs rounded-nb',
+    'flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-full'
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Library actions */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-secondary text-sm font-sans">
+          Saved in this browser. Use <strong>Save</strong> in a sandbox or the Python runner to add
+          one.
+        </p>
+        <div className="flex gap-2">
+          <ThemedButton
+            onClick={handleExport}
+            disabled={snippets.length === 0}
+            variant="secondary"
+            size="sm"
+            className={actionClassName}
+          >
+            <Download size={14} aria-hidden="true" />
+            Export JSON
+          </ThemedButton>
+          <ThemedButton
+            onClick={() => importInputRef.current?.click()}
+            variant="secondary"
+            size="sm"
+            className={actionClassName}
+          >
+            <Upload size={14} aria-hidden="true" />
+            Import JSON
+          </ThemedButton>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            className="hidden"
+            tabIndex={-1}
+            aria-hidden="true"
+            data-testid="my-snippets-import"
+          />
+        </div>
+      </div>
+
+      <p
+        role={notice?.type === 'error' ? 'alert' : 'status'}
+        className={`min-h-[1.25rem] text-sm font-sans font-bold ${
+          notice?.type === 'error' ? 'text-red-600' : 'text-secondary'
+        }`}
+      >
+        {notice?.text}
+      </p>
+
+      {library && !library.ok && (
+        <p role="alert" className="text-center text-red-600 font-sans font-bold">
+          {library.error}
+        </p>
+      )}
+
+      {library?.ok && snippets.length === 0 && (
+        <div className="text-center py-12">
+          <h2 className="text-lg font-heading font-bold text-[color:var(--text-primary)]">
+            No saved snippets yet
+          </h2>
+          <p className="mt-2 text-sm text-[color:var(--text-secondary)] font-sans">
+            Open a sandbox or Python runner and click Save, or import a JSON export.
+          </p>
+        </div>
+      )}
+
+      {/* Saved snippets */}
+      <ul className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {snippets.map(snippet => {
+          const language = LANGUAGES[snippet.language];
+          return (
+            <li
+              key={snippet.id}
+              className={themeClass(
+                'bg-card border-nb border-[color:var(--color-border)] rounded-nb p-5 flex flex-col gap-3',
+                'lg-surface-2 rounded-3xl p-5 flex flex-col gap-3'
+              )}
+              style={isLiquid ? undefined : nbShadowStyle}
+            >
+              <div className="flex justify-between items-start gap-3">
+                {renaming?.id === snippet.id ? (
+                  <form onSubmit={e => submitRename(e, snippet)} className="flex gap-2 flex-1">
+                    <label htmlFor={`rename-${snippet.id}`} className="sr-only">
+                      Snippet title
+                    </label>
+                    <input
+                      id={`rename-${snippet.id}`}
+                      value={renaming.title}
+                      onChange={e => setRenaming({ id: snippet.id, title: e.target.value })}
+                      onKeyDown={e => e.key === 'Escape' && setRenaming(null)}
+                      maxLength={MAX_TITLE_LENGTH}
+                      autoFocus
+                      className="flex-1 min-w-0 px-2 py-1 border-2 border-[color:var(--color-border)] rounded-md font-sans text-sm text-black focus:outline-none focus:ring-2 focus:ring-accent"
+                    />
+                    <ThemedButton
+                      type="submit"
+                      variant="primary"
+                      size="sm"
+                      className={actionClassName}
+                    >
+                      Save title
+                    </ThemedButton>
+                  </form>
+                ) : (
+                  <div className="flex items-center gap-2 min-w-0">
+                    <language.icon size={18} className="text-accent shrink-0" aria-hidden="true" />
+                    <h2 className="text-lg font-heading font-bold text-[color:var(--text-primary)] truncate">
+                      {snippet.title}
+                    </h2>
+                  </div>
+                )}
+                <ThemedChip
+                  variant={language.chip}
+                  className={themeClass(
+                    'text-xs font-bold px-2 py-1 rounded-nb',
+                    'text-xs font-semibold px-2.5 py-1 rounded-full'
+                  )}
+                >
+                  {language.label}
+                </ThemedChip>
+              </div>
+
+              {snippet.tags.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {snippet.tags.map(tag => (
+                    <ThemedChip
+                      key={tag}
+                      variant="neutral"
+                      className={themeClass(
+                        'text-xs font-bold font-heading px-2.5 py-1 rounded-nb',
+                        'text-xs font-semibold px-2.5 py-1 rounded-full'
+                      )}
+                    >
+                      {tag}
+                    </ThemedChip>
+                  ))}
+                </div>
+              )}
+
+              <p className="text-xs text-secondary font-sans">
+                Updated {new Date(snippet.updatedAt).toLocaleString()}
+              </p>
+
+              <div className="mt-auto flex flex-wrap gap-2">
+                <ThemedButton
+                  onClick={() => onOpen(snippet)}
+                  variant="primary"
+                  size="sm"
+                  className={actionClassName}
+                  aria-label={`Open ${snippet.title}`}
+                >
+                  <Play size={14} aria-hidden="true" />
+                  Open
+                </ThemedButton>
+                <ThemedButton
+                  onClick={() => {
+                    setConfirmingId(null);
+                    setRenaming({ id: snippet.id, title: snippet.title });
+                  }}
+                  variant="secondary"
+                  size="sm"
+                  className={actionClassName}
+                  aria-label={`Rename ${snippet.title}`}
+                >
+                  <Pencil size={14} aria-hidden="true" />
+                  Rename
+                </ThemedButton>
+                <ThemedButton
+                  onClick={() => handleDuplicate(snippet)}
+                  variant="secondary"
+                  size="sm"
+                  className={actionClassName}
+                  aria-label={`Duplicate ${snippet.title}`}
+                >
+                  <Copy size={14} aria-hidden="true" />
+                  Duplicate
+                </ThemedButton>
+                <ThemedButton
+                  onClick={() => handleDelete(snippet)}
+                  variant="secondary"
+                  size="sm"
+                  className={actionClassName}
+                  aria-label={
+                    confirmingId === snippet.id
+                      ? `Confirm deleting ${snippet.title}`
+                      : `Delete ${snippet.title}`
+                  }
+                >
+                  <Trash2 size={14} aria-hidden="true" />
+                  {confirmingId === snippet.id ? 'Confirm delete' : 'Delete'}
+                </ThemedButton>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default MySnippetsPanel;
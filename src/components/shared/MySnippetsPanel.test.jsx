@@ -0,0 +1,115 @@
+import React from 'react';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import MySnippetsPanel from './MySnippetsPanel';
+import {
+  deleteMySnippet,
+  duplicateMySnippet,
+  importMySnippets,
+  renameMySnippet,
+} from './mySnippets';
+import { downloadTextFile } from '../../utils/download';
+
+vi.mock('./mySnippets', async () => {
+  const actual = await vi.importActual('./mySnippets');
+  return {
+    ...actual,
+    deleteMySnippet: vi.fn(() => Promise.resolve({ ok: true })),
+    duplicateMySnippet: vi.fn(() => Promise.resolve({ ok: true })),
+    importMySnippets: vi.fn(() => Promise.resolve({ ok: true, count: 2 })),
+    renameMySnippet: vi.fn(() => Promise.resolve({ ok: true })),
+  };
+});
+
+vi.mock('../../utils/download', async () => {
+  const actual = await vi.importActual('../../utils/download');
+  return { ...actual, downloadTextFile: vi.fn() };
+});
+
+const saved = {
+  id: 'abc',
+  title: 'Ball',
+  tags: ['canvas'],
+  language: 'js',
+  sources: { html: '<canvas></canvas>', css: '', js: 'draw();' },
+  createdAt: 1000,
+  updatedAt: 2000,
+};
+
+const renderPanel = (library = { ok: true, snippets: [saved] }) => {
+  const onOpen = vi.fn();
+  render(<MySnippetsPanel library={library} onOpen={onOpen} />);
+  return onOpen;
+};
+
+describe('MySnippetsPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('lists saved snippets and opens them', () => {
+    const onOpen = renderPanel();
+
+    expect(screen.getByRole('heading', { name: 'Ball' })).toBeInTheDocument();
+    expect(screen.getByText('canvas')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Open Ball' }));
+    expect(onOpen).toHaveBeenCalledWith(saved);
+  });
+
+  it('shows an empty state and storage errors', () => {
+    renderPanel({ ok: true, snippets: [] });
+    expect(screen.getByText('No saved snippets yet')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Export JSON/ })).toBeDisabled();
+    cleanup();
+
+    renderPanel({ ok: false, error: 'Browser storage is unavailable' });
+    expect(screen.getByRole('alert')).toHaveTextContent('Browser storage is unavailable');
+  });
+
+  it('renames, duplicates and deletes after confirmation', async () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Rename Ball' }));
+    fireEvent.change(screen.getByLabelText('Snippet title'), { target: { value: 'Bouncy' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save title' }));
+    expect(await screen.findByText('Snippet renamed')).toBeInTheDocument();
+    expect(renameMySnippet).toHaveBeenCalledWith(saved, 'Bouncy');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Duplicate Ball' }));
+    expect(await screen.findByText('Snippet duplicated')).toBeInTheDocument();
+    expect(duplicateMySnippet).toHaveBeenCalledWith(saved);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Ball' }));
+    expect(deleteMySnippet).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm deleting Ball' }));
+    expect(await screen.findByText('Deleted "Ball"')).toBeInTheDocument();
+    expect(deleteMySnippet).toHaveBeenCalledWith('abc');
+  });
+
+  it('exports the library and imports JSON files', async () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: /Export JSON/ }));
+    const [filename, content, mimeType] = downloadTextFile.mock.calls[0];
+    expect(filename).toBe('my-snippets.json');
+    expect(mimeType).toBe('application/json');
+    expect(JSON.parse(content).snippets).toEqual([saved]);
+
+    const file = new File(['{"format":"portfolio-my-snippets"}'], 'mine.json', {
+      type: 'application/json',
+    });
+    fireEvent.change(screen.getByTestId('my-snippets-import'), { target: { files: [file] } });
+    expect(await screen.findByText('Imported 2 snippets')).toBeInTheDocument();
+    expect(importMySnippets).toHaveBeenCalledWith('{"format":"portfolio-my-snippets"}');
+
+    importMySnippets.mockResolvedValueOnce({ ok: false, error: 'The file is not valid JSON' });
+    fireEvent.change(screen.getByTestId('my-snippets-import'), { target: { files: [file] } });
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Import failed: The file is not valid JSON'
+    );
+  });
+});
@@ -5,26 +5,39 @@
  * This component allows users to run Python code directly in the browser with a terminal-like interface.
  *
  * Features:
- * - Async Pyodide loading with global instance caching
+ * - Pyodide runs in a Web Worker, so endless loops cannot freeze the page
  * - Dynamic code generation from templates
- * - Standard output (stdout) capture and display
- * - Loading states and error handling
- * - Keyboard shortcuts (Enter to run)
+ * - Two modes: run the snippet with a `user_input` value, or edit its source and run it
+ *   as-is, with stdout and stderr shown separately; Reset restores the original
+ * - Standard output (stdout) streamed into the output panel as the code prints
+ * - Packages the code imports (numpy, pandas, matplotlib, ...) are loaded on demand, with
+ *   progress shown while they download
+ * - Matplotlib figures rendered as images under the text output
+ * - Execution timeout (`timeoutMs`) and a Stop button
+ * - Loading states, with the runtime's download progress, and error handling
+ * - Keyboard shortcuts (Enter to run, Ctrl/Cmd+Enter in the editor)
  * - Terminal-style UI with syntax highlighting
+ * - "Save" stores the code and input in the visitor's library (see `mySnippets.js`)
  *
  * Technical Implementation:
- * - Pyodide is loaded once globally and reused across all instances
- * - Loading promise prevents duplicate CDN requests
- * - stdout is redirected to StringIO for capture
+ * - One worker (see `pythonWorkerClient.js`) is loaded once and shared by all instances
+ * - stdout and stderr are forwarded from the worker line by line
+ * - Stopping interrupts the program, or restarts the worker when that is not possible
  * - Code execution is sandboxed in the browser's WASM runtime
  *
  * @module components/shared/PythonRunner
  */
 
-import React, { useState, useCallback, useRef, useEffect, useId } from 'react';
-import { Play, Loader2 } from 'lucide-react';
-import { executePythonWithCapturedStdout } from './pythonExecution';
-import { loadPyodide } from './pyodideLoader';
+import React, { useState, useCallback, useRef, useEffect, useId, useMemo } from 'react';
+import { BookmarkPlus, Play, Loader2, RotateCcw, Square } from 'lucide-react';
+import { DEFAULT_TIMEOUT_MS, preloadPython, runPython, stopPython } from './pythonWorkerClient';
+import { formatDownloadProgress } from './pyodideLoader';
+import { saveMySnippet } from './mySnippets';
+
+const MODES = [
+  { id: 'input', label: 'Run with input' },
+  { id: 'editor', label: 'Edit code' },
+];
 
 /**
  * Interactive Python code execution component.
@@ -35,12 +48,14 @@ import { loadPyodide } from './pyodideLoader';
  *
  * Execution Flow:
  * 1. User enters input and clicks Run (or presses Enter)
- * 2. Input is set as a global variable `user_input` in Pyodide (prevents injection)
+ * 2. Input is sent to the worker as the global variable `user_input` (prevents injection)
  * 3. Code template is generated (reads `user_input` from globals, no interpolation)
- * 4. Python stdout is redirected to StringIO for capture
- * 5. Code is executed in Pyodide runtime
- * 6. Output is captured from StringIO and displayed
- * 7. stdout is restored to default
+ * 4. Code is executed in the worker's Pyodide runtime
+ * 5. Printed output streams back and is displayed
+ * 6. The run ends when the code finishes or fails, times out, or is stopped
+ *
+ * In editor mode the source is editable and runs as written; `user_input` is still
+ * set (possibly empty) so code written against it keeps working.
  *
  * Security: User input is never interpolated into code strings, eliminating
  * code injection vulnerabilities.
@@ -52,18 +67,32 @@ import { loadPyodide } from './pyodideLoader';
  * @param {Function} props.snippet.interactive.codeTemplate - Function that generates Python code (no args, reads user_input global)
  * @param {string} props.snippet.interactive.defaultInput - Default input value
  * @param {string} props.snippet.interactive.inputLabel - Label for input field
+ * @param {string} [props.snippet.title] - Name given to saved snippets
+ * @param {string[]} [props.snippet.tags] - Tags given to saved snippets
  * @param {boolean} props.shouldReduceMotion - Whether to reduce animations
+ * @param {number} [props.timeoutMs=DEFAULT_TIMEOUT_MS] - Stop programs after this long
  * @returns {JSX.Element} Interactive Python runner interface
  */
-const PythonRunner = ({ snippet }) => {
+const PythonRunner = ({ snippet, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
   const [inputValue, setInputValue] = useState(snippet.interactive?.defaultInput || '');
   const [output, setOutput] = useState('');
   const [isRunning, setIsRunning] = useState(false); // Code execution in progress
   const [isLoading, setIsLoading] = useState(false); // Pyodide runtime loading
   const [error, setError] = useState(null);
   const [pyodideReady, setPyodideReady] = useState(false); // Runtime initialization complete
+  const [downloadProgress, setDownloadProgress] = useState(null); // Runtime download, while loading
+  const [saveStatus, setSaveStatus] = useState(null); // Result of the last save
+  const originalCode = useMemo(() => snippet.interactive.codeTemplate(), [snippet.interactive]);
+  const [mode, setMode] = useState('input'); // 'input' runs the snippet, 'editor' the edited source
+  const [source, setSource] = useState(originalCode);
+  const [streams, setStreams] = useState(null); // Editor mode: { stdout, stderr, error } of the last run
+  const [packageStatus, setPackageStatus] = useState(null); // Package loading progress of the run
+  const [figures, setFigures] = useState([]); // PNG data URLs of the last run's figures
   const outputRef = useRef(null);
+  const isOwnRunRef = useRef(false); // This runner started the program now in the worker
   const inputId = useId();
+  const editorId = useId();
+  const modesId = useId();
 
   /**
    * Preload Pyodide runtime when component mounts.
@@ -78,7 +107,7 @@ const PythonRunner = ({ snippet }) => {
     const preload = async () => {
       setIsLoading(true);
       try {
-        await loadPyodide();
+        await preloadPython({ onProgress: setDownloadProgress });
         setPyodideReady(true);
       } catch {
         setError('Failed to load Python runtime');
@@ -89,19 +118,26 @@ const PythonRunner = ({ snippet }) => {
     preload();
   }, []);
 
+  // Stop a program still running when the runner closes
+  useEffect(
+    () => () => {
+      if (isOwnRunRef.current) stopPython();
+    },
+    []
+  );
+
   /**
    * Executes Python code with user input and captures output.
    *
    * This function:
-   * 1. Validates user input (must not be empty)
-   * 2. Gets the Pyodide runtime instance
-   * 3. Sets user input as a global variable in Pyodide (prevents code injection)
-   * 4. Generates Python code from template (no arguments, reads from global)
-   * 5. Redirects Python stdout to StringIO for capture
-   * 6. Executes the generated code
-   * 7. Retrieves captured output from StringIO
-   * 8. Restores stdout to default
-   * 9. Displays output or error to user
+   * 1. Validates user input (must not be empty, except in editor mode)
+   * 2. Generates Python code from template (no arguments, reads from global), or takes
+   *    the edited source in editor mode
+   * 3. Runs it in the worker with user input as the `user_input` global (prevents code
+   *    injection) and the configured timeout, after the worker loads imported packages
+   * 4. Appends output as it arrives (stdout only in input mode, both streams in editor mode)
+   * 5. Collects the matplotlib figures the code leaves open
+   * 6. Displays the error, timeout or stop when the run does not succeed
    *
    * Security: User input is passed via Pyodide globals, not string interpolation,
    * preventing code injection attacks.
@@ -112,35 +148,75 @@ const PythonRunner = ({ snippet }) => {
    * @async
    */
   const runCode = useCallback(async () => {
-    if (!inputValue.trim()) {
-      setError('Please enter a name');
+    if (mode === 'input' && !inputValue.trim()) {
+      setError('Please enter an input value');
       return;
     }
 
+    const isEditor = mode === 'editor';
     setIsRunning(true);
     setError(null);
     setOutput('');
+    setStreams(isEditor ? { stdout: '', stderr: '', error: null } : null);
+    setPackageStatus(null);
+    setFigures([]);
+    const append = stream => text => {
+      if (isEditor) setStreams(prev => ({ ...prev, [stream]: prev[stream] + text }));
+      else if (stream === 'stdout') setOutput(prev => prev + text);
+    };
 
+    isOwnRunRef.current = true;
     try {
-      const pyodide = await loadPyodide();
-
       // Security: Pass input as global variable to prevent code injection
       // This avoids string interpolation of user input into code
-      pyodide.globals.set('user_input', inputValue.trim());
+      const result = await runPython(isEditor ? source : snippet.interactive.codeTemplate(), {
+        globals: { user_input: inputValue.trim() },
+        onStdout: append('stdout'),
+        onStderr: append('stderr'),
+        onStatus: setPackageStatus,
+        onFigure: src => setFigures(prev => [...prev, src]),
+        timeoutMs,
+      });
 
-      // Generate Python code from template
-      const code = snippet.interactive.codeTemplate();
-
-      // Execute code while capturing stdout and always restoring it.
-      const result = executePythonWithCapturedStdout(pyodide, code);
-      setOutput(result);
-    } catch (err) {
-      // Display Python errors to user (syntax, runtime, etc.)
-      setError(err.message);
+      // Display Python errors to user (syntax, runtime, etc.), timeouts and stops
+      if (result.status !== 'ok') {
+        if (isEditor) setStreams(prev => ({ ...prev, error: result.error }));
+        else setError(result.error);
+      }
+    } catch {
+      setError('Failed to load Python runtime');
     } finally {
+      isOwnRunRef.current = false;
       setIsRunning(false);
+      setPackageStatus(null);
     }
-  }, [inputValue, snippet.interactive]);
+  }, [mode, inputValue, source, snippet.interactive, timeoutMs]);
+
+  /** Restore the original source and input, and clear the output */
+  const resetCode = useCallback(() => {
+    setSource(originalCode);
+    setInputValue(snippet.interactive?.defaultInput || '');
+    setOutput('');
+    setStreams(null);
+    setFigures([]);
+    setError(null);
+  }, [originalCode, snippet.interactive]);
+
+  /** Save the code and current input to the visitor's snippet library */
+  const saveCode = useCallback(async () => {
+    const result = await saveMySnippet({
+      title: snippet.title,
+      tags: snippet.tags,
+      language: 'python',
+      sources: { code: mode === 'editor' ? source : originalCode, input: inputValue },
+    });
+    if (!result.ok) {
+      setSaveStatus({ ok: false, text: result.error });
+      return;
+    }
+    setSaveStatus({ ok: true, text: 'Saved to My snippets' });
+    setTimeout(() => setSaveStatus(null), 2000);
+  }, [snippet.title, snippet.tags, mode, source, originalCode, inputValue]);
 
   /**
    * Runs code when Enter key is pressed in the input field.
@@ -154,6 +230,18 @@ const PythonRunner = ({ snippet }) => {
     }
   };
 
+  /**
+   * Runs the edited source on Ctrl+Enter (Cmd+Enter on macOS); plain Enter adds a line.
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  const handleEditorKeyDown = e => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && !isRunning && pyodideReady) {
+      e.preventDefault();
+      runCode();
+    }
+  };
+
   return (
     <div className="mt-4 border-2 border-[color:var(--color-border)] rounded-lg overflow-hidden bg-gray-100">
       {/* Header */}
@@ -170,6 +258,7 @@ const PythonRunner = ({ snippet }) => {
           <span className="text-xs text-gray-500 flex items-center gap-1">
             <Loader2 size={12} className="animate-spin" aria-hidden="true" />
             Loading Python...
+            {downloadProgress && ` ${formatDownloadProgress(downloadProgress)}`}
           </span>
         )}
         {pyodideReady && !isLoading && (
@@ -177,51 +266,137 @@ const PythonRunner = ({ snippet }) => {
         )}
       </div>
 
-      {/* Input Section */}
-      <div className="p-4 bg-white border-b-2 border-[color:var(--color-border)]">
-        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-2">
-          {snippet.interactive?.inputLabel || 'Input'}
-        </label>
-        <div className="flex gap-2">
-          <input
-            id={inputId}
-            type="text"
-            aria-label="Provide program input"
-            value={inputValue}
-            onChange={e => setInputValue(e.target.value)}
-            onKeyDown={handleKeyDown}
-            placeholder="Enter your name..."
-            className="flex-1 px-3 py-2 border-2 border-[color:var(--color-border)] rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-accent"
-            disabled={isRunning}
-            maxLength={1000}
-            spellCheck="false"
-            autoComplete="off"
-          />
+      {/* Mode tabs */}
+      <div
+        className="bg-gray-200 px-3 pt-2 border-b-2 border-[color:var(--color-border)] flex gap-1"
+        role="tablist"
+        aria-label="Python runner mode"
+      >
+        {MODES.map(option => (
           <button
-            onClick={runCode}
-            disabled={isRunning || !pyodideReady || isLoading}
-            aria-label={isRunning ? 'Running Python code' : 'Run Python code'}
-            className={`flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md transition-all ${
-              isRunning || !pyodideReady
-                ? 'bg-gray-200 text-gray-700 cursor-not-allowed'
-                : 'bg-accent text-white hover:-translate-x-0.5 hover:-translate-y-0.5'
+            key={option.id}
+            id={`${modesId}-${option.id}-tab`}
+            role="tab"
+            aria-selected={mode === option.id}
+            aria-controls={`${modesId}-panel`}
+            onClick={() => setMode(option.id)}
+            className={`px-3 py-1.5 text-xs font-mono font-bold rounded-t-md border-2 border-b-0 border-[color:var(--color-border)] ${
+              mode === option.id
+                ? 'bg-white text-gray-900'
+                : 'bg-gray-200 text-gray-500 hover:text-gray-800'
             }`}
-            style={{
-              boxShadow: isRunning || !pyodideReady ? 'none' : '2px 2px 0 var(--color-border)',
-            }}
           >
-            {isRunning ? (
-              <>
-                <Loader2 size={14} className="animate-spin" aria-hidden="true" />
-                Running...
-              </>
-            ) : (
-              <>
-                <Play size={14} aria-hidden="true" />
-                Run
-              </>
-            )}
+            {option.label}
           </button>
+        ))}
+      </div>
+
+      <div id={`${modesId}-panel`} role="tabpanel" aria-labelledby={`${modesId}-${mode}-tab`}>
+        {/* Source editor */}
+        {mode === 'editor' && (
+          <div className="bg-white border-b-2 border-[color:var(--color-border)]">
+            <label htmlFor={editorId} className="sr-only">
+              Python source
+            </label>
+            <textarea
+              id={editorId}
+              value={source}
+              onChange={e => setSource(e.target.value)}
+              onKeyDown={handleEditorKeyDown}
+              spellCheck="false"
+              autoComplete="off"
+              rows={10}
+              className="w-full p-3 font-mono text-xs resize-y focus:outline-none focus:ring-2 focus:ring-inset focus:ring-accent"
+            />
+          </div>
+        )}
+
+        {/* Input Section */}
+        <div className="p-4 bg-white border-b-2 border-[color:var(--color-border)]">
+          <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-2">
+            {snippet.interactive?.inputLabel || 'Input'}
+            {mode === 'editor' && (
+              <span className="ml-1 font-mono text-xs text-gray-500">(user_input)</span>
+            )}
+          </label>
+          <div className="flex flex-wrap gap-2">
+            <input
+              id={inputId}
+              type="text"
+              aria-label="Provide program input"
+              value={inputValue}
+              onChange={e => setInputValue(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Enter input..."
+              className="flex-1 min-w-[12rem] px-3 py-2 border-2 border-[color:var(--color-border)] rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-accent"
+              disabled={isRunning}
+              maxLength={1000}
+              spellCheck="false"
+              autoComplete="off"
+            />
+            <button
+              onClick={runCode}
+              disabled={isRunning || !pyodideReady || isLoading}
+              aria-label={isRunning ? 'Running Python code' : 'Run Python code'}
+              className={`flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md transition-all ${
+                isRunning || !pyodideReady
+                  ? 'bg-gray-200 text-gray-700 cursor-not-allowed'
+                  : 'bg-accent text-white hover:-translate-x-0.5 hover:-translate-y-0.5'
+              }`}
+              style={{
+                boxShadow: isRunning || !pyodideReady ? 'none' : '2px 2px 0 var(--color-border)',
+              }}
+            >
+              {isRunning ? (
+                <>
+                  <Loader2 size={14} className="animate-spin" aria-hidden="true" />
+                  Running...
+                </>
+              ) : (
+                <>
+                  <Play size={14} aria-hidden="true" />
+                  Run
+                </>
+              )}
+            </button>
+            {isRunning && (
+              <button
+                onClick={() => stopPython()}
+                aria-label="Stop Python code"
+                className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-red-500 text-white transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
+                style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+              >
+                <Square size={14} aria-hidden="true" />
+                Stop
+              </button>
+            )}
+            <button
+              onClick={saveCode}
+              aria-label="Save as my snippet"
+              className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-white text-gray-800 transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
+              style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+            >
+              <BookmarkPlus size={14} aria-hidden="true" />
+              Save
+            </button>
+            <button
+              onClick={resetCode}
+              disabled={isRunning}
+              className="flex items-center gap-2 px-4 py-2 font-heading font-bold text-sm border-2 border-[color:var(--color-border)] rounded-md bg-gray-200 text-gray-800 transition-all hover:-translate-x-0.5 hover:-translate-y-0.5"
+              style={{ boxShadow: '2px 2px 0 var(--color-border)' }}
+            >
+              <RotateCcw size={14} aria-hidden="true" />
+              Reset
+            </button>
+          </div>
+          <p
+            role="status"
+            className={`mt-2 min-h-[1rem] text-xs font-sans font-bold ${
+              saveStatus?.ok === false ? 'text-red-600' : 'text-gray-700'
+            }`}
+          >
+            {saveStatus?.text}
+          </p>
         </div>
       </div>
 
@@ -235,13 +410,42 @@ const PythonRunner = ({ snippet }) => {
         aria-atomic={false}
         aria-relevant="additions text"
       >
+        {isRunning && packageStatus && (
+          <p className="mb-2 flex items-center gap-1 text-yellow-300 font-mono text-xs">
+            <Loader2 size={12} className="animate-spin" aria-hidden="true" />
+            {packageStatus}
+          </p>
+        )}
         {error ? (
           <pre className="text-red-400 font-mono text-xs whitespace-pre-wrap">Error: {error}</pre>
+        ) : streams ? (
+          <div className="space-y-3">
+            <section aria-label="Standard output">
+              <h3 className="mb-1 text-[10px] uppercase tracking-wide text-gray-400 font-mono">
+                stdout
+              </h3>
+              <pre className="text-green-400 font-mono text-xs whitespace-pre-wrap">
+                {streams.stdout || '(no output)'}
+              </pre>
+            </section>
+            <section aria-label="Standard error">
+              <h3 className="mb-1 text-[10px] uppercase tracking-wide text-gray-400 font-mono">
+                stderr
+              </h3>
+              <pre className="text-red-400 font-mono text-xs whitespace-pre-wrap">
+                {streams.stderr || streams.error ? (
+                  `${streams.stderr}${streams.error ?? ''}`
+                ) : (
+                  <span className="text-gray-500">(no output)</span>
+                )}
+              </pre>
+            </section>
+          </div>
         ) : output ? (
           <pre className="text-green-400 font-mono text-[8px] leading-tight whitespace-pre overflow-x-auto">
             {output}
           </pre>
-        ) : (
+        ) : figures.length > 0 ? null : (
           <p className="text-gray-500 font-mono text-sm">
             {isLoading
               ? 'Loading Python runtime...'
@@ -250,6 +454,18 @@ const PythonRunner = ({ snippet }) => {
                 : 'Click "Run" to execute the code'}
           </p>
         )}
+        {figures.length > 0 && (
+          <div className="mt-3 space-y-3">
+            {figures.map((src, index) => (
+              <img
+                key={index}
+                src={src}
+                alt={`Figure ${index + 1}`}
+                className="max-w-full rounded-md border-2 border-[color:var(--color-border)] bg-white"
+              />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,188 @@
+import React from 'react';
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import PythonRunner from './PythonRunner';
+import { preloadPython, runPython, stopPython } from './pythonWorkerClient';
+import { saveMySnippet } from './mySnippets';
+
+vi.mock('./pythonWorkerClient', () => ({
+  DEFAULT_TIMEOUT_MS: 10000,
+  preloadPython: vi.fn(() => Promise.resolve()),
+  runPython: vi.fn(),
+  stopPython: vi.fn(),
+}));
+
+vi.mock('./mySnippets', () => ({
+  saveMySnippet: vi.fn(() => Promise.resolve({ ok: true })),
+}));
+
+const snippet = {
+  title: 'Greeter',
+  tags: ['strings'],
+  interactive: {
+    type: 'python-runner',
+    defaultInput: 'Ada',
+    inputLabel: 'Your name',
+    codeTemplate: () => 'print(f"Hello, {user_input}!")',
+  },
+};
+
+const renderRunner = async () => {
+  render(<PythonRunner snippet={snippet} />);
+  // Wait for the runtime preload to finish
+  await screen.findByText('✓ Ready');
+};
+
+describe('PythonRunner', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    runPython.mockImplementation(async (code, { onStdout, onStderr }) => {
+      if (code.includes('edited')) {
+        onStdout('edited\n');
+        onStderr('warning\n');
+        return { status: 'error', error: 'Traceback (most recent call last):\nValueError: bad' };
+      }
+      onStdout('Hello, Ada!\n');
+      return { status: 'ok' };
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('runs the snippet with user_input in input mode', async () => {
+    await renderRunner();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Run Python code' }));
+    });
+
+    expect(runPython).toHaveBeenCalledWith(
+      'print(f"Hello, {user_input}!")',
+      expect.objectContaining({ globals: { user_input: 'Ada' }, timeoutMs: 10000 })
+    );
+    expect(screen.getByText(/Hello, Ada!/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Provide program input'), { target: { value: ' ' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Run Python code' }));
+    });
+    expect(screen.getByText('Error: Please enter an input value')).toBeInTheDocument();
+  });
+
+  it('runs edited source as-is and shows stdout and stderr separately', async () => {
+    await renderRunner();
+    fireEvent.click(screen.getByRole('tab', { name: 'Edit code' }));
+
+    const editor = screen.getByLabelText('Python source');
+    expect(editor).toHaveValue('print(f"Hello, {user_input}!")');
+    fireEvent.change(editor, { target: { value: 'print("edited")' } });
+    fireEvent.change(screen.getByLabelText('Provide program input'), { target: { value: '' } });
+    await act(async () => {
+      fireEvent.keyDown(editor, { key: 'Enter', ctrlKey: true });
+    });
+
+    expect(runPython).toHaveBeenCalledWith(
+      'print("edited")',
+      expect.objectContaining({ globals: { user_input: '' } })
+    );
+    expect(screen.getByRole('region', { name: 'Standard output' })).toHaveTextContent('edited');
+    expect(screen.getByRole('region', { name: 'Standard error' })).toHaveTextContent(
+      /warning\s+Traceback[\s\S]*ValueError: bad/
+    );
+  });
+
+  it('stops a running program and reports timeouts', async () => {
+    let finish;
+    runPython.mockImplementation(
+      () =>
+        new Promise(resolve => {
+          finish = resolve;
+        })
+    );
+    await renderRunner();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Run Python code' }));
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Stop Python code' }));
+    expect(stopPython).toHaveBeenCalled();
+
+    await act(async () => {
+      finish({ status: 'timeout', error: 'Execution timed out after 10 s' });
+    });
+    expect(screen.getByText('Error: Execution timed out after 10 s')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Stop Python code' })).not.toBeInTheDocument();
+  });
+
+  it('shows package loading progress and the figures a run produces', async () => {
+    let finish;
+    runPython.mockImplementation(
+      (code, { onStatus, onFigure }) =>
+        new Promise(resolve => {
+          onStatus('Loading numpy, matplotlib');
+          finish = () => {
+            onFigure('data:image/png;base64,AAAA');
+            resolve({ status: 'ok' });
+          };
+        })
+    );
+    await renderRunner();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Run Python code' }));
+    });
+    expect(screen.getByText('Loading numpy, matplotlib')).toBeInTheDocument();
+
+    await act(async () => {
+      finish();
+    });
+    expect(screen.queryByText('Loading numpy, matplotlib')).not.toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Figure 1' })).toHaveAttribute(
+      'src',
+      'data:image/png;base64,AAAA'
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /Reset/ }));
+    expect(screen.queryByRole('img', { name: 'Figure 1' })).not.toBeInTheDocument();
+  });
+
+  it('shows the runtime download progress while Python loads', async () => {
+    preloadPython.mockImplementationOnce(({ onProgress }) => {
+      onProgress({ source: 'cdn', loaded: 5000000, total: 20000000 });
+      return new Promise(() => {});
+    });
+    render(<PythonRunner snippet={snippet} />);
+
+    expect(await screen.findByText(/Loading Python\.\.\. 25% of 20\.0 MB/)).toBeInTheDocument();
+  });
+
+  it('resets the source and input to the original snippet', async () => {
+    await renderRunner();
+    fireEvent.click(screen.getByRole('tab', { name: 'Edit code' }));
+    fireEvent.change(screen.getByLabelText('Python source'), { target: { value: 'pass' } });
+    fireEvent.change(screen.getByLabelText('Provide program input'), { target: { value: 'Bo' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Reset/ }));
+
+    expect(screen.getByLabelText('Python source')).toHaveValue('print(f"Hello, {user_input}!")');
+    expect(screen.getByLabelText('Provide program input')).toHaveValue('Ada');
+  });
+
+  it('saves the edited source in editor mode', async () => {
+    await renderRunner();
+    fireEvent.click(screen.getByRole('tab', { name: 'Edit code' }));
+    fireEvent.change(screen.getByLabelText('Python source'), { target: { value: 'print(1)' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save as my snippet' }));
+
+    expect(await screen.findByText('Saved to My snippets')).toBeInTheDocument();
+    expect(saveMySnippet).toHaveBeenCalledWith({
+      title: 'Greeter',
+      tags: ['strings'],
+      language: 'python',
+      sources: { code: 'print(1)', input: 'Ada' },
+    });
+  });
+});
@@ -32,6 +32,7 @@ import {
  * @param {string}  props.title        — Page title (will have " | Rishabh Agrawal" appended)
  * @param {string}  props.description  — Meta description (≤155 chars recommended)
  * @param {string}  props.path         — Pathname, e.g. "/projects" (used for canonical + OG url)
+ * @param {string}  [props.canonicalUrl] — Override canonical URL (e.g. original article for syndicated posts)
  * @param {string}  [props.ogImage]    — Override og:image URL
  * @param {string}  [props.ogType]     — Override og:type (default "website")
  * @param {string}  [props.ogImageAlt] — Override OG/Twitter image alt text
@@ -46,6 +47,7 @@ const SEOHead = ({
   title,
   description,
   path = '/',
+  canonicalUrl: canonicalOverride,
   ogImage,
   ogType = 'website',
   ogImageAlt = DEFAULT_OG_IMAGE_ALT,
@@ -56,7 +58,8 @@ const SEOHead = ({
   children,
 }) => {
   const fullTitle = path === '/' ? title : `${title} ${SITE_TITLE_SUFFIX}`;
-  const canonicalUrl = `${SITE_URL}${path}`;
+  const pageUrl = `${SITE_URL}${path}`;
+  const canonicalUrl = canonicalOverride || pageUrl;
   const resolvedImage = ogImage || DEFAULT_OG_IMAGE;
   const resolvedAuthor = author || SITE_NAME;
 
@@ -86,7 +89,7 @@ const SEOHead = ({
       {/* Open Graph */}
       <meta property="og:title" content={fullTitle} />
       <meta property="og:description" content={description} />
-      <meta property="og:url" content={canonicalUrl} />
+      <meta property="og:url" content={pageUrl} />
       <meta property="og:type" content={ogType} />
       <meta property="og:site_name" content={SITE_NAME} />
       <meta property="og:image" content={resolvedImage} />
@@ -103,8 +106,8 @@ const SEOHead = ({
       <meta name="twitter:image:alt" content={ogImageAlt} />
       <meta name="twitter:site" content={TWITTER_HANDLE} />
       <meta name="twitter:creator" content={TWITTER_HANDLE} />
-      <link rel="alternate" hrefLang="en" href={canonicalUrl} />
-      <link rel="alternate" hrefLang="x-default" href={canonicalUrl} />
+      <link rel="alternate" hrefLang="en" href={pageUrl} />
+      <link rel="alternate" hrefLang="x-default" href={pageUrl} />
 
       {/* JSON-LD Structured Data */}
       {serializedSchemas.map((json, i) => (
@@ -4,45 +4,11 @@
  */
 
 import React, { useRef, useEffect } from 'react';
-import { X, MousePointer2, Sun, Moon, Droplets, Cloud } from 'lucide-react';
+import { X, MousePointer2 } from 'lucide-react';
 import { useTheme, THEMES } from './theme-context';
+import { THEME_OPTIONS } from './themeOptions';
 import { useFocusTrap } from './useFocusTrap';
 
-const THEME_OPTIONS = [
-  {
-    id: THEMES.neubrutalism,
-    label: 'Neubrutalism',
-    subtitle: 'Bold & Raw',
-    icon: Sun,
-    swatch: ['#fafafa', '#ffd54f', '#000000', '#9c0e4b'],
-    swatchStyle: 'grid',
-  },
-  {
-    id: THEMES.neubrutalismDark,
-    label: 'Midnight Brutal',
-    subtitle: 'Dark & Punchy',
-    icon: Moon,
-    swatch: ['#121212', '#ffd54f', '#f5f5f5', '#ff4081'],
-    swatchStyle: 'grid',
-  },
-  {
-    id: THEMES.liquid,
-    label: 'Liquid Glass',
-    subtitle: 'iOS Inspired',
-    icon: Droplets,
-    swatch: ['#f2f2f7', '#007aff', '#1d1d1f', '#af52de'],
-    swatchStyle: 'glass',
-  },
-  {
-    id: THEMES.liquidDark,
-    label: 'Liquid Night',
-    subtitle: 'Dark Glass',
-    icon: Cloud,
-    swatch: ['#000000', '#0a84ff', '#f5f5f7', '#bf5af2'],
-    swatchStyle: 'glass',
-  },
-];
-
 const ThemeCard = ({ option, isActive, onClick }) => {
   const Icon = option.icon;
   const isLiquidStyle = option.swatchStyle === 'glass';
@@ -13,6 +13,7 @@ import React, {
 } from 'react';
 import { motion, useReducedMotion, AnimatePresence } from 'framer-motion';
 import { resumeData } from '../../data/resume';
+import { slugify } from '../../utils/slug';
 import { useTheme } from './theme-context';
 
 /**
@@ -77,6 +78,7 @@ const SkillNode = React.memo(({ skill, color, shouldReduceMotion, isLiquid }) =>
       {/* Skill node */}
       <motion.button
         type="button"
+        id={`skill-${slugify(skill.name)}`}
         onMouseEnter={handleMouseEnter}
         onMouseLeave={handleMouseLeave}
         onFocus={handleMouseEnter}
@@ -244,7 +246,8 @@ const TechStackAnnouncer = () => {
  * TechStackVisual Component
  *
  * Renders skills in a hierarchical tree layout.
- * Hover on a skill to see proficiency percentage.
+ * Hover on a skill to see proficiency percentage. Each skill node has the id
+ * `skill-<slug>`, so the Resume page can scroll to it.
  *
  * @component
  * @returns {JSX.Element} Tree-based skill visualization
@@ -1,25 +1,64 @@
 /**
  * @fileoverview Terminal Mode component – navigate the portfolio via typed commands.
- * Provides a retro terminal UI with command history and real-time output.
+ * Provides a retro terminal UI with command history and real-time output, and a
+ * read-only virtual filesystem of the portfolio (see `terminalFs.js`). Commands come
+ * from the shared command registry (see `commands.js`); `python` switches the prompt to
+ * an interactive Python session, run in the Python worker (see `pythonWorkerClient.js`),
+ * until `exit()`. History and the
+ * `~/.portfoliorc` startup file persist between visits (see `terminalSession.js`).
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion';
 import { X } from 'lucide-react';
 import { resumeData } from '../../data/resume';
+import blogs from '../../data/blogs.json';
+import { getSnippetsByLanguage } from '../../data/snippets';
+import { GAME_INSTRUCTIONS } from '../games/gameInstructionsData';
 import { useTheme } from './theme-context';
+import { createFileSystem, findNode, resolvePath, withRootFile } from './terminalFs';
+import { completeInput, getSuggestion } from './terminalCompletion';
+import { parseCommandLine } from './terminalShell';
+import { findCommand, getCompletionSpec } from './commands';
+import { formatDownloadProgress } from './pyodideLoader';
+import { startPythonRepl } from './pythonWorkerClient';
+import {
+  DEFAULT_ENV,
+  MAX_HISTORY,
+  RC_COMMANDS,
+  RC_PATH,
+  expandAliases,
+  loadHistory,
+  loadRc,
+  saveHistory,
+  saveRc,
+} from './terminalSession';
+
+/** Read-only filesystem browsed with cd, ls, cat, tree and open */
+const FILE_SYSTEM = createFileSystem({
+  resume: resumeData,
+  blogs,
+  snippets: getSnippetsByLanguage('all'),
+  games: GAME_INSTRUCTIONS,
+});
 
-/** Map of page aliases to routes */
-const PAGE_MAP = {
-  home: '/',
-  projects: '/projects',
-  resume: '/resume',
-  blog: '/blog',
-  playground: '/playground',
-  contact: '/contact',
-  games: '/games',
-};
+/** Spaces Tab inserts in the Python prompt */
+const PYTHON_INDENT = '    ';
+
+/** How deeply `source` may nest before a file that sources itself is stopped */
+const MAX_SOURCE_DEPTH = 5;
+
+/**
+ * Commands of a script, without blank lines and # comments.
+ * @param {string} text - Script such as `~/.portfoliorc`
+ * @returns {string[]} Command lines
+ */
+const scriptLines = text =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
 
 /** Color map for different output types */
 const lineColor = {
@@ -61,13 +100,30 @@ TerminalLine.displayName = 'TerminalLine';
 const TerminalMode = React.memo(({ isOpen, onClose, welcomeMessage = '' }) => {
   const [input, setInput] = useState('');
   const [history, setHistory] = useState([]);
-  const [cmdHistory, setCmdHistory] = useState([]);
+  const [cmdHistory, setCmdHistory] = useState(loadHistory);
   const [cmdIndex, setCmdIndex] = useState(-1);
+  const [cwd, setCwd] = useState('/');
+  const [rc, setRc] = useState(loadRc);
+  // Ctrl+R history search: the typed query and how many older matches were skipped
+  const [search, setSearch] = useState(null);
+  // Aliases, variables and working directory as commands see them; a ref so that lines
+  // run back to back (rc file, `source`) see each other's changes
+  const shellRef = useRef({ aliases: {}, env: { ...DEFAULT_ENV }, cwd: '/' });
+  // Python session: null in the portfolio shell, 'loading' while Pyodide loads
+  const [python, setPython] = useState(null);
+  // Whether the Python statement being typed continues on the next line
+  const [pythonMore, setPythonMore] = useState(false);
+  // Whether a Python line is running; Ctrl+C interrupts it
+  const [pythonBusy, setPythonBusy] = useState(false);
+  // Identifies the pending load or session so a closed or exited one ignores late results
+  const pythonLoadRef = useRef(null);
   const inputRef = useRef(null);
+  // Set by a Tab that could not complete further; a second Tab lists the candidates
+  const tabPendingRef = useRef(false);
   const outputRef = useRef(null);
   const navigate = useNavigate();
   const shouldReduceMotion = useReducedMotion();
-  const { theme } = useTheme();
+  const { theme, setTheme } = useTheme();
   const isLiquid = theme === 'liquid';
   const [prevIsOpen, setPrevIsOpen] = useState(isOpen);
   const [prevWelcomeMessage, setPrevWelcomeMessage] = useState(welcomeMessage);
@@ -90,17 +146,23 @@ const TerminalMode = React.memo(({ isOpen, onClose, welcomeMessage = '' }) => {
       }
       setHistory(initial);
       setInput('');
-      setCmdHistory([]);
+      setCmdHistory(loadHistory());
       setCmdIndex(-1);
+      setCwd('/');
+      setRc(loadRc());
+      setSearch(null);
+      setPython(null);
+      setPythonMore(false);
+      setPythonBusy(false);
     }
   }
 
-  /** Initialize terminal with welcome message when opened */
+  const fileSystem = useMemo(() => withRootFile(FILE_SYSTEM, RC_PATH.slice(1), rc), [rc]);
+
+  /** Persist the command history while the terminal is open */
   useEffect(() => {
-    if (isOpen) {
-      setTimeout(() => inputRef.current?.focus(), 100);
-    }
-  }, [isOpen]);
+    if (isOpen) saveHistory(cmdHistory);
+  }, [isOpen, cmdHistory]);
 
   /** Auto-scroll to bottom when new output is added */
   useEffect(() => {
@@ -118,8 +180,254 @@ const TerminalMode = React.memo(({ isOpen, onClose, welcomeMessage = '' }) => {
     setHistory(prev => [...prev, { type, text }]);
   }, []);
 
+  /** Ends the Python session in the worker when it is left or the terminal closes */
+  useEffect(() => {
+    if (!isOpen || !python || python === 'loading') return undefined;
+    return () => python.destroy();
+  }, [isOpen, python]);
+
+  /**
+   * Loads Pyodide and switches the prompt to a new Python session. The loading line
+   * shows how much of the runtime has been downloaded.
+   */
+  const startPython = useCallback(() => {
+    const load = {};
+    pythonLoadRef.current = load;
+    setPython('loading');
+    setPythonMore(false);
+    let loadingLine = { type: 'system', text: 'Loading Python...' };
+    setHistory(prev => [...prev, loadingLine]);
+
+    const onProgress = progress => {
+      if (pythonLoadRef.current !== load) return;
+      const previous = loadingLine;
+      const from = progress.source === 'local' ? 'local copy' : 'CDN';
+      loadingLine = {
+        type: 'system',
+        text: `Loading Python... ${formatDownloadProgress(progress)} from ${from}`,
+      };
+      const next = loadingLine;
+      setHistory(prev => prev.map(line => (line === previous ? next : line)));
+    };
+
+    startPythonRepl({ onProgress })
+      .then(repl => {
+        if (pythonLoadRef.current !== load) {
+          repl.destroy();
+          return;
+        }
+        setPython(repl);
+        pushOutput(
+          `Python ${repl.version} (Pyodide)\nType exit() or press Ctrl+D to return to the portfolio shell.`,
+          'system'
+        );
+      })
+      .catch(error => {
+        if (pythonLoadRef.current !== load) return;
+        setPython(null);
+        pushOutput(`python: could not load the Python runtime (${error.message})`, 'error');
+      });
+  }, [pushOutput]);
+
+  /**
+   * Leaves the Python session (or its pending load) for the portfolio shell.
+   */
+  const stopPython = useCallback(() => {
+    pythonLoadRef.current = null;
+    setPython(null);
+    setPythonMore(false);
+    setPythonBusy(false);
+  }, []);
+
+  /**
+   * Sends one line to the Python session and prints what it writes as it runs
+   * @param {string} line - Line as typed, indentation included
+   */
+  const runPythonLine = useCallback(
+    async line => {
+      pushOutput(`${pythonMore ? '...' : '>>>'} ${line}`, 'command');
+      if (line.trim()) setCmdHistory(prev => [line, ...prev].slice(0, MAX_HISTORY));
+      setCmdIndex(-1);
+
+      const session = pythonLoadRef.current;
+      const print = type => text => {
+        if (pythonLoadRef.current === session) pushOutput(text.replace(/\n$/, ''), type);
+      };
+      setPythonBusy(true);
+      const result = await python.push(line, {
+        onStdout: print('output'),
+        onStderr: print('error'),
+      });
+      if (pythonLoadRef.current !== session) return;
+
+      setPythonBusy(false);
+      if (result.status !== 'ok') pushOutput(result.error, 'error');
+      if (result.restarted) {
+        pushOutput('Python was restarted; earlier variables are gone.', 'system');
+      }
+      if (result.exited) {
+        stopPython();
+      } else {
+        setPythonMore(Boolean(result.more));
+      }
+    },
+    [python, pythonMore, pushOutput, stopPython]
+  );
+
+  /**
+   * Replaces or appends to `~/.portfoliorc`, the only writable file.
+   * @param {string|null} output - Output redirected into the file
+   * @param {{path: string, append: boolean}} redirect - Redirection from the command line
+   */
+  const writeStartupFile = useCallback(
+    (output, redirect) => {
+      const text = output === null ? '' : `${output}\n`;
+      const current = loadRc();
+      const separator = current && !current.endsWith('\n') ? '\n' : '';
+      const next = redirect.append ? `${current}${separator}${text}` : text;
+      const saved = saveRc(next);
+      if (saved.ok) {
+        setRc(next);
+      } else {
+        pushOutput(`shell: ${redirect.path}: ${saved.error}`, 'error');
+      }
+    },
+    [pushOutput]
+  );
+
+  /**
+   * Runs one pipeline stage. Errors are printed straight away; output is returned
+   * so it can feed the next stage.
+   * @param {string[]} argv - Command name and arguments
+   * @param {string|null} stdin - Output of the previous stage; null for the first
+   * @param {(text: string) => void} runScript - Runs the lines of a sourced file
+   * @param {boolean} startup - Whether the line comes from `~/.portfoliorc`, which may
+   *   only run `RC_COMMANDS`
+   * @returns {string|null} Output text, or null when the command printed nothing
+   */
+  const runCommand = useCallback(
+    (argv, stdin, runScript, startup) => {
+      const command = findCommand(argv[0]);
+      if (!command) {
+        pushOutput(
+          `Command not found: '${argv[0].toLowerCase()}'. Type 'help' for available commands.`,
+          'error'
+        );
+        return null;
+      }
+      if (startup && !RC_COMMANDS.includes(command.id)) {
+        pushOutput(
+          `${RC_PATH.slice(1)}: '${argv[0].toLowerCase()}' cannot run at startup (allowed: ${RC_COMMANDS.join(', ')})`,
+          'error'
+        );
+        return null;
+      }
+
+      const shell = shellRef.current;
+      const chunks = [];
+      command.run(argv.slice(1), {
+        stdin,
+        write: text => chunks.push(text),
+        fail: text => pushOutput(text, 'error'),
+        // Let the output render briefly before the terminal closes
+        navigate: route =>
+          setTimeout(() => {
+            onClose();
+            navigate(route);
+          }, 400),
+        close: onClose,
+        setTheme,
+        fs: fileSystem,
+        cwd: shell.cwd,
+        setCwd: path => {
+          shell.cwd = path;
+          setCwd(path);
+        },
+        clear: () => setHistory([]),
+        startPython,
+        aliases: shell.aliases,
+        setAlias: (name, value) => {
+          if (value === null) delete shell.aliases[name];
+          else shell.aliases[name] = value;
+        },
+        env: shell.env,
+        setVariable: (name, value) => {
+          shell.env[name] = value;
+        },
+        history: cmdHistory,
+        clearHistory: () => setCmdHistory([]),
+        runScript,
+      });
+      return chunks.length > 0 ? chunks.join('\n') : null;
+    },
+    [cmdHistory, fileSystem, navigate, onClose, pushOutput, setTheme, startPython]
+  );
+
   /**
-   * Process a command entered by the user
+   * Runs a command line without echoing it: variables and aliases are expanded, each
+   * stage of the pipeline reads the output of the one before, and the last stage's
+   * output is printed or written to the redirection target
+   * @param {string} line - Command line
+   * @param {number} [depth=0] - Nesting of `source`, which stops files sourcing themselves
+   * @param {boolean} [startup=false] - Whether the line comes from `~/.portfoliorc`; so do
+   *   the lines of files it sources
+   */
+  const runLine = useCallback(
+    function runLine(line, depth = 0, startup = false) {
+      const shell = shellRef.current;
+      const parsed = parseCommandLine(line, {
+        env: shell.env,
+        canWrite: path => findNode(fileSystem, resolvePath(shell.cwd, path))?.writable === true,
+      });
+      const expanded = parsed.ok && expandAliases(parsed.pipeline, shell.aliases, shell.env);
+      if (!parsed.ok || !expanded.ok) {
+        pushOutput(`shell: ${(parsed.ok ? expanded : parsed).error}`, 'error');
+        return;
+      }
+
+      const runScript = text => {
+        if (depth >= MAX_SOURCE_DEPTH) {
+          pushOutput('source: maximum nesting depth exceeded', 'error');
+          return;
+        }
+        scriptLines(text).forEach(scriptLine => runLine(scriptLine, depth + 1, startup));
+      };
+      const output = expanded.pipeline.reduce(
+        (stdin, argv) => runCommand(argv, stdin, runScript, startup),
+        null
+      );
+      if (parsed.redirect) {
+        writeStartupFile(output, parsed.redirect);
+      } else if (output !== null) {
+        pushOutput(output);
+      }
+    },
+    [fileSystem, pushOutput, runCommand, writeStartupFile]
+  );
+
+  // Latest runLine for the open effect below, which must only run when isOpen changes
+  const runLineRef = useRef(runLine);
+  useEffect(() => {
+    runLineRef.current = runLine;
+  }, [runLine]);
+
+  /**
+   * Initialize terminal with welcome message when opened: each session starts from a
+   * clean shell and runs the builtins in `~/.portfoliorc`
+   */
+  useEffect(() => {
+    if (isOpen) {
+      shellRef.current = { aliases: {}, env: { ...DEFAULT_ENV }, cwd: '/' };
+      scriptLines(loadRc()).forEach(line => runLineRef.current(line, 1, true));
+      setTimeout(() => inputRef.current?.focus(), 100);
+    } else {
+      pythonLoadRef.current = null;
+    }
+  }, [isOpen]);
+
+  /**
+   * Process a command line entered by the user: echo it, record it in the history
+   * and run it
    * @param {string} raw - Raw command string
    */
   const processCommand = useCallback(
@@ -129,131 +437,123 @@ const TerminalMode = React.memo(({ isOpen, onClose, welcomeMessage = '' }) => {
 
       // Record the command
       pushOutput(`$ ${trimmed}`, 'command');
-      setCmdHistory(prev => [trimmed, ...prev]);
+      setCmdHistory(prev => [trimmed, ...prev].slice(0, MAX_HISTORY));
       setCmdIndex(-1);
 
-      const parts = trimmed.split(/\s+/);
-      const cmd = parts[0].toLowerCase();
-      const args = parts.slice(1).join(' ').toLowerCase();
-
-      switch (cmd) {
-        case 'help':
-          pushOutput(
-            `Available commands:
-  help              Show this help message
-  ls                List available pages
-  cd <page>         Navigate to a page
-  goto <page>       Navigate to a page
-  whoami            Display developer info
-  skills            Display skill categories
-  projects          List featured projects
-  echo <text>       Echo text back
-  clear             Clear terminal output
-  exit / quit       Close terminal mode
-  sudo hire rishabh → ???`
-          );
-          break;
-
-        case 'ls':
-          pushOutput(
-            `Available pages:\n${Object.keys(PAGE_MAP)
-              .map(p => `  📁 ${p}`)
-              .join('\n')}`
-          );
-          break;
-
-        case 'cd':
-        case 'goto': {
-          const page = args || 'home';
-          const route = PAGE_MAP[page];
-          if (route) {
-            pushOutput(`Navigating to /${page}...`);
-            setTimeout(() => {
-              onClose();
-              navigate(route);
-            }, 400);
-          } else {
-            pushOutput(
-              `Error: page '${page}' not found. Type 'ls' to see available pages.`,
-              'error'
-            );
-          }
-          break;
-        }
+      runLine(trimmed);
+    },
+    [pushOutput, runLine]
+  );
 
-        case 'whoami':
-          pushOutput(
-            `${resumeData.basics.name}
-${resumeData.basics.title}
-📍 ${resumeData.basics.location.city}, ${resumeData.basics.location.country}
-📧 ${resumeData.basics.email}
-🌐 ${resumeData.basics.website}`
-          );
-          break;
-
-        case 'skills':
-          pushOutput(
-            resumeData.skills
-              .map(
-                cat =>
-                  `${cat.category}:\n${cat.items.map(s => `  • ${s.name} (${s.proficiency}%)`).join('\n')}`
-              )
-              .join('\n\n')
-          );
-          break;
-
-        case 'projects':
-          pushOutput(
-            resumeData.projects
-              .filter(p => p.featured)
-              .map(p => `★ ${p.title}\n  ${p.description.slice(0, 80)}...`)
-              .join('\n\n')
-          );
-          break;
-
-        case 'echo':
-          pushOutput(args || '');
-          break;
-
-        case 'clear':
-          setHistory([]);
-          break;
-
-        case 'exit':
-        case 'quit':
-          pushOutput('Goodbye! 👋');
-          setTimeout(() => onClose(), 500);
-          break;
-
-        case 'sudo':
-          if (args.includes('hire') && args.includes('rishabh')) {
-            pushOutput(
-              `🎉 EXCELLENT CHOICE! Rishabh has been hired!
-Just kidding... but seriously, let's chat!
-📧 ${resumeData.basics.email}
-💼 linkedin.com/in/rishabh-agrawal-1807321b9`
-            );
-          } else {
-            pushOutput(`sudo: command not recognized. Nice try though! 😄`, 'error');
-          }
-          break;
-
-        default:
-          pushOutput(`Command not found: '${cmd}'. Type 'help' for available commands.`, 'error');
+  const completionContext = useMemo(
+    () => ({ ...getCompletionSpec(), fs: fileSystem, cwd }),
+    [fileSystem, cwd]
+  );
+  const suggestion = useMemo(
+    () => (python ? null : getSuggestion(input, completionContext)),
+    [python, input, completionContext]
+  );
+  const searchMatches = useMemo(
+    () => (search?.query ? cmdHistory.filter(command => command.includes(search.query)) : []),
+    [search, cmdHistory]
+  );
+  const searchMatch = search
+    ? (searchMatches[Math.min(search.skip, searchMatches.length - 1)] ?? null)
+    : null;
+
+  /**
+   * Keys during a Ctrl+R history search: Ctrl+R again steps to an older match, Enter
+   * runs the match, arrows and Tab put it on the prompt for editing, and Escape or
+   * Ctrl+G cancel
+   */
+  const handleSearchKeyDown = useCallback(
+    e => {
+      if (e.ctrlKey && e.key === 'r') {
+        e.preventDefault();
+        setSearch(prev => ({
+          ...prev,
+          skip: Math.max(0, Math.min(prev.skip + 1, searchMatches.length - 1)),
+        }));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        setSearch(null);
+        if (!searchMatch || python === 'loading' || pythonBusy) return;
+        if (python) {
+          runPythonLine(searchMatch);
+        } else {
+          processCommand(searchMatch);
+        }
+        setInput('');
+      } else if (e.key === 'Escape' || (e.ctrlKey && e.key === 'g')) {
+        e.preventDefault();
+        setSearch(null);
+      } else if (['Tab', 'ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+        e.preventDefault();
+        setSearch(null);
+        if (searchMatch) setInput(searchMatch);
       }
     },
-    [navigate, onClose, pushOutput]
+    [searchMatches, searchMatch, python, pythonBusy, runPythonLine, processCommand]
   );
 
   /**
-   * Handle form submit and arrow key command history navigation
+   * Handle form submit, Tab completion and arrow key command history navigation.
+   * Ctrl+R starts a history search. In a Python session Tab indents, Ctrl+C stops the
+   * running line or drops the current statement, and Ctrl+D on an empty line returns to
+   * the shell.
    */
   const handleKeyDown = useCallback(
     e => {
-      if (e.key === 'Enter') {
+      const tabPending = tabPendingRef.current;
+      tabPendingRef.current = false;
+
+      if (e.key === 'Tab' && python) {
+        e.preventDefault();
+        const { selectionStart = input.length, selectionEnd = input.length } = e.target;
+        setInput(input.slice(0, selectionStart) + PYTHON_INDENT + input.slice(selectionEnd));
+      } else if (e.key === 'Tab') {
         e.preventDefault();
-        processCommand(input);
+        const { value, candidates } = completeInput(input, completionContext);
+        if (value !== input) {
+          setInput(value);
+        } else if (candidates.length > 1 && tabPending) {
+          pushOutput(`$ ${input}`, 'command');
+          pushOutput(candidates.map(candidate => candidate.label).join('  '));
+        } else {
+          tabPendingRef.current = candidates.length > 1;
+        }
+      } else if (e.key === 'ArrowRight' && suggestion && e.target.selectionStart === input.length) {
+        e.preventDefault();
+        setInput(suggestion.value);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (python === 'loading' || pythonBusy) return;
+        if (python) {
+          runPythonLine(input);
+        } else {
+          processCommand(input);
+        }
         setInput('');
+      } else if (e.ctrlKey && e.key === 'r') {
+        e.preventDefault();
+        setSearch({ query: '', skip: 0 });
+      } else if (python && e.ctrlKey && e.key === 'c' && pythonBusy) {
+        e.preventDefault();
+        python.interrupt();
+      } else if (python && e.ctrlKey && e.key === 'c') {
+        e.preventDefault();
+        pushOutput(`${pythonMore ? '...' : '>>>'} ${input}`, 'command');
+        pushOutput('KeyboardInterrupt', 'error');
+        setInput('');
+        if (python === 'loading') {
+          stopPython();
+        } else {
+          python.reset();
+          setPythonMore(false);
+        }
+      } else if (python && e.ctrlKey && e.key === 'd' && !input) {
+        e.preventDefault();
+        stopPython();
       } else if (e.key === 'ArrowUp') {
         e.preventDefault();
         if (cmdHistory.length > 0) {
@@ -276,11 +576,36 @@ Just kidding... but seriously, let's chat!
         onClose();
       }
     },
-    [input, processCommand, cmdHistory, cmdIndex, onClose]
+    [
+      input,
+      python,
+      pythonMore,
+      pythonBusy,
+      processCommand,
+      runPythonLine,
+      stopPython,
+      cmdHistory,
+      cmdIndex,
+      onClose,
+      completionContext,
+      suggestion,
+      pushOutput,
+    ]
   );
 
   if (!isOpen) return null;
 
+  let prompt = '$';
+  if (search) prompt = `(${search.query && !searchMatch ? 'failed ' : ''}reverse-i-search)`;
+  else if (python) prompt = pythonMore ? '...' : '>>>';
+
+  let ghost = null;
+  if (search && searchMatch) {
+    ghost = { typed: search.query, hint: `: ${searchMatch}`, className: 'text-gray-400' };
+  } else if (!search && suggestion) {
+    ghost = { typed: input, hint: suggestion.suffix, className: 'text-gray-600' };
+  }
+
   return (
     <AnimatePresence>
       {isOpen && (
@@ -342,7 +667,7 @@ Just kidding... but seriously, let's chat!
                         : 'text-gray-400 text-xs font-mono ml-3'
                     }
                   >
-                    rishabh@portfolio ~ %
+                    rishabh@portfolio {cwd === '/' ? '~' : `~${cwd}`} %
                   </span>
                 </div>
                 <button
@@ -377,20 +702,36 @@ Just kidding... but seriously, let's chat!
                   <label htmlFor="terminal-input" className="sr-only">
                     Terminal input
                   </label>
-                  <span className="text-green-400 flex-shrink-0">$</span>
-                  <input
-                    id="terminal-input"
-                    ref={inputRef}
-                    type="text"
-                    value={input}
-                    onChange={e => setInput(e.target.value)}
-                    onKeyDown={handleKeyDown}
-                    className="flex-1 bg-transparent text-green-400 font-mono text-sm outline-none caret-green-400"
-                    aria-label="Terminal input"
-                    autoComplete="off"
-                    spellCheck="false"
-                    autoCapitalize="off"
-                  />
+                  <span className="text-green-400 flex-shrink-0">{prompt}</span>
+                  <div className="relative flex-1">
+                    {/* Ghost text: the top completion, accepted with →, or the search match */}
+                    {ghost && (
+                      <span
+                        className="pointer-events-none absolute inset-0 overflow-hidden whitespace-pre font-mono text-sm"
+                        aria-hidden="true"
+                      >
+                        <span className="invisible">{ghost.typed}</span>
+                        <span className={ghost.className}>{ghost.hint}</span>
+                      </span>
+                    )}
+                    <input
+                      id="terminal-input"
+                      ref={inputRef}
+                      type="text"
+                      value={search ? search.query : input}
+                      onChange={e =>
+                        search
+                          ? setSearch({ query: e.target.value, skip: 0 })
+                          : setInput(e.target.value)
+                      }
+                      onKeyDown={search ? handleSearchKeyDown : handleKeyDown}
+                      className="relative w-full bg-transparent text-green-400 font-mono text-sm outline-none caret-green-400"
+                      aria-label="Terminal input"
+                      autoComplete="off"
+                      spellCheck="false"
+                      autoCapitalize="off"
+                    />
+                  </div>
                 </div>
               </div>
             </div>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import TerminalMode from './TerminalMode';
 
@@ -12,7 +12,20 @@ vi.mock('react-router-dom', () => ({
   useNavigate: () => mockNavigate,
 }));
 
-vi.mock('./theme-context', () => ({
+const { mockStartPythonRepl, mockRepl } = vi.hoisted(() => ({
+  mockStartPythonRepl: vi.fn(),
+  mockRepl: {
+    version: '3.11.3',
+    push: vi.fn(),
+    reset: vi.fn(),
+    interrupt: vi.fn(),
+    destroy: vi.fn(),
+  },
+}));
+vi.mock('./pythonWorkerClient', () => ({ startPythonRepl: mockStartPythonRepl }));
+
+vi.mock('./theme-context', async () => ({
+  ...(await vi.importActual('./theme-context')),
   useTheme: vi.fn(() => ({ theme: 'neubrutalism' })),
 }));
 
@@ -29,6 +42,7 @@ describe('TerminalMode Component', () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    localStorage.clear();
   });
 
   it('does not render when isOpen is false', () => {
@@ -173,17 +187,222 @@ describe('TerminalMode Component', () => {
     fireEvent.change(input, { target: { value: 'ls' } });
     fireEvent.keyDown(input, { key: 'Enter' });
 
-    expect(screen.getByText(/Available pages:/i)).toBeInTheDocument();
-    expect(screen.getByText(/📁 home/i)).toBeInTheDocument();
+    expect(screen.getByText(/blog\/ +games\/ +projects\//)).toBeInTheDocument();
+    expect(screen.getByText(/about\.md +contact\.md/)).toBeInTheDocument();
   });
 
-  it('processes "cd" command and navigates to the page', () => {
-    vi.useFakeTimers();
+  it('processes "ls -l" with permissions and sizes', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'ls -l resume' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText(/total 5/)).toHaveTextContent(/-r--r--r-- +\d+ +experience\.md/);
+  });
+
+  it('changes directory with "cd" and prints it with "pwd"', () => {
     render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
     const input = screen.getByRole('textbox', { name: /terminal input/i });
 
     fireEvent.change(input, { target: { value: 'cd projects' } });
     fireEvent.keyDown(input, { key: 'Enter' });
+    fireEvent.change(input, { target: { value: 'pwd' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('/projects')).toBeInTheDocument();
+    expect(screen.getByText('rishabh@portfolio ~/projects %')).toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: 'cd ..' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText('rishabh@portfolio ~ %')).toBeInTheDocument();
+  });
+
+  it('shows an error when "cd" targets a file', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'cd about.md' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('cd: about.md: Not a directory')).toHaveClass('text-red-400');
+  });
+
+  it('prints files with "cat" relative to the working directory', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'cd resume' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    fireEvent.change(input, { target: { value: 'cat experience.md' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText(/^# Experience/)).toBeInTheDocument();
+  });
+
+  it('rejects directories in "cat"', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'cat projects' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('cat: projects: Is a directory')).toBeInTheDocument();
+  });
+
+  it('prints the first lines of a file with "head -n"', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'head -n 1 ~/resume/skills.md' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('# Skills')).toBeInTheDocument();
+  });
+
+  it('draws the directory tree with "tree"', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'tree resume' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText(/0 directories, 5 files/)).toHaveTextContent('└── languages.md');
+  });
+
+  it('opens the page behind a file with "open"', () => {
+    vi.useFakeTimers();
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'open /projects/coding-for-mba.md' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('Opening /projects/coding-for-mba...')).toBeInTheDocument();
+
+    vi.runAllTimers();
+    expect(mockOnClose).toHaveBeenCalled();
+    expect(mockNavigate).toHaveBeenCalledWith('/projects/coding-for-mba');
+    vi.useRealTimers();
+  });
+
+  it('pipes command output through grep', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'skills | grep python' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const output = screen.getByText(/• Python/);
+    expect(output).not.toHaveTextContent('Programming:');
+    expect(output).not.toHaveTextContent('SQL');
+  });
+
+  it('counts piped words with "wc -w"', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'ls ~/resume | wc -w' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('5')).toBeInTheDocument();
+  });
+
+  it('keeps quoted arguments together and preserves their case', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'echo "Hello   World" | grep -c "o   W"' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('1')).toBeInTheDocument();
+  });
+
+  it('shows shell and filter errors as error lines', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'echo "unclosed' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText(/shell: unexpected end of input/)).toHaveClass('text-red-400');
+
+    fireEvent.change(input, { target: { value: 'tail -n x about.md' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText("tail: invalid number of lines: 'x'")).toHaveClass('text-red-400');
+  });
+
+  it('completes commands and paths with Tab', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'hel' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(input.value).toBe('help ');
+
+    fireEvent.change(input, { target: { value: 'cd ~/res' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(input.value).toBe('cd ~/resume/');
+  });
+
+  it('completes page aliases for "goto"', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'goto pl' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(input.value).toBe('goto playground ');
+  });
+
+  it('lists the candidates on a second Tab', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'goto ' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(screen.queryByText(/blog +contact +games/)).not.toBeInTheDocument();
+
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(screen.getByText(/blog +contact +games +home/)).toBeInTheDocument();
+    expect(input.value).toBe('goto ');
+  });
+
+  it('shows the top suggestion as ghost text and accepts it with ArrowRight', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'whoa' } });
+    expect(screen.getByText('mi')).toHaveClass('text-gray-600');
+
+    fireEvent.keyDown(input, { key: 'ArrowRight' });
+    expect(input.value).toBe('whoami');
+  });
+
+  it('shows one skill category or project by name', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'skills soft skills' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText(/^Soft Skills:/)).toBeInTheDocument();
+    expect(screen.queryByText(/^Programming:/)).not.toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: 'projects vitable' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText(/^VITable .*Tech:/)).toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: 'projects nope' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText("projects: no project named 'nope'")).toBeInTheDocument();
+  });
+
+  it('processes "goto" command and navigates to the page', () => {
+    vi.useFakeTimers();
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'goto projects' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
 
     expect(screen.getByText(/Navigating to \/projects.../i)).toBeInTheDocument();
 
@@ -193,6 +412,22 @@ describe('TerminalMode Component', () => {
     vi.useRealTimers();
   });
 
+  it('runs commands registered by feature modules', () => {
+    vi.useFakeTimers();
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'play chess' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText(/play: choose one of/)).toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: 'play snake' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    vi.runAllTimers();
+    expect(mockNavigate).toHaveBeenCalledWith('/games?game=snake');
+    vi.useRealTimers();
+  });
+
   it('processes "goto" command and navigates to home if no argument is passed', () => {
     vi.useFakeTimers();
     render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
@@ -209,16 +444,26 @@ describe('TerminalMode Component', () => {
     vi.useRealTimers();
   });
 
-  it('shows error for "cd" or "goto" with invalid page', () => {
+  it('shows error for "goto" with invalid page', () => {
     render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
     const input = screen.getByRole('textbox', { name: /terminal input/i });
 
-    fireEvent.change(input, { target: { value: 'cd nonexistentpage' } });
+    fireEvent.change(input, { target: { value: 'goto nonexistentpage' } });
     fireEvent.keyDown(input, { key: 'Enter' });
 
     expect(screen.getByText(/Error: page 'nonexistentpage' not found/i)).toBeInTheDocument();
   });
 
+  it('shows error for "cd" into a missing directory', () => {
+    render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+    const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+    fireEvent.change(input, { target: { value: 'cd nonexistentpage' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.getByText('cd: nonexistentpage: No such file or directory')).toBeInTheDocument();
+  });
+
   it('processes "whoami" command correctly', () => {
     render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
     const input = screen.getByRole('textbox', { name: /terminal input/i });
@@ -399,4 +644,282 @@ describe('TerminalMode Component', () => {
     expect(input.value).toBe('');
     expect(screen.queryByText(/Command not found/i)).not.toBeInTheDocument();
   });
+
+  describe('python', () => {
+    /** A `push` that prints the given output and resolves with the rest of the result */
+    const reply =
+      ({ stdout, stderr, ...result } = {}) =>
+      async (line, { onStdout, onStderr }) => {
+        if (stdout) onStdout(stdout);
+        if (stderr) onStderr(stderr);
+        return { status: 'ok', more: false, exited: false, ...result };
+      };
+
+    const startPython = async () => {
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+      fireEvent.change(input, { target: { value: 'python' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+      await screen.findByText(/Python 3\.11\.3 \(Pyodide\)/);
+      return input;
+    };
+
+    const type = (input, value) => {
+      fireEvent.change(input, { target: { value } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+    };
+
+    beforeEach(() => {
+      mockStartPythonRepl.mockResolvedValue(mockRepl);
+    });
+
+    it('runs lines in a Python session until exit()', async () => {
+      const input = await startPython();
+      expect(screen.getByText('>>>')).toBeInTheDocument();
+
+      mockRepl.push.mockImplementationOnce(reply({ stdout: '2\n' }));
+      type(input, '1 + 1');
+      expect(mockRepl.push).toHaveBeenCalledWith('1 + 1', expect.any(Object));
+      expect(screen.getByText('>>> 1 + 1')).toHaveClass('text-green-400');
+      expect(await screen.findByText('2')).toBeInTheDocument();
+
+      mockRepl.push.mockImplementationOnce(reply({ exited: true }));
+      type(input, 'exit()');
+      expect(await screen.findByText('$')).toBeInTheDocument();
+      expect(mockRepl.destroy).toHaveBeenCalled();
+
+      type(input, 'pwd');
+      expect(screen.getByText('$ pwd')).toBeInTheDocument();
+    });
+
+    it('continues statements over several lines and prints tracebacks', async () => {
+      const input = await startPython();
+
+      mockRepl.push.mockImplementationOnce(reply({ more: true }));
+      type(input, 'for i in range(2):');
+      expect(await screen.findByText('...')).toBeInTheDocument();
+
+      fireEvent.change(input, { target: { value: '' } });
+      fireEvent.keyDown(input, { key: 'Tab' });
+      expect(input.value).toBe('    ');
+
+      mockRepl.push.mockImplementationOnce(reply({ more: true }));
+      type(input, '    1 / 0');
+      await screen.findByText('... 1 / 0');
+      mockRepl.push.mockImplementationOnce(
+        reply({
+          stderr: 'Traceback (most recent call last):\nZeroDivisionError: division by zero\n',
+        })
+      );
+      type(input, '');
+
+      expect(await screen.findByText(/ZeroDivisionError: division by zero/)).toHaveClass(
+        'text-red-400'
+      );
+      expect(await screen.findByText('>>>')).toBeInTheDocument();
+    });
+
+    it('drops the statement on Ctrl+C and leaves on Ctrl+D', async () => {
+      const input = await startPython();
+
+      fireEvent.change(input, { target: { value: 'x = (' } });
+      fireEvent.keyDown(input, { key: 'c', ctrlKey: true });
+      expect(mockRepl.reset).toHaveBeenCalled();
+      expect(screen.getByText('KeyboardInterrupt')).toBeInTheDocument();
+      expect(input.value).toBe('');
+
+      fireEvent.keyDown(input, { key: 'd', ctrlKey: true });
+      expect(screen.getByText('$')).toBeInTheDocument();
+      await waitFor(() => expect(mockRepl.destroy).toHaveBeenCalled());
+    });
+
+    it('interrupts a running line on Ctrl+C and reports a restarted session', async () => {
+      const input = await startPython();
+      let finish;
+      mockRepl.push.mockImplementationOnce(
+        () =>
+          new Promise(resolve => {
+            finish = resolve;
+          })
+      );
+
+      type(input, 'while True: pass');
+      type(input, 'print(1)');
+      expect(mockRepl.push).toHaveBeenCalledTimes(1);
+
+      fireEvent.keyDown(input, { key: 'c', ctrlKey: true });
+      expect(mockRepl.interrupt).toHaveBeenCalled();
+      expect(mockRepl.reset).not.toHaveBeenCalled();
+
+      finish({ status: 'stopped', error: 'Execution stopped', restarted: true });
+      expect(await screen.findByText('Execution stopped')).toHaveClass('text-red-400');
+      expect(
+        screen.getByText('Python was restarted; earlier variables are gone.')
+      ).toBeInTheDocument();
+      expect(screen.getByText('>>>')).toBeInTheDocument();
+    });
+
+    it('ends the session when the terminal closes', async () => {
+      const { rerender } = render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      type(screen.getByRole('textbox', { name: /terminal input/i }), 'python');
+      await screen.findByText(/Python 3\.11\.3 \(Pyodide\)/);
+
+      rerender(<TerminalMode isOpen={false} onClose={mockOnClose} />);
+
+      expect(mockRepl.destroy).toHaveBeenCalled();
+    });
+
+    it('updates the loading line with download progress', async () => {
+      let finish;
+      mockStartPythonRepl.mockImplementationOnce(({ onProgress }) => {
+        onProgress({ source: 'local', loaded: 1500000, total: 20000000 });
+        onProgress({ source: 'cdn', loaded: 5000000, total: 20000000 });
+        return new Promise(resolve => {
+          finish = resolve;
+        });
+      });
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      type(screen.getByRole('textbox', { name: /terminal input/i }), 'python');
+
+      expect(screen.getByText('Loading Python... 25% of 20.0 MB from CDN')).toBeInTheDocument();
+      expect(screen.queryByText(/local copy/)).not.toBeInTheDocument();
+
+      finish(mockRepl);
+      expect(await screen.findByText(/Python 3\.11\.3 \(Pyodide\)/)).toBeInTheDocument();
+    });
+
+    it('reports a runtime that fails to load', async () => {
+      mockStartPythonRepl.mockRejectedValueOnce(new Error('offline'));
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+      type(input, 'python');
+
+      expect(
+        await screen.findByText('python: could not load the Python runtime (offline)')
+      ).toBeInTheDocument();
+      await waitFor(() => expect(screen.getByText('$')).toBeInTheDocument());
+    });
+  });
+
+  describe('session', () => {
+    const run = (input, value) => {
+      fireEvent.change(input, { target: { value } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+    };
+
+    it('keeps the command history across visits', () => {
+      const { rerender } = render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      run(screen.getByRole('textbox', { name: /terminal input/i }), 'pwd');
+
+      rerender(<TerminalMode isOpen={false} onClose={mockOnClose} />);
+      rerender(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+
+      expect(input.value).toBe('pwd');
+      run(input, 'history');
+      expect(screen.getByText(/^1 +pwd$/)).toBeInTheDocument();
+    });
+
+    it('defines aliases and variables', () => {
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+      run(input, "alias hi='echo hello $WHO'");
+      run(input, 'export WHO=world');
+      run(input, 'hi again');
+      expect(screen.getByText('hello world again')).toBeInTheDocument();
+
+      run(input, 'alias');
+      expect(
+        screen.getByText(/^alias hi='echo hello \$WHO' alias ll='ls -l'$/)
+      ).toBeInTheDocument();
+      run(input, 'unalias hi');
+      run(input, 'hi');
+      expect(screen.getByText(/Command not found: 'hi'/)).toBeInTheDocument();
+    });
+
+    it('runs ~/.portfoliorc on open and lets redirection edit it', () => {
+      localStorage.setItem(
+        'portfolio_terminal_rc',
+        "alias ll='ls -l'\n# greeting\necho welcome back"
+      );
+      const { rerender } = render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+      expect(screen.getByText('welcome back')).toBeInTheDocument();
+
+      run(input, 'echo "export GREETING=hi" >> ~/.portfoliorc');
+      run(input, 'cat ~/.portfoliorc | tail -n 1');
+      expect(screen.getByText('export GREETING=hi')).toBeInTheDocument();
+
+      run(input, 'echo nope > about.md');
+      expect(screen.getByText(/cannot redirect to 'about.md'/)).toBeInTheDocument();
+
+      rerender(<TerminalMode isOpen={false} onClose={mockOnClose} />);
+      rerender(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      run(screen.getByRole('textbox', { name: /terminal input/i }), 'echo $GREETING');
+      expect(screen.getByText('hi')).toBeInTheDocument();
+    });
+
+    it('only runs shell builtins from ~/.portfoliorc', async () => {
+      vi.useFakeTimers();
+      localStorage.setItem(
+        'portfolio_terminal_rc',
+        'exit\ngoto projects\npython\nalias home=pwd\necho ready'
+      );
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      vi.runAllTimers();
+      vi.useRealTimers();
+
+      expect(mockOnClose).not.toHaveBeenCalled();
+      expect(mockNavigate).not.toHaveBeenCalled();
+      expect(mockStartPythonRepl).not.toHaveBeenCalled();
+      expect(
+        screen.getByText(
+          ".portfoliorc: 'exit' cannot run at startup (allowed: alias, unalias, export, echo, source)"
+        )
+      ).toBeInTheDocument();
+      expect(screen.getByText('ready')).toBeInTheDocument();
+
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+      run(input, 'home');
+      expect(screen.getByText('/')).toBeInTheDocument();
+      run(input, 'exit');
+      await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+    });
+
+    it('stops files that source themselves', () => {
+      localStorage.setItem('portfolio_terminal_rc', 'source ~/.portfoliorc');
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+
+      expect(screen.getByText('source: maximum nesting depth exceeded')).toBeInTheDocument();
+    });
+
+    it('searches the history with Ctrl+R', () => {
+      localStorage.setItem(
+        'portfolio_terminal_history',
+        JSON.stringify(['echo second', 'pwd', 'echo first'])
+      );
+      render(<TerminalMode isOpen={true} onClose={mockOnClose} />);
+      const input = screen.getByRole('textbox', { name: /terminal input/i });
+
+      fireEvent.keyDown(input, { key: 'r', ctrlKey: true });
+      fireEvent.change(input, { target: { value: 'echo' } });
+      expect(screen.getByText('(reverse-i-search)')).toBeInTheDocument();
+      expect(screen.getByText(': echo second')).toBeInTheDocument();
+
+      fireEvent.keyDown(input, { key: 'r', ctrlKey: true });
+      expect(screen.getByText(': echo first')).toBeInTheDocument();
+      fireEvent.keyDown(input, { key: 'Enter' });
+      expect(screen.getByText('$ echo first')).toBeInTheDocument();
+
+      fireEvent.keyDown(input, { key: 'r', ctrlKey: true });
+      fireEvent.change(input, { target: { value: 'zzz' } });
+      expect(screen.getByText('(failed reverse-i-search)')).toBeInTheDocument();
+      fireEvent.keyDown(input, { key: 'Escape' });
+      expect(mockOnClose).not.toHaveBeenCalled();
+      expect(screen.getByText('$')).toBeInTheDocument();
+    });
+  });
 });
@@ -1,3 +1,5 @@
+import { MAX_SUMMARY_CHARS } from '../../services/chatSummary';
+
 /**
  * Maximum number of messages to include in the context sent to the Gemini API.
  * Helps prevent exceeding token limits.
@@ -5,6 +7,23 @@
  */
 const MAX_HISTORY_CONTEXT = 30;
 
+/**
+ * Character limits of the history sent to the model. They mirror
+ * `sanitizeHistoryForGemini`, which would otherwise silently truncate it.
+ * @type {number}
+ */
+const MAX_CONTEXT_CHARS_PER_MESSAGE = 4000;
+const HISTORY_CHAR_BUDGET = 60000;
+
+/**
+ * Messages kept verbatim after older ones are summarised, so the next summary is
+ * only needed once another batch of messages has built up.
+ * @type {number}
+ */
+const RECENT_MESSAGES_AFTER_SUMMARY = 20;
+
+const SUMMARY_PREFIX = 'Summary of our earlier conversation:';
+
 /**
  * Appends a new user message to the existing message array.
  *
@@ -14,15 +33,107 @@ const MAX_HISTORY_CONTEXT = 30;
  */
 export const buildNextMessages = (messages, userMsg) => [...messages, userMsg];
 
+/**
+ * Returns the text a message contributes to the model context. Actions the model ran
+ * are appended as `(action: <label>)` lines so it knows what it already did, and so
+ * action-only replies are not dropped as empty.
+ *
+ * @param {Object} message - Internal chat message.
+ * @returns {string} Message text including successful actions.
+ */
+const getContextText = message => {
+  const actions = Array.isArray(message.actions) ? message.actions : [];
+  return [
+    message.text,
+    ...actions
+      .filter(action => action?.ok && typeof action.label === 'string')
+      .map(action => `(action: ${action.label})`),
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Returns the messages the summary does not cover yet. When the summarised message
+ * is no longer in the list (it fell off the stored cap), every message is newer.
+ *
+ * @param {Array<Object>} messages - The internal array of chat messages.
+ * @param {{throughId: string|number}|undefined} summary - Rolling summary of the thread.
+ * @returns {Array<Object>} Messages after the summarised ones.
+ */
+const getUnsummarizedMessages = (messages, summary) => {
+  if (!summary) return messages;
+  const index = messages.findIndex(message => message.id === summary.throughId);
+  return index === -1 ? messages : messages.slice(index + 1);
+};
+
+/**
+ * Picks the most recent messages that fit an entry limit and the character budget.
+ *
+ * @param {Array<Object>} messages - Candidate messages, oldest first.
+ * @param {number} maxEntries - Maximum number of messages.
+ * @returns {Array<Object>} The most recent messages that fit.
+ */
+const selectRecentMessages = (messages, maxEntries) => {
+  // Leave room for the summary entry itself
+  let remainingChars = HISTORY_CHAR_BUDGET - MAX_SUMMARY_CHARS - SUMMARY_PREFIX.length;
+  let start = messages.length;
+
+  while (start > 0 && messages.length - start < maxEntries) {
+    const chars = Math.min(
+      getContextText(messages[start - 1]).length,
+      MAX_CONTEXT_CHARS_PER_MESSAGE
+    );
+    if (chars > remainingChars) break;
+    remainingChars -= chars;
+    start -= 1;
+  }
+
+  return messages.slice(start);
+};
+
+/**
+ * Decides whether older messages should be condensed into the rolling summary.
+ *
+ * Returns null while the unsummarised messages fit the context budget. Otherwise it
+ * returns the messages to fold into the summary, keeping the most recent
+ * `RECENT_MESSAGES_AFTER_SUMMARY` (fewer if they are long) verbatim.
+ *
+ * @param {Array<Object>} messages - The internal array of chat messages.
+ * @param {{text: string, throughId: string|number}} [summary] - Current rolling summary.
+ * @returns {{messages: Array<Object>, throughId: string|number}|null} Messages to summarise and the last one's ID.
+ */
+export const planSummary = (messages, summary) => {
+  const pending = getUnsummarizedMessages(messages, summary);
+  if (selectRecentMessages(pending, MAX_HISTORY_CONTEXT - 1).length === pending.length) {
+    return null;
+  }
+
+  const recent = selectRecentMessages(pending, RECENT_MESSAGES_AFTER_SUMMARY);
+  const older = pending.slice(0, pending.length - recent.length);
+  return { messages: older, throughId: older[older.length - 1].id };
+};
+
 /**
  * Transforms the internal chat history array into the format expected by the Gemini API.
- * Truncates the history to the last `MAX_HISTORY_CONTEXT` messages.
+ * Keeps the most recent messages not covered by the rolling summary, within the last
+ * `MAX_HISTORY_CONTEXT` entries and the character budget, and puts the summary first.
  *
  * @param {Array<Object>} messages - The internal array of chat messages.
+ * @param {{text: string, throughId: string|number}} [summary] - Rolling summary of older messages.
  * @returns {Array<Object>} The formatted history array for Gemini.
  */
-export const buildGeminiHistory = messages =>
-  messages.slice(-MAX_HISTORY_CONTEXT).map(message => ({
+export const buildGeminiHistory = (messages, summary) => {
+  const recent = selectRecentMessages(
+    getUnsummarizedMessages(messages, summary),
+    summary ? MAX_HISTORY_CONTEXT - 1 : MAX_HISTORY_CONTEXT
+  );
+  const history = recent.map(message => ({
     role: message.role,
-    parts: [{ text: message.text }],
+    parts: [{ text: getContextText(message) }],
   }));
+
+  return summary
+    ? [{ role: 'user', parts: [{ text: `${SUMMARY_PREFIX}\n${summary.text}` }] }, ...history]
+    : history;
+};
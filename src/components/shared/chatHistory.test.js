@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { buildGeminiHistory, buildNextMessages, planSummary } from './chatHistory';
+
+const makeMessages = (count, text = index => `Message ${index}`) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `id-${index}`,
+    role: index % 2 ? 'model' : 'user',
+    text: text(index),
+  }));
+
+describe('chatHistory', () => {
+  it('appends the user message', () => {
+    const messages = [{ id: '1', role: 'model', text: 'Hi' }];
+
+    expect(buildNextMessages(messages, { id: '2', role: 'user', text: 'Hello' })).toHaveLength(2);
+  });
+
+  it('maps messages to Gemini history', () => {
+    expect(buildGeminiHistory([{ id: '1', role: 'user', text: 'Hello' }])).toEqual([
+      { role: 'user', parts: [{ text: 'Hello' }] },
+    ]);
+  });
+
+  it('keeps only the most recent messages', () => {
+    const messages = Array.from({ length: 40 }, (_, index) => ({
+      id: String(index),
+      role: 'user',
+      text: `Message ${index}`,
+    }));
+
+    const history = buildGeminiHistory(messages);
+
+    expect(history).toHaveLength(30);
+    expect(history[0].parts[0].text).toBe('Message 10');
+  });
+
+  it('adds successful actions to the model text', () => {
+    const history = buildGeminiHistory([
+      {
+        id: '1',
+        role: 'model',
+        text: 'Opening it.',
+        actions: [
+          { name: 'start_game', label: 'Started Snake', ok: true },
+          { name: 'navigate', label: 'Skipped navigate: Invalid path', ok: false },
+        ],
+      },
+      {
+        id: '2',
+        role: 'model',
+        text: '',
+        actions: [{ name: 'navigate', label: 'Opened Resume', ok: true }],
+      },
+    ]);
+
+    expect(history.map(entry => entry.parts[0].text)).toEqual([
+      'Opening it.\n(action: Started Snake)',
+      '(action: Opened Resume)',
+    ]);
+  });
+
+  it('puts the summary first and leaves out the messages it covers', () => {
+    const history = buildGeminiHistory(makeMessages(6), {
+      text: 'Earlier topics',
+      throughId: 'id-3',
+    });
+
+    expect(history.map(entry => entry.parts[0].text)).toEqual([
+      'Summary of our earlier conversation:\nEarlier topics',
+      'Message 4',
+      'Message 5',
+    ]);
+    expect(history[0].role).toBe('user');
+  });
+
+  it('drops the oldest messages beyond the character budget', () => {
+    const history = buildGeminiHistory(makeMessages(20, () => 'x'.repeat(5000)));
+
+    // 4,000 counted characters each (the per-message cap) against the budget
+    expect(history.length).toBeLessThan(15);
+    expect(history.length).toBeGreaterThan(10);
+  });
+
+  it('plans no summary while the history fits', () => {
+    expect(planSummary(makeMessages(29))).toBeNull();
+  });
+
+  it('plans a summary of all but the most recent messages', () => {
+    const plan = planSummary(makeMessages(40));
+
+    expect(plan.messages).toHaveLength(20);
+    expect(plan.throughId).toBe('id-19');
+  });
+
+  it('plans the next summary from the messages after the last one', () => {
+    const messages = makeMessages(60);
+
+    expect(planSummary(messages, { text: 'Earlier', throughId: 'id-30' })).toBeNull();
+    expect(planSummary(messages, { text: 'Earlier', throughId: 'id-19' }).messages[0].id).toBe(
+      'id-20'
+    );
+  });
+
+  it('summarises long messages sooner', () => {
+    const plan = planSummary(makeMessages(20, () => 'x'.repeat(5000)));
+
+    expect(plan.messages.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Chat Threads Module
+ *
+ * Named chat conversations persisted to localStorage as one store:
+ * `{ activeId, threads: [{ id, title, updatedAt, messages, summary? }] }`, where `summary`
+ * is the rolling summary of messages that no longer fit the model context.
+ * Every thread is validated and capped on load the same way the single transcript
+ * was, and the pre-threads transcript (`portfolio_chat_history`) is migrated into
+ * the first thread.
+ *
+ * @module components/shared/chatThreads
+ */
+
+import { isValidChatMessage } from '../../utils/security';
+import { generateId } from '../../utils/id';
+import { MAX_SUMMARY_CHARS } from '../../services/chatSummary';
+import {
+  safeGetLocalStorage,
+  safeSetLocalStorage,
+  safeRemoveLocalStorage,
+} from '../../utils/storage';
+
+// localStorage key for the thread store
+export const THREADS_STORAGE_KEY = 'portfolio_chat_threads';
+
+// localStorage key of the single transcript kept before threads existed
+export const LEGACY_STORAGE_KEY = 'portfolio_chat_history';
+
+// Maximum number of messages to load per thread (DoS prevention)
+// ReactMarkdown rendering is expensive; limit to most recent messages
+export const MAX_STORED_MESSAGES = 100;
+
+// Maximum number of threads, keeping the whole store well under the localStorage quota
+export const MAX_THREADS = 20;
+
+// Thread titles are shown in a compact picker
+export const MAX_TITLE_LENGTH = 60;
+
+const DEFAULT_MESSAGE_ID = 'default-message';
+
+/**
+ * The greeting every new thread starts with.
+ *
+ * @returns {{id: string, role: 'model', text: string}} Greeting message
+ */
+export const createDefaultMessage = () => ({
+  id: DEFAULT_MESSAGE_ID,
+  role: 'model',
+  text: "Hi! I'm Digital Rishabh. Ask me about my projects, skills, or experience!",
+});
+
+/**
+ * Trims and collapses whitespace in a thread title and clamps it to `MAX_TITLE_LENGTH`.
+ *
+ * @param {unknown} title - Candidate title
+ * @returns {string} Clean title; empty when the input was not usable
+ */
+export const sanitizeThreadTitle = title =>
+  typeof title === 'string' ? title.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH) : '';
+
+/**
+ * Validates stored messages and keeps the most recent `MAX_STORED_MESSAGES`.
+ *
+ * Security: guards against malformed or oversized data from localStorage. XSS
+ * mitigation is handled when rendering via ReactMarkdown and isSafeHref, not here.
+ *
+ * @param {unknown} messages - Parsed message array
+ * @returns {Array<Object>} Valid messages with usable IDs; empty when none survive
+ */
+export const sanitizeStoredMessages = messages => {
+  if (!Array.isArray(messages)) return [];
+
+  return messages
+    .filter(isValidChatMessage)
+    .slice(-MAX_STORED_MESSAGES)
+    .map(message => {
+      const existingId = message.id;
+      const isStringId = typeof existingId === 'string' && existingId.trim() !== '';
+      const isNumberId = typeof existingId === 'number' && Number.isFinite(existingId);
+      const safeId = isStringId || isNumberId ? existingId : generateId();
+
+      return {
+        ...message,
+        id: safeId,
+      };
+    });
+};
+
+/**
+ * Default name for a new thread: the lowest "Chat N" not taken yet.
+ *
+ * @param {Array<{title: string}>} threads - Existing threads
+ * @returns {string} Title such as "Chat 3"
+ */
+export const nextThreadTitle = threads => {
+  const taken = new Set(threads.map(thread => thread.title));
+  let number = 1;
+  while (taken.has(`Chat ${number}`)) number += 1;
+  return `Chat ${number}`;
+};
+
+/**
+ * Creates a thread.
+ *
+ * @param {object} [options]
+ * @param {string} [options.title] - Title; defaults to "Chat 1"
+ * @param {Array<Object>} [options.messages] - Messages; defaults to the greeting
+ * @param {{text: string, throughId: string}|null} [options.summary] - Rolling summary of the messages
+ * @returns {{id: string, title: string, updatedAt: number, messages: Array<Object>, summary?: Object}} New thread
+ */
+export const createThread = ({ title, messages, summary } = {}) => ({
+  id: generateId(),
+  title: sanitizeThreadTitle(title) || 'Chat 1',
+  updatedAt: Date.now(),
+  messages: messages?.length ? messages : [createDefaultMessage()],
+  ...(summary ? { summary } : {}),
+});
+
+/**
+ * Validates a stored rolling summary.
+ *
+ * @param {unknown} summary - Parsed summary
+ * @returns {{text: string, throughId: string|number}|null} Clean summary, or null when unusable
+ * @private
+ */
+const sanitizeSummary = summary => {
+  if (!summary || typeof summary !== 'object') return null;
+  const { text, throughId } = summary;
+  const isValidId =
+    (typeof throughId === 'string' && throughId.trim() !== '') ||
+    (typeof throughId === 'number' && Number.isFinite(throughId));
+  if (typeof text !== 'string' || !text || text.length > MAX_SUMMARY_CHARS || !isValidId) {
+    return null;
+  }
+  return { text, throughId };
+};
+
+/**
+ * Validates one stored thread.
+ *
+ * @param {unknown} thread - Parsed thread
+ * @returns {Object|null} Clean thread, or null when unusable
+ * @private
+ */
+const sanitizeThread = thread => {
+  if (!thread || typeof thread !== 'object' || Array.isArray(thread)) return null;
+
+  const id = typeof thread.id === 'string' && thread.id.trim() ? thread.id : generateId();
+  const messages = sanitizeStoredMessages(thread.messages);
+  const summary = sanitizeSummary(thread.summary);
+
+  return {
+    id,
+    title: sanitizeThreadTitle(thread.title) || 'Untitled chat',
+    updatedAt: Number.isFinite(thread.updatedAt) ? thread.updatedAt : 0,
+    messages: messages.length > 0 ? messages : [createDefaultMessage()],
+    ...(summary ? { summary } : {}),
+  };
+};
+
+/**
+ * Reads the transcript saved before threads existed.
+ *
+ * @returns {Array<Object>} Its valid messages; empty when there is none
+ * @private
+ */
+const loadLegacyMessages = () => {
+  try {
+    const saved = safeGetLocalStorage(LEGACY_STORAGE_KEY);
+    return saved ? sanitizeStoredMessages(JSON.parse(saved)) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Loads the thread store, migrating the legacy single transcript into the first
+ * thread when no store exists yet. Always returns at least one thread.
+ *
+ * @returns {{activeId: string, threads: Array<Object>}} Thread store
+ */
+export const loadThreadStore = () => {
+  try {
+    const saved = safeGetLocalStorage(THREADS_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : null;
+    if (parsed && typeof parsed === 'object' && Array.isArray(parsed.threads)) {
+      const seenIds = new Set();
+      const threads = parsed.threads
+        .slice(0, MAX_THREADS)
+        .map(sanitizeThread)
+        .filter(thread => {
+          if (!thread || seenIds.has(thread.id)) return false;
+          seenIds.add(thread.id);
+          return true;
+        });
+
+      if (threads.length > 0) {
+        const activeId = seenIds.has(parsed.activeId) ? parsed.activeId : threads[0].id;
+        return { activeId, threads };
+      }
+    }
+  } catch {
+    // Ignore load errors and fall back to the legacy transcript
+  }
+
+  const thread = createThread({ messages: loadLegacyMessages() });
+  return { activeId: thread.id, threads: [thread] };
+};
+
+/**
+ * Persists the thread store and drops the legacy transcript, whose history now
+ * lives in the store.
+ *
+ * @param {{activeId: string, threads: Array<Object>}} store - Thread store
+ */
+export const saveThreadStore = store => {
+  safeSetLocalStorage(THREADS_STORAGE_KEY, JSON.stringify(store));
+  safeRemoveLocalStorage(LEGACY_STORAGE_KEY);
+};
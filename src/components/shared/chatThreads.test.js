@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  LEGACY_STORAGE_KEY,
+  MAX_STORED_MESSAGES,
+  MAX_THREADS,
+  THREADS_STORAGE_KEY,
+  createThread,
+  loadThreadStore,
+  nextThreadTitle,
+  saveThreadStore,
+  sanitizeThreadTitle,
+} from './chatThreads';
+import * as storage from '../../utils/storage';
+
+vi.mock('../../utils/storage', () => ({
+  safeGetLocalStorage: vi.fn(),
+  safeSetLocalStorage: vi.fn(),
+  safeRemoveLocalStorage: vi.fn(),
+}));
+
+// Serves each storage key its own value
+const mockStorage = values => {
+  storage.safeGetLocalStorage.mockImplementation(key =>
+    key in values ? JSON.stringify(values[key]) : null
+  );
+};
+
+describe('chatThreads', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage.safeGetLocalStorage.mockReturnValue(null);
+  });
+
+  it('starts with one greeting thread when nothing is stored', () => {
+    const store = loadThreadStore();
+
+    expect(store.threads).toHaveLength(1);
+    expect(store.activeId).toBe(store.threads[0].id);
+    expect(store.threads[0].title).toBe('Chat 1');
+    expect(store.threads[0].messages[0].role).toBe('model');
+  });
+
+  it('migrates the legacy transcript into the first thread', () => {
+    mockStorage({
+      [LEGACY_STORAGE_KEY]: [
+        { id: '1', role: 'user', text: 'Hello' },
+        { id: '2', role: 'model', text: 'Hi there' },
+        { role: 'system', text: 'Injected' },
+      ],
+    });
+
+    const store = loadThreadStore();
+
+    expect(store.threads).toHaveLength(1);
+    expect(store.threads[0].messages.map(message => message.text)).toEqual(['Hello', 'Hi there']);
+  });
+
+  it('prefers the thread store over the legacy transcript', () => {
+    mockStorage({
+      [THREADS_STORAGE_KEY]: {
+        activeId: 'b',
+        threads: [
+          {
+            id: 'a',
+            title: 'Work',
+            updatedAt: 1,
+            messages: [{ id: '1', role: 'user', text: 'A' }],
+          },
+          { id: 'b', title: 'Fun', updatedAt: 2, messages: [{ id: '2', role: 'user', text: 'B' }] },
+        ],
+      },
+      [LEGACY_STORAGE_KEY]: [{ id: '9', role: 'user', text: 'Old' }],
+    });
+
+    const store = loadThreadStore();
+
+    expect(store.activeId).toBe('b');
+    expect(store.threads.map(thread => thread.title)).toEqual(['Work', 'Fun']);
+  });
+
+  it('validates and caps stored threads', () => {
+    mockStorage({
+      [THREADS_STORAGE_KEY]: {
+        activeId: 'missing',
+        threads: [
+          {
+            id: 'a',
+            title: '   ',
+            messages: Array.from({ length: MAX_STORED_MESSAGES + 10 }, (_, index) => ({
+              id: `m-${index}`,
+              role: 'user',
+              text: `Message ${index}`,
+            })),
+          },
+          { id: 'a', title: 'Duplicate', messages: [] },
+          'not a thread',
+          ...Array.from({ length: MAX_THREADS }, (_, index) => ({
+            id: `t-${index}`,
+            title: `Thread ${index}`,
+            messages: [],
+          })),
+        ],
+      },
+    });
+
+    const store = loadThreadStore();
+    const [first, second] = store.threads;
+
+    expect(store.activeId).toBe('a');
+    expect(store.threads.length).toBeLessThanOrEqual(MAX_THREADS);
+    expect(first.title).toBe('Untitled chat');
+    expect(first.messages).toHaveLength(MAX_STORED_MESSAGES);
+    expect(first.messages[0].text).toBe('Message 10');
+    expect(second.id).toBe('t-0');
+    expect(second.messages).toHaveLength(1);
+  });
+
+  it('keeps valid rolling summaries only', () => {
+    const messages = [{ id: '1', role: 'user', text: 'Hi' }];
+    mockStorage({
+      [THREADS_STORAGE_KEY]: {
+        activeId: 'a',
+        threads: [
+          { id: 'a', title: 'A', messages, summary: { text: 'Earlier', throughId: '1' } },
+          { id: 'b', title: 'B', messages, summary: { text: 'x'.repeat(5000), throughId: '1' } },
+          { id: 'c', title: 'C', messages, summary: { text: 'Earlier' } },
+        ],
+      },
+    });
+
+    const [a, b, c] = loadThreadStore().threads;
+
+    expect(a.summary).toEqual({ text: 'Earlier', throughId: '1' });
+    expect(b).not.toHaveProperty('summary');
+    expect(c).not.toHaveProperty('summary');
+  });
+
+  it('saves the store and drops the legacy transcript', () => {
+    const thread = createThread({ title: 'Chat 2' });
+
+    saveThreadStore({ activeId: thread.id, threads: [thread] });
+
+    expect(storage.safeSetLocalStorage).toHaveBeenCalledWith(
+      THREADS_STORAGE_KEY,
+      expect.stringContaining('"title":"Chat 2"')
+    );
+    expect(storage.safeRemoveLocalStorage).toHaveBeenCalledWith(LEGACY_STORAGE_KEY);
+  });
+
+  it('names new threads after the lowest free number', () => {
+    expect(nextThreadTitle([{ title: 'Chat 1' }, { title: 'Chat 3' }])).toBe('Chat 2');
+    expect(nextThreadTitle([])).toBe('Chat 1');
+  });
+
+  it('cleans thread titles', () => {
+    expect(sanitizeThreadTitle('  Trip\n plans ')).toBe('Trip plans');
+    expect(sanitizeThreadTitle('x'.repeat(100))).toHaveLength(60);
+    expect(sanitizeThreadTitle(42)).toBe('');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Chat Transcript Module
+ *
+ * Exports a conversation, with its rolling summary, as Markdown, JSON or plain text,
+ * and imports the JSON export back. Imported files are untrusted: messages must pass
+ * `isValidChatMessage` and have control characters stripped by `sanitizeInput`, and
+ * only the most recent `MAX_STORED_MESSAGES` are kept, the same limits a saved
+ * thread is held to.
+ *
+ * @module components/shared/chatTranscript
+ */
+
+import { MAX_SUMMARY_CHARS } from '../../services/chatSummary';
+import { isValidChatMessage, sanitizeInput } from '../../utils/security';
+import { slugify } from '../../utils/slug';
+import { generateId } from '../../utils/id';
+import { MAX_STORED_MESSAGES, sanitizeThreadTitle } from './chatThreads';
+
+// Identifies a JSON export so unrelated JSON files are rejected on import
+export const TRANSCRIPT_FORMAT = 'portfolio-chat-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+// Largest transcript file accepted for import
+export const MAX_TRANSCRIPT_BYTES = 512 * 1024;
+
+const SPEAKERS = { user: 'You', model: 'Digital Rishabh' };
+
+/**
+ * Export formats, keyed by the id used in the UI.
+ * @type {Record<string, {label: string, extension: string, mimeType: string}>}
+ */
+export const TRANSCRIPT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+};
+
+/**
+ * Renders source citations and site actions as plain lines under a message.
+ *
+ * @param {Object} message - Chat message
+ * @returns {string[]} Lines; empty when the message has neither
+ * @private
+ */
+const getMessageNotes = message => {
+  const actions = Array.isArray(message.actions) ? message.actions : [];
+  const sources = Array.isArray(message.sources) ? message.sources : [];
+  return [
+    ...actions
+      .filter(action => typeof action?.label === 'string')
+      .map(action => `Action: ${action.label}`),
+    ...sources
+      .filter(source => typeof source?.title === 'string')
+      .map((source, index) => `[${index + 1}] ${source.title}`),
+  ];
+};
+
+/**
+ * Finds the rolling summary of a thread and the exported message it runs through.
+ *
+ * @param {Object} thread - Conversation being exported
+ * @param {Array<Object>} messages - Messages being exported
+ * @returns {{text: string, throughIndex: number}|null} Summary, or null when there is none
+ * @private
+ */
+const getExportSummary = (thread, messages) => {
+  const { text, throughId } = thread.summary ?? {};
+  const throughIndex = messages.findIndex(message => message.id === throughId);
+  return typeof text === 'string' && text && throughIndex !== -1 ? { text, throughIndex } : null;
+};
+
+/**
+ * Serializes a conversation in one of the `TRANSCRIPT_FORMATS`.
+ *
+ * @param {{title: string, messages: Array<Object>, summary?: Object}} thread - Conversation to export
+ * @param {'markdown'|'json'|'text'} format - Export format
+ * @param {Date} [exportedAt=new Date()] - Export timestamp written into the file
+ * @returns {{filename: string, content: string, mimeType: string}} File to download
+ *
+ * @example
+ * formatTranscript({ title: 'Chat 1', messages }, 'markdown');
+ * // => { filename: 'chat-1.md', content: '# Chat 1\n\n...', mimeType: 'text/markdown' }
+ */
+export const formatTranscript = (thread, format, exportedAt = new Date()) => {
+  const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
+  const filename = `${slugify(thread.title) || 'chat'}.${extension}`;
+  const messages = thread.messages.filter(isValidChatMessage);
+  const summary = getExportSummary(thread, messages);
+  let content;
+
+  if (format === 'json') {
+    content = JSON.stringify(
+      {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        title: thread.title,
+        exportedAt: exportedAt.toISOString(),
+        messages: messages.map(({ role, text }) => ({ role, text })),
+        ...(summary ? { summary } : {}),
+      },
+      null,
+      2
+    );
+  } else if (format === 'markdown') {
+    content = [
+      `# ${thread.title}`,
+      `_Exported ${exportedAt.toISOString()}_`,
+      ...(summary ? [`> Summary of earlier messages: ${summary.text}`] : []),
+      ...messages.map(message =>
+        [
+          `**${SPEAKERS[message.role]}:**`,
+          '',
+          message.text,
+          ...getMessageNotes(message).map(note => `> ${note}`),
+        ].join('\n')
+      ),
+    ].join('\n\n');
+  } else {
+    content = [
+      thread.title,
+      `Exported ${exportedAt.toISOString()}`,
+      ...(summary ? [`Summary of earlier messages: ${summary.text}`] : []),
+      ...messages.map(message =>
+        [`${SPEAKERS[message.role]}: ${message.text}`, ...getMessageNotes(message)].join('\n')
+      ),
+    ].join('\n\n');
+  }
+
+  return { filename, content: `${content}\n`, mimeType };
+};
+
+/**
+ * Rebuilds an imported rolling summary against the imported messages.
+ *
+ * @param {unknown} summary - Summary from the file
+ * @param {Array<Object>} messages - Messages from the file, before the storage cap
+ * @param {Array<Object>} kept - Messages that survive the cap
+ * @returns {{text: string, throughId: string}|null} Thread summary, or null when unusable
+ * @private
+ */
+const parseSummary = (summary, messages, kept) => {
+  if (!summary || typeof summary !== 'object') return null;
+  const through = messages[summary.throughIndex];
+  const text = [...sanitizeInput(summary.text)].slice(0, MAX_SUMMARY_CHARS).join('');
+  return text && through && kept.includes(through) ? { text, throughId: through.id } : null;
+};
+
+/**
+ * Parses a JSON transcript export into a title, chat messages and rolling summary.
+ *
+ * Each message is checked with `isValidChatMessage` and cleaned with
+ * `sanitizeInput`; the most recent `MAX_STORED_MESSAGES` are kept, and `dropped`
+ * counts the ones that were not.
+ *
+ * @param {string} json - File contents
+ * @returns {{ok: true, title: string, messages: Array<Object>, summary: Object|null, dropped: number}|{ok: false, error: string}} Parse result
+ *
+ * @example
+ * parseTranscript(fileText);
+ * // => { ok: true, title: 'Chat 1', messages: [{ id: '...', role: 'user', text: 'Hi' }], summary: null, dropped: 0 }
+ */
+export const parseTranscript = json => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return { ok: false, error: 'The file is not valid JSON' };
+  }
+
+  if (
+    !parsed ||
+    typeof parsed !== 'object' ||
+    parsed.format !== TRANSCRIPT_FORMAT ||
+    !Array.isArray(parsed.messages)
+  ) {
+    return { ok: false, error: 'The file is not a chat transcript export' };
+  }
+
+  if (parsed.version !== TRANSCRIPT_VERSION) {
+    return { ok: false, error: 'This transcript version is not supported' };
+  }
+
+  // Keeps each file entry's position so the summary's `throughIndex` still points at it
+  const messages = parsed.messages.map(message => {
+    const text = isValidChatMessage(message) ? sanitizeInput(message.text) : '';
+    return text ? { id: generateId(), role: message.role, text } : null;
+  });
+  const kept = messages.filter(Boolean).slice(-MAX_STORED_MESSAGES);
+  if (kept.length === 0) {
+    return { ok: false, error: 'The transcript has no valid messages' };
+  }
+
+  return {
+    ok: true,
+    title: sanitizeThreadTitle(parsed.title),
+    messages: kept,
+    summary: parseSummary(parsed.summary, messages, kept),
+    dropped: parsed.messages.length - kept.length,
+  };
+};
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TRANSCRIPT_FORMAT,
+  TRANSCRIPT_VERSION,
+  formatTranscript,
+  parseTranscript,
+} from './chatTranscript';
+import { MAX_STORED_MESSAGES } from './chatThreads';
+
+const exportedAt = new Date('2026-01-02T03:04:05.000Z');
+
+const thread = {
+  title: 'Job search',
+  messages: [
+    { id: '1', role: 'user', text: 'Show me your CV' },
+    {
+      id: '2',
+      role: 'model',
+      text: 'Here it is [1].',
+      actions: [{ name: 'navigate', label: 'Opened Resume', ok: true }],
+      sources: [{ id: 'resume/summary', title: 'Resume: Summary', url: '/resume' }],
+    },
+  ],
+};
+
+const exportJson = messages =>
+  JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    title: 'Saved',
+    messages,
+  });
+
+describe('chatTranscript', () => {
+  it('exports Markdown with speakers, actions and sources', () => {
+    const { filename, content, mimeType } = formatTranscript(thread, 'markdown', exportedAt);
+
+    expect(filename).toBe('job-search.md');
+    expect(mimeType).toBe('text/markdown');
+    expect(content).toContain('# Job search');
+    expect(content).toContain('**You:**\n\nShow me your CV');
+    expect(content).toContain('> Action: Opened Resume');
+    expect(content).toContain('> [1] Resume: Summary');
+  });
+
+  it('exports plain text', () => {
+    const { filename, content } = formatTranscript(thread, 'text', exportedAt);
+
+    expect(filename).toBe('job-search.txt');
+    expect(content).toContain('You: Show me your CV');
+    expect(content).toContain('Digital Rishabh: Here it is [1].\nAction: Opened Resume');
+  });
+
+  it('exports JSON that imports back', () => {
+    const { filename, content } = formatTranscript(thread, 'json', exportedAt);
+    const result = parseTranscript(content);
+
+    expect(filename).toBe('job-search.json');
+    expect(JSON.parse(content).exportedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(result.ok).toBe(true);
+    expect(result.title).toBe('Job search');
+    expect(result.messages.map(({ role, text }) => ({ role, text }))).toEqual([
+      { role: 'user', text: 'Show me your CV' },
+      { role: 'model', text: 'Here it is [1].' },
+    ]);
+  });
+
+  it('rejects files that are not transcript exports', () => {
+    expect(parseTranscript('{oops').error).toBe('The file is not valid JSON');
+    expect(parseTranscript('[]').error).toBe('The file is not a chat transcript export');
+    expect(
+      parseTranscript(JSON.stringify({ format: TRANSCRIPT_FORMAT, version: 99, messages: [] }))
+        .error
+    ).toBe('This transcript version is not supported');
+    expect(parseTranscript(exportJson([{ role: 'system', text: 'x' }])).error).toBe(
+      'The transcript has no valid messages'
+    );
+  });
+
+  it('drops malformed and oversized messages from an import', () => {
+    const result = parseTranscript(
+      exportJson([
+        { role: 'user', text: 'Keep\u0000 me' },
+        { role: 'admin', text: 'Injected' },
+        { role: 'model', text: 'x'.repeat(30001) },
+        { role: 'model', text: { nested: true } },
+      ])
+    );
+
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].text).toBe('Keep me');
+    expect(result.messages[0].id).toEqual(expect.any(String));
+  });
+
+  it('keeps up to the stored message limit and counts what it drops', () => {
+    const messages = Array.from({ length: MAX_STORED_MESSAGES + 5 }, (_, index) => ({
+      role: 'user',
+      text: `Message ${index} ${'x'.repeat(5000)}`,
+    }));
+
+    const result = parseTranscript(exportJson(messages));
+
+    expect(result.messages).toHaveLength(MAX_STORED_MESSAGES);
+    expect(result.messages[0].text).toMatch(/^Message 5 x{5000}$/);
+    expect(result.dropped).toBe(5);
+  });
+
+  it('round-trips the rolling summary', () => {
+    const summarized = { ...thread, summary: { text: 'Asked for the CV.', throughId: '1' } };
+
+    expect(formatTranscript(summarized, 'markdown', exportedAt).content).toContain(
+      '> Summary of earlier messages: Asked for the CV.'
+    );
+    const result = parseTranscript(formatTranscript(summarized, 'json', exportedAt).content);
+
+    expect(result.summary).toEqual({ text: 'Asked for the CV.', throughId: result.messages[0].id });
+    expect(result.dropped).toBe(0);
+  });
+
+  it('drops a summary whose message was not kept', () => {
+    const result = parseTranscript(
+      JSON.stringify({
+        ...JSON.parse(
+          exportJson([
+            { role: 'admin', text: 'x' },
+            { role: 'user', text: 'Hi' },
+          ])
+        ),
+        summary: { text: 'Earlier chat', throughIndex: 0 },
+      })
+    );
+
+    expect(result.summary).toBeNull();
+  });
+});
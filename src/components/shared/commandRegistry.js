@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Command registry shared by Terminal Mode and the Command Palette.
+ *
+ * A command is declared once, with an id, aliases, category, icon, argument schema
+ * and handler, and both UIs are generated from the registry: the terminal runs
+ * commands by id or alias (and builds `help` and Tab completion from them), while the
+ * palette lists each command's `palette` entries, which run the same handler with
+ * fixed arguments. An entry with `children` opens a palette sub-page listing them
+ * instead. Feature modules add their own commands with `registerCommands`
+ * (see `commands.js`).
+ */
+
+/**
+ * @typedef {object} CommandArg
+ * @property {string} name - Placeholder shown in usage, e.g. `page` for `<page>`
+ * @property {boolean} [optional=false] - Shown as `[name]` instead of `<name>`
+ * @property {'path'|'dir'|string[]} [complete] - What Tab completes: filesystem paths,
+ *   directories, or a fixed list of values
+ */
+
+/**
+ * @typedef {object} PaletteEntry
+ * @property {string} id - Unique option id in the palette
+ * @property {string} label - Text shown in the palette
+ * @property {string} [keywords] - More text the palette searches, e.g. a summary or tags
+ * @property {string[]} [args] - Arguments the handler runs with
+ * @property {import('react').ComponentType} [icon] - Overrides the command icon
+ * @property {string} [category] - Overrides the command category
+ * @property {boolean} [searchOnly=false] - Only listed once the visitor types a query
+ * @property {PaletteEntry[]} [children] - Entries of the sub-page this entry opens
+ *   instead of running the command; they run the same command with their own `args`
+ */
+
+/**
+ * @typedef {object} CommandContext
+ * @property {(path: string) => void} navigate - Leaves the current UI and opens a route
+ * @property {() => void} close - Closes the UI that ran the command
+ * @property {(text: string) => void} write - Prints output; ignored by the palette
+ * @property {(text: string) => void} fail - Prints an error line; ignored by the palette
+ * @property {string|null} stdin - Output of the previous pipeline stage; null otherwise
+ * @property {string} [theme] - Current theme id (palette only)
+ * @property {(theme: string) => void} [setTheme] - Theme setter from the theme context
+ * @property {() => void} [openTerminal] - Opens Terminal Mode (palette only)
+ * @property {import('./terminalFs').FsDirectory} [fs] - Filesystem root (terminal only)
+ * @property {string} [cwd] - Working directory (terminal only)
+ * @property {(path: string) => void} [setCwd] - Changes directory (terminal only)
+ * @property {() => void} [clear] - Clears the output (terminal only)
+ * @property {() => void} [startPython] - Opens an interactive Python session (terminal only)
+ * @property {Record<string, string>} [aliases] - Aliases of the session (terminal only)
+ * @property {(name: string, value: string|null) => void} [setAlias] - Defines an alias, or
+ *   removes it with null (terminal only)
+ * @property {Record<string, string>} [env] - Variables of the session (terminal only)
+ * @property {(name: string, value: string) => void} [setVariable] - Sets a variable
+ *   (terminal only)
+ * @property {string[]} [history] - Previous commands, newest first (terminal only)
+ * @property {() => void} [clearHistory] - Forgets the saved history (terminal only)
+ * @property {(text: string) => void} [runScript] - Runs lines of commands, skipping blank
+ *   lines and # comments (terminal only)
+ */
+
+/**
+ * @typedef {object} Command
+ * @property {string} id - Unique id, also the terminal command name
+ * @property {string[]} [aliases] - Other names the terminal accepts
+ * @property {string} category - Group in the palette and in `help`
+ * @property {import('react').ComponentType} [icon] - lucide icon for palette entries
+ * @property {string} description - One line for `help`
+ * @property {CommandArg[]} [args] - Argument schema
+ * @property {string} [usage] - Usage text for `help` when the schema cannot describe it (flags)
+ * @property {PaletteEntry[]} [palette] - Palette options running this command
+ * @property {boolean} [terminal=true] - Whether the terminal offers the command
+ * @property {(args: string[], context: CommandContext) => void} run - Handler
+ * @property {(args: string[], context: CommandContext) => (() => void)} [preview] - Shows
+ *   what an entry on a palette sub-page would do while it is highlighted; returns a
+ *   function that undoes it if the visitor leaves the page without choosing
+ * @property {(args: string[], context: CommandContext) => boolean} [isCurrent] - Whether an
+ *   entry matches the current state, e.g. the active theme; sub-pages mark and select it
+ */
+
+/** Registered commands by id, in registration order */
+const commands = new Map();
+
+/** A command's id followed by its aliases */
+const namesOf = command => [command.id, ...(command.aliases || [])];
+
+/**
+ * Registers commands.
+ *
+ * @param {Command[]} list - Commands to add
+ * @returns {() => void} Removes the commands again
+ * @throws {Error} When an id or alias is already taken
+ *
+ * @example
+ * const unregister = registerCommands([
+ *   { id: 'hello', category: 'Fun', description: 'Say hello', run: (args, { write }) => write('Hi!') },
+ * ]);
+ */
+export const registerCommands = list => {
+  const taken = new Set(getCommands().flatMap(namesOf));
+  list.flatMap(namesOf).forEach(name => {
+    if (taken.has(name)) throw new Error(`Command name "${name}" is already registered`);
+    taken.add(name);
+  });
+
+  list.forEach(command => commands.set(command.id, command));
+
+  return () => list.forEach(command => commands.delete(command.id));
+};
+
+/**
+ * All registered commands, in registration order.
+ *
+ * @returns {Command[]} Commands
+ */
+export const getCommands = () => [...commands.values()];
+
+/**
+ * Looks up a terminal command by id or alias, ignoring case.
+ *
+ * @param {string} name - Typed command name
+ * @returns {Command|null} The command, or null when none matches
+ */
+export const findCommand = name => {
+  const lower = name.toLowerCase();
+  return (
+    getCommands().find(
+      command =>
+        command.terminal !== false && (command.id === lower || command.aliases?.includes(lower))
+    ) ?? null
+  );
+};
+
+/**
+ * Usage line for `help`, e.g. `goto <page>`.
+ *
+ * @param {Command} command - Command to describe
+ * @returns {string} Usage
+ */
+export const formatUsage = command =>
+  command.usage ??
+  [
+    namesOf(command).join(' / '),
+    ...(command.args || []).map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`)),
+  ].join(' ');
+
+/**
+ * Command names and argument kinds for Tab completion (see `terminalCompletion.js`).
+ *
+ * @returns {{commands: string[], commandArgs: Record<string, 'path'|'dir'|string[]>}}
+ */
+export const getCompletionSpec = () => {
+  const terminalCommands = getCommands().filter(command => command.terminal !== false);
+  return {
+    commands: terminalCommands.flatMap(namesOf),
+    commandArgs: Object.fromEntries(
+      terminalCommands
+        .filter(command => command.args?.[0]?.complete)
+        .flatMap(command => namesOf(command).map(name => [name, command.args[0].complete]))
+    ),
+  };
+};
+
+/**
+ * Fills in the category, icon and command of a palette entry and its sub-page entries.
+ * @private
+ */
+const resolveEntry = (entry, command, parent) => ({
+  ...entry,
+  category: entry.category || parent.category,
+  icon: entry.icon || parent.icon,
+  command,
+  ...(entry.children && {
+    children: entry.children.map(child =>
+      resolveEntry(child, command, {
+        category: entry.category || parent.category,
+        icon: entry.icon || parent.icon,
+      })
+    ),
+  }),
+});
+
+/**
+ * Palette options of all commands, with the category and icon of their command
+ * filled in (sub-page entries included).
+ *
+ * @returns {Array<PaletteEntry & {command: Command, category: string}>} Entries in
+ *   registration order
+ */
+export const getPaletteEntries = () =>
+  getCommands().flatMap(command =>
+    (command.palette || []).map(entry => resolveEntry(entry, command, command))
+  );
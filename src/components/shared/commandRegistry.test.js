@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  findCommand,
+  formatUsage,
+  getCompletionSpec,
+  getPaletteEntries,
+  registerCommands,
+} from './commandRegistry';
+
+const Icon = () => null;
+
+const testCommands = [
+  {
+    id: 'greet',
+    aliases: ['hi'],
+    category: 'Fun',
+    icon: Icon,
+    description: 'Say hello',
+    args: [{ name: 'name', complete: ['Ada', 'Grace'] }],
+    palette: [
+      { id: 'greet-ada', label: 'Greet Ada', args: ['Ada'] },
+      { id: 'greet-grace', label: 'Greet Grace', args: ['Grace'], category: 'People' },
+    ],
+    run: (args, { write }) => write(`Hello ${args[0]}`),
+  },
+  {
+    id: 'secret',
+    category: 'Fun',
+    description: 'Palette only',
+    terminal: false,
+    palette: [{ id: 'secret', label: 'Secret' }],
+    run: () => {},
+  },
+];
+
+let unregister = () => {};
+
+afterEach(() => unregister());
+
+describe('commandRegistry', () => {
+  it('finds terminal commands by id or alias, ignoring case', () => {
+    unregister = registerCommands(testCommands);
+
+    expect(findCommand('GREET').id).toBe('greet');
+    expect(findCommand('hi').id).toBe('greet');
+    expect(findCommand('secret')).toBeNull();
+  });
+
+  it('removes commands again', () => {
+    registerCommands(testCommands)();
+
+    expect(findCommand('greet')).toBeNull();
+    expect(getPaletteEntries().some(entry => entry.id === 'greet-ada')).toBe(false);
+  });
+
+  it('rejects names that are already taken without registering any', () => {
+    unregister = registerCommands(testCommands);
+
+    expect(() =>
+      registerCommands([
+        { id: 'fresh', category: 'Fun', description: '', run: () => {} },
+        { id: 'other', aliases: ['hi'], category: 'Fun', description: '', run: () => {} },
+      ])
+    ).toThrow('Command name "hi" is already registered');
+    expect(findCommand('fresh')).toBeNull();
+  });
+
+  it('formats usage from the argument schema', () => {
+    expect(formatUsage(testCommands[0])).toBe('greet / hi <name>');
+    expect(
+      formatUsage({ id: 'ls', args: [{ name: 'path', optional: true }], usage: undefined })
+    ).toBe('ls [path]');
+    expect(formatUsage({ id: 'ls', usage: 'ls [-l] [path]' })).toBe('ls [-l] [path]');
+  });
+
+  it('describes completion for terminal commands only', () => {
+    unregister = registerCommands(testCommands);
+    const spec = getCompletionSpec();
+
+    expect(spec.commands).toEqual(expect.arrayContaining(['greet', 'hi']));
+    expect(spec.commands).not.toContain('secret');
+    expect(spec.commandArgs.hi).toEqual(['Ada', 'Grace']);
+  });
+
+  it('fills in the category and icon of palette entries', () => {
+    unregister = registerCommands(testCommands);
+    const entries = getPaletteEntries().filter(entry => entry.command.category === 'Fun');
+
+    expect(entries.map(entry => [entry.id, entry.category, entry.icon])).toEqual([
+      ['greet-ada', 'Fun', Icon],
+      ['greet-grace', 'People', Icon],
+      ['secret', 'Fun', undefined],
+    ]);
+    expect(entries[0].command).toBe(testCommands[0]);
+  });
+});
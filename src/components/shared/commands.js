@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Entry point of the command registry. Importing it registers the core site
+ * commands and those contributed by games, snippets, settings and site content; a new
+ * feature adds its commands by calling `registerCommands` in its own module and importing
+ * it here.
+ */
+
+import './siteCommands';
+import './settingsCommands';
+import '../games/gameCommands';
+import './snippetCommands';
+import './contentCommands';
+
+export {
+  findCommand,
+  formatUsage,
+  getCommands,
+  getCompletionSpec,
+  getPaletteEntries,
+  registerCommands,
+} from './commandRegistry';
+export { PAGE_MAP } from './siteCommands';
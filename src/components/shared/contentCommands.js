@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Content search for the Command Palette: one palette entry per blog post,
+ * project, resume skill and certification. Each entry opens the page showing the item;
+ * its `keywords` (summaries, tags, issuers) are searched as well as its title. Games and
+ * snippets get their entries from `gameCommands.js` and `snippetCommands.js`.
+ *
+ * The commands are palette-only; the terminal reaches the same content through its
+ * filesystem and the `projects` and `skills` commands.
+ */
+
+import { Award, Briefcase, FileText, Sparkles } from 'lucide-react';
+import blogs from '../../data/blogs.json';
+import { hasBlogContent } from '../../data/blogContent';
+import { resumeData } from '../../data/resume';
+import { getBlogSlug, getProjectSlug, slugify } from '../../utils/slug';
+import { registerCommands } from './commandRegistry';
+
+/** Skills listed once each, with the category they first appear in */
+const skills = [
+  ...new Map(
+    resumeData.skills.flatMap(group =>
+      group.items.map(skill => [slugify(skill.name), { ...skill, category: group.category }])
+    )
+  ).values(),
+];
+
+registerCommands([
+  {
+    id: 'open-post',
+    category: 'Blog Posts',
+    icon: FileText,
+    description: 'Open a blog post',
+    terminal: false,
+    palette: blogs.map(blog => ({
+      id: `post-${getBlogSlug(blog)}`,
+      label: blog.title,
+      keywords: [blog.summary, blog.source, ...(blog.tags || [])].join(' '),
+      args: [getBlogSlug(blog)],
+      searchOnly: true,
+    })),
+    // Posts without a synced body have no reader page; filter the listing to them instead
+    run: ([slug], { navigate }) => {
+      const blog = blogs.find(candidate => getBlogSlug(candidate) === slug);
+      if (!blog) return;
+      navigate(
+        hasBlogContent(slug) ? `/blog/${slug}` : `/blog?q=${encodeURIComponent(blog.title)}`
+      );
+    },
+  },
+  {
+    id: 'open-project',
+    category: 'Projects',
+    icon: Briefcase,
+    description: 'Open a project case study',
+    terminal: false,
+    palette: resumeData.projects.map(project => ({
+      id: `project-${getProjectSlug(project, resumeData.projects)}`,
+      label: project.title,
+      keywords: [...project.tags, project.description].join(' '),
+      args: [getProjectSlug(project, resumeData.projects)],
+      searchOnly: true,
+    })),
+    run: ([slug], { navigate }) => navigate(`/projects/${slug}`),
+  },
+  {
+    id: 'show-skill',
+    category: 'Skills',
+    icon: Sparkles,
+    description: 'Show a skill on the resume',
+    terminal: false,
+    palette: skills.map(skill => ({
+      id: `skill-${slugify(skill.name)}`,
+      label: skill.name,
+      keywords: skill.category,
+      args: [slugify(skill.name)],
+      searchOnly: true,
+    })),
+    run: ([slug], { navigate }) => navigate(`/resume?skill=${encodeURIComponent(slug)}`),
+  },
+  {
+    id: 'show-certification',
+    category: 'Certifications',
+    icon: Award,
+    description: 'Show a certification on the resume',
+    terminal: false,
+    palette: resumeData.certifications.map(cert => ({
+      id: `cert-${slugify(cert.name)}`,
+      label: cert.name,
+      keywords: cert.issuer,
+      args: [slugify(cert.name)],
+      searchOnly: true,
+    })),
+    run: ([slug], { navigate }) => navigate(`/resume?cert=${encodeURIComponent(slug)}`),
+  },
+]);
@@ -0,0 +1,361 @@
+/**
+ * My Snippets Module
+ *
+ * The visitor's own snippet library for the Playground. "Save as my snippet" in the
+ * JS/HTML sandbox and the Python runner stores the current sources in IndexedDB,
+ * with a title, tags and created/updated timestamps. The Playground's "My snippets"
+ * tab lists them and can rename, duplicate, delete, export them as JSON and import
+ * such exports.
+ *
+ * Records read back from the database or an import file are treated as untrusted:
+ * they must match the expected shape and stay within the size limits below.
+ * Every write dispatches `MY_SNIPPETS_CHANGE_EVENT` on `window` so open lists refresh.
+ *
+ * @module components/shared/mySnippets
+ */
+
+import { generateId } from '../../utils/id';
+
+// IndexedDB database and object store
+const DB_NAME = 'portfolio-playground';
+const DB_VERSION = 1;
+const STORE_NAME = 'mySnippets';
+
+// Export file format, and the largest import file accepted
+export const MY_SNIPPETS_FORMAT = 'portfolio-my-snippets';
+export const MY_SNIPPETS_VERSION = 1;
+export const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Window event fired after the library changes
+export const MY_SNIPPETS_CHANGE_EVENT = 'mySnippetsChange';
+
+// Snippets kept overall, and limits per snippet
+export const MAX_MY_SNIPPETS = 100;
+export const MAX_TITLE_LENGTH = 80;
+export const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 24;
+const MAX_SOURCE_LENGTH = 50000;
+
+// Appended to the title of a duplicated snippet
+const COPY_SUFFIX = ' (copy)';
+
+const UNAVAILABLE_ERROR = 'Browser storage is unavailable';
+const FULL_ERROR = `Your library is full (up to ${MAX_MY_SNIPPETS} snippets); delete one first`;
+
+/** Source fields stored for each language */
+const SOURCE_FIELDS = {
+  python: ['code', 'input'],
+  js: ['html', 'css', 'js'],
+};
+
+/**
+ * @typedef {object} MySnippet
+ * @property {string} id - Record key
+ * @property {string} title - Name shown in the library
+ * @property {string[]} tags - Short labels
+ * @property {'python'|'js'} language - Which runner opens it
+ * @property {Record<string, string>} sources - `{ code, input }` for Python,
+ *   `{ html, css, js }` for the JS/HTML sandbox
+ * @property {number} createdAt - Creation time (ms since epoch)
+ * @property {number} updatedAt - Last change time (ms since epoch)
+ */
+
+/**
+ * Trims a title to the allowed length, falling back to a default name.
+ *
+ * @param {unknown} title - Candidate title
+ * @returns {string} Title
+ */
+export const sanitizeSnippetTitle = title =>
+  (typeof title === 'string' ? title.trim().slice(0, MAX_TITLE_LENGTH) : '') || 'Untitled snippet';
+
+/**
+ * Checks a stored or imported record and normalizes it.
+ *
+ * @param {unknown} raw - Candidate record
+ * @param {number} [now=Date.now()] - Stands in for missing timestamps
+ * @returns {MySnippet|null} Record, or null when it has the wrong shape or is too large
+ */
+export const sanitizeMySnippet = (raw, now = Date.now()) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const fields = SOURCE_FIELDS[raw.language];
+  const sources = raw.sources;
+  if (!fields || !sources || typeof sources !== 'object') return null;
+  const isSource = value => typeof value === 'string' && value.length <= MAX_SOURCE_LENGTH;
+  if (!fields.every(field => isSource(sources[field]))) return null;
+
+  const timestamp = value => (Number.isFinite(value) ? value : now);
+  const tags = Array.isArray(raw.tags)
+    ? [
+        ...new Set(
+          raw.tags
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().slice(0, MAX_TAG_LENGTH))
+            .filter(Boolean)
+        ),
+      ].slice(0, MAX_TAGS)
+    : [];
+
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : generateId(),
+    title: sanitizeSnippetTitle(raw.title),
+    tags,
+    language: raw.language,
+    sources: Object.fromEntries(fields.map(field => [field, sources[field]])),
+    createdAt: timestamp(raw.createdAt),
+    updatedAt: timestamp(raw.updatedAt),
+  };
+};
+
+/**
+ * Builds a new library record.
+ *
+ * @param {{title: string, tags?: string[], language: 'python'|'js', sources: Record<string, string>}} draft
+ *   What to save
+ * @param {number} [now=Date.now()] - Creation time
+ * @returns {MySnippet|null} Record, or null when the sources are missing or too long
+ */
+export const createMySnippet = ({ title, tags = [], language, sources }, now = Date.now()) =>
+  sanitizeMySnippet(
+    { id: generateId(), title, tags, language, sources, createdAt: now, updatedAt: now },
+    now
+  );
+
+/**
+ * Serializes snippets as a JSON export file.
+ *
+ * @param {MySnippet[]} snippets - Snippets to export
+ * @param {Date} [exportedAt=new Date()] - Export time
+ * @returns {string} File contents
+ */
+export const formatMySnippetsExport = (snippets, exportedAt = new Date()) =>
+  JSON.stringify(
+    {
+      format: MY_SNIPPETS_FORMAT,
+      version: MY_SNIPPETS_VERSION,
+      exportedAt: exportedAt.toISOString(),
+      snippets,
+    },
+    null,
+    2
+  );
+
+/**
+ * Parses and validates a JSON export file. Imported snippets get fresh ids, so an
+ * import never overwrites what is already saved.
+ *
+ * @param {string} json - File contents
+ * @returns {{ok: true, snippets: MySnippet[]}|{ok: false, error: string}} Parse result
+ */
+export const parseMySnippetsExport = json => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return { ok: false, error: 'The file is not valid JSON' };
+  }
+
+  if (
+    !parsed ||
+    typeof parsed !== 'object' ||
+    parsed.format !== MY_SNIPPETS_FORMAT ||
+    !Array.isArray(parsed.snippets)
+  ) {
+    return { ok: false, error: 'The file is not a snippet library export' };
+  }
+  if (parsed.version !== MY_SNIPPETS_VERSION) {
+    return { ok: false, error: 'This export version is not supported' };
+  }
+
+  const snippets = parsed.snippets
+    .map(raw => sanitizeMySnippet(raw))
+    .filter(Boolean)
+    .map(snippet => ({ ...snippet, id: generateId() }));
+  if (snippets.length === 0) {
+    return { ok: false, error: 'The file has no valid snippets' };
+  }
+  return { ok: true, snippets };
+};
+
+let databasePromise = null;
+
+/**
+ * Opens the database once and reuses the connection.
+ *
+ * @returns {Promise<IDBDatabase>} Database
+ * @private
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error(UNAVAILABLE_ERROR));
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    databasePromise = null;
+    throw error;
+  });
+  return databasePromise;
+};
+
+/**
+ * Runs one transaction on the snippet store.
+ *
+ * @param {IDBTransactionMode} mode - `'readonly'` or `'readwrite'`
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - Issues the requests
+ * @returns {Promise<unknown>} Result of the request `operation` returned, once committed
+ * @private
+ */
+const withStore = async (mode, operation) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/** @private */
+const notifyChange = () => window.dispatchEvent(new Event(MY_SNIPPETS_CHANGE_EVENT));
+
+/**
+ * Lists the saved snippets, most recently updated first. Malformed records are skipped.
+ *
+ * @async
+ * @returns {Promise<{ok: true, snippets: MySnippet[]}|{ok: false, error: string}>} Snippets
+ */
+export const listMySnippets = async () => {
+  try {
+    const records = await withStore('readonly', store => store.getAll());
+    const snippets = records
+      .map(record => sanitizeMySnippet(record))
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    return { ok: true, snippets };
+  } catch {
+    return { ok: false, error: UNAVAILABLE_ERROR };
+  }
+};
+
+/**
+ * Stores records, refusing once the library would pass `MAX_MY_SNIPPETS`. The count
+ * and the writes share one transaction, so two tabs saving at once cannot both pass
+ * the check.
+ *
+ * @param {MySnippet[]} snippets - New records
+ * @returns {Promise<{ok: true}|{ok: false, error: string}>} Write result
+ * @private
+ */
+const addRecords = async snippets => {
+  let isFull = false;
+  try {
+    await withStore('readwrite', store => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        if (countRequest.result + snippets.length > MAX_MY_SNIPPETS) {
+          isFull = true;
+          store.transaction.abort();
+          return;
+        }
+        snippets.forEach(snippet => store.put(snippet));
+      };
+    });
+  } catch {
+    return { ok: false, error: isFull ? FULL_ERROR : UNAVAILABLE_ERROR };
+  }
+  notifyChange();
+  return { ok: true };
+};
+
+/**
+ * Saves sources as a new library snippet.
+ *
+ * @async
+ * @param {{title: string, tags?: string[], language: 'python'|'js', sources: Record<string, string>}} draft
+ *   What to save
+ * @returns {Promise<{ok: true, snippet: MySnippet}|{ok: false, error: string}>} Saved snippet
+ *
+ * @example
+ * await saveMySnippet({ title: 'Hello', language: 'js', sources: { html, css, js } });
+ */
+export const saveMySnippet = async draft => {
+  const snippet = createMySnippet(draft);
+  if (!snippet) return { ok: false, error: 'The code is too long to save' };
+  const result = await addRecords([snippet]);
+  return result.ok ? { ok: true, snippet } : result;
+};
+
+/**
+ * Renames a saved snippet and bumps its update time.
+ *
+ * @async
+ * @param {MySnippet} snippet - Snippet to rename
+ * @param {string} title - New title
+ * @returns {Promise<{ok: true, snippet: MySnippet}|{ok: false, error: string}>} Updated snippet
+ */
+export const renameMySnippet = async (snippet, title) => {
+  const renamed = { ...snippet, title: sanitizeSnippetTitle(title), updatedAt: Date.now() };
+  try {
+    await withStore('readwrite', store => store.put(renamed));
+  } catch {
+    return { ok: false, error: UNAVAILABLE_ERROR };
+  }
+  notifyChange();
+  return { ok: true, snippet: renamed };
+};
+
+/**
+ * Names the copy of a snippet "<title> (copy)", shortening the title so the suffix
+ * still fits within `MAX_TITLE_LENGTH`.
+ *
+ * @param {string} title - Title of the original
+ * @returns {string} Title of the copy
+ */
+export const getCopyTitle = title =>
+  `${title.slice(0, MAX_TITLE_LENGTH - COPY_SUFFIX.length).trimEnd()}${COPY_SUFFIX}`;
+
+/**
+ * Saves a copy of a snippet under `getCopyTitle(title)`.
+ *
+ * @async
+ * @param {MySnippet} snippet - Snippet to copy
+ * @returns {Promise<{ok: true, snippet: MySnippet}|{ok: false, error: string}>} The copy
+ */
+export const duplicateMySnippet = snippet =>
+  saveMySnippet({ ...snippet, title: getCopyTitle(snippet.title) });
+
+/**
+ * Deletes a saved snippet.
+ *
+ * @async
+ * @param {string} id - Snippet id
+ * @returns {Promise<{ok: true}|{ok: false, error: string}>} Delete result
+ */
+export const deleteMySnippet = async id => {
+  try {
+    await withStore('readwrite', store => store.delete(id));
+  } catch {
+    return { ok: false, error: UNAVAILABLE_ERROR };
+  }
+  notifyChange();
+  return { ok: true };
+};
+
+/**
+ * Imports the snippets of a JSON export file alongside the saved ones.
+ *
+ * @async
+ * @param {string} json - File contents
+ * @returns {Promise<{ok: true, count: number}|{ok: false, error: string}>} How many were imported
+ */
+export const importMySnippets = async json => {
+  const parsed = parseMySnippetsExport(json);
+  if (!parsed.ok) return parsed;
+  const result = await addRecords(parsed.snippets);
+  return result.ok ? { ok: true, count: parsed.snippets.length } : result;
+};
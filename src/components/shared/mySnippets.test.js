@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_TAGS,
+  MAX_TITLE_LENGTH,
+  MY_SNIPPETS_FORMAT,
+  createMySnippet,
+  formatMySnippetsExport,
+  getCopyTitle,
+  listMySnippets,
+  parseMySnippetsExport,
+  sanitizeMySnippet,
+  saveMySnippet,
+} from './mySnippets';
+
+const draft = {
+  title: '  Bouncing ball ',
+  tags: ['canvas', ' canvas', '', 42, 'animation'],
+  language: 'js',
+  sources: { html: '<canvas></canvas>', css: '', js: 'draw();', extra: 'dropped' },
+};
+
+describe('mySnippets', () => {
+  it('creates records with normalized titles, tags and sources', () => {
+    const snippet = createMySnippet(draft, 1000);
+
+    expect(snippet).toEqual({
+      id: expect.any(String),
+      title: 'Bouncing ball',
+      tags: ['canvas', 'animation'],
+      language: 'js',
+      sources: { html: '<canvas></canvas>', css: '', js: 'draw();' },
+      createdAt: 1000,
+      updatedAt: 1000,
+    });
+    expect(createMySnippet({ ...draft, title: '   ' }).title).toBe('Untitled snippet');
+    expect(createMySnippet({ ...draft, title: 'x'.repeat(200) }).title).toHaveLength(
+      MAX_TITLE_LENGTH
+    );
+    expect(
+      createMySnippet({ ...draft, tags: Array.from({ length: 20 }, (_, i) => `t${i}`) }).tags
+    ).toHaveLength(MAX_TAGS);
+  });
+
+  it('rejects records with missing, unknown or oversized sources', () => {
+    expect(sanitizeMySnippet(null)).toBeNull();
+    expect(sanitizeMySnippet({ ...draft, language: 'ruby' })).toBeNull();
+    expect(sanitizeMySnippet({ ...draft, sources: { html: '', css: '' } })).toBeNull();
+    expect(
+      sanitizeMySnippet({ ...draft, language: 'python', sources: { code: 'x'.repeat(60000) } })
+    ).toBeNull();
+    expect(
+      sanitizeMySnippet({
+        ...draft,
+        language: 'python',
+        sources: { code: 'print(user_input)', input: 'Ada' },
+      }).sources
+    ).toEqual({ code: 'print(user_input)', input: 'Ada' });
+  });
+
+  it('keeps the copy suffix of a duplicate within the title limit', () => {
+    expect(getCopyTitle('Bouncing ball')).toBe('Bouncing ball (copy)');
+
+    const copy = getCopyTitle(`${'x'.repeat(72)} ${'y'.repeat(7)}`);
+    expect(copy).toBe(`${'x'.repeat(72)} (copy)`);
+    expect(sanitizeMySnippet({ ...draft, title: copy }).title).toBe(copy);
+  });
+
+  it('round-trips exports and gives imported snippets fresh ids', () => {
+    const snippet = createMySnippet(draft, 1000);
+    const json = formatMySnippetsExport([snippet], new Date('2024-01-01T00:00:00Z'));
+
+    expect(JSON.parse(json)).toMatchObject({ format: MY_SNIPPETS_FORMAT, version: 1 });
+    const result = parseMySnippetsExport(json);
+    expect(result.ok).toBe(true);
+    expect(result.snippets).toEqual([{ ...snippet, id: expect.any(String) }]);
+    expect(result.snippets[0].id).not.toBe(snippet.id);
+  });
+
+  it('reports import files that are not snippet exports', () => {
+    expect(parseMySnippetsExport('{nope')).toEqual({
+      ok: false,
+      error: 'The file is not valid JSON',
+    });
+    expect(parseMySnippetsExport(JSON.stringify({ format: 'other', snippets: [] })).error).toBe(
+      'The file is not a snippet library export'
+    );
+    expect(
+      parseMySnippetsExport(
+        JSON.stringify({ format: MY_SNIPPETS_FORMAT, version: 2, snippets: [] })
+      ).error
+    ).toBe('This export version is not supported');
+    expect(
+      parseMySnippetsExport(
+        JSON.stringify({ format: MY_SNIPPETS_FORMAT, version: 1, snippets: [{ title: 'Empty' }] })
+      ).error
+    ).toBe('The file has no valid snippets');
+  });
+
+  it('reports unavailable storage without IndexedDB', async () => {
+    expect(await listMySnippets()).toEqual({ ok: false, error: 'Browser storage is unavailable' });
+    expect(await saveMySnippet(draft)).toEqual({
+      ok: false,
+      error: 'Browser storage is unavailable',
+    });
+  });
+});
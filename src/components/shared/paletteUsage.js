@@ -0,0 +1,100 @@
+/**
+ * Command Palette Usage Module
+ *
+ * Local log of which palette entries the visitor runs, persisted to localStorage as
+ * `{ [entryId]: timestamps[] }` (newest first). It ranks search results by frecency
+ * (how often and how recently an entry was used) and fills the "Recent" group shown
+ * before the visitor types.
+ *
+ * @module components/shared/paletteUsage
+ */
+
+import { safeGetLocalStorage, safeSetLocalStorage } from '../../utils/storage';
+
+// localStorage key for the usage log
+export const USAGE_STORAGE_KEY = 'portfolio_palette_usage';
+
+// Uses remembered per entry, and entries remembered overall
+export const MAX_USES_PER_ENTRY = 10;
+export const MAX_LOGGED_ENTRIES = 50;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** Weight of one use by its age, newest bucket first */
+const RECENCY_BUCKETS = [
+  { maxAge: 4 * HOUR, weight: 100 },
+  { maxAge: DAY, weight: 80 },
+  { maxAge: 7 * DAY, weight: 60 },
+  { maxAge: 30 * DAY, weight: 40 },
+  { maxAge: Infinity, weight: 20 },
+];
+
+/**
+ * Loads the usage log, dropping malformed entries.
+ *
+ * @returns {Record<string, number[]>} Timestamps per entry id, newest first
+ */
+export const loadUsageLog = () => {
+  try {
+    const log = JSON.parse(safeGetLocalStorage(USAGE_STORAGE_KEY, '{}'));
+    if (!log || typeof log !== 'object' || Array.isArray(log)) return {};
+    return Object.fromEntries(
+      Object.entries(log)
+        .map(([id, uses]) => [
+          id,
+          Array.isArray(uses) ? uses.filter(Number.isFinite).slice(0, MAX_USES_PER_ENTRY) : [],
+        ])
+        .filter(([, uses]) => uses.length > 0)
+        .slice(0, MAX_LOGGED_ENTRIES)
+    );
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Records a use of an entry and saves the log. The least recently used entries are
+ * forgotten once more than `MAX_LOGGED_ENTRIES` are logged.
+ *
+ * @param {Record<string, number[]>} log - Current log
+ * @param {string} id - Palette entry id
+ * @param {number} [now=Date.now()] - Time of use
+ * @returns {Record<string, number[]>} Updated log
+ */
+export const recordUsage = (log, id, now = Date.now()) => {
+  const next = Object.fromEntries(
+    Object.entries({
+      ...log,
+      [id]: [now, ...(log[id] || [])].slice(0, MAX_USES_PER_ENTRY),
+    })
+      .sort(([, a], [, b]) => b[0] - a[0])
+      .slice(0, MAX_LOGGED_ENTRIES)
+  );
+  safeSetLocalStorage(USAGE_STORAGE_KEY, JSON.stringify(next));
+  return next;
+};
+
+/**
+ * Frecency of an entry: each logged use counts by how recent it is.
+ *
+ * @param {number[]} [uses=[]] - Timestamps of the entry
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} Score; 0 for entries never used
+ */
+export const frecencyScore = (uses = [], now = Date.now()) =>
+  uses.reduce(
+    (score, usedAt) => score + RECENCY_BUCKETS.find(bucket => now - usedAt <= bucket.maxAge).weight,
+    0
+  );
+
+/**
+ * Ids of the logged entries, most recently used first.
+ *
+ * @param {Record<string, number[]>} log - Usage log
+ * @returns {string[]} Entry ids
+ */
+export const getRecentIds = log =>
+  Object.entries(log)
+    .sort(([, a], [, b]) => b[0] - a[0])
+    .map(([id]) => id);
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  MAX_LOGGED_ENTRIES,
+  MAX_USES_PER_ENTRY,
+  USAGE_STORAGE_KEY,
+  frecencyScore,
+  getRecentIds,
+  loadUsageLog,
+  recordUsage,
+} from './paletteUsage';
+import * as storage from '../../utils/storage';
+
+vi.mock('../../utils/storage', () => ({
+  safeGetLocalStorage: vi.fn(),
+  safeSetLocalStorage: vi.fn(() => true),
+}));
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('paletteUsage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage.safeGetLocalStorage.mockImplementation((key, fallback = null) => fallback);
+  });
+
+  it('loads valid usage entries only', () => {
+    storage.safeGetLocalStorage.mockReturnValue(
+      JSON.stringify({ 'nav-blog': [2, 'x', 1], bad: 'nope', empty: [] })
+    );
+    expect(loadUsageLog()).toEqual({ 'nav-blog': [2, 1] });
+
+    storage.safeGetLocalStorage.mockReturnValue('[1, 2]');
+    expect(loadUsageLog()).toEqual({});
+
+    storage.safeGetLocalStorage.mockReturnValue('{not json');
+    expect(loadUsageLog()).toEqual({});
+  });
+
+  it('records uses newest first and saves the capped log', () => {
+    const uses = Array.from({ length: MAX_USES_PER_ENTRY }, (_, index) => 100 - index);
+    const log = recordUsage({ 'nav-blog': uses }, 'nav-blog', 200);
+
+    expect(log['nav-blog']).toHaveLength(MAX_USES_PER_ENTRY);
+    expect(log['nav-blog'][0]).toBe(200);
+    expect(storage.safeSetLocalStorage).toHaveBeenCalledWith(
+      USAGE_STORAGE_KEY,
+      JSON.stringify(log)
+    );
+  });
+
+  it('forgets the least recently used entries', () => {
+    const full = Object.fromEntries(
+      Array.from({ length: MAX_LOGGED_ENTRIES }, (_, index) => [`entry-${index}`, [index + 1]])
+    );
+    const log = recordUsage(full, 'new', 1000);
+
+    expect(Object.keys(log)).toHaveLength(MAX_LOGGED_ENTRIES);
+    expect(log).not.toHaveProperty('entry-0');
+    expect(getRecentIds(log)[0]).toBe('new');
+  });
+
+  it('weights recent uses more than old ones', () => {
+    const now = 100 * DAY;
+
+    expect(frecencyScore(undefined, now)).toBe(0);
+    expect(frecencyScore([now - HOUR], now)).toBe(100);
+    expect(frecencyScore([now - 2 * DAY, now - 60 * DAY], now)).toBe(80);
+    expect(frecencyScore([now - HOUR], now)).toBeGreaterThan(
+      frecencyScore([now - 10 * DAY, now - 20 * DAY], now)
+    );
+  });
+});
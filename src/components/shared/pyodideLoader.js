@@ -1,65 +1,84 @@
-// Global Pyodide instance - shared across all PythonRunner components for efficiency
-let pyodideInstance = null;
-// Loading promise - prevents multiple simultaneous loads from CDN
-let pyodideLoadingPromise = null;
-
-const PYODIDE_SCRIPT_SRC = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js';
-const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
-const PYODIDE_SCRIPT_SRI =
-  'sha384-+R8PTzDXzivdjpxOqwVwRhPS9dlske7tKAjwj0O0Kr361gKY5d2Xe6Osl+faRLT7';
-
 /**
- * Loads Pyodide runtime from CDN and caches it globally.
+ * Pyodide Loader Module
+ *
+ * Describes where the Pyodide runtime lives for the Python worker (see
+ * `pythonWorkerClient.js`), which loads it for both the Playground and the Terminal Mode
+ * REPL, and formats its download progress.
  *
- * @async
- * @returns {Promise<object>} Pyodide runtime instance
+ * `VITE_PYODIDE_SOURCE` picks the source:
+ * - `cdn` (default): jsDelivr, with the script checked against its SRI hash
+ * - `local`: the copy the build serves under `/pyodide/` (taken from the `pyodide`
+ *   package, see `vite.config.js`), falling back to jsDelivr when it fails to load
+ * - `local-only`: the local copy alone; the build also drops jsDelivr from the CSP
+ *
+ * @module components/shared/pyodideLoader
  */
-export const loadPyodide = async () => {
-  if (pyodideInstance) return pyodideInstance;
-  if (pyodideLoadingPromise) return pyodideLoadingPromise;
 
-  pyodideLoadingPromise = (async () => {
-    let injectedScript = null;
+export const PYODIDE_SCRIPT_SRC = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js';
+export const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
+export const PYODIDE_SCRIPT_SRI =
+  'sha384-+R8PTzDXzivdjpxOqwVwRhPS9dlske7tKAjwj0O0Kr361gKY5d2Xe6Osl+faRLT7';
 
-    try {
-      if (!window.loadPyodide) {
-        const script = document.createElement('script');
-        script.src = PYODIDE_SCRIPT_SRC;
-        script.integrity = PYODIDE_SCRIPT_SRI;
-        script.crossOrigin = 'anonymous';
-        injectedScript = script;
-        document.head.appendChild(script);
+// Size in bytes of each runtime file counted as progress, measured from the `pyodide`
+// package by the build (see `pyodideRuntime` in `vite.config.js`); empty without it
+export const PYODIDE_DOWNLOAD_SIZES =
+  typeof __PYODIDE_DOWNLOAD_SIZES__ === 'undefined' ? {} : __PYODIDE_DOWNLOAD_SIZES__;
+export const PYODIDE_DOWNLOAD_BYTES = Object.values(PYODIDE_DOWNLOAD_SIZES).reduce(
+  (total, size) => total + size,
+  0
+);
 
-        await new Promise((resolve, reject) => {
-          script.onload = resolve;
-          script.onerror = () => reject(new Error('Failed to load Pyodide script'));
-        });
-      }
+/**
+ * @typedef {object} PyodideSource
+ * @property {'local'|'cdn'} name - Where the files come from
+ * @property {string} scriptUrl - URL of `pyodide.js`
+ * @property {string} indexURL - Directory holding the rest of the runtime and its packages
+ * @property {string|null} integrity - SRI hash of `pyodide.js`, if it is checked
+ */
 
-      pyodideInstance = await window.loadPyodide({
-        indexURL: PYODIDE_INDEX_URL,
-      });
+/**
+ * @typedef {object} PyodideLoadProgress
+ * @property {'local'|'cdn'} source - Source being downloaded
+ * @property {number} loaded - Bytes downloaded from that source so far
+ * @property {number} total - Bytes the runtime download is expected to take; 0 when unknown
+ */
 
-      return pyodideInstance;
-    } catch (error) {
-      pyodideLoadingPromise = null;
-      if (injectedScript?.parentNode) {
-        injectedScript.parentNode.removeChild(injectedScript);
-      }
-      throw error;
-    }
-  })();
+/**
+ * Lists where to load Pyodide from, in order of preference.
+ *
+ * @param {Record<string, string>} [env=import.meta.env] - Vite environment variables
+ * @returns {PyodideSource[]} Sources to try in turn
+ *
+ * @example
+ * getPyodideSources({ VITE_PYODIDE_SOURCE: 'local', BASE_URL: '/' });
+ * // => [{ name: 'local', scriptUrl: 'https://example.com/pyodide/pyodide.js', ... },
+ * //     { name: 'cdn', scriptUrl: 'https://cdn.jsdelivr.net/...', ... }]
+ */
+export const getPyodideSources = (env = import.meta.env ?? {}) => {
+  const mode = env.VITE_PYODIDE_SOURCE?.trim().toLowerCase() || 'cdn';
+  const cdn = {
+    name: 'cdn',
+    scriptUrl: PYODIDE_SCRIPT_SRC,
+    indexURL: PYODIDE_INDEX_URL,
+    integrity: PYODIDE_SCRIPT_SRI,
+  };
+  if (mode !== 'local' && mode !== 'local-only') return [cdn];
 
-  return pyodideLoadingPromise;
+  // Absolute, so the worker resolves it against the page rather than its own script
+  const indexURL = new URL(`${env.BASE_URL ?? '/'}pyodide/`, globalThis.location?.href).href;
+  const local = { name: 'local', scriptUrl: `${indexURL}pyodide.js`, indexURL, integrity: null };
+  return mode === 'local' ? [local, cdn] : [local];
 };
 
 /**
- * Resets the internal Pyodide loader state.
- * This is primarily used for testing purposes to ensure a clean state between tests.
+ * Formats download progress for loading messages.
  *
- * @private
+ * @param {PyodideLoadProgress} progress - Bytes loaded and expected
+ * @returns {string} Percentage and total size, e.g. "42% of 18.0 MB", or the size loaded
+ *   so far, e.g. "7.6 MB", when the total is unknown
  */
-export const __resetPyodideLoaderForTests = () => {
-  pyodideInstance = null;
-  pyodideLoadingPromise = null;
+export const formatDownloadProgress = ({ loaded, total }) => {
+  if (!total) return `${(loaded / 1e6).toFixed(1)} MB`;
+  const percent = Math.min(100, Math.round((loaded / total) * 100));
+  return `${percent}% of ${(total / 1e6).toFixed(1)} MB`;
 };
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PYODIDE_SCRIPT_SRC,
+  PYODIDE_SCRIPT_SRI,
+  formatDownloadProgress,
+  getPyodideSources,
+} from './pyodideLoader';
+
+describe('pyodideLoader', () => {
+  it('uses the CDN by default and prefers the local copy when configured', () => {
+    expect(getPyodideSources({})).toEqual([
+      {
+        name: 'cdn',
+        scriptUrl: PYODIDE_SCRIPT_SRC,
+        indexURL: expect.stringContaining('/pyodide/v0.24.1/full/'),
+        integrity: PYODIDE_SCRIPT_SRI,
+      },
+    ]);
+
+    const [local, cdn] = getPyodideSources({ VITE_PYODIDE_SOURCE: 'local', BASE_URL: '/app/' });
+    expect(local).toEqual({
+      name: 'local',
+      scriptUrl: `${window.location.origin}/app/pyodide/pyodide.js`,
+      indexURL: `${window.location.origin}/app/pyodide/`,
+      integrity: null,
+    });
+    expect(cdn.name).toBe('cdn');
+    expect(getPyodideSources({ VITE_PYODIDE_SOURCE: 'local-only' }).map(s => s.name)).toEqual([
+      'local',
+    ]);
+  });
+
+  it('formats download progress as a capped percentage', () => {
+    expect(formatDownloadProgress({ loaded: 4500000, total: 18000000 })).toBe('25% of 18.0 MB');
+    expect(formatDownloadProgress({ loaded: 19000000, total: 18000000 })).toBe('100% of 18.0 MB');
+    expect(formatDownloadProgress({ loaded: 7600000, total: 0 })).toBe('7.6 MB');
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Web Worker that owns the site's Pyodide runtime, so Python code from the
+ * Playground or the Terminal Mode REPL (including `while True: pass`) never blocks the
+ * page. Driven by `pythonWorkerClient.js` through this message protocol:
+ *
+ * Page to worker:
+ * - `{ type: 'load', sources, downloadSizes, interruptBuffer }` loads Pyodide from the first
+ *   of `sources` (`{ name, scriptUrl, integrity, indexURL }`, see `getPyodideSources`)
+ *   that works; `downloadSizes` maps runtime file names to their size in bytes, for
+ *   progress; `interruptBuffer` is a shared `Uint8Array`, or null without cross-origin
+ *   isolation
+ * - `{ type: 'run', id, code, globals }` runs code with the given Python globals
+ * - `{ type: 'repl-push', id, session, line }` feeds one line to the interactive console
+ *   of `session`, which is created on first use and keeps its namespace between lines
+ * - `{ type: 'repl-reset', session }` drops the statement being typed in `session`
+ * - `{ type: 'repl-end', session }` discards `session`
+ *
+ * Worker to page:
+ * - `{ type: 'progress', source, loaded }` as each runtime file finishes downloading
+ * - `{ type: 'ready', source, pythonVersion }` or `{ type: 'load-error', error }` once loading settles
+ * - `{ type: 'status', id, text }` while packages imported by the code are loaded
+ * - `{ type: 'started', id }` once the packages are in place and the code (or line) starts
+ * - `{ type: 'stdout' | 'stderr', id, text }` as the code prints, in batches of at most
+ *   one per `OUTPUT_FLUSH_MS`
+ * - `{ type: 'figure', id, src }` for each open matplotlib figure after a `run` ends;
+ *   `src` is a PNG data URL
+ * - `{ type: 'result', id, repl }` or `{ type: 'error', id, error }` when the run ends.
+ *   For `repl-push`, `repl` is `{ more, exited }`: whether the statement continues on the
+ *   next line, and whether `exit()` ended the session. Tracebacks of REPL lines arrive
+ *   as stderr. `error` is the Python traceback of a `run`, or the output limit message
+ *   once a run or line has printed `MAX_OUTPUT_CHARS` characters
+ *
+ * This file is a classic worker with no imports, so the same file runs unbundled in
+ * development.
+ */
+
+let pyodidePromise = null;
+let interruptBuffer = null;
+let downloadSizes = {};
+let captureFigures = null;
+let TerminalConsole = null;
+const replSessions = new Map(); // REPL session id -> TerminalConsole proxy
+
+// Output a run may print before it is ended, so a print loop cannot flood the page
+const MAX_OUTPUT_CHARS = 100000;
+
+// Minimum time between output messages while the code runs
+const OUTPUT_FLUSH_MS = 50;
+
+// Switches matplotlib to its image backend and returns a function that renders every
+// open figure to base64 PNG and closes it. Runs in its own namespace, away from user code.
+const FIGURE_CAPTURE_SOURCE = `
+import os
+os.environ["MPLBACKEND"] = "AGG"
+
+def capture_figures():
+    import sys
+    if "matplotlib.pyplot" not in sys.modules:
+        return []
+    import base64, io, warnings
+    plt = sys.modules["matplotlib.pyplot"]
+    warnings.filterwarnings("ignore", message=".*non-interactive.*")
+    images = []
+    for number in plt.get_fignums():
+        buffer = io.BytesIO()
+        plt.figure(number).savefig(buffer, format="png", bbox_inches="tight")
+        images.append(base64.b64encode(buffer.getvalue()).decode("ascii"))
+    plt.close("all")
+    return images
+
+capture_figures
+`;
+
+// Interactive console class for REPL sessions: Python's own `code.InteractiveConsole` with
+// exit()/quit() that end the session instead of the worker. `push_line` returns
+// [more, exited]; any other exception (e.g. the output limit) drops the buffered
+// statement and propagates.
+const REPL_SOURCE = `
+import code
+
+
+class Quitter:
+    def __init__(self, name):
+        self.name = name
+
+    def __repr__(self):
+        return f"Use {self.name}() or Ctrl-D (i.e. EOF) to exit"
+
+    def __call__(self, status=None):
+        raise SystemExit(status)
+
+
+class TerminalConsole(code.InteractiveConsole):
+    def __init__(self):
+        namespace = {"__name__": "__main__", "exit": Quitter("exit"), "quit": Quitter("quit")}
+        super().__init__(namespace, filename="<stdin>")
+
+    def source_with(self, line):
+        return "\\n".join([*self.buffer, line])
+
+    def push_line(self, line):
+        try:
+            return [self.push(line), False]
+        except SystemExit:
+            self.resetbuffer()
+            return [False, True]
+        except BaseException:
+            self.resetbuffer()
+            raise
+
+
+TerminalConsole
+`;
+
+/**
+ * Watches resource timing for runtime files under `indexURL` while the runtime starts,
+ * and posts the bytes of each finished file as progress. Sizes come from
+ * `downloadSizes`; files it does not list count their encoded body size.
+ *
+ * @param {{name: string, indexURL: string}} source - Source being loaded
+ * @returns {() => void} Stops watching
+ * @private
+ */
+const trackDownloads = ({ name, indexURL }) => {
+  if (typeof PerformanceObserver === 'undefined') return () => {};
+  let loaded = 0;
+  const count = entries => {
+    const files = entries.filter(entry => entry.name.startsWith(indexURL));
+    if (files.length === 0) return;
+    files.forEach(entry => {
+      const file = entry.name.slice(indexURL.length).split('?')[0];
+      loaded += downloadSizes[file] ?? entry.encodedBodySize;
+    });
+    self.postMessage({ type: 'progress', source: name, loaded });
+  };
+  const observer = new PerformanceObserver(list => count(list.getEntries()));
+  observer.observe({ type: 'resource' });
+  return () => {
+    count(observer.takeRecords());
+    observer.disconnect();
+  };
+};
+
+/**
+ * Fetches the Pyodide script of a source, checked against its SRI hash when it has one,
+ * and starts the runtime.
+ *
+ * @param {{name: string, scriptUrl: string, integrity: ?string, indexURL: string}} source -
+ *   Where Pyodide lives
+ * @returns {Promise<object>} Pyodide runtime
+ * @private
+ */
+const loadFromSource = async source => {
+  const stopTracking = trackDownloads(source);
+  try {
+    const response = await fetch(
+      source.scriptUrl,
+      source.integrity ? { integrity: source.integrity } : {}
+    );
+    if (!response.ok) throw new Error(`Failed to load Pyodide script (${response.status})`);
+    const scriptBlobUrl = URL.createObjectURL(await response.blob());
+    try {
+      self.importScripts(scriptBlobUrl);
+    } finally {
+      URL.revokeObjectURL(scriptBlobUrl);
+    }
+    return await self.loadPyodide({ indexURL: source.indexURL });
+  } finally {
+    stopTracking();
+  }
+};
+
+/**
+ * Starts the runtime from the first source that loads.
+ *
+ * @param {object[]} sources - Sources in order of preference
+ * @returns {Promise<{pyodide: object, source: string, pythonVersion: string}>} Runtime, the
+ *   source it came from and its Python version
+ * @private
+ */
+const loadRuntime = async sources => {
+  let lastError = null;
+  for (const source of sources) {
+    try {
+      const pyodide = await loadFromSource(source);
+      if (interruptBuffer) pyodide.setInterruptBuffer(interruptBuffer);
+      captureFigures = pyodide.runPython(FIGURE_CAPTURE_SOURCE, { globals: pyodide.toPy({}) });
+      TerminalConsole = pyodide.runPython(REPL_SOURCE, { globals: pyodide.toPy({}) });
+      const pythonVersion = pyodide.runPython('import sys; sys.version.split()[0]');
+      return { pyodide, source: source.name, pythonVersion };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Posts the figures the code left open. A failure here must not hide the run's result.
+ *
+ * @param {number} id - Run id
+ * @private
+ */
+const postFigures = id => {
+  let images = null;
+  try {
+    images = captureFigures();
+    images.toJs().forEach(image => {
+      self.postMessage({ type: 'figure', id, src: `data:image/png;base64,${image}` });
+    });
+  } catch {
+    // Rendering the figures failed; the text output still stands
+  } finally {
+    images?.destroy();
+  }
+};
+
+/**
+ * Collects a run's printed lines and posts them in batches. Once the run has printed
+ * `MAX_OUTPUT_CHARS` characters, further writes throw, which raises an exception at the
+ * `print` call and ends the program.
+ *
+ * @param {number} id - Run id
+ * @returns {{write: Function, flush: () => void, isLimited: () => boolean}} Output of the run
+ * @private
+ */
+const createOutput = id => {
+  const pending = { stdout: '', stderr: '' };
+  let total = 0;
+  let limited = false;
+  let lastFlush = Date.now();
+
+  const flush = () => {
+    Object.entries(pending).forEach(([type, text]) => {
+      if (text) self.postMessage({ type, id, text });
+      pending[type] = '';
+    });
+    lastFlush = Date.now();
+  };
+
+  const write = type => line => {
+    if (limited) throw new Error('Output limit reached');
+    const text = `${line}\n`.slice(0, MAX_OUTPUT_CHARS - total);
+    pending[type] += text;
+    total += text.length;
+    if (total >= MAX_OUTPUT_CHARS) {
+      limited = true;
+      flush();
+      throw new Error('Output limit reached');
+    }
+    if (Date.now() - lastFlush >= OUTPUT_FLUSH_MS) flush();
+  };
+
+  return { write, flush, isLimited: () => limited };
+};
+
+/**
+ * Loads the packages the code imports, runs it and reports its output, outcome and
+ * (unless `figures` is false) figures.
+ *
+ * @param {number} id - Run id
+ * @param {string} code - Source whose imports are loaded first
+ * @param {(pyodide: object) => object|undefined} execute - Runs the code; returns the
+ *   `repl` details of the result message
+ * @param {{figures?: boolean}} [options] - Whether to post the open matplotlib figures
+ * @private
+ */
+const runWithOutput = async (id, code, execute, { figures = true } = {}) => {
+  const { pyodide } = await pyodidePromise;
+  const output = createOutput(id);
+  pyodide.setStdout({ batched: output.write('stdout') });
+  pyodide.setStderr({ batched: output.write('stderr') });
+  if (interruptBuffer) interruptBuffer[0] = 0;
+
+  try {
+    await pyodide.loadPackagesFromImports(code, {
+      messageCallback: text => self.postMessage({ type: 'status', id, text }),
+    });
+    self.postMessage({ type: 'started', id });
+    const repl = execute(pyodide);
+    output.flush();
+    if (figures) postFigures(id);
+    self.postMessage({ type: 'result', id, repl });
+  } catch (error) {
+    output.flush();
+    if (figures) postFigures(id);
+    const message = output.isLimited()
+      ? `Output limit reached (${MAX_OUTPUT_CHARS} characters)`
+      : error.message;
+    self.postMessage({ type: 'error', id, error: message });
+  }
+};
+
+/**
+ * Runs a program with the given Python globals.
+ *
+ * @param {{id: number, code: string, globals: Record<string, unknown>}} request - Run request
+ * @private
+ */
+const run = ({ id, code, globals }) =>
+  runWithOutput(id, code, pyodide => {
+    Object.entries(globals).forEach(([name, value]) => pyodide.globals.set(name, value));
+    pyodide.runPython(code);
+  });
+
+/**
+ * Feeds one line to a REPL session, creating the session on first use.
+ *
+ * @param {{id: number, session: number, line: string}} request - Line to run
+ * @private
+ */
+const pushReplLine = async ({ id, session, line }) => {
+  await pyodidePromise;
+  if (!replSessions.has(session)) replSessions.set(session, TerminalConsole());
+  const repl = replSessions.get(session);
+
+  await runWithOutput(
+    id,
+    repl.source_with(line),
+    () => {
+      const result = repl.push_line(line);
+      const [more, exited] = result.toJs();
+      result.destroy();
+      return { more, exited };
+    },
+    { figures: false }
+  );
+};
+
+/**
+ * Discards a REPL session and its namespace.
+ *
+ * @param {number} session - Session id
+ * @private
+ */
+const endReplSession = session => {
+  replSessions.get(session)?.destroy();
+  replSessions.delete(session);
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    interruptBuffer = data.interruptBuffer;
+    downloadSizes = data.downloadSizes ?? {};
+    pyodidePromise ??= loadRuntime(data.sources);
+    pyodidePromise.then(
+      ({ source, pythonVersion }) => self.postMessage({ type: 'ready', source, pythonVersion }),
+      error => {
+        pyodidePromise = null;
+        self.postMessage({ type: 'load-error', error: error.message });
+      }
+    );
+  } else if (data.type === 'run') {
+    run(data);
+  } else if (data.type === 'repl-push') {
+    pushReplLine(data);
+  } else if (data.type === 'repl-reset') {
+    replSessions.get(data.session)?.resetbuffer();
+  } else if (data.type === 'repl-end') {
+    endReplSession(data.session);
+  }
+};
@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+
+/** REPL session whose `push_line` prints the line, or loops like `run` below */
+const createConsole = () => ({
+  source_with: line => line,
+  push_line(line) {
+    if (line === 'while True: print(1)') {
+      for (;;) fakePyodide.stdout('1');
+    }
+    fakePyodide.stdout(`ran ${line}`);
+    return { toJs: () => [line.endsWith(':'), line === 'exit()'], destroy() {} };
+  },
+  resetbuffer: vi.fn(),
+  destroy: vi.fn(),
+});
+
+/** Minimal Pyodide whose `runPython` prints through the registered stdout handler */
+const fakePyodide = {
+  stdout: null,
+  globals: { set: vi.fn() },
+  setStdout({ batched }) {
+    this.stdout = batched;
+  },
+  setStderr: vi.fn(),
+  setInterruptBuffer: vi.fn(),
+  toPy: vi.fn(),
+  loadPackagesFromImports: vi.fn(async () => {}),
+  runPython(code) {
+    if (code.includes('capture_figures')) return () => ({ toJs: () => [], destroy() {} });
+    if (code.includes('class TerminalConsole')) return createConsole;
+    if (code.includes('sys.version')) return '3.11.3';
+    if (code === 'while True: print(1)') {
+      for (;;) this.stdout('1');
+    }
+    this.stdout('done');
+    return undefined;
+  },
+};
+
+/** Resource timing observer the test finishes downloads through */
+class FakePerformanceObserver {
+  static instance = null;
+
+  constructor(callback) {
+    this.callback = callback;
+    FakePerformanceObserver.instance = this;
+  }
+
+  observe() {}
+
+  finish(...names) {
+    this.callback({ getEntries: () => names.map(name => ({ name, encodedBodySize: 10 })) });
+  }
+
+  takeRecords() {
+    return [];
+  }
+
+  disconnect() {}
+}
+
+const messages = [];
+let loadMessages = [];
+
+/** Lets pending promise callbacks run */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('pythonWorker', () => {
+  beforeAll(async () => {
+    vi.spyOn(window, 'postMessage').mockImplementation(message => messages.push(message));
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => new Response(''))
+    );
+    vi.stubGlobal('PerformanceObserver', FakePerformanceObserver);
+    URL.createObjectURL = vi.fn(() => 'blob:pyodide');
+    URL.revokeObjectURL = vi.fn();
+    self.importScripts = () => {
+      self.loadPyodide = async () => {
+        FakePerformanceObserver.instance.finish(
+          'https://cdn.test/pyodide.asm.wasm',
+          'https://cdn.test/pyodide-lock.json?v=1',
+          'https://other.test/font.woff2'
+        );
+        FakePerformanceObserver.instance.finish('https://cdn.test/packages/micropip.whl');
+        return fakePyodide;
+      };
+    };
+
+    await import('./pythonWorker.js');
+    self.onmessage({
+      data: {
+        type: 'load',
+        sources: [
+          { name: 'cdn', scriptUrl: 'https://cdn.test/pyodide.js', indexURL: 'https://cdn.test/' },
+        ],
+        downloadSizes: { 'pyodide.asm.wasm': 900, 'pyodide-lock.json': 80 },
+        interruptBuffer: null,
+      },
+    });
+    await flush();
+    loadMessages = [...messages];
+  });
+
+  beforeEach(() => {
+    messages.length = 0;
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    delete self.importScripts;
+    delete self.loadPyodide;
+  });
+
+  it('reports the size of each runtime file as it finishes downloading', () => {
+    expect(loadMessages.filter(message => message.type === 'progress')).toEqual([
+      { type: 'progress', source: 'cdn', loaded: 980 },
+      { type: 'progress', source: 'cdn', loaded: 990 },
+    ]);
+  });
+
+  it('reports the Python version once the runtime is ready', () => {
+    expect(loadMessages.at(-1)).toEqual({ type: 'ready', source: 'cdn', pythonVersion: '3.11.3' });
+  });
+
+  it('runs code and posts its output before the result', async () => {
+    self.onmessage({ data: { type: 'run', id: 1, code: 'print("done")', globals: {} } });
+    await flush();
+
+    expect(messages.map(message => message.type)).toEqual(['started', 'stdout', 'result']);
+    expect(messages[1]).toEqual({ type: 'stdout', id: 1, text: 'done\n' });
+  });
+
+  it('ends a program that prints more than the output limit', async () => {
+    self.onmessage({ data: { type: 'run', id: 2, code: 'while True: print(1)', globals: {} } });
+    await flush();
+
+    const output = messages.filter(message => message.type === 'stdout');
+    expect(output.map(message => message.text).join('')).toHaveLength(100000);
+    expect(messages.at(-1)).toEqual({
+      type: 'error',
+      id: 2,
+      error: 'Output limit reached (100000 characters)',
+    });
+  });
+
+  it('runs REPL lines in a session that lasts until it is ended', async () => {
+    self.onmessage({ data: { type: 'repl-push', id: 3, session: 1, line: 'for i in x:' } });
+    await flush();
+    expect(messages).toEqual([
+      { type: 'started', id: 3 },
+      { type: 'stdout', id: 3, text: 'ran for i in x:\n' },
+      { type: 'result', id: 3, repl: { more: true, exited: false } },
+    ]);
+
+    self.onmessage({ data: { type: 'repl-push', id: 4, session: 1, line: 'exit()' } });
+    await flush();
+    expect(messages.at(-1)).toEqual({
+      type: 'result',
+      id: 4,
+      repl: { more: false, exited: true },
+    });
+  });
+
+  it('caps the output of a REPL line', async () => {
+    self.onmessage({
+      data: { type: 'repl-push', id: 5, session: 2, line: 'while True: print(1)' },
+    });
+    await flush();
+
+    expect(messages.at(-1)).toEqual({
+      type: 'error',
+      id: 5,
+      error: 'Output limit reached (100000 characters)',
+    });
+  });
+});
@@ -0,0 +1,389 @@
+/**
+ * Python Worker Client Module
+ *
+ * Runs Python in a Web Worker (`pythonWorker.js`) so a long or endless loop cannot freeze
+ * the page: the Playground's programs through `runPython`, and Terminal Mode's `python`
+ * REPL through `startPythonRepl`. One worker, and so one runtime download, is shared by
+ * both, and it runs one program or REPL line at a time.
+ *
+ * A run (or REPL line) ends when the code finishes, raises, passes its timeout or is stopped. Stopping
+ * uses Pyodide's interrupt buffer when the page is cross-origin isolated (so
+ * `SharedArrayBuffer` exists): the program gets a `KeyboardInterrupt` and the loaded
+ * runtime survives. Otherwise, or when the program does not react in time (e.g. it is
+ * stuck inside native code), the worker is terminated and a fresh one is started.
+ *
+ * Output reaches the callbacks at most once per animation frame, and the worker ends a
+ * program that prints more than its output limit, so a print loop cannot freeze the page.
+ *
+ * Packages the code imports (numpy, pandas, matplotlib, ...) are loaded by the worker
+ * before the code starts. The timeout only counts from then, so a first download does
+ * not use it up. Matplotlib figures left open by the code come back as PNG data URLs.
+ *
+ * The runtime comes from the sources in `getPyodideSources()` (a local copy first when
+ * the build serves one), and its download progress is passed to `preloadPython` callers.
+ * *
+ * @module components/shared/pythonWorkerClient
+ */
+
+import { PYODIDE_DOWNLOAD_BYTES, PYODIDE_DOWNLOAD_SIZES, getPyodideSources } from './pyodideLoader';
+
+// Default time a program may run before it is stopped
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+// How long an interrupted program gets to stop before the worker is terminated
+const INTERRUPT_GRACE_MS = 1000;
+
+// Value written to the interrupt buffer; Pyodide raises KeyboardInterrupt for SIGINT
+const SIGINT = 2;
+
+const BUSY_ERROR = 'Another Python program is still running';
+
+/**
+ * @typedef {object} RunResult
+ * @property {'ok'|'error'|'timeout'|'stopped'} status - How the run ended
+ * @property {string} [error] - Python traceback, or why the run was cut short
+ */
+
+/**
+ * @typedef {object} ReplResult
+ * @property {'ok'|'error'|'timeout'|'stopped'} status - How the line ended
+ * @property {string} [error] - Why the line was cut short; tracebacks arrive as stderr
+ * @property {boolean} [more] - The statement is incomplete; show the `...` prompt
+ * @property {boolean} [exited] - `exit()`, `quit()` or `SystemExit` ended the session
+ * @property {boolean} [restarted] - The worker was replaced (after a Stop or timeout that
+ *   interrupting could not end), so the session's earlier variables are gone
+ */
+
+let worker = null;
+let readyPromise = null;
+let interruptBuffer = null;
+let activeRun = null; // { id, session, resolve, callbacks, timeoutMs, timer, graceTimer, stopReason, pending, frame }
+let runCount = 0;
+let replCount = 0;
+let workerGeneration = 0; // Increases with every spawned worker, so REPLs notice a restart
+let pythonVersion = null;
+let isLoading = false;
+const progressListeners = new Set(); // Called with download progress until the runtime is ready
+
+/** @private */
+const canInterrupt = () =>
+  typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+
+/** @private */
+const scheduleFrame = callback =>
+  typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(callback, 16);
+
+/**
+ * Hands a run's queued output to its callbacks, so a chatty program updates the page at
+ * most once per animation frame.
+ *
+ * @param {object} run - Run whose output to deliver
+ * @private
+ */
+const flushOutput = run => {
+  run.frame = null;
+  const { stdout, stderr } = run.pending;
+  run.pending = { stdout: '', stderr: '' };
+  if (stdout) run.callbacks.onStdout?.(stdout);
+  if (stderr) run.callbacks.onStderr?.(stderr);
+};
+
+/**
+ * Ends the active run with a result.
+ *
+ * @param {RunResult} result - How the run ended
+ * @private
+ */
+const finishRun = result => {
+  if (!activeRun) return;
+  flushOutput(activeRun);
+  clearTimeout(activeRun.timer);
+  clearTimeout(activeRun.graceTimer);
+  activeRun.resolve(result);
+  activeRun = null;
+};
+
+/**
+ * Message for a run that was cut short.
+ *
+ * @param {'timeout'|'stopped'} reason - Why it stopped
+ * @param {number} timeoutMs - Timeout of the run
+ * @returns {string} Message shown in place of the traceback
+ * @private
+ */
+const stopMessage = (reason, timeoutMs) =>
+  reason === 'timeout' ? `Execution timed out after ${timeoutMs / 1000} s` : 'Execution stopped';
+
+/**
+ * Terminates the worker, ending the active run and any pending load.
+ *
+ * @param {RunResult} result - Result for the active run
+ * @private
+ */
+const discardWorker = result => {
+  worker?.terminate();
+  worker = null;
+  readyPromise = null;
+  finishRun(result);
+};
+
+/** @private */
+const handleMessage = ({ data }) => {
+  if (!activeRun || data.id !== activeRun.id) return;
+  const { stopReason, timeoutMs } = activeRun;
+
+  const { onStatus, onFigure } = activeRun.callbacks;
+  const run = activeRun;
+
+  if (data.type === 'status') onStatus?.(data.text);
+  else if (data.type === 'started') {
+    activeRun.timer = setTimeout(() => stopPython('timeout'), timeoutMs);
+  } else if (data.type === 'stdout' || data.type === 'stderr') {
+    run.pending[data.type] += data.text;
+    run.frame ??= scheduleFrame(() => flushOutput(run));
+  } else if (data.type === 'figure') onFigure?.(data.src);
+  else if (data.type === 'result' || data.type === 'error') {
+    // An interrupted REPL line still ends with a result (its traceback went to stderr)
+    if (stopReason) finishRun({ status: stopReason, error: stopMessage(stopReason, timeoutMs) });
+    else if (data.type === 'result') finishRun({ status: 'ok', ...data.repl });
+    else finishRun({ status: 'error', error: data.error });
+  }
+};
+
+/**
+ * Starts a worker and asks it to load Pyodide.
+ *
+ * @returns {Promise<void>} Resolves once the runtime is ready
+ * @private
+ */
+const spawnWorker = () => {
+  const spawned = new Worker(new URL('./pythonWorker.js', import.meta.url));
+  worker = spawned;
+  workerGeneration += 1;
+  isLoading = true;
+  interruptBuffer = canInterrupt() ? new Uint8Array(new SharedArrayBuffer(1)) : null;
+
+  readyPromise = new Promise((resolve, reject) => {
+    spawned.onmessage = event => {
+      const { type, source, loaded } = event.data;
+      if (type === 'progress') {
+        const progress = { source, loaded, total: PYODIDE_DOWNLOAD_BYTES };
+        progressListeners.forEach(listener => listener(progress));
+      } else if (type === 'ready') {
+        pythonVersion = event.data.pythonVersion;
+        resolve();
+      } else if (type === 'load-error') reject(new Error(event.data.error));
+      else handleMessage(event);
+    };
+    spawned.onerror = event => {
+      event.preventDefault?.();
+      reject(new Error('The Python worker failed to start'));
+      discardWorker({ status: 'error', error: 'The Python worker crashed' });
+    };
+  })
+    .catch(error => {
+      if (worker === spawned) discardWorker({ status: 'error', error: error.message });
+      throw error;
+    })
+    .finally(() => {
+      if (worker && worker !== spawned) return; // A newer worker's load owns the listeners
+      isLoading = false;
+      progressListeners.clear();
+    });
+
+  spawned.postMessage({
+    type: 'load',
+    sources: getPyodideSources(),
+    downloadSizes: PYODIDE_DOWNLOAD_SIZES,
+    interruptBuffer,
+  });
+  return readyPromise;
+};
+
+/**
+ * Sends a program or REPL line to the worker and tracks it as the active run.
+ *
+ * @param {object} message - `run` or `repl-push` message, without its id
+ * @param {object} callbacks - Output, status and figure callbacks of the run
+ * @param {number} timeoutMs - Stop the run after this long, counted from its start
+ * @returns {Promise<RunResult|ReplResult>} How the run ended
+ * @private
+ */
+const startRun = (message, callbacks, timeoutMs) => {
+  runCount += 1;
+  const id = runCount;
+  return new Promise(resolve => {
+    activeRun = {
+      id,
+      session: message.session ?? null,
+      resolve,
+      callbacks,
+      timeoutMs,
+      timer: null,
+      stopReason: null,
+      pending: { stdout: '', stderr: '' },
+      frame: null,
+    };
+    worker.postMessage({ ...message, id });
+  });
+};
+
+/**
+ * Starts loading the runtime in the background, e.g. when a runner opens or the
+ * visitor hovers a "Try it" button. Reuses the worker once it exists.
+ *
+ * @param {object} [options]
+ * @param {(progress: import('./pyodideLoader').PyodideLoadProgress) => void} [options.onProgress] -
+ *   Receives download progress while the runtime loads
+ * @returns {Promise<void>} Resolves once the runtime is ready
+ */
+export const preloadPython = ({ onProgress } = {}) => {
+  const pending = worker ? readyPromise : spawnWorker();
+  if (onProgress && isLoading) progressListeners.add(onProgress);
+  return pending;
+};
+
+/**
+ * Runs Python code in the worker.
+ *
+ * @async
+ * @param {string} code - Python source
+ * @param {object} [options]
+ * @param {Record<string, unknown>} [options.globals={}] - Python globals set before the run,
+ *   e.g. `{ user_input }`; values are never interpolated into the code
+ * @param {(text: string) => void} [options.onStdout] - Receives printed output as it arrives,
+ *   at most once per animation frame
+ * @param {(text: string) => void} [options.onStderr] - Receives error output the same way
+ * @param {(text: string) => void} [options.onStatus] - Receives package loading progress,
+ *   e.g. "Loading numpy, pandas"
+ * @param {(src: string) => void} [options.onFigure] - Receives each matplotlib figure as a
+ *   PNG data URL once the code ends
+ * @param {number} [options.timeoutMs=DEFAULT_TIMEOUT_MS] - Stop the program after this long,
+ *   counted from when its packages are loaded
+ * @returns {Promise<RunResult>} How the run ended
+ * @throws {Error} When the runtime cannot be loaded
+ *
+ * @example
+ * const result = await runPython('print(user_input)', {
+ *   globals: { user_input: 'hi' },
+ *   onStdout: text => console.log(text),
+ * });
+ * // => { status: 'ok' }
+ */
+export const runPython = async (
+  code,
+  { globals = {}, onStdout, onStderr, onStatus, onFigure, timeoutMs = DEFAULT_TIMEOUT_MS } = {}
+) => {
+  await preloadPython();
+  if (activeRun) return { status: 'error', error: BUSY_ERROR };
+  return startRun(
+    { type: 'run', code, globals },
+    { onStdout, onStderr, onStatus, onFigure },
+    timeoutMs
+  );
+};
+
+/**
+ * Starts an interactive Python session in the worker, for Terminal Mode's `python`
+ * command. Each session has its own namespace; lines get the same timeout, Stop and
+ * output limit as `runPython` programs.
+ *
+ * @async
+ * @param {object} [options]
+ * @param {(progress: import('./pyodideLoader').PyodideLoadProgress) => void} [options.onProgress] -
+ *   Receives download progress while the runtime loads
+ * @returns {Promise<{version: string, push: Function, reset: () => void, interrupt: () => void, destroy: () => void}>}
+ *   `push(line, { onStdout, onStderr, timeoutMs })` runs one input line and resolves with a
+ *   `ReplResult`; `reset` drops a half-typed statement, `interrupt` stops the running line
+ *   and `destroy` ends the session
+ * @throws {Error} When the runtime cannot be loaded
+ *
+ * @example
+ * const repl = await startPythonRepl();
+ * await repl.push('for i in range(2):'); // => { status: 'ok', more: true, exited: false }
+ * await repl.push('    print(i)');
+ * await repl.push('', { onStdout: text => console.log(text) }); // logs "0\n1\n"
+ */
+export const startPythonRepl = async ({ onProgress } = {}) => {
+  await preloadPython({ onProgress });
+  replCount += 1;
+  const session = replCount;
+  let generation = workerGeneration;
+  let ended = false;
+
+  const push = async (line, { onStdout, onStderr, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    await preloadPython();
+    if (activeRun) return { status: 'error', error: BUSY_ERROR };
+    const startedIn = workerGeneration;
+    const result = await startRun(
+      { type: 'repl-push', session, line },
+      { onStdout, onStderr },
+      timeoutMs
+    );
+    const restarted = startedIn !== generation || workerGeneration !== startedIn;
+    generation = workerGeneration;
+    return restarted ? { ...result, restarted } : result;
+  };
+
+  const interrupt = () => {
+    if (activeRun?.session === session) stopPython();
+  };
+
+  return {
+    version: pythonVersion,
+    push,
+    reset: () => worker?.postMessage({ type: 'repl-reset', session }),
+    interrupt,
+    destroy: () => {
+      if (ended) return;
+      ended = true;
+      worker?.postMessage({ type: 'repl-end', session });
+      interrupt();
+    },
+  };
+};
+
+/**
+ * Stops the running program, if any. The run resolves with status `'stopped'` (or
+ * `'timeout'` when the timeout called this).
+ *
+ * @param {'stopped'|'timeout'} [reason='stopped'] - Why the program is stopped
+ */
+export const stopPython = (reason = 'stopped') => {
+  if (!activeRun || activeRun.stopReason) return;
+  activeRun.stopReason = reason;
+  const result = { status: reason, error: stopMessage(reason, activeRun.timeoutMs) };
+  const respawn = () => {
+    discardWorker(result);
+    spawnWorker().catch(() => {});
+  };
+
+  if (interruptBuffer) {
+    interruptBuffer[0] = SIGINT;
+    activeRun.graceTimer = setTimeout(respawn, INTERRUPT_GRACE_MS);
+  } else {
+    respawn();
+  }
+};
+
+/**
+ * Terminates the worker and forgets all state.
+ * This is primarily used for testing purposes to ensure a clean state between tests.
+ *
+ * @private
+ */
+export const __resetPythonWorkerForTests = () => {
+  clearTimeout(activeRun?.timer);
+  clearTimeout(activeRun?.graceTimer);
+  worker?.terminate();
+  worker = null;
+  readyPromise = null;
+  interruptBuffer = null;
+  activeRun = null;
+  isLoading = false;
+  progressListeners.clear();
+  pythonVersion = null;
+  replCount = 0;
+};
@@ -0,0 +1,257 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  __resetPythonWorkerForTests,
+  preloadPython,
+  runPython,
+  startPythonRepl,
+  stopPython,
+} from './pythonWorkerClient';
+import { PYODIDE_DOWNLOAD_BYTES, PYODIDE_DOWNLOAD_SIZES } from './pyodideLoader';
+
+/** Stand-in for the Pyodide worker; answers `load` and records everything else */
+class FakeWorker {
+  static instances = [];
+  static loadError = null;
+
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    if (message.type === 'load') {
+      const error = FakeWorker.loadError;
+      queueMicrotask(() =>
+        this.emit(
+          error ? { type: 'load-error', error } : { type: 'ready', pythonVersion: '3.11.3' }
+        )
+      );
+    }
+  }
+
+  emit(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  get lastRun() {
+    return this.messages.filter(message => ['run', 'repl-push'].includes(message.type)).at(-1);
+  }
+}
+
+/** Lets pending promise callbacks run */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('pythonWorkerClient', () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    FakeWorker.loadError = null;
+    vi.stubGlobal('Worker', FakeWorker);
+  });
+
+  afterEach(() => {
+    __resetPythonWorkerForTests();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('loads Pyodide in one shared worker', async () => {
+    await Promise.all([preloadPython(), preloadPython()]);
+
+    expect(FakeWorker.instances).toHaveLength(1);
+    expect(FakeWorker.instances[0].messages[0]).toMatchObject({
+      type: 'load',
+      sources: [
+        {
+          name: 'cdn',
+          scriptUrl: expect.stringContaining('pyodide.js'),
+          integrity: expect.stringMatching(/^sha384-/),
+        },
+      ],
+      downloadSizes: PYODIDE_DOWNLOAD_SIZES,
+      interruptBuffer: null,
+    });
+  });
+
+  it('passes download progress to callers until the runtime is ready', async () => {
+    const onProgress = vi.fn();
+    const ready = preloadPython({ onProgress });
+    const [worker] = FakeWorker.instances;
+
+    worker.emit({ type: 'progress', source: 'local', loaded: 2048 });
+    await ready;
+    worker.emit({ type: 'progress', source: 'local', loaded: 4096 });
+
+    expect(onProgress).toHaveBeenCalledTimes(1);
+    expect(onProgress).toHaveBeenCalledWith({
+      source: 'local',
+      loaded: 2048,
+      total: PYODIDE_DOWNLOAD_BYTES,
+    });
+  });
+
+  it('streams output and resolves when the program finishes or fails', async () => {
+    const onStdout = vi.fn();
+    const run = runPython('print(user_input)', { globals: { user_input: 'hi' }, onStdout });
+    await flush();
+    const [worker] = FakeWorker.instances;
+    const { id, code, globals } = worker.lastRun;
+    expect({ code, globals }).toEqual({ code: 'print(user_input)', globals: { user_input: 'hi' } });
+
+    worker.emit({ type: 'stdout', id, text: 'hi\n' });
+    worker.emit({ type: 'result', id });
+    expect(await run).toEqual({ status: 'ok' });
+    expect(onStdout).toHaveBeenCalledWith('hi\n');
+
+    const failing = runPython('1 / 0');
+    await flush();
+    worker.emit({ type: 'error', id: worker.lastRun.id, error: 'ZeroDivisionError' });
+    expect(await failing).toEqual({ status: 'error', error: 'ZeroDivisionError' });
+  });
+
+  it('delivers streamed output at most once per animation frame', async () => {
+    await preloadPython();
+    vi.useFakeTimers();
+    const onStdout = vi.fn();
+    const run = runPython('while True: print(1)', { onStdout });
+    await vi.advanceTimersByTimeAsync(0);
+    const [worker] = FakeWorker.instances;
+    const { id } = worker.lastRun;
+
+    worker.emit({ type: 'stdout', id, text: '1\n' });
+    worker.emit({ type: 'stdout', id, text: '1\n' });
+    expect(onStdout).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(20);
+    expect(onStdout).toHaveBeenCalledExactlyOnceWith('1\n1\n');
+
+    worker.emit({ type: 'stdout', id, text: '2\n' });
+    worker.emit({ type: 'error', id, error: 'Output limit reached (100000 characters)' });
+    expect(await run).toEqual({
+      status: 'error',
+      error: 'Output limit reached (100000 characters)',
+    });
+    expect(onStdout).toHaveBeenLastCalledWith('2\n');
+  });
+
+  it('terminates and respawns the worker when a program times out or is stopped', async () => {
+    await preloadPython();
+    vi.useFakeTimers();
+
+    const run = runPython('while True: pass', { timeoutMs: 2000 });
+    await vi.advanceTimersByTimeAsync(0);
+    FakeWorker.instances[0].emit({ type: 'started', id: FakeWorker.instances[0].lastRun.id });
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(await run).toEqual({ status: 'timeout', error: 'Execution timed out after 2 s' });
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+    expect(FakeWorker.instances).toHaveLength(2);
+
+    const stopped = runPython('while True: pass');
+    await vi.advanceTimersByTimeAsync(0);
+    stopPython();
+    expect(await stopped).toEqual({ status: 'stopped', error: 'Execution stopped' });
+    expect(FakeWorker.instances[1].terminated).toBe(true);
+  });
+
+  it('reports package loading and figures, and times only the program itself', async () => {
+    await preloadPython();
+    vi.useFakeTimers();
+    const onStatus = vi.fn();
+    const onFigure = vi.fn();
+    const run = runPython('import matplotlib', { onStatus, onFigure, timeoutMs: 1000 });
+    await vi.advanceTimersByTimeAsync(0);
+    const [worker] = FakeWorker.instances;
+    const { id } = worker.lastRun;
+
+    worker.emit({ type: 'status', id, text: 'Loading matplotlib' });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(onStatus).toHaveBeenCalledWith('Loading matplotlib');
+    expect(worker.terminated).toBe(false);
+
+    worker.emit({ type: 'started', id });
+    worker.emit({ type: 'figure', id, src: 'data:image/png;base64,AAAA' });
+    worker.emit({ type: 'result', id });
+    expect(await run).toEqual({ status: 'ok' });
+    expect(onFigure).toHaveBeenCalledWith('data:image/png;base64,AAAA');
+  });
+
+  it('interrupts through the shared buffer when the page is cross-origin isolated', async () => {
+    vi.stubGlobal('crossOriginIsolated', true);
+    const run = runPython('while True: pass');
+    await flush();
+    const [worker] = FakeWorker.instances;
+    const { interruptBuffer } = worker.messages[0];
+
+    stopPython();
+    expect(interruptBuffer[0]).toBe(2);
+    worker.emit({ type: 'error', id: worker.lastRun.id, error: 'KeyboardInterrupt' });
+    expect(await run).toEqual({ status: 'stopped', error: 'Execution stopped' });
+    expect(worker.terminated).toBe(false);
+  });
+
+  it('reports load failures and retries with a new worker', async () => {
+    FakeWorker.loadError = 'Failed to load Pyodide script (404)';
+    await expect(runPython('pass')).rejects.toThrow('Failed to load Pyodide script (404)');
+
+    FakeWorker.loadError = null;
+    await preloadPython();
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+
+  it('runs REPL lines in the shared worker with the same timeout', async () => {
+    const repl = await startPythonRepl();
+    const [worker] = FakeWorker.instances;
+    expect(repl.version).toBe('3.11.3');
+
+    const onStdout = vi.fn();
+    const pushed = repl.push('print(1)', { onStdout });
+    await flush();
+    const { id, session, line } = worker.lastRun;
+    expect({ session, line }).toEqual({ session: 1, line: 'print(1)' });
+    worker.emit({ type: 'stdout', id, text: '1\n' });
+    worker.emit({ type: 'result', id, repl: { more: false, exited: false } });
+    expect(await pushed).toEqual({ status: 'ok', more: false, exited: false });
+    expect(onStdout).toHaveBeenCalledWith('1\n');
+
+    vi.useFakeTimers();
+    const looping = repl.push('while True: pass', { timeoutMs: 1000 });
+    await vi.advanceTimersByTimeAsync(0);
+    worker.emit({ type: 'started', id: worker.lastRun.id });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(await looping).toEqual({
+      status: 'timeout',
+      error: 'Execution timed out after 1 s',
+      restarted: true,
+    });
+    expect(worker.terminated).toBe(true);
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+
+  it('interrupts, resets and ends its own session only', async () => {
+    const repl = await startPythonRepl();
+    const other = await startPythonRepl();
+    const [worker] = FakeWorker.instances;
+
+    const pushed = repl.push('while True: pass');
+    await flush();
+    other.interrupt();
+    expect(worker.terminated).toBe(false);
+
+    repl.reset();
+    repl.destroy();
+    expect(await pushed).toEqual({
+      status: 'stopped',
+      error: 'Execution stopped',
+      restarted: true,
+    });
+    expect(worker.terminated).toBe(true);
+    expect(worker.messages.slice(-2)).toEqual([
+      { type: 'repl-reset', session: 1 },
+      { type: 'repl-end', session: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Sandbox Share Links Module
+ *
+ * Encodes the HTML, CSS and JS of a `JsHtmlSandbox` into a URL fragment
+ * (`/playground#sandbox=<data>`), so edits can be shared as a link. The state is
+ * JSON, deflate-compressed with the browser's `CompressionStream` and base64url
+ * encoded. The fragment never reaches the server, and decoding treats it as
+ * untrusted: the encoded and decompressed sizes are capped (decompression stops
+ * as soon as the cap is passed) and the JSON must match the expected shape.
+ *
+ * @module components/shared/sandboxShare
+ */
+
+// Fragment key of a shared sandbox
+export const SHARE_HASH_KEY = 'sandbox';
+
+// Payload format version; bump when the shape changes
+const SHARE_VERSION = 1;
+
+// Longest encoded fragment accepted; keeps links within what browsers and chat apps handle
+export const MAX_SHARE_FRAGMENT_LENGTH = 16000;
+
+// Largest decompressed payload, and the longest title and source per language
+const MAX_DECODED_BYTES = 200000;
+const MAX_TITLE_LENGTH = 100;
+export const MAX_SOURCE_LENGTH = 50000;
+
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @typedef {object} SandboxState
+ * @property {string} title - Name shown on the shared sandbox
+ * @property {string} html - HTML markup
+ * @property {string} css - Stylesheet
+ * @property {string} js - Script
+ */
+
+/**
+ * Runs bytes through a compression or decompression stream.
+ *
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} transform - `CompressionStream` or `DecompressionStream`
+ * @param {number} [maxBytes=Infinity] - Stop with a RangeError past this many output bytes
+ * @returns {Promise<Uint8Array>} Output
+ * @private
+ */
+const transformBytes = async (bytes, transform, maxBytes = Infinity) => {
+  const reader = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    },
+  })
+    .pipeThrough(transform)
+    .getReader();
+
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      reader.cancel();
+      throw new RangeError('payload too large');
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  chunks.reduce((offset, chunk) => {
+    output.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return output;
+};
+
+/** @private */
+const toBase64Url = bytes => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/** @private */
+const fromBase64Url = text =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+/**
+ * Checks a decoded payload and converts it to sandbox state.
+ *
+ * @param {unknown} payload - Parsed JSON
+ * @returns {SandboxState|null} State, or null when the payload has the wrong shape
+ * @private
+ */
+const toSandboxState = payload => {
+  if (!payload || typeof payload !== 'object' || payload.v !== SHARE_VERSION) return null;
+  const { t: title = '', h: html, c: css, j: js } = payload;
+  const isSource = value => typeof value === 'string' && value.length <= MAX_SOURCE_LENGTH;
+  if (typeof title !== 'string' || ![html, css, js].every(isSource)) return null;
+  return { title: title.slice(0, MAX_TITLE_LENGTH), html, css, js };
+};
+
+/**
+ * Encodes sandbox state for a share link.
+ *
+ * @async
+ * @param {SandboxState} state - Sources to share
+ * @returns {Promise<{ok: true, fragment: string}|{ok: false, error: string}>} The URL
+ *   fragment (without `#`), or why the state cannot be shared
+ */
+export const encodeSandboxState = async ({ title = '', html, css, js }) => {
+  if ([html, css, js].some(source => source.length > MAX_SOURCE_LENGTH)) {
+    return { ok: false, error: 'The code is too long to share as a link' };
+  }
+  const json = JSON.stringify({
+    v: SHARE_VERSION,
+    t: title.slice(0, MAX_TITLE_LENGTH),
+    h: html,
+    c: css,
+    j: js,
+  });
+  const compressed = await transformBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream('deflate-raw')
+  );
+  const fragment = `${SHARE_HASH_KEY}=${toBase64Url(compressed)}`;
+  if (fragment.length > MAX_SHARE_FRAGMENT_LENGTH) {
+    return { ok: false, error: 'The code is too long to share as a link' };
+  }
+  return { ok: true, fragment };
+};
+
+/**
+ * Reads the encoded data of a shared sandbox from a location hash.
+ *
+ * @param {string} hash - `location.hash`, with or without the leading `#`
+ * @returns {string|null} Encoded data, or null when the hash is not a sandbox link
+ */
+export const readSandboxHash = hash => {
+  const prefix = `${SHARE_HASH_KEY}=`;
+  const fragment = hash.replace(/^#/, '');
+  return fragment.startsWith(prefix) ? fragment.slice(prefix.length) : null;
+};
+
+/**
+ * Decodes the data of a shared sandbox link.
+ *
+ * @async
+ * @param {string} data - Encoded data from `readSandboxHash`
+ * @returns {Promise<{ok: true, state: SandboxState}|{ok: false, error: string}>} State,
+ *   or why the link cannot be opened
+ */
+export const decodeSandboxState = async data => {
+  if (data.length > MAX_SHARE_FRAGMENT_LENGTH) {
+    return { ok: false, error: 'This shared sandbox link is too long' };
+  }
+  if (!BASE64URL_PATTERN.test(data)) {
+    return { ok: false, error: 'This shared sandbox link is damaged' };
+  }
+  try {
+    const json = await transformBytes(
+      fromBase64Url(data),
+      new DecompressionStream('deflate-raw'),
+      MAX_DECODED_BYTES
+    );
+    const state = toSandboxState(JSON.parse(new TextDecoder().decode(json)));
+    if (!state) return { ok: false, error: 'This shared sandbox link is not valid' };
+    return { ok: true, state };
+  } catch (error) {
+    return {
+      ok: false,
+      error:
+        error instanceof RangeError
+          ? 'This shared sandbox link is too large'
+          : 'This shared sandbox link is damaged',
+    };
+  }
+};
+
+/**
+ * Full Playground URL for an encoded sandbox.
+ *
+ * @param {string} fragment - Fragment from `encodeSandboxState`
+ * @param {string} [origin=window.location.origin] - Site origin
+ * @returns {string} Share link
+ */
+export const buildShareUrl = (fragment, origin = window.location.origin) =>
+  `${origin}/playground#${fragment}`;
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SHARE_FRAGMENT_LENGTH,
+  MAX_SOURCE_LENGTH,
+  buildShareUrl,
+  decodeSandboxState,
+  encodeSandboxState,
+  readSandboxHash,
+} from './sandboxShare';
+
+const state = {
+  title: 'Counter',
+  html: '<button id="counter">Click</button>',
+  css: 'button { color: red; }',
+  js: 'console.log("héllo ✓");',
+};
+
+/** Compresses arbitrary text the way share links are encoded */
+const encodeRaw = async text => {
+  const reader = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode(text));
+      controller.close();
+    },
+  })
+    .pipeThrough(new CompressionStream('deflate-raw'))
+    .getReader();
+  let binary = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    value.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+describe('sandboxShare', () => {
+  it('round-trips sandbox state through a share link', async () => {
+    const result = await encodeSandboxState(state);
+    expect(result.ok).toBe(true);
+
+    const url = buildShareUrl(result.fragment, 'https://example.com');
+    expect(url).toMatch(/^https:\/\/example\.com\/playground#sandbox=[\w-]+$/);
+
+    const data = readSandboxHash(new URL(url).hash);
+    expect(await decodeSandboxState(data)).toEqual({ ok: true, state });
+  });
+
+  it('only reads #sandbox= fragments', () => {
+    expect(readSandboxHash('#sandbox=abc')).toBe('abc');
+    expect(readSandboxHash('sandbox=abc')).toBe('abc');
+    expect(readSandboxHash('#section')).toBeNull();
+    expect(readSandboxHash('')).toBeNull();
+  });
+
+  it('refuses to share code over the limits', async () => {
+    expect(await encodeSandboxState({ ...state, js: 'x'.repeat(MAX_SOURCE_LENGTH + 1) })).toEqual({
+      ok: false,
+      error: 'The code is too long to share as a link',
+    });
+
+    // Random-looking code barely compresses, so the link itself gets too long
+    const noise = Array.from({ length: 20000 }, (_, index) =>
+      ((index * 7919) % 65521).toString(36)
+    ).join('');
+    expect((await encodeSandboxState({ ...state, js: noise.slice(0, MAX_SOURCE_LENGTH) })).ok).toBe(
+      false
+    );
+  });
+
+  it('rejects damaged, oversized and malformed links', async () => {
+    expect(await decodeSandboxState('not*base64')).toEqual({
+      ok: false,
+      error: 'This shared sandbox link is damaged',
+    });
+    expect((await decodeSandboxState('AAAA')).ok).toBe(false);
+    expect((await decodeSandboxState('a'.repeat(MAX_SHARE_FRAGMENT_LENGTH + 1))).error).toBe(
+      'This shared sandbox link is too long'
+    );
+
+    // Compresses to a short link but would expand far past the limit
+    const bomb = await encodeRaw(JSON.stringify({ v: 1, h: 'a'.repeat(500000), c: '', j: '' }));
+    expect(bomb.length).toBeLessThan(MAX_SHARE_FRAGMENT_LENGTH);
+    expect((await decodeSandboxState(bomb)).error).toBe('This shared sandbox link is too large');
+
+    for (const payload of [
+      { v: 2, h: '', c: '', j: '' },
+      { v: 1, h: '<p>', c: '' },
+      { v: 1, t: 42, h: '', c: '', j: '' },
+      ['v', 1],
+    ]) {
+      expect(await decodeSandboxState(await encodeRaw(JSON.stringify(payload)))).toEqual({
+        ok: false,
+        error: 'This shared sandbox link is not valid',
+      });
+    }
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Settings commands: switch the theme and toggle the custom cursor.
+ */
+
+import { MousePointer2, Palette } from 'lucide-react';
+import { registerCommands } from './commandRegistry';
+import { THEME_OPTIONS } from './themeOptions';
+
+registerCommands([
+  {
+    id: 'theme',
+    category: 'Settings',
+    icon: Palette,
+    description: 'Switch the site theme',
+    args: [{ name: 'name', complete: THEME_OPTIONS.map(option => option.id) }],
+    palette: [
+      {
+        id: 'page-theme',
+        label: 'Change theme',
+        children: THEME_OPTIONS.map(option => ({
+          id: `theme-${option.id}`,
+          label: option.label,
+          icon: option.icon,
+          args: [option.id],
+        })),
+      },
+      ...THEME_OPTIONS.map(option => ({
+        id: `theme-${option.id}`,
+        label: `Switch to ${option.label} theme`,
+        icon: option.icon,
+        args: [option.id],
+        searchOnly: true,
+      })),
+    ],
+    preview: ([id], { theme, setTheme }) => {
+      setTheme(id);
+      return () => setTheme(theme);
+    },
+    isCurrent: ([id], { theme }) => id === theme,
+    run: (args, { write, fail, setTheme }) => {
+      const option = THEME_OPTIONS.find(candidate => candidate.id === args.join(' ').toLowerCase());
+      if (!option) {
+        fail(`theme: choose one of ${THEME_OPTIONS.map(candidate => candidate.id).join(', ')}`);
+        return;
+      }
+      setTheme?.(option.id);
+      write(`Switched to the ${option.label} theme`);
+    },
+  },
+  {
+    id: 'cursor',
+    category: 'Settings',
+    icon: MousePointer2,
+    description: 'Toggle the custom cursor',
+    palette: [{ id: 'action-cursor', label: 'Toggle Custom Cursor' }],
+    run: (args, { write }) => {
+      document.dispatchEvent(new CustomEvent('toggleCursor'));
+      write('Toggled the custom cursor');
+    },
+  },
+]);
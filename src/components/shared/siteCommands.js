@@ -0,0 +1,513 @@
+/**
+ * @fileoverview Core site commands: page navigation, the portfolio filesystem, resume
+ * info, text filters, site actions and shell built-ins.
+ */
+
+import {
+  Terminal,
+  Briefcase,
+  User,
+  FileText,
+  Mail,
+  Code2,
+  Gamepad2,
+  Bot,
+  Printer,
+} from 'lucide-react';
+import { resumeData } from '../../data/resume';
+import { registerCommands, getCommands, formatUsage } from './commandRegistry';
+import { findNode, findRoute, listDirectory, renderTree, resolvePath } from './terminalFs';
+import { FILTER_COMMANDS, runFilter } from './terminalShell';
+import { parseAssignment } from './terminalSession';
+
+/** Map of page aliases to routes */
+export const PAGE_MAP = {
+  home: '/',
+  projects: '/projects',
+  resume: '/resume',
+  blog: '/blog',
+  playground: '/playground',
+  contact: '/contact',
+  games: '/games',
+};
+
+/** Palette icons for the pages */
+const PAGE_ICONS = {
+  home: Terminal,
+  projects: Briefcase,
+  resume: User,
+  blog: FileText,
+  playground: Code2,
+  contact: Mail,
+  games: Gamepad2,
+};
+
+/** Order of the sections in `help` */
+const HELP_CATEGORIES = ['Navigation', 'Files', 'Info', 'Filters', 'Actions', 'Shell'];
+
+/** Usage and description for each filter in `help` */
+const FILTER_HELP = {
+  grep: [
+    'grep [-ivcn] <pattern> [file]',
+    'Keep matching lines (case-insensitive unless the pattern has capitals)',
+  ],
+  wc: ['wc [-lwc] [file]', 'Count lines, words and bytes'],
+  sort: ['sort [-rnu] [file]', 'Sort lines'],
+  head: ['head [-n N] [file]', 'Print the first lines (default 10)'],
+  tail: ['tail [-n N] [file]', 'Print the last lines (default 10)'],
+};
+
+/**
+ * Resolves a path argument, reporting missing paths as `<cmd>: <path>: ...` errors.
+ *
+ * @param {string} name - Command name for error messages
+ * @param {import('./commandRegistry').CommandContext} context - Terminal context
+ * @param {string} [path='.'] - Path argument
+ * @returns {{path: string, node: Object}|null} Absolute path and node, or null
+ * @private
+ */
+const lookup = (name, { fs, cwd, fail }, path = '.') => {
+  const absolute = resolvePath(cwd, path);
+  const node = findNode(fs, absolute);
+  if (!node) {
+    fail(`${name}: ${path}: No such file or directory`);
+    return null;
+  }
+  return { path: absolute, node };
+};
+
+/**
+ * Reads a file argument, rejecting missing paths and directories.
+ *
+ * @param {string} name - Command name for error messages
+ * @param {import('./commandRegistry').CommandContext} context - Terminal context
+ * @param {string} path - Path argument
+ * @returns {{ok: true, content: string}|{ok: false, error: string}} File contents
+ * @private
+ */
+const readFile = (name, { fs, cwd }, path) => {
+  const node = findNode(fs, resolvePath(cwd, path));
+  if (!node) return { ok: false, error: `${name}: ${path}: No such file or directory` };
+  if (node.type === 'dir') return { ok: false, error: `${name}: ${path}: Is a directory` };
+  return { ok: true, content: node.content };
+};
+
+// Operands of a command that also takes flags
+const withoutFlags = args => args.filter(arg => !/^-./.test(arg));
+
+/**
+ * Arguments joined and lowercased, for commands that take a free-text phrase.
+ *
+ * @param {string[]} args - Arguments
+ * @returns {string} Phrase
+ * @private
+ */
+const phraseOf = args => args.join(' ').toLowerCase();
+
+/**
+ * Renders `help` from the registry, grouped by category.
+ *
+ * @returns {string} Help text
+ * @private
+ */
+const renderHelp = () => {
+  const terminalCommands = getCommands().filter(command => command.terminal !== false);
+  const categories = [
+    ...HELP_CATEGORIES,
+    ...new Set(terminalCommands.map(command => command.category)),
+  ].filter((category, index, all) => all.indexOf(category) === index);
+  const width = Math.max(...terminalCommands.map(command => formatUsage(command).length)) + 2;
+
+  const sections = categories
+    .map(category => {
+      const rows = terminalCommands
+        .filter(command => command.category === category)
+        .map(command => `  ${formatUsage(command).padEnd(width)}${command.description}`);
+      return rows.length > 0 ? `${category}\n${rows.join('\n')}` : null;
+    })
+    .filter(Boolean);
+
+  return `Available commands:
+
+${sections.join('\n\n')}
+
+Pipe output into a filter with |, e.g. skills | grep python
+Quote arguments with spaces: grep "machine learning"
+Tab completes commands, pages and paths; Tab twice lists the options.
+→ accepts the faded suggestion; Ctrl+R searches the history.
+~/.portfoliorc runs its alias, export and echo lines on open: echo "alias ll='ls -l'" >> ~/.portfoliorc`;
+};
+
+/** @type {import('./commandRegistry').Command[]} */
+const SITE_COMMANDS = [
+  {
+    id: 'goto',
+    category: 'Navigation',
+    description: 'Navigate to a page',
+    args: [{ name: 'page', optional: true, complete: Object.keys(PAGE_MAP) }],
+    palette: Object.keys(PAGE_MAP).map(page => ({
+      id: `nav-${page}`,
+      label: `Go to ${page[0].toUpperCase()}${page.slice(1)}`,
+      icon: PAGE_ICONS[page],
+      args: [page],
+    })),
+    run: (args, { write, fail, navigate }) => {
+      const page = phraseOf(args) || 'home';
+      const route = PAGE_MAP[page];
+      if (!route) {
+        fail(`Error: page '${page}' not found. Pages: ${Object.keys(PAGE_MAP).join(', ')}`);
+        return;
+      }
+      write(`Navigating to /${page}...`);
+      navigate(route);
+    },
+  },
+  {
+    id: 'open',
+    category: 'Navigation',
+    description: 'Open a file or directory on the site',
+    args: [{ name: 'path', optional: true, complete: 'path' }],
+    run: ([path], context) => {
+      const found = lookup('open', context, path);
+      if (!found) return;
+      const route = findRoute(context.fs, found.path);
+      context.write(`Opening ${route}...`);
+      context.navigate(route);
+    },
+  },
+  {
+    id: 'ls',
+    category: 'Files',
+    description: 'List a directory (-l for details, -a for dotfiles)',
+    usage: 'ls [-la] [path]',
+    args: [{ name: 'path', optional: true, complete: 'path' }],
+    run: (args, context) => {
+      const found = lookup('ls', context, withoutFlags(args)[0]);
+      if (!found) return;
+      const listing = listDirectory(found.node, {
+        long: args.some(arg => /^-.*l/.test(arg)),
+        all: args.some(arg => /^-.*a/.test(arg)),
+      });
+      if (listing) context.write(listing);
+    },
+  },
+  {
+    id: 'cd',
+    category: 'Files',
+    description: 'Change directory (~ is the root)',
+    args: [{ name: 'path', optional: true, complete: 'dir' }],
+    run: ([path = '~'], context) => {
+      const found = lookup('cd', context, path);
+      if (!found) return;
+      if (found.node.type !== 'dir') {
+        context.fail(`cd: ${path}: Not a directory`);
+      } else {
+        context.setCwd(found.path);
+      }
+    },
+  },
+  {
+    id: 'pwd',
+    category: 'Files',
+    description: 'Print the working directory',
+    run: (args, { write, cwd }) => write(cwd),
+  },
+  {
+    id: 'cat',
+    category: 'Files',
+    description: 'Print files, or the piped input',
+    usage: 'cat [file]...',
+    args: [{ name: 'file', optional: true, complete: 'path' }],
+    run: (args, context) => {
+      if (args.length === 0) {
+        if (context.stdin === null) context.fail('cat: missing file operand');
+        else context.write(context.stdin);
+        return;
+      }
+      args.forEach(path => {
+        const file = readFile('cat', context, path);
+        if (file.ok) context.write(file.content.trimEnd());
+        else context.fail(file.error);
+      });
+    },
+  },
+  {
+    id: 'tree',
+    category: 'Files',
+    description: 'Show the directory tree',
+    args: [{ name: 'path', optional: true, complete: 'dir' }],
+    run: ([path], context) => {
+      const found = lookup('tree', context, path);
+      if (!found) return;
+      context.write(
+        found.node.type === 'dir' ? renderTree(found.node, path ?? '.') : found.node.name
+      );
+    },
+  },
+  {
+    id: 'whoami',
+    category: 'Info',
+    description: 'Display developer info',
+    run: (args, { write }) =>
+      write(
+        `${resumeData.basics.name}
+${resumeData.basics.title}
+📍 ${resumeData.basics.location.city}, ${resumeData.basics.location.country}
+📧 ${resumeData.basics.email}
+🌐 ${resumeData.basics.website}`
+      ),
+  },
+  {
+    id: 'skills',
+    category: 'Info',
+    description: 'Display skills, optionally one category',
+    args: [
+      {
+        name: 'category',
+        optional: true,
+        complete: resumeData.skills.map(category => category.category),
+      },
+    ],
+    run: (args, { write, fail }) => {
+      const phrase = phraseOf(args);
+      const categories = phrase
+        ? resumeData.skills.filter(cat => cat.category.toLowerCase() === phrase)
+        : resumeData.skills;
+      if (categories.length === 0) {
+        fail(`skills: unknown category '${phrase}'`);
+        return;
+      }
+      write(
+        categories
+          .map(
+            cat =>
+              `${cat.category}:\n${cat.items.map(s => `  • ${s.name} (${s.proficiency}%)`).join('\n')}`
+          )
+          .join('\n\n')
+      );
+    },
+  },
+  {
+    id: 'projects',
+    category: 'Info',
+    description: 'List featured projects, or show one',
+    args: [{ name: 'title', optional: true, complete: resumeData.projects.map(p => p.title) }],
+    run: (args, { write, fail }) => {
+      const phrase = phraseOf(args);
+      if (!phrase) {
+        write(
+          resumeData.projects
+            .filter(p => p.featured)
+            .map(p => `★ ${p.title}\n  ${p.description.slice(0, 80)}...`)
+            .join('\n\n')
+        );
+        return;
+      }
+      const project = resumeData.projects.find(p => p.title.toLowerCase() === phrase);
+      if (!project) {
+        fail(`projects: no project named '${phrase}'`);
+        return;
+      }
+      write(`${project.title}\n  ${project.description}\n  Tech: ${project.tags.join(', ')}`);
+    },
+  },
+  ...FILTER_COMMANDS.map(name => ({
+    id: name,
+    category: 'Filters',
+    description: FILTER_HELP[name][1],
+    usage: FILTER_HELP[name][0],
+    args: [{ name: 'file', optional: true, complete: 'path' }],
+    run: (args, context) => {
+      const { output, errors } = runFilter(name, args, {
+        stdin: context.stdin,
+        readFile: path => readFile(name, context, path),
+      });
+      errors.forEach(context.fail);
+      if (output !== null) context.write(output);
+    },
+  })),
+  {
+    id: 'chat',
+    category: 'Actions',
+    icon: Bot,
+    description: 'Open the chatbot',
+    palette: [{ id: 'action-chatbot', label: 'Open Chatbot' }],
+    run: (args, { close }) => {
+      close();
+      document.dispatchEvent(new CustomEvent('openChatbot'));
+    },
+  },
+  {
+    id: 'print',
+    category: 'Actions',
+    icon: Printer,
+    description: 'Print the resume',
+    palette: [{ id: 'action-print', label: 'Print Resume' }],
+    run: (args, { navigate }) => {
+      navigate('/resume');
+      setTimeout(() => window.print(), 500);
+    },
+  },
+  {
+    id: 'terminal',
+    category: 'Actions',
+    icon: Terminal,
+    description: 'Open Terminal Mode',
+    terminal: false,
+    palette: [{ id: 'action-terminal', label: 'Open Terminal Mode' }],
+    run: (args, { openTerminal }) => openTerminal?.(),
+  },
+  {
+    id: 'python',
+    aliases: ['python3'],
+    category: 'Shell',
+    description: 'Start an interactive Python session (exit() to leave)',
+    run: (args, { fail, startPython }) => {
+      if (args.length > 0) {
+        fail('python: scripts are not supported; run python for an interactive session');
+        return;
+      }
+      startPython();
+    },
+  },
+  {
+    id: 'help',
+    category: 'Shell',
+    description: 'Show this help message',
+    run: (args, { write }) => write(renderHelp()),
+  },
+  {
+    id: 'echo',
+    category: 'Shell',
+    description: 'Echo text back',
+    usage: 'echo <text>',
+    run: (args, { write }) => write(args.join(' ')),
+  },
+  {
+    id: 'clear',
+    category: 'Shell',
+    description: 'Clear terminal output',
+    run: (args, { clear }) => clear(),
+  },
+  {
+    id: 'alias',
+    category: 'Shell',
+    description: 'Define or list aliases',
+    usage: "alias [name='command']",
+    run: (args, { aliases, setAlias, write, fail }) => {
+      const show = name => `alias ${name}='${aliases[name]}'`;
+      if (args.length === 0) {
+        const names = Object.keys(aliases).sort();
+        if (names.length > 0) write(names.map(show).join('\n'));
+        return;
+      }
+      args.forEach(arg => {
+        const assignment = parseAssignment(arg);
+        if (!assignment) fail(`alias: '${arg}': invalid alias name`);
+        else if (assignment.value !== null) setAlias(assignment.name, assignment.value);
+        else if (Object.hasOwn(aliases, assignment.name)) write(show(assignment.name));
+        else fail(`alias: ${assignment.name}: not found`);
+      });
+    },
+  },
+  {
+    id: 'unalias',
+    category: 'Shell',
+    description: 'Remove aliases',
+    usage: 'unalias <name>...',
+    run: (args, { aliases, setAlias, fail }) => {
+      if (args.length === 0) fail('unalias: usage: unalias <name>...');
+      args.forEach(name => {
+        if (Object.hasOwn(aliases, name)) setAlias(name, null);
+        else fail(`unalias: ${name}: not found`);
+      });
+    },
+  },
+  {
+    id: 'export',
+    category: 'Shell',
+    description: 'Set or list variables, used as $NAME',
+    usage: 'export [NAME=value]',
+    run: (args, { env, setVariable, write, fail }) => {
+      if (args.length === 0) {
+        write(
+          Object.keys(env)
+            .sort()
+            .map(name => `export ${name}='${env[name]}'`)
+            .join('\n')
+        );
+        return;
+      }
+      args.forEach(arg => {
+        const assignment = parseAssignment(arg);
+        if (!assignment) fail(`export: '${arg}': not a valid identifier`);
+        else setVariable(assignment.name, assignment.value ?? env[assignment.name] ?? '');
+      });
+    },
+  },
+  {
+    id: 'history',
+    category: 'Shell',
+    description: 'List previous commands (-c to clear)',
+    usage: 'history [-c]',
+    run: (args, { history, clearHistory, write }) => {
+      if (args.includes('-c')) {
+        clearHistory();
+        return;
+      }
+      const width = String(history.length).length;
+      write(
+        [...history]
+          .reverse()
+          .map((command, index) => `${String(index + 1).padStart(width)}  ${command}`)
+          .join('\n')
+      );
+    },
+  },
+  {
+    id: 'source',
+    category: 'Shell',
+    description: 'Run the commands in a file',
+    args: [{ name: 'file', complete: 'path' }],
+    run: ([path], context) => {
+      if (!path) {
+        context.fail('source: missing file operand');
+        return;
+      }
+      const file = readFile('source', context, path);
+      if (file.ok) context.runScript(file.content);
+      else context.fail(file.error);
+    },
+  },
+  {
+    id: 'exit',
+    aliases: ['quit'],
+    category: 'Shell',
+    description: 'Close terminal mode',
+    run: (args, { write, close }) => {
+      write('Goodbye! 👋');
+      setTimeout(() => close(), 500);
+    },
+  },
+  {
+    id: 'sudo',
+    category: 'Shell',
+    description: '???',
+    usage: 'sudo hire rishabh',
+    run: (args, { write, fail }) => {
+      const phrase = phraseOf(args);
+      if (phrase.includes('hire') && phrase.includes('rishabh')) {
+        write(
+          `🎉 EXCELLENT CHOICE! Rishabh has been hired!
+Just kidding... but seriously, let's chat!
+📧 ${resumeData.basics.email}
+💼 linkedin.com/in/rishabh-agrawal-1807321b9`
+        );
+      } else {
+        fail(`sudo: command not recognized. Nice try though! 😄`);
+      }
+    },
+  },
+];
+
+registerCommands(SITE_COMMANDS);
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Snippet commands: `snippet <id>` in the terminal and one palette entry per
+ * Playground snippet.
+ */
+
+import { Code2 } from 'lucide-react';
+import { getSnippetsByLanguage } from '../../data/snippets';
+import { registerCommands } from './commandRegistry';
+
+const snippets = getSnippetsByLanguage('all');
+
+/** Text the palette searches besides a snippet's title */
+const keywordsOf = snippet =>
+  [snippet.description, snippet.language, ...(snippet.tags || [])].join(' ');
+
+registerCommands([
+  {
+    id: 'snippet',
+    category: 'Snippets',
+    icon: Code2,
+    description: 'Open a Playground snippet',
+    args: [{ name: 'id', complete: snippets.map(snippet => snippet.id) }],
+    palette: [
+      {
+        id: 'page-snippets',
+        label: 'Open a snippet',
+        children: snippets.map(snippet => ({
+          id: `snippet-${snippet.id}`,
+          label: snippet.title,
+          keywords: keywordsOf(snippet),
+          args: [snippet.id],
+        })),
+      },
+      ...snippets.map(snippet => ({
+        id: `snippet-${snippet.id}`,
+        label: `Open snippet: ${snippet.title}`,
+        keywords: keywordsOf(snippet),
+        args: [snippet.id],
+        searchOnly: true,
+      })),
+    ],
+    run: ([id = ''], { write, fail, navigate }) => {
+      const snippet = snippets.find(candidate => candidate.id === id.toLowerCase());
+      if (!snippet) {
+        fail(`snippet: no snippet with id '${id}'. Try: ls ~/snippets`);
+        return;
+      }
+      write(`Opening ${snippet.title}...`);
+      navigate(`/playground?snippet=${encodeURIComponent(snippet.id)}`);
+    },
+  },
+]);
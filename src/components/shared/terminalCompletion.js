@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Tab completion for Terminal Mode.
+ *
+ * Completes the command name in the first word, and arguments after it according to
+ * the command's argument kind: paths in the virtual filesystem (`'path'`), directories
+ * only (`'dir'`), or a fixed list of phrases such as page aliases or project titles.
+ * Phrase arguments span the rest of the stage, so multi-word titles complete as one.
+ */
+
+import { findNode, resolvePath } from './terminalFs';
+
+/**
+ * @typedef {object} CompletionContext
+ * @property {string[]} commands - Command names
+ * @property {Record<string, 'path'|'dir'|string[]>} commandArgs - Argument kind per command
+ * @property {import('./terminalFs').FsDirectory} fs - Filesystem root
+ * @property {string} cwd - Working directory
+ */
+
+/**
+ * @typedef {object} Completion
+ * @property {string} value - Text that replaces the word being completed
+ * @property {string} label - Name shown when candidates are listed
+ * @property {boolean} isFinal - Whether a space follows (false for directories)
+ */
+
+/**
+ * Longest prefix shared by all values, compared case-insensitively.
+ *
+ * @param {string[]} values - Candidate values
+ * @returns {string} Prefix, in the case of the first value
+ * @private
+ */
+const commonPrefix = values =>
+  values.reduce((prefix, value) => {
+    let length = 0;
+    while (
+      length < prefix.length &&
+      length < value.length &&
+      prefix[length].toLowerCase() === value[length].toLowerCase()
+    ) {
+      length += 1;
+    }
+    return prefix.slice(0, length);
+  });
+
+/**
+ * Filesystem entries completing a path word.
+ *
+ * @param {string} word - Path typed so far
+ * @param {CompletionContext} context
+ * @param {boolean} dirsOnly - Only offer directories
+ * @returns {Completion[]} Candidates
+ * @private
+ */
+const completePath = (word, { fs, cwd }, dirsOnly) => {
+  const slash = word.lastIndexOf('/');
+  const dirPart = word.slice(0, slash + 1);
+  const base = word.slice(slash + 1);
+  const directory = findNode(fs, resolvePath(cwd, dirPart || '.'));
+  if (directory?.type !== 'dir') return [];
+
+  return [...directory.children.values()]
+    .filter(entry => entry.name.startsWith(base) && (!dirsOnly || entry.type === 'dir'))
+    .map(entry => {
+      const name = entry.type === 'dir' ? `${entry.name}/` : entry.name;
+      return { value: `${dirPart}${name}`, label: name, isFinal: entry.type !== 'dir' };
+    });
+};
+
+/**
+ * Completions for the word at the end of one pipeline stage.
+ *
+ * @param {string} input - Stage text
+ * @param {CompletionContext} context
+ * @returns {{start: number, candidates: Completion[]}} Word start and candidates
+ * @private
+ */
+const completeStage = (input, context) => {
+  const commandMatch = /^\s*(\S*)(\s*)/.exec(input);
+  const [, command, gap] = commandMatch;
+
+  if (!gap) {
+    const start = input.length - command.length;
+    const lower = command.toLowerCase();
+    return {
+      start,
+      candidates: context.commands
+        .filter(name => name.startsWith(lower))
+        .sort()
+        .map(name => ({ value: name, label: name, isFinal: true })),
+    };
+  }
+
+  const kind = context.commandArgs[command.toLowerCase()];
+  if (Array.isArray(kind)) {
+    const start = commandMatch[0].length;
+    const phrase = input.slice(start).toLowerCase();
+    return {
+      start,
+      candidates: kind
+        .filter(option => option.toLowerCase().startsWith(phrase))
+        .sort((a, b) => a.localeCompare(b))
+        .map(option => ({ value: option, label: option, isFinal: true })),
+    };
+  }
+
+  const start = input.search(/\S*$/);
+  const word = input.slice(start);
+  if (!kind || word.startsWith('-')) return { start, candidates: [] };
+  return {
+    start,
+    candidates: completePath(word, context, kind === 'dir').sort((a, b) =>
+      a.value.localeCompare(b.value)
+    ),
+  };
+};
+
+/**
+ * Finds the completions for the word at the end of the input. After a `|`, the
+ * stage that follows is completed like a new command line.
+ *
+ * @param {string} input - Current input line
+ * @param {CompletionContext} context
+ * @returns {{start: number, candidates: Completion[]}} Index where the completed word
+ *   starts, and its sorted candidates
+ */
+export const getCompletions = (input, context) => {
+  const offset = input.lastIndexOf('|') + 1;
+  const { start, candidates } = completeStage(input.slice(offset), context);
+  return { start: start + offset, candidates };
+};
+
+/**
+ * Applies Tab to the input: a single candidate is completed in full, several are
+ * completed up to their shared prefix.
+ *
+ * @param {string} input - Current input line
+ * @param {CompletionContext} context
+ * @returns {{value: string, candidates: Completion[]}} New input and the candidates
+ *
+ * @example
+ * completeInput('cd proj', context); // => { value: 'cd projects/', candidates: [...] }
+ */
+export const completeInput = (input, context) => {
+  const { start, candidates } = getCompletions(input, context);
+  const head = input.slice(0, start);
+  const word = input.slice(start);
+
+  if (candidates.length === 1) {
+    const [only] = candidates;
+    return { value: `${head}${only.value}${only.isFinal ? ' ' : ''}`, candidates };
+  }
+  if (candidates.length > 1) {
+    const prefix = commonPrefix(candidates.map(candidate => candidate.value));
+    if (prefix.length > word.length) return { value: `${head}${prefix}`, candidates };
+  }
+  return { value: input, candidates };
+};
+
+/**
+ * The top completion for inline ghost text.
+ *
+ * @param {string} input - Current input line
+ * @param {CompletionContext} context
+ * @returns {{suffix: string, value: string}|null} Text shown after the input, and the
+ *   input after accepting it; null when there is nothing to suggest
+ */
+export const getSuggestion = (input, context) => {
+  if (!input.trim()) return null;
+  const { start, candidates } = getCompletions(input, context);
+  const word = input.slice(start);
+  const top = candidates.find(candidate => candidate.value.length > word.length);
+  if (!top) return null;
+  return { suffix: top.value.slice(word.length), value: `${input.slice(0, start)}${top.value}` };
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { completeInput, getCompletions, getSuggestion } from './terminalCompletion';
+import { createFileSystem } from './terminalFs';
+
+const fs = createFileSystem({
+  resume: {
+    basics: {
+      name: 'Ada',
+      title: 'Engineer',
+      email: 'ada@example.com',
+      website: 'https://example.com',
+      summary: '',
+      location: { city: 'London', country: 'UK' },
+      socials: [],
+      languages: [],
+    },
+    education: [],
+    experience: [],
+    skills: [],
+    projects: [
+      { title: 'Engine', description: '', tags: [] },
+      { title: 'Engraver', description: '', tags: [] },
+    ],
+    certifications: [],
+  },
+});
+
+const context = {
+  commands: ['cat', 'cd', 'clear', 'help'],
+  commandArgs: {
+    cd: 'dir',
+    cat: 'path',
+    help: ['Data Science & AI', 'Data Tools'],
+  },
+  fs,
+  cwd: '/',
+};
+
+describe('terminalCompletion', () => {
+  it('completes a unique command with a trailing space', () => {
+    expect(completeInput('he', context).value).toBe('help ');
+  });
+
+  it('completes several commands up to their shared prefix', () => {
+    expect(completeInput('cl', context).value).toBe('clear ');
+    const { value, candidates } = completeInput('c', context);
+    expect(value).toBe('c');
+    expect(candidates.map(candidate => candidate.label)).toEqual(['cat', 'cd', 'clear']);
+  });
+
+  it('completes directories without a trailing space', () => {
+    expect(completeInput('cd pro', context).value).toBe('cd projects/');
+    expect(completeInput('cd ~/re', context).value).toBe('cd ~/resume/');
+  });
+
+  it('completes files inside a typed directory', () => {
+    expect(completeInput('cat projects/engi', context).value).toBe('cat projects/engine.md ');
+    expect(completeInput('cat projects/e', context).value).toBe('cat projects/eng');
+  });
+
+  it('only offers directories to directory commands', () => {
+    expect(getCompletions('cd a', context).candidates).toEqual([]);
+    expect(getCompletions('cat a', context).candidates).toEqual([
+      { value: 'about.md', label: 'about.md', isFinal: true },
+    ]);
+  });
+
+  it('completes multi-word phrases case-insensitively', () => {
+    expect(completeInput('help data', context).value).toBe('help Data ');
+    expect(completeInput('help data s', context).value).toBe('help Data Science & AI ');
+  });
+
+  it('completes the command after a pipe', () => {
+    expect(completeInput('ls | he', context).value).toBe('ls | help ');
+    expect(completeInput('cat about.md | cat pro', context).value).toBe(
+      'cat about.md | cat projects/'
+    );
+  });
+
+  it('offers nothing for unknown commands and flags', () => {
+    expect(getCompletions('echo pro', context).candidates).toEqual([]);
+    expect(getCompletions('cat -', context).candidates).toEqual([]);
+  });
+
+  it('suggests the remainder of the top candidate', () => {
+    expect(getSuggestion('cd p', context)).toEqual({ suffix: 'rojects/', value: 'cd projects/' });
+    expect(getSuggestion('', context)).toBeNull();
+    expect(getSuggestion('help ', context)).toEqual({
+      suffix: 'Data Science & AI',
+      value: 'help Data Science & AI',
+    });
+    expect(getSuggestion('zzz', context)).toBeNull();
+  });
+});
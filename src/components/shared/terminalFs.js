@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Virtual filesystem for Terminal Mode.
+ *
+ * Builds a directory tree from the resume, blog feed, Playground snippets and games,
+ * so the terminal can browse the portfolio with `cd`, `ls`, `cat`, `tree` and friends.
+ * Directories and files carry the site route they correspond to, which `open` follows.
+ * Everything is read-only except the files added with `withRootFile` (`~/.portfoliorc`).
+ *
+ * Layout:
+ * - `/about.md`, `/contact.md`
+ * - `/resume/{education,experience,skills,certifications,languages}.md`
+ * - `/projects/<slug>.md`
+ * - `/blog/<source>/<slug>.md`
+ * - `/snippets/<language>/<id>.<ext>`
+ * - `/games/<id>.txt`
+ */
+
+import { getBlogSlug, getProjectSlug, slugify } from '../../utils/slug';
+
+/** File extensions for snippet languages */
+const SNIPPET_EXTENSIONS = {
+  python: 'py',
+  javascript: 'js',
+  js: 'js',
+  css: 'css',
+  html: 'html',
+};
+
+/**
+ * @typedef {object} FsFile
+ * @property {'file'} type
+ * @property {string} name - File name
+ * @property {string} content - File contents
+ * @property {string} [route] - Site route `open` navigates to
+ * @property {boolean} [writable=false] - Whether redirection may replace the contents
+ */
+
+/**
+ * @typedef {object} FsDirectory
+ * @property {'dir'} type
+ * @property {string} name - Directory name (empty for the root)
+ * @property {Map<string, FsFile|FsDirectory>} children - Entries by name
+ * @property {string} [route] - Site route `open` navigates to
+ */
+
+// Node constructors; file contents always end with a newline like real files
+const dir = (name, route, entries = []) => ({
+  type: 'dir',
+  name,
+  route,
+  children: new Map(entries.map(entry => [entry.name, entry])),
+});
+
+const file = (name, content, route) => ({
+  type: 'file',
+  name,
+  content: `${content.trimEnd()}\n`,
+  route,
+});
+
+/**
+ * Renders resume entries as a markdown document.
+ *
+ * @param {string} title - Document heading
+ * @param {string[]} sections - Markdown sections
+ * @returns {string} Markdown
+ * @private
+ */
+const markdown = (title, sections) => [`# ${title}`, ...sections].join('\n\n');
+
+/**
+ * Builds the virtual filesystem.
+ *
+ * @param {object} sources
+ * @param {object} sources.resume - `resumeData`
+ * @param {Array<object>} [sources.blogs] - Entries from `blogs.json`
+ * @param {Array<object>} [sources.snippets] - Playground snippets
+ * @param {Record<string, {title: string, goal: string, steps: string[]}>} [sources.games] - `GAME_INSTRUCTIONS`
+ * @returns {FsDirectory} Root directory
+ */
+export const createFileSystem = ({ resume, blogs = [], snippets = [], games = {} }) => {
+  const { basics, education, experience, skills, projects, certifications } = resume;
+
+  const blogSources = new Map();
+  blogs.forEach(blog => {
+    const source = slugify(blog.source) || 'other';
+    const slug = getBlogSlug(blog);
+    const content = markdown(
+      blog.title,
+      [
+        `${blog.source} · ${blog.date}`,
+        blog.tags?.length ? `Tags: ${blog.tags.join(', ')}` : '',
+        blog.summary,
+        `Read online: ${blog.link}`,
+      ].filter(Boolean)
+    );
+    if (!blogSources.has(source)) blogSources.set(source, []);
+    blogSources.get(source).push(file(`${slug}.md`, content, `/blog/${slug}`));
+  });
+
+  const snippetLanguages = new Map();
+  snippets.forEach(snippet => {
+    const language = snippet.language === 'js' ? 'javascript' : snippet.language;
+    const extension = SNIPPET_EXTENSIONS[snippet.language] || 'txt';
+    if (!snippetLanguages.has(language)) snippetLanguages.set(language, []);
+    snippetLanguages
+      .get(language)
+      .push(
+        file(
+          `${snippet.id}.${extension}`,
+          snippet.code,
+          `/playground?snippet=${encodeURIComponent(snippet.id)}`
+        )
+      );
+  });
+
+  return dir('', '/', [
+    file(
+      'about.md',
+      markdown(basics.name, [
+        basics.title,
+        `📍 ${basics.location.city}, ${basics.location.country}`,
+        basics.summary,
+      ]),
+      '/'
+    ),
+    file(
+      'contact.md',
+      markdown('Contact', [
+        [
+          `- Email: ${basics.email}`,
+          `- Website: ${basics.website}`,
+          ...basics.socials.map(social => `- ${social.network}: ${social.url}`),
+        ].join('\n'),
+      ]),
+      '/contact'
+    ),
+    dir('resume', '/resume', [
+      file(
+        'education.md',
+        markdown(
+          'Education',
+          education.map(
+            entry =>
+              `## ${entry.area}\n${entry.institution} (${entry.startDate} – ${entry.endDate})\n\n${entry.description}`
+          )
+        ),
+        '/resume'
+      ),
+      file(
+        'experience.md',
+        markdown(
+          'Experience',
+          experience.map(entry =>
+            [
+              `## ${entry.position}, ${entry.company}`,
+              `${entry.startDate} – ${entry.endDate}`,
+              '',
+              entry.summary,
+              ...(entry.highlights || []).map(highlight => `- ${highlight}`),
+            ].join('\n')
+          )
+        ),
+        '/resume'
+      ),
+      file(
+        'skills.md',
+        markdown(
+          'Skills',
+          skills.map(
+            group =>
+              `## ${group.category}\n${group.items.map(item => `- ${item.name} (${item.proficiency}%)`).join('\n')}`
+          )
+        ),
+        '/resume'
+      ),
+      file(
+        'certifications.md',
+        markdown('Certifications', [
+          certifications
+            .map(cert => `- ${cert.name}, ${cert.issuer}${cert.date ? ` (${cert.date})` : ''}`)
+            .join('\n'),
+        ]),
+        '/resume'
+      ),
+      file(
+        'languages.md',
+        markdown('Languages', [
+          basics.languages
+            .map(language => `- ${language.name}: ${language.proficiency}`)
+            .join('\n'),
+        ]),
+        '/resume'
+      ),
+    ]),
+    dir(
+      'projects',
+      '/projects',
+      projects.map(project => {
+        const slug = getProjectSlug(project, projects);
+        return file(
+          `${slug}.md`,
+          markdown(
+            project.title,
+            [
+              project.description,
+              `Tech: ${project.tags.join(', ')}`,
+              [
+                project.link ? `Live demo: ${project.link}` : '',
+                project.github ? `Source: ${project.github}` : '',
+              ]
+                .filter(Boolean)
+                .join('\n'),
+            ].filter(Boolean)
+          ),
+          `/projects/${slug}`
+        );
+      })
+    ),
+    dir(
+      'blog',
+      '/blog',
+      [...blogSources].map(([source, files]) => dir(source, '/blog', files))
+    ),
+    dir(
+      'snippets',
+      '/playground',
+      [...snippetLanguages].map(([language, files]) => dir(language, '/playground', files))
+    ),
+    dir(
+      'games',
+      '/games',
+      Object.entries(games).map(([id, game]) =>
+        file(
+          `${id}.txt`,
+          [game.title, '', game.goal, '', ...game.steps.map(step => `- ${step}`)].join('\n'),
+          `/games?game=${encodeURIComponent(id)}`
+        )
+      )
+    ),
+  ]);
+};
+
+/**
+ * Copy of the filesystem with a writable file added at the root.
+ *
+ * @param {FsDirectory} root - Filesystem root
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ * @returns {FsDirectory} New root; the original is unchanged
+ */
+export const withRootFile = (root, name, content) => ({
+  ...root,
+  children: new Map([...root.children, [name, { ...file(name, content), writable: true }]]),
+});
+
+/**
+ * Resolves a path against the working directory. `~` is the root; `.` and `..` are
+ * handled, and `..` at the root stays at the root.
+ *
+ * @param {string} cwd - Absolute working directory
+ * @param {string} [input] - Relative or absolute path; defaults to the root
+ * @returns {string} Normalized absolute path
+ *
+ * @example
+ * resolvePath('/projects', '../blog/medium'); // => '/blog/medium'
+ */
+export const resolvePath = (cwd, input = '~') => {
+  const path = input.replace(/^~(?=\/|$)/, '/');
+  const segments = path.startsWith('/') ? [] : cwd.split('/').filter(Boolean);
+
+  path.split('/').forEach(segment => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') segments.pop();
+    else segments.push(segment);
+  });
+
+  return `/${segments.join('/')}`;
+};
+
+/**
+ * Looks up the node at an absolute path.
+ *
+ * @param {FsDirectory} root - Filesystem root
+ * @param {string} path - Absolute path from `resolvePath`
+ * @returns {FsFile|FsDirectory|null} The node, or null if it does not exist
+ */
+export const findNode = (root, path) => {
+  let node = root;
+  for (const segment of path.split('/').filter(Boolean)) {
+    if (node.type !== 'dir' || !node.children.has(segment)) return null;
+    node = node.children.get(segment);
+  }
+  return node;
+};
+
+/**
+ * Byte size of a file, or the entry count of a directory.
+ *
+ * @param {FsFile|FsDirectory} node - Node to measure
+ * @returns {number} Size
+ * @private
+ */
+const sizeOf = node =>
+  node.type === 'dir' ? node.children.size : new TextEncoder().encode(node.content).length;
+
+/**
+ * Directory entries without dotfiles, which `ls` and `tree` hide.
+ *
+ * @param {FsDirectory} directory - Directory to list
+ * @returns {Array<FsFile|FsDirectory>} Visible entries
+ * @private
+ */
+const visibleEntries = directory =>
+  [...directory.children.values()].filter(entry => !entry.name.startsWith('.'));
+
+/**
+ * Lists a directory like `ls`, or `ls -l` with permissions and sizes.
+ * Directory sizes are their number of entries; a file lists only itself.
+ *
+ * @param {FsFile|FsDirectory} node - Directory or file to list
+ * @param {object} [options]
+ * @param {boolean} [options.long=false] - One entry per line with details
+ * @param {boolean} [options.all=false] - Include dotfiles
+ * @returns {string} Listing; empty for an empty directory
+ */
+export const listDirectory = (node, { long = false, all = false } = {}) => {
+  const listed =
+    node.type !== 'dir' ? [node] : all ? [...node.children.values()] : visibleEntries(node);
+  const entries = listed.sort((a, b) =>
+    a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1
+  );
+  const label = entry => (entry.type === 'dir' ? `${entry.name}/` : entry.name);
+
+  if (!long) return entries.map(label).join('  ');
+
+  const width = Math.max(1, ...entries.map(entry => String(sizeOf(entry)).length));
+  return [
+    `total ${entries.length}`,
+    ...entries.map(
+      entry =>
+        `${entry.type === 'dir' ? 'dr-xr-xr-x' : entry.writable ? '-rw-r--r--' : '-r--r--r--'}  ${String(sizeOf(entry)).padStart(width)}  ${label(entry)}`
+    ),
+  ].join('\n');
+};
+
+/**
+ * Draws a directory tree like `tree`.
+ *
+ * @param {FsDirectory} node - Directory to draw
+ * @param {string} label - Name shown on the first line
+ * @returns {string} Tree followed by a directory and file count
+ */
+export const renderTree = (node, label) => {
+  const lines = [label];
+  let dirs = 0;
+  let files = 0;
+
+  const walk = (directory, prefix) => {
+    const entries = visibleEntries(directory);
+    entries.forEach((entry, index) => {
+      const isLast = index === entries.length - 1;
+      lines.push(`${prefix}${isLast ? '└── ' : '├── '}${entry.name}`);
+      if (entry.type === 'dir') {
+        dirs += 1;
+        walk(entry, `${prefix}${isLast ? '    ' : '│   '}`);
+      } else {
+        files += 1;
+      }
+    });
+  };
+
+  walk(node, '');
+  lines.push(
+    '',
+    `${dirs} ${dirs === 1 ? 'directory' : 'directories'}, ${files} ${files === 1 ? 'file' : 'files'}`
+  );
+  return lines.join('\n');
+};
+
+/**
+ * Site route for a path: the route of the node, or of its nearest ancestor with one.
+ *
+ * @param {FsDirectory} root - Filesystem root
+ * @param {string} path - Absolute path of an existing node
+ * @returns {string} Route to navigate to
+ */
+export const findRoute = (root, path) => {
+  let node = root;
+  let route = root.route;
+  for (const segment of path.split('/').filter(Boolean)) {
+    node = node.children.get(segment);
+    if (!node) break;
+    if (node.route) route = node.route;
+  }
+  return route;
+};
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createFileSystem,
+  findNode,
+  findRoute,
+  listDirectory,
+  renderTree,
+  resolvePath,
+  withRootFile,
+} from './terminalFs';
+
+const resume = {
+  basics: {
+    name: 'Ada Lovelace',
+    title: 'Engineer',
+    email: 'ada@example.com',
+    website: 'https://example.com',
+    summary: 'Writes programs.',
+    location: { city: 'London', country: 'UK' },
+    socials: [{ network: 'GitHub', url: 'https://github.com/ada' }],
+    languages: [{ name: 'English', proficiency: 'Native' }],
+  },
+  education: [
+    {
+      area: 'Mathematics',
+      institution: 'Home',
+      startDate: '1830',
+      endDate: '1835',
+      description: 'Tutored.',
+    },
+  ],
+  experience: [
+    {
+      position: 'Analyst',
+      company: 'Engine Co',
+      startDate: '1842',
+      endDate: '1843',
+      summary: 'Notes.',
+      highlights: ['First program'],
+    },
+  ],
+  skills: [{ category: 'Maths', items: [{ name: 'Calculus', proficiency: 90 }] }],
+  projects: [{ title: 'Analytical Engine', description: 'A computer.', tags: ['Brass'] }],
+  certifications: [{ name: 'Cert', issuer: 'Society', date: '1840' }],
+};
+
+const fs = createFileSystem({
+  resume,
+  blogs: [
+    {
+      title: 'On Engines',
+      source: 'Dev.to',
+      date: '2024-01-01',
+      summary: 'Thoughts.',
+      link: 'https://dev.to/x',
+    },
+  ],
+  snippets: [
+    { id: 'hello', language: 'python', code: 'print("hi")' },
+    { id: 'toggle', language: 'js', code: 'toggle();' },
+  ],
+  games: { snake: { title: 'Snake', goal: 'Eat.', steps: ['Move'] } },
+});
+
+describe('terminalFs', () => {
+  it('lays out the portfolio as files', () => {
+    expect(findNode(fs, '/projects/analytical-engine.md').content).toContain('# Analytical Engine');
+    expect(findNode(fs, '/blog/dev-to/on-engines.md').content).toContain('Read online');
+    expect(findNode(fs, '/snippets/python/hello.py').content).toBe('print("hi")\n');
+    expect(findNode(fs, '/snippets/javascript/toggle.js')).not.toBeNull();
+    expect(findNode(fs, '/resume/experience.md').content).toContain('- First program');
+    expect(findNode(fs, '/games/snake.txt').content).toContain('- Move');
+  });
+
+  it('returns null for missing paths and paths through files', () => {
+    expect(findNode(fs, '/nope')).toBeNull();
+    expect(findNode(fs, '/about.md/x')).toBeNull();
+  });
+
+  it('resolves relative, home and parent paths', () => {
+    expect(resolvePath('/projects', '../blog/./dev-to')).toBe('/blog/dev-to');
+    expect(resolvePath('/projects')).toBe('/');
+    expect(resolvePath('/projects', '~/resume')).toBe('/resume');
+    expect(resolvePath('/', '../..')).toBe('/');
+  });
+
+  it('lists directories first, with details in long format', () => {
+    expect(listDirectory(fs)).toBe(
+      'blog/  games/  projects/  resume/  snippets/  about.md  contact.md'
+    );
+    expect(listDirectory(findNode(fs, '/snippets'), { long: true })).toBe(
+      ['total 2', 'dr-xr-xr-x  1  javascript/', 'dr-xr-xr-x  1  python/'].join('\n')
+    );
+    expect(listDirectory(findNode(fs, '/snippets/python/hello.py'), { long: true })).toBe(
+      ['total 1', '-r--r--r--  12  hello.py'].join('\n')
+    );
+  });
+
+  it('adds writable dotfiles that only ls -a shows', () => {
+    const withRc = withRootFile(fs, '.portfoliorc', 'alias ll=ls');
+
+    expect(findNode(withRc, '/.portfoliorc')).toMatchObject({
+      content: 'alias ll=ls\n',
+      writable: true,
+    });
+    expect(findNode(fs, '/.portfoliorc')).toBeNull();
+    expect(listDirectory(withRc)).toBe(listDirectory(fs));
+    expect(listDirectory(withRc, { long: true, all: true })).toMatch(
+      /-rw-r--r-- +12 +\.portfoliorc/
+    );
+    expect(renderTree(withRc, '.')).not.toContain('.portfoliorc');
+  });
+
+  it('draws a tree with counts', () => {
+    expect(renderTree(findNode(fs, '/snippets'), 'snippets')).toBe(
+      [
+        'snippets',
+        '├── python',
+        '│   └── hello.py',
+        '└── javascript',
+        '    └── toggle.js',
+        '',
+        '2 directories, 2 files',
+      ].join('\n')
+    );
+  });
+
+  it('maps paths to the nearest site route', () => {
+    expect(findRoute(fs, '/blog/dev-to/on-engines.md')).toBe('/blog/on-engines');
+    expect(findRoute(fs, '/blog/dev-to')).toBe('/blog');
+    expect(findRoute(fs, '/snippets/python/hello.py')).toBe('/playground?snippet=hello');
+    expect(findRoute(fs, '/')).toBe('/');
+  });
+});
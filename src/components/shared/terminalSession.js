@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Terminal Mode state that outlives the overlay, and the shell builtins'
+ * helpers.
+ *
+ * Command history and the user's `~/.portfoliorc` are kept in localStorage; the rc file
+ * runs every time the terminal opens, so the aliases and variables it defines come back
+ * in each session. It may only run the builtins in `RC_COMMANDS`. `expandAliases` rewrites parsed pipelines the way a shell expands
+ * aliases, and `parseAssignment` reads the `name=value` arguments of `alias` and `export`.
+ */
+
+import { safeGetLocalStorage, safeSetLocalStorage } from '../../utils/storage';
+import { parseCommandLine } from './terminalShell';
+
+// localStorage key of the command history (newest first)
+export const HISTORY_STORAGE_KEY = 'portfolio_terminal_history';
+
+// localStorage key of the rc file contents
+export const RC_STORAGE_KEY = 'portfolio_terminal_rc';
+
+/** Absolute path of the rc file in the virtual filesystem */
+export const RC_PATH = '/.portfoliorc';
+
+// Commands kept in the history, and the longest command worth keeping
+export const MAX_HISTORY = 200;
+const MAX_HISTORY_ENTRY_LENGTH = 1000;
+
+// Keeps the rc file well under the localStorage quota
+export const MAX_RC_LENGTH = 4000;
+
+/** Contents of the rc file until the visitor changes it */
+export const DEFAULT_RC = `# ~/.portfoliorc runs every time the terminal opens.
+# Only alias, unalias, export, echo and source work here.
+# Add lines with: echo "alias ll='ls -l'" >> ~/.portfoliorc
+alias ll='ls -l'
+`;
+
+/**
+ * Commands the rc file may run. Anything else (`exit`, `goto`, `python`, ...) could close
+ * the terminal or leave the page on every open, with no prompt left to fix the file.
+ */
+export const RC_COMMANDS = ['alias', 'unalias', 'export', 'echo', 'source'];
+
+/** Variables every session starts with */
+export const DEFAULT_ENV = { HOME: '/', USER: 'rishabh' };
+
+/** Valid alias and variable names */
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Loads the saved command history.
+ *
+ * @returns {string[]} Commands, newest first; empty when nothing usable is stored
+ */
+export const loadHistory = () => {
+  try {
+    const history = JSON.parse(safeGetLocalStorage(HISTORY_STORAGE_KEY, '[]'));
+    if (!Array.isArray(history)) return [];
+    return history
+      .filter(entry => typeof entry === 'string' && entry.trim() !== '')
+      .map(entry => entry.slice(0, MAX_HISTORY_ENTRY_LENGTH))
+      .slice(0, MAX_HISTORY);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the command history, keeping the newest `MAX_HISTORY` commands.
+ *
+ * @param {string[]} history - Commands, newest first
+ * @returns {boolean} True if the history was saved
+ */
+export const saveHistory = history =>
+  safeSetLocalStorage(HISTORY_STORAGE_KEY, JSON.stringify(history.slice(0, MAX_HISTORY)));
+
+/**
+ * Loads the rc file.
+ *
+ * @returns {string} Saved contents, or `DEFAULT_RC` when the visitor never changed it
+ */
+export const loadRc = () => {
+  const rc = safeGetLocalStorage(RC_STORAGE_KEY);
+  return typeof rc === 'string' ? rc.slice(0, MAX_RC_LENGTH) : DEFAULT_RC;
+};
+
+/**
+ * Saves the rc file.
+ *
+ * @param {string} contents - New file contents
+ * @returns {{ok: true}|{ok: false, error: string}} Result
+ */
+export const saveRc = contents => {
+  if (contents.length > MAX_RC_LENGTH) {
+    return { ok: false, error: `file too large (limit ${MAX_RC_LENGTH} characters)` };
+  }
+  if (!safeSetLocalStorage(RC_STORAGE_KEY, contents)) {
+    return { ok: false, error: 'browser storage is unavailable' };
+  }
+  return { ok: true };
+};
+
+/**
+ * Parses a `name=value` argument of `alias` or `export`.
+ *
+ * @param {string} arg - Argument, already unquoted by the shell
+ * @returns {{name: string, value: string|null}|null} Name and value (null without `=`),
+ *   or null when the name is invalid
+ *
+ * @example
+ * parseAssignment('ll=ls -l'); // => { name: 'll', value: 'ls -l' }
+ */
+export const parseAssignment = arg => {
+  const separator = arg.indexOf('=');
+  const name = separator === -1 ? arg : arg.slice(0, separator);
+  if (!NAME_PATTERN.test(name)) return null;
+  return { name, value: separator === -1 ? null : arg.slice(separator + 1) };
+};
+
+/**
+ * Replaces aliases at the start of pipeline stages with their definitions. The
+ * definition may itself be a pipeline; arguments after the alias go to its last stage.
+ * An alias that starts with another alias expands that one too, but never itself.
+ *
+ * @param {string[][]} pipeline - Parsed pipeline
+ * @param {Record<string, string>} aliases - Definitions by name
+ * @param {Record<string, string>} [env={}] - Variables for definitions that use them
+ * @returns {{ok: true, pipeline: string[][]}|{ok: false, error: string}} Expanded
+ *   pipeline, or the syntax error of a definition
+ *
+ * @example
+ * expandAliases([['ll', '/blog']], { ll: 'ls -l' }); // => { ok: true, pipeline: [['ls', '-l', '/blog']] }
+ */
+export const expandAliases = (pipeline, aliases, env = {}) => {
+  const expandStage = (stage, expanding) => {
+    const name = stage[0];
+    if (!Object.hasOwn(aliases, name) || expanding.has(name)) return { ok: true, stages: [stage] };
+
+    const parsed = parseCommandLine(aliases[name], { env });
+    if (!parsed.ok) return { ok: false, error: `alias ${name}: ${parsed.error}` };
+    if (parsed.pipeline.length === 0) {
+      return { ok: true, stages: stage.length > 1 ? [stage.slice(1)] : [] };
+    }
+
+    const [first, ...rest] = parsed.pipeline;
+    const head = rest.length > 0 ? first : [...first, ...stage.slice(1)];
+    const expanded = expandStage(head, new Set(expanding).add(name));
+    if (!expanded.ok) return expanded;
+    return {
+      ok: true,
+      stages: [
+        ...expanded.stages,
+        ...rest.slice(0, -1),
+        ...(rest.length > 0 ? [[...rest[rest.length - 1], ...stage.slice(1)]] : []),
+      ],
+    };
+  };
+
+  const stages = [];
+  for (const stage of pipeline) {
+    const expanded = expandStage(stage, new Set());
+    if (!expanded.ok) return expanded;
+    stages.push(...expanded.stages);
+  }
+  return { ok: true, pipeline: stages };
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  DEFAULT_RC,
+  HISTORY_STORAGE_KEY,
+  MAX_HISTORY,
+  MAX_RC_LENGTH,
+  RC_STORAGE_KEY,
+  expandAliases,
+  loadHistory,
+  loadRc,
+  parseAssignment,
+  saveHistory,
+  saveRc,
+} from './terminalSession';
+import * as storage from '../../utils/storage';
+
+vi.mock('../../utils/storage', () => ({
+  safeGetLocalStorage: vi.fn(),
+  safeSetLocalStorage: vi.fn(() => true),
+}));
+
+describe('terminalSession', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage.safeGetLocalStorage.mockImplementation((key, fallback = null) => fallback);
+  });
+
+  it('loads valid history entries only', () => {
+    storage.safeGetLocalStorage.mockReturnValue(JSON.stringify(['ls', 42, '  ', 'pwd']));
+    expect(loadHistory()).toEqual(['ls', 'pwd']);
+
+    storage.safeGetLocalStorage.mockReturnValue('{not json');
+    expect(loadHistory()).toEqual([]);
+  });
+
+  it('saves the newest commands', () => {
+    saveHistory(Array.from({ length: MAX_HISTORY + 5 }, (_, index) => `echo ${index}`));
+
+    const [key, value] = storage.safeSetLocalStorage.mock.calls[0];
+    expect(key).toBe(HISTORY_STORAGE_KEY);
+    expect(JSON.parse(value)).toHaveLength(MAX_HISTORY);
+    expect(JSON.parse(value)[0]).toBe('echo 0');
+  });
+
+  it('starts from the default rc file and saves edits within the limit', () => {
+    expect(loadRc()).toBe(DEFAULT_RC);
+
+    expect(saveRc('alias g=goto\n')).toEqual({ ok: true });
+    expect(storage.safeSetLocalStorage).toHaveBeenCalledWith(RC_STORAGE_KEY, 'alias g=goto\n');
+    expect(saveRc('x'.repeat(MAX_RC_LENGTH + 1)).ok).toBe(false);
+
+    storage.safeSetLocalStorage.mockReturnValueOnce(false);
+    expect(saveRc('')).toEqual({ ok: false, error: 'browser storage is unavailable' });
+  });
+
+  it('parses name=value arguments', () => {
+    expect(parseAssignment('ll=ls -l')).toEqual({ name: 'll', value: 'ls -l' });
+    expect(parseAssignment('EDITOR=')).toEqual({ name: 'EDITOR', value: '' });
+    expect(parseAssignment('ll')).toEqual({ name: 'll', value: null });
+    expect(parseAssignment('1x=y')).toBeNull();
+  });
+
+  it('expands aliases at the start of each stage', () => {
+    const aliases = { ll: 'ls -l', py: 'skills | grep python', ls: 'ls -a', me: '$WHO' };
+
+    expect(
+      expandAliases(
+        [
+          ['ll', '/blog'],
+          ['wc', '-l'],
+        ],
+        aliases
+      ).pipeline
+    ).toEqual([
+      ['ls', '-a', '-l', '/blog'],
+      ['wc', '-l'],
+    ]);
+    expect(expandAliases([['py', '-c']], aliases).pipeline).toEqual([
+      ['skills'],
+      ['grep', 'python', '-c'],
+    ]);
+    expect(expandAliases([['me']], aliases, { WHO: 'whoami' }).pipeline).toEqual([['whoami']]);
+    expect(expandAliases([['echo', 'll']], aliases).pipeline).toEqual([['echo', 'll']]);
+  });
+
+  it('reports aliases that do not parse', () => {
+    expect(expandAliases([['bad']], { bad: 'echo "oops' })).toEqual({
+      ok: false,
+      error: 'alias bad: unexpected end of input: missing closing "',
+    });
+  });
+});
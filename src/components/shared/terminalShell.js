@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Shell grammar and text filters for Terminal Mode.
+ *
+ * `parseCommandLine` splits a line into a pipeline of argument lists, honouring
+ * single quotes, double quotes and backslash escapes, expanding `$VARIABLES` and
+ * reading a trailing `>`/`>>` redirection. `runFilter` implements the
+ * line-oriented filters (`grep`, `wc`, `sort`, `head`, `tail`) that read either
+ * files or the output of the previous command in the pipeline.
+ */
+
+/** Filter commands handled by `runFilter` */
+export const FILTER_COMMANDS = ['grep', 'wc', 'sort', 'head', 'tail'];
+
+/** Default number of lines printed by `head` and `tail` */
+export const DEFAULT_LINE_COUNT = 10;
+
+/** `$NAME` or `${NAME}` at the start of a string */
+const VARIABLE_PATTERN = /^\$(?:([A-Za-z_]\w*)|\{([A-Za-z_]\w*)\})/;
+
+/**
+ * @typedef {object} Redirect
+ * @property {string} path - Target file as typed
+ * @property {boolean} append - `>>` appends instead of replacing the file
+ */
+
+/**
+ * Splits a command line into pipeline stages.
+ *
+ * Variables expand outside single quotes and are not split into words. The line may end
+ * with one `>` or `>>` redirection to a file `canWrite` accepts; the rest of the
+ * filesystem is read-only.
+ *
+ * @param {string} line - Raw command line
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.env={}] - Variables for `$NAME` expansion
+ * @param {(path: string) => boolean} [options.canWrite] - Whether a redirection target is
+ *   writable; nothing is by default
+ * @returns {{ok: true, pipeline: string[][], redirect: Redirect|null}|{ok: false, error: string}}
+ *   Argument lists, one per stage, and the redirection, or a syntax error
+ *
+ * @example
+ * parseCommandLine(`skills | grep "machine learning"`);
+ * // => { ok: true, pipeline: [['skills'], ['grep', 'machine learning']], redirect: null }
+ */
+export const parseCommandLine = (line, { env = {}, canWrite = () => false } = {}) => {
+  const pipeline = [];
+  let stage = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+  let redirect = null;
+
+  const endWord = () => {
+    if (inWord) {
+      if (redirect && redirect.path === null) redirect.path = word;
+      else stage.push(word);
+    }
+    word = '';
+    inWord = false;
+  };
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+
+    const variable = quote !== "'" && char === '$' && line.slice(index).match(VARIABLE_PATTERN);
+
+    if (redirect?.path && !/\s/.test(char)) {
+      return { ok: false, error: `syntax error near unexpected token '${char}'` };
+    }
+
+    if (variable) {
+      const value = env[variable[1] ?? variable[2]] ?? '';
+      word += value;
+      inWord = inWord || quote !== null || value !== '';
+      index += variable[0].length - 1;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && /["\\$`]/.test(line[index + 1] ?? '')) {
+        word += line[index + 1];
+        index += 1;
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inWord = true;
+    } else if (char === '\\') {
+      if (index + 1 < line.length) {
+        word += line[index + 1];
+        index += 1;
+      }
+      inWord = true;
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else if (char === '|' || (char === '>' && redirect)) {
+      if (redirect) return { ok: false, error: `syntax error near unexpected token '${char}'` };
+      endWord();
+      if (stage.length === 0) return { ok: false, error: "syntax error near unexpected token '|'" };
+      pipeline.push(stage);
+      stage = [];
+    } else if (char === '>') {
+      endWord();
+      redirect = { path: null, append: line[index + 1] === '>' };
+      if (redirect.append) index += 1;
+    } else if (char === '<') {
+      return { ok: false, error: "cannot redirect with '<': the filesystem is read-only" };
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) return { ok: false, error: `unexpected end of input: missing closing ${quote}` };
+  endWord();
+  if (redirect && !redirect.path) {
+    return { ok: false, error: "syntax error near unexpected token 'newline'" };
+  }
+  if (redirect && !canWrite(redirect.path)) {
+    return {
+      ok: false,
+      error: `cannot redirect to '${redirect.path}': the filesystem is read-only`,
+    };
+  }
+  if (stage.length === 0) {
+    return pipeline.length > 0
+      ? { ok: false, error: "syntax error near unexpected token '|'" }
+      : { ok: true, pipeline, redirect };
+  }
+  pipeline.push(stage);
+  return { ok: true, pipeline, redirect };
+};
+
+/**
+ * Parses short options. Flags may be combined (`-iv`); value options take the next
+ * argument or an attached value (`-n 5`, `-n5`), and `-5` is shorthand for `-n 5`
+ * where `n` is a value option. `--` ends the options.
+ *
+ * @param {string} name - Command name for error messages
+ * @param {string[]} args - Arguments after the command name
+ * @param {string} flags - Allowed boolean flags
+ * @param {string} [valueFlags=''] - Allowed options that take a value
+ * @returns {{ok: true, options: Object, operands: string[]}|{ok: false, error: string}}
+ * @private
+ */
+const parseOptions = (name, args, flags, valueFlags = '') => {
+  const options = {};
+  const operands = [];
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '--') {
+      operands.push(...args.slice(index + 1));
+      break;
+    }
+    if (!/^-./.test(arg) || operands.length > 0) {
+      operands.push(arg);
+      continue;
+    }
+    if (/^-\d+$/.test(arg) && valueFlags.includes('n')) {
+      options.n = arg.slice(1);
+      continue;
+    }
+    for (let position = 1; position < arg.length; position += 1) {
+      const flag = arg[position];
+      if (valueFlags.includes(flag)) {
+        const value = arg.slice(position + 1) || args[(index += 1)];
+        if (value === undefined) {
+          return { ok: false, error: `${name}: option requires an argument -- '${flag}'` };
+        }
+        options[flag] = value;
+        break;
+      }
+      if (!flags.includes(flag)) {
+        return { ok: false, error: `${name}: invalid option -- '${flag}'` };
+      }
+      options[flag] = true;
+    }
+  }
+
+  return { ok: true, options, operands };
+};
+
+/**
+ * Reads a `-n` line count.
+ *
+ * @param {string} name - Command name for error messages
+ * @param {string} [value] - Raw option value
+ * @returns {{ok: true, count: number}|{ok: false, error: string}}
+ * @private
+ */
+const parseLineCount = (name, value = String(DEFAULT_LINE_COUNT)) => {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0
+    ? { ok: true, count }
+    : { ok: false, error: `${name}: invalid number of lines: '${value}'` };
+};
+
+// Output text carries no trailing newline, so empty text has no lines
+const toLines = text => (text === '' ? [] : text.split('\n'));
+
+/**
+ * Line filters: each receives parsed options and the input text, and returns the output
+ * text or an error.
+ * @type {Record<string, {flags: string, valueFlags?: string, takesPattern?: boolean, apply: Function}>}
+ * @private
+ */
+const FILTERS = {
+  grep: {
+    flags: 'ivcn',
+    takesPattern: true,
+    // Smart case: a pattern without capitals matches case-insensitively
+    apply: ({ i, v, c, n }, text, pattern) => {
+      let regex;
+      try {
+        regex = new RegExp(pattern, i || pattern === pattern.toLowerCase() ? 'i' : '');
+      } catch {
+        return { ok: false, error: `grep: invalid regular expression: '${pattern}'` };
+      }
+      const matches = toLines(text)
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => regex.test(line) !== Boolean(v));
+      if (c) return { ok: true, output: String(matches.length) };
+      return {
+        ok: true,
+        output: matches.map(({ line, number }) => (n ? `${number}:${line}` : line)).join('\n'),
+      };
+    },
+  },
+  wc: {
+    flags: 'lwc',
+    apply: ({ l, w, c }, text) => {
+      const counts = [
+        [l, toLines(text).length],
+        [w, text.split(/\s+/).filter(Boolean).length],
+        // Counted with the trailing newline the text would have as a file
+        [c, text === '' ? 0 : new TextEncoder().encode(`${text}\n`).length],
+      ];
+      const selected = counts.some(([flag]) => flag) ? counts.filter(([flag]) => flag) : counts;
+      return { ok: true, output: selected.map(([, count]) => count).join(' ') };
+    },
+  },
+  sort: {
+    flags: 'rnu',
+    apply: ({ r, n, u }, text) => {
+      const numeric = line => Number.parseFloat(line) || 0;
+      let lines = toLines(text).sort((a, b) => (n ? numeric(a) - numeric(b) : a.localeCompare(b)));
+      if (u) lines = [...new Set(lines)];
+      if (r) lines.reverse();
+      return { ok: true, output: lines.join('\n') };
+    },
+  },
+  head: {
+    flags: '',
+    valueFlags: 'n',
+    apply: (options, text) => {
+      const parsed = parseLineCount('head', options.n);
+      if (!parsed.ok) return parsed;
+      return { ok: true, output: toLines(text).slice(0, parsed.count).join('\n') };
+    },
+  },
+  tail: {
+    flags: '',
+    valueFlags: 'n',
+    apply: (options, text) => {
+      const parsed = parseLineCount('tail', options.n);
+      if (!parsed.ok) return parsed;
+      const lines = toLines(text);
+      return { ok: true, output: lines.slice(lines.length - parsed.count).join('\n') };
+    },
+  },
+};
+
+/**
+ * Runs a filter command over its file operands, or over the piped input without any.
+ *
+ * @param {string} name - One of `FILTER_COMMANDS`
+ * @param {string[]} args - Arguments after the command name
+ * @param {object} io
+ * @param {string|null} io.stdin - Output of the previous stage; null at the start of a pipeline
+ * @param {(path: string) => ({ok: true, content: string}|{ok: false, error: string})} io.readFile
+ *   Reads a file operand
+ * @returns {{output: string|null, errors: string[]}} Output, or null when the command failed
+ *
+ * @example
+ * runFilter('grep', ['-c', 'python'], { stdin: 'Python\nSQL', readFile });
+ * // => { output: '1', errors: [] }
+ */
+export const runFilter = (name, args, { stdin, readFile }) => {
+  const filter = FILTERS[name];
+  const parsed = parseOptions(name, args, filter.flags, filter.valueFlags);
+  if (!parsed.ok) return { output: null, errors: [parsed.error] };
+
+  const [pattern, ...files] = filter.takesPattern ? parsed.operands : [null, ...parsed.operands];
+  if (filter.takesPattern && pattern === undefined) {
+    return { output: null, errors: [`${name}: missing pattern`] };
+  }
+
+  const errors = [];
+  let text = stdin;
+  if (files.length > 0) {
+    text = files
+      .map(path => {
+        const file = readFile(path);
+        if (!file.ok) errors.push(file.error);
+        return file.ok ? file.content.replace(/\n$/, '') : null;
+      })
+      .filter(content => content !== null)
+      .join('\n');
+    if (errors.length === files.length) return { output: null, errors };
+  } else if (text === null) {
+    return { output: null, errors: [`${name}: missing file operand`] };
+  }
+
+  const result = filter.apply(parsed.options, text, pattern);
+  return result.ok
+    ? { output: result.output, errors }
+    : { output: null, errors: [...errors, result.error] };
+};
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { parseCommandLine, runFilter } from './terminalShell';
+
+const files = { 'notes.txt': 'banana\napple\ncherry\n' };
+const readFile = path =>
+  path in files
+    ? { ok: true, content: files[path] }
+    : { ok: false, error: `grep: ${path}: No such file or directory` };
+
+const run = (name, args, stdin = null) => runFilter(name, args, { stdin, readFile });
+
+describe('parseCommandLine', () => {
+  it('splits stages on pipes and words on whitespace', () => {
+    expect(parseCommandLine('skills  | grep python|wc -l')).toEqual({
+      ok: true,
+      pipeline: [['skills'], ['grep', 'python'], ['wc', '-l']],
+      redirect: null,
+    });
+  });
+
+  it('keeps quoted text and escapes together', () => {
+    expect(
+      parseCommandLine(`grep "machine learning" 'a | b' it\\'s "say \\"hi\\"" ''`).pipeline
+    ).toEqual([['grep', 'machine learning', 'a | b', "it's", 'say "hi"', '']]);
+  });
+
+  it('reports unbalanced quotes and empty stages', () => {
+    expect(parseCommandLine('echo "oops')).toEqual({
+      ok: false,
+      error: 'unexpected end of input: missing closing "',
+    });
+    expect(parseCommandLine('| wc').ok).toBe(false);
+    expect(parseCommandLine('ls |').ok).toBe(false);
+    expect(parseCommandLine('ls || wc').ok).toBe(false);
+  });
+
+  it('rejects redirection on the read-only filesystem', () => {
+    expect(parseCommandLine('echo hi > out.txt').error).toMatch(/read-only/);
+    expect(parseCommandLine('echo ">"').ok).toBe(true);
+  });
+
+  it('reads a trailing redirection to a writable file', () => {
+    const canWrite = path => path === '~/.rc';
+    expect(parseCommandLine('echo hi >> ~/.rc', { canWrite })).toEqual({
+      ok: true,
+      pipeline: [['echo', 'hi']],
+      redirect: { path: '~/.rc', append: true },
+    });
+    expect(parseCommandLine('>~/.rc', { canWrite }).redirect).toEqual({
+      path: '~/.rc',
+      append: false,
+    });
+    expect(parseCommandLine('echo >', { canWrite }).error).toMatch(/'newline'/);
+    expect(parseCommandLine('echo > ~/.rc | wc', { canWrite }).error).toMatch(/'\|'/);
+  });
+
+  it('expands variables outside single quotes', () => {
+    const env = { NAME: 'Ada Lovelace', EMPTY: '' };
+    expect(
+      parseCommandLine(`echo $NAME "\${NAME}!" '$NAME' \\$NAME $EMPTY "$EMPTY" $5`, { env })
+        .pipeline
+    ).toEqual([['echo', 'Ada Lovelace', 'Ada Lovelace!', '$NAME', '$NAME', '', '$5']]);
+  });
+});
+
+describe('runFilter', () => {
+  it('greps with smart case, inversion, counts and line numbers', () => {
+    const stdin = 'Python\nSQL\npython scripts';
+    expect(run('grep', ['python'], stdin).output).toBe('Python\npython scripts');
+    expect(run('grep', ['Python'], stdin).output).toBe('Python');
+    expect(run('grep', ['-i', 'PYTHON'], stdin).output).toBe('Python\npython scripts');
+    expect(run('grep', ['-v', 'python'], stdin).output).toBe('SQL');
+    expect(run('grep', ['-c', 'python'], stdin).output).toBe('2');
+    expect(run('grep', ['-n', 'sql'], stdin).output).toBe('2:SQL');
+  });
+
+  it('reports grep usage errors', () => {
+    expect(run('grep', [], 'x').errors).toEqual(['grep: missing pattern']);
+    expect(run('grep', ['('], 'x').errors[0]).toMatch(/invalid regular expression/);
+    expect(run('grep', ['-z', 'x'], 'x').errors).toEqual(["grep: invalid option -- 'z'"]);
+  });
+
+  it('counts lines, words and bytes', () => {
+    expect(run('wc', [], 'one two\nthree').output).toBe('2 3 14');
+    expect(run('wc', ['-l'], 'one two\nthree').output).toBe('2');
+    expect(run('wc', ['-l'], '').output).toBe('0');
+  });
+
+  it('sorts alphabetically, numerically, reversed and unique', () => {
+    expect(run('sort', [], 'b\na\nb').output).toBe('a\nb\nb');
+    expect(run('sort', ['-ru'], 'b\na\nb').output).toBe('b\na');
+    expect(run('sort', ['-n'], '10\n9\n100').output).toBe('9\n10\n100');
+  });
+
+  it('takes the first or last lines', () => {
+    const stdin = Array.from({ length: 12 }, (_, index) => index + 1).join('\n');
+    expect(run('head', [], stdin).output.split('\n')).toHaveLength(10);
+    expect(run('head', ['-n', '2'], stdin).output).toBe('1\n2');
+    expect(run('tail', ['-3'], stdin).output).toBe('10\n11\n12');
+    expect(run('tail', ['-n0'], stdin).output).toBe('');
+    expect(run('head', ['-n', 'x'], stdin).errors).toEqual(["head: invalid number of lines: 'x'"]);
+  });
+
+  it('reads file operands instead of piped input', () => {
+    expect(run('sort', ['notes.txt'], 'ignored').output).toBe('apple\nbanana\ncherry');
+    expect(run('grep', ['an', 'notes.txt', 'missing.txt'])).toEqual({
+      output: 'banana',
+      errors: ['grep: missing.txt: No such file or directory'],
+    });
+  });
+
+  it('needs a file without piped input', () => {
+    expect(run('wc', [])).toEqual({ output: null, errors: ['wc: missing file operand'] });
+  });
+});
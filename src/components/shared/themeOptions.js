@@ -0,0 +1,46 @@
+/**
+ * @fileoverview The selectable site themes with their display names, icons and swatches,
+ * shared by the Settings modal and the theme commands.
+ */
+
+import { Sun, Moon, Droplets, Cloud } from 'lucide-react';
+import { THEMES } from './theme-context';
+
+/**
+ * Theme choices in display order.
+ * @type {Array<{id: string, label: string, subtitle: string, icon: import('react').ComponentType, swatch: string[], swatchStyle: 'grid'|'glass'}>}
+ */
+export const THEME_OPTIONS = [
+  {
+    id: THEMES.neubrutalism,
+    label: 'Neubrutalism',
+    subtitle: 'Bold & Raw',
+    icon: Sun,
+    swatch: ['#fafafa', '#ffd54f', '#000000', '#9c0e4b'],
+    swatchStyle: 'grid',
+  },
+  {
+    id: THEMES.neubrutalismDark,
+    label: 'Midnight Brutal',
+    subtitle: 'Dark & Punchy',
+    icon: Moon,
+    swatch: ['#121212', '#ffd54f', '#f5f5f5', '#ff4081'],
+    swatchStyle: 'grid',
+  },
+  {
+    id: THEMES.liquid,
+    label: 'Liquid Glass',
+    subtitle: 'iOS Inspired',
+    icon: Droplets,
+    swatch: ['#f2f2f7', '#007aff', '#1d1d1f', '#af52de'],
+    swatchStyle: 'glass',
+  },
+  {
+    id: THEMES.liquidDark,
+    label: 'Liquid Night',
+    subtitle: 'Dark Glass',
+    icon: Cloud,
+    swatch: ['#000000', '#0a84ff', '#f5f5f7', '#bf5af2'],
+    swatchStyle: 'glass',
+  },
+];
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Lazy access to full blog post bodies synced by `scripts/sync-blogs.js`.
+ *
+ * Each post's sanitized markdown lives in `src/data/posts/<slug>.md`. Vite turns
+ * every file into its own chunk, so a reader only downloads the article they open
+ * and `blogs.json` stays metadata-only.
+ */
+
+const postLoaders = import.meta.glob('./posts/*.md', { query: '?raw', import: 'default' });
+
+/**
+ * Resolves the glob key for a post slug.
+ * @param {string} slug - Blog post slug
+ * @returns {string} Module path key
+ */
+const postPath = slug => `./posts/${slug}.md`;
+
+/**
+ * Whether a full article body was synced for the given slug.
+ *
+ * @param {string} slug - Blog post slug
+ * @returns {boolean} True if the markdown body exists
+ */
+export const hasBlogContent = slug => Boolean(slug) && postPath(slug) in postLoaders;
+
+/**
+ * Loads the markdown body for a blog post.
+ *
+ * @async
+ * @param {string} slug - Blog post slug
+ * @returns {Promise<string|null>} Markdown body, or null when none was synced
+ */
+export const loadBlogContent = async slug => {
+  if (!hasBlogContent(slug)) return null;
+  return postLoaders[postPath(slug)]();
+};
@@ -2,6 +2,10 @@
 /**
  * Centralized resume and portfolio data object.
  * Used across the application for the Resume page, Projects, and AI context.
+ *
+ * Projects may carry an optional `caseStudy` object ({ problem, approach[], results[],
+ * screenshots[], techBreakdown[] }) rendered on `/projects/:slug`, and an optional
+ * `slug` to pin the route when the title changes.
  * @type {Object}
  */
 export const resumeData = {
@@ -142,6 +146,27 @@ export const resumeData = {
       image: '/images/projects/coding-for-mba.webp',
       stars: 69,
       featured: true,
+      caseStudy: {
+        problem:
+          'MBA cohorts are expected to work with data, yet most programming courses assume a computer science audience and never connect code back to business decisions.',
+        approach: [
+          'Structured the curriculum as 15 progressive lessons, moving from Python syntax to data analysis.',
+          'Framed every exercise around a business scenario so concepts map to familiar MBA problems.',
+          'Published the material as a static GitHub Pages site so students need nothing beyond a browser to follow along.',
+        ],
+        results: [
+          'Published as an open curriculum that has collected 69 GitHub stars.',
+          'Gives non-technical students a repeatable path from first script to working analysis.',
+        ],
+        techBreakdown: [
+          { name: 'Python', detail: 'Teaching language for every lesson and exercise.' },
+          {
+            name: 'Data Analytics',
+            detail: 'Later lessons cover cleaning, summarising and charting data.',
+          },
+          { name: 'GitHub Pages', detail: 'Zero-cost hosting for the lesson site.' },
+        ],
+      },
     },
     {
       title: 'AI Attendance Management System',
@@ -151,6 +176,24 @@ export const resumeData = {
       github: 'https://github.com/saint2706/Attendance-Management-System-Using-Face-Recognition',
       image: '/images/projects/attendance-ai.webp',
       featured: true,
+      caseStudy: {
+        problem:
+          'Manual roll calls waste class time and are easy to game through proxy attendance.',
+        approach: [
+          'Detected faces in a live camera feed and matched them against enrolled students.',
+          'Recorded check-ins automatically once a face was recognised.',
+          'Surfaced attendance trends in an analytics dashboard for instructors.',
+        ],
+        results: [
+          'End-to-end attendance flow with no manual roll call.',
+          'Attendance data available for analysis instead of living on paper registers.',
+        ],
+        techBreakdown: [
+          { name: 'Python', detail: 'Application logic and recognition pipeline.' },
+          { name: 'OpenCV', detail: 'Camera capture and face detection.' },
+          { name: 'Face Recognition', detail: 'Encoding and matching enrolled faces.' },
+        ],
+      },
     },
     {
       title: 'Client Modding Guide',
@@ -161,6 +204,23 @@ export const resumeData = {
       image: '/images/projects/modding-guide.webp',
       stars: 75,
       featured: true,
+      caseStudy: {
+        problem:
+          'Discord client modding knowledge was scattered across forum threads and outdated READMEs, which made getting started error-prone.',
+        approach: [
+          'Consolidated setup steps for popular client mods into a single guide.',
+          'Wrote step-by-step tutorials aimed at first-time modders.',
+          'Kept the guide open to community corrections through GitHub.',
+        ],
+        results: [
+          'Most starred personal project, with 75 GitHub stars.',
+          'Active community engagement keeping the guide current.',
+        ],
+        techBreakdown: [
+          { name: 'Documentation', detail: 'Markdown guide structured for quick scanning.' },
+          { name: 'Discord', detail: 'Covers client modding workflows and caveats.' },
+        ],
+      },
     },
     {
       title: 'Scroll of Dharma',
@@ -170,6 +230,19 @@ export const resumeData = {
       github: 'https://github.com/saint2706/scroll-of-dharma',
       image: '/images/projects/scroll-dharma.webp',
       featured: true,
+      caseStudy: {
+        problem:
+          'Meditation apps rarely explain the philosophy behind the practice, leaving sessions feeling generic.',
+        approach: [
+          'Designed the experience as a guided journey rather than a timer.',
+          'Paired each step with philosophical context to give the practice meaning.',
+        ],
+        results: ['An interactive, self-paced meditation journey that runs locally.'],
+        techBreakdown: [
+          { name: 'Python', detail: 'Application logic and journey sequencing.' },
+          { name: 'Interactive', detail: 'Step-by-step guided flow.' },
+        ],
+      },
     },
     {
       title: 'VITable',
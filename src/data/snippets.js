@@ -347,6 +347,66 @@ print('\\n'.join([''.join([(name[(x-y) % len(name)] if ((x*0.05)**2+(y*0.1)**2-1
 print('\\n'.join([''.join([(name[(x-y) % len(name)] if ((x*0.05)**2+(y*0.1)**2-1)**3-(x*0.05)**2*(y*0.1)**3 <= 0 else ' ') for x in range(-30, 30)]) for y in range(15, -15, -1)]))`,
     },
   },
+  {
+    id: 'py-pandas-trend',
+    title: 'Sales Trend with pandas',
+    description:
+      'Load monthly numbers into a DataFrame, add a rolling average and plot it with matplotlib. Enter your own figures!',
+    code: `df.assign(trend=df.sales.rolling(3, min_periods=1).mean()).plot(x="month", marker="o")`,
+    language: 'python',
+    category: 'Data Analysis',
+    tags: ['pandas', 'matplotlib', 'data-viz', 'interactive'],
+    interactive: {
+      type: 'python-runner',
+      defaultInput: '120, 135, 128, 150, 172, 165, 190, 210, 198, 230, 245, 260',
+      inputLabel: 'Enter monthly sales (comma-separated)',
+      codeTemplate: () => `import pandas as pd
+import matplotlib.pyplot as plt
+
+sales = [float(x) for x in user_input.split(",")]
+df = pd.DataFrame({"month": range(1, len(sales) + 1), "sales": sales})
+df["trend"] = df["sales"].rolling(3, min_periods=1).mean().round(1)
+df["change %"] = (df["sales"].pct_change() * 100).round(1)
+
+print(df.to_string(index=False))
+print(f"\\nTotal: {df.sales.sum():.0f}, best month: {df.sales.idxmax() + 1}")
+
+ax = df.plot(x="month", y=["sales", "trend"], marker="o", figsize=(6, 3))
+ax.set_title("Monthly sales with 3-month rolling mean")
+plt.tight_layout()`,
+    },
+  },
+  {
+    id: 'py-numpy-histogram',
+    title: 'Normal Distribution Histogram',
+    description:
+      'Sample a normal distribution with NumPy, summarise it and draw a histogram. Pick the mean, spread and sample size!',
+    code: `data = np.random.default_rng(42).normal(mean, std, n); plt.hist(data, bins=30)`,
+    language: 'python',
+    category: 'Data Analysis',
+    tags: ['numpy', 'matplotlib', 'statistics', 'interactive'],
+    interactive: {
+      type: 'python-runner',
+      defaultInput: '50, 10, 1000',
+      inputLabel: 'Enter mean, standard deviation, samples',
+      codeTemplate: () => `import numpy as np
+import matplotlib.pyplot as plt
+
+mean, std, n = [float(x) for x in user_input.split(",")]
+data = np.random.default_rng(42).normal(mean, std, int(min(n, 100000)))
+
+print(f"Samples:      {data.size}")
+print(f"Mean:         {data.mean():.2f}")
+print(f"Std dev:      {data.std():.2f}")
+print(f"Within 1 std: {np.mean(np.abs(data - mean) <= std):.1%}")
+
+plt.figure(figsize=(6, 3))
+plt.hist(data, bins=30, color="#6366f1", edgecolor="black")
+plt.axvline(data.mean(), color="red", linestyle="--", label="mean")
+plt.title("Sampled normal distribution")
+plt.legend()`,
+    },
+  },
 
   // ===== CSS SNIPPETS =====
   {
@@ -0,0 +1,43 @@
+import { execFileSync } from 'node:child_process';
+import { describe, it, expect } from 'vitest';
+import { getSnippetsByLanguage } from './snippets';
+
+/** Whether a Python interpreter is available to compile the templates */
+const hasPython = (() => {
+  try {
+    execFileSync('python3', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const pythonRunners = getSnippetsByLanguage('python').filter(
+  snippet => snippet.interactive?.type === 'python-runner'
+);
+
+describe('snippets', () => {
+  it('gives every Python runner a code template and default input', () => {
+    expect(pythonRunners.length).toBeGreaterThan(0);
+    pythonRunners.forEach(snippet => {
+      expect(typeof snippet.interactive.codeTemplate()).toBe('string');
+      expect(snippet.interactive.defaultInput).toBeTruthy();
+    });
+  });
+
+  it.skipIf(!hasPython).each(pythonRunners.map(snippet => [snippet.id, snippet]))(
+    'compiles the %s code template',
+    (id, snippet) => {
+      expect(() =>
+        execFileSync(
+          'python3',
+          ['-c', 'import sys; compile(sys.stdin.read(), "<snippet>", "exec")'],
+          {
+            input: snippet.interactive.codeTemplate(),
+            stdio: ['pipe', 'ignore', 'pipe'],
+          }
+        )
+      ).not.toThrow();
+    }
+  );
+});
@@ -1,20 +1,35 @@
 /**
  * AI Service Module
  *
- * Provides AI-powered chat and roasting functionality using Google's Gemini API.
- * This service handles chatbot interactions and resume roasting features with
- * built-in security measures including rate limiting, input validation, and timeout protection.
+ * Provides AI-powered chat and roasting functionality. Requests go through a pluggable
+ * provider (Gemini by default, an OpenAI-compatible endpoint, or a deterministic mock;
+ * see `services/providers`) selected with `VITE_AI_PROVIDER`.
+ * This service handles chatbot interactions (one-shot or streamed token by token,
+ * optionally with site actions via function calling), rolling summaries of long conversations
+ * and resume roasting features with built-in security measures including rate
+ * limiting, input validation, and timeout protection.
  *
  * @module services/ai
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './providers/index.js';
+import { getToolDeclarations } from './chatTools.js';
 import { resumeData } from '../data/resume.js';
+import retrievalIndex from '../data/retrievalIndex.json';
+import { searchIndex } from '../utils/retrieval.js';
 import { sanitizeInput, redactPII } from '../utils/security.js';
 import { safeGetLocalStorage, safeSetLocalStorage } from '../utils/storage.js';
-
-// API Configuration
-const API_KEY = import.meta?.env?.VITE_GEMINI_API_KEY?.trim();
+import { MAX_SUMMARY_CHARS } from './chatSummary.js';
+
+// API Configuration (read key by key so Vite can statically replace each one)
+const PROVIDER_CONFIG = {
+  provider: import.meta?.env?.VITE_AI_PROVIDER?.trim(),
+  geminiApiKey: import.meta?.env?.VITE_GEMINI_API_KEY?.trim(),
+  geminiModel: import.meta?.env?.VITE_GEMINI_MODEL?.trim(),
+  openaiBaseUrl: import.meta?.env?.VITE_OPENAI_BASE_URL?.trim(),
+  openaiModel: import.meta?.env?.VITE_OPENAI_MODEL?.trim(),
+  openaiApiKey: import.meta?.env?.VITE_OPENAI_API_KEY?.trim(),
+};
 const API_TIMEOUT = 15000; // Maximum time (ms) to wait for API response before timing out
 const MAX_INPUT_LENGTH = 1000; // Maximum allowed characters in user input to prevent token exhaustion
 const RATE_LIMIT_MS = 2000; // Minimum time (ms) between consecutive requests to prevent API abuse
@@ -29,24 +44,38 @@ const MISSING_API_KEY_ERROR =
   'My AI circuits are currently offline. Please check the configuration.';
 const CHAT_RATE_LIMIT_KEY = 'chat_last_request_time';
 const ROAST_RATE_LIMIT_KEY = 'roast_last_request_time';
+const SYSTEM_ACK = 'Understood. I am Digital Rishabh. Ask me anything about Rishabh!';
+const RETRIEVAL_TOP_K = 5; // Number of knowledge-base chunks injected per question
 
 // Rate limiting: Initialize from localStorage to enforce limits across page reloads
 let lastChatRequestTime = parseInt(safeGetLocalStorage(CHAT_RATE_LIMIT_KEY, '0'), 10);
 let lastRoastRequestTime = parseInt(safeGetLocalStorage(ROAST_RATE_LIMIT_KEY, '0'), 10);
 
+// Explicit provider set via setAIProvider (e.g. the mock in tests); null uses config
+let providerOverride = null;
+
 /**
- * Gets an instance of the Gemini AI model.
+ * Resolves the AI provider for the next request.
  *
- * @returns {object|null} The Gemini model instance, or null if API key is not configured
+ * @returns {import('./providers/index.js').AIProvider|null} The provider, or null if not configured
  * @private
  */
-const getModel = () => {
-  if (!API_KEY) {
-    return null;
-  }
+const getProvider = () =>
+  providerOverride ||
+  createProvider(PROVIDER_CONFIG.provider, { ...PROVIDER_CONFIG, systemAck: SYSTEM_ACK });
 
-  const genAI = new GoogleGenerativeAI(API_KEY);
-  return genAI.getGenerativeModel({ model: 'gemini-flash-latest' });
+/**
+ * Overrides the configured AI provider, e.g. with `createMockProvider()` to exercise
+ * the chatbot offline. Pass null to return to the build-time configuration.
+ *
+ * @param {import('./providers/index.js').AIProvider|null} provider - Provider to use
+ *
+ * @example
+ * import { createMockProvider } from './providers/mock.js';
+ * setAIProvider(createMockProvider());
+ */
+export const setAIProvider = provider => {
+  providerOverride = provider || null;
 };
 
 /**
@@ -82,17 +111,18 @@ const withTimeout = (promise, ms) => {
   return Promise.race([promise.finally(() => clearTimeout(timeoutId)), timeoutPromise]);
 };
 
+// Fallback contact point the model is told to suggest when the context has no answer
+const LINKEDIN_URL = resumeData.basics.socials.find(social => social.network === 'LinkedIn')?.url;
+
 /**
  * System prompt that defines the AI assistant's personality and constraints.
  * This prompt is injected at the start of every chat session to maintain consistent behavior.
- * NOTE: Resume data is minified (no indentation) to reduce token usage and payload size.
+ * Knowledge comes from the retrieved context appended by `buildSystemPrompt`, not from
+ * a full resume dump, to keep the payload small and cover blogs and snippets too.
  */
 const SYSTEM_PROMPT = `
 You are "Digital Rishabh", an AI assistant embedded in Rishabh Agrawal's personal portfolio website (https://saint2706.github.io).
-Your sole purpose is to help visitors learn about Rishabh's background, skills, projects, and experience.
-
-Here is Rishabh's Resume Data (source of truth — do not invent details outside this):
-${JSON.stringify(redactPII(resumeData))}
+Your sole purpose is to help visitors learn about Rishabh's background, skills, projects, writing, and experience.
 
 ## Persona
 - You are knowledgeable, warm, and slightly geeky — mirroring Rishabh's own personality.
@@ -100,13 +130,14 @@ ${JSON.stringify(redactPII(resumeData))}
 - Add light, tasteful humour where natural, but never at the visitor's expense.
 
 ## Response Guidelines
-1. **Accuracy first**: Answer ONLY from the provided resume data. If something isn't covered, say "I'm not sure about that — you can ask Rishabh directly on LinkedIn!" and point to his LinkedIn URL from the socials list.
+1. **Accuracy first**: Answer ONLY from the numbered context passages. If something isn't covered, say "I'm not sure about that — you can ask Rishabh directly on LinkedIn!" and point to his LinkedIn URL (${LINKEDIN_URL}).
 2. **Be concise**: 2–4 sentences for simple questions; a short bullet list for complex ones. Avoid walls of text.
 3. **Formatting**: Use markdown sparingly — bullet points for skill/project lists, bold for key terms. Plain prose for everything else.
-4. **Contact requests**: Direct visitors to Rishabh's LinkedIn or GitHub (from the socials data) rather than sharing any other personal contact details.
+4. **Contact requests**: Direct visitors to Rishabh's LinkedIn or GitHub rather than sharing any other personal contact details.
 5. **Off-topic questions**: Politely acknowledge, then steer back — e.g. "That's outside my expertise as Digital Rishabh! Ask me about his projects or skills instead."
-6. **No hallucination**: Never invent experiences, opinions, or facts not present in the resume data.
-7. **Current context**: Rishabh is currently pursuing a PGDM in Big Data Analytics at Goa Institute of Management (GIM, 2025–2027) after completing his B.Tech in Computer Science from VIT.
+6. **No hallucination**: Never invent experiences, opinions, or facts not present in the context passages.
+7. **Citations**: After each fact, cite the passage it came from by its number in square brackets, e.g. "He built Coding-For-MBA [2]." Only cite passages listed in the context.
+8. **Current context**: Rishabh is currently pursuing a PGDM in Big Data Analytics at Goa Institute of Management (GIM, 2025–2027) after completing his B.Tech in Computer Science from VIT.
 
 ## Special Modes
 - **Roast Mode** (if the user explicitly asks): Switch to playfully snarky, self-aware commentary about Rishabh's resume — poke fun at buzzwords, the cert collection, and quirky projects, while keeping it affectionate and good-natured.
@@ -114,103 +145,404 @@ ${JSON.stringify(redactPII(resumeData))}
 `;
 
 /**
- * Sends a chat message to the Gemini AI and returns a response.
+ * Extra instructions appended when the caller can run site actions (see `services/chatTools`).
+ */
+const ACTIONS_PROMPT = `
+## Actions
+You can drive the site with the provided tools: open pages, projects and Playground snippets, start games, switch the theme, or open the terminal.
+Call a tool only when the visitor asks you to show, open, play or switch something, and still reply with one short sentence saying what you did.
+`;
+
+/**
+ * Retrieves the knowledge-base chunks most relevant to a question. Follow-ups such as
+ * "tell me more" match nothing on their own, so the previous user turn is tried next.
  *
- * This function implements several security and performance measures:
- * - Input validation (type checking and length limits)
- * - Rate limiting to prevent API abuse
- * - Timeout protection to prevent hanging requests
- * - Comprehensive error handling for various failure scenarios
+ * @param {string} message - Sanitized user message
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history - Sanitized history
+ * @returns {Array<{id: string, title: string, url: string, text: string}>} Top chunks, best first
+ * @private
+ */
+const retrieveContext = (message, history) => {
+  const results = searchIndex(retrievalIndex, message, RETRIEVAL_TOP_K);
+  if (results.length > 0) return results;
+
+  const previousQuestion = history.findLast(entry => entry.role === 'user')?.parts[0]?.text;
+  return previousQuestion
+    ? searchIndex(retrievalIndex, `${previousQuestion} ${message}`, RETRIEVAL_TOP_K)
+    : [];
+};
+
+/**
+ * Appends the retrieved passages to the system prompt, numbered for citation.
  *
- * @async
- * @param {string} userMessage - The user's message to send to the AI
- * @param {Array<{role: string, parts: Array<{text: string}>}>} [history=[]] - Optional chat history for context
- * @returns {Promise<string>} The AI's response text or an error message
+ * @param {Array<{id: string, title: string, text: string}>} sources - Retrieved chunks
+ * @param {boolean} [withTools=false] - Whether to include the site actions instructions
+ * @returns {string} System prompt for this question
+ * @private
+ */
+const buildSystemPrompt = (sources, withTools = false) => {
+  const context =
+    sources.length > 0
+      ? sources
+          .map((source, index) => `[${index + 1}] ${source.title} (${source.id})\n${source.text}`)
+          .join('\n\n')
+      : 'No passages matched this question. Say you are not sure and suggest asking Rishabh on LinkedIn.';
+
+  return `${SYSTEM_PROMPT}${withTools ? ACTIONS_PROMPT : ''}
+## Context
+Passages retrieved from Rishabh's resume, blog posts and Playground snippets for this question:
+
+${context}
+`;
+};
+
+/**
+ * Creates an error for a request that was cancelled by the caller.
  *
- * @example
- * const response = await chatWithGemini("What are Rishabh's skills?");
- * // => "Rishabh has expertise in..."
+ * @returns {Error} An error named `AbortError`
+ * @private
+ */
+const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Rejects as soon as the given signal aborts, so a pending stream read does not
+ * keep the caller waiting after the user pressed stop.
  *
- * @example
- * // With history for multi-turn conversation
- * const history = [
- *   { role: "user", parts: [{ text: "Hello" }] },
- *   { role: "model", parts: [{ text: "Hi! How can I help?" }] }
- * ];
- * const response = await chatWithGemini("Tell me more", history);
+ * @param {Promise} promise - The promise to wrap
+ * @param {AbortSignal} [signal] - Optional cancellation signal
+ * @returns {Promise} A promise that rejects with an AbortError once the signal fires
+ * @private
  */
-export const chatWithGemini = async (userMessage, history = []) => {
+const withAbort = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    // Nobody will await the wrapped promise any more; keep its late rejection handled
+    promise.catch(() => {});
+    return Promise.reject(createAbortError());
+  }
+
+  let onAbort;
+  const abortPromise = new Promise((_, reject) => {
+    onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([
+    promise.finally(() => signal.removeEventListener('abort', onAbort)),
+    abortPromise,
+  ]);
+};
+
+/**
+ * Validates the user message, applies the chat rate limit and builds the provider
+ * request with the sanitized history and a system prompt carrying the retrieved context.
+ *
+ * Shared by `chatWithGemini` and `streamChatWithGemini` so both enforce identical
+ * limits. When the request cannot proceed, `reply` holds the message to show instead,
+ * and `unavailable` is set when the model itself could not be used (rate limited or
+ * no provider configured) rather than the input being rejected.
+ *
+ * @param {string} userMessage - The user's message
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history - Prior chat history
+ * @param {object} [options]
+ * @param {boolean} [options.withTools=false] - Offer the site actions from `services/chatTools`
+ * @returns {{reply: string, unavailable?: string, message?: string}|{provider: object, sources: Array, request: object}} Early reply or ready request
+ * @private
+ */
+const prepareChat = (userMessage, history, { withTools = false } = {}) => {
   // Input Validation: Check type and length to prevent DoS/token exhaustion
   if (!userMessage || typeof userMessage !== 'string') {
-    return "I didn't catch that. Could you say it again?";
+    return { reply: "I didn't catch that. Could you say it again?" };
   }
 
   // Sanitize input to prevent injection attacks and ensure data integrity
   const sanitizedMessage = sanitizeInput(userMessage);
   if (!sanitizedMessage) {
-    return "I didn't catch that. Could you say it again?";
+    return { reply: "I didn't catch that. Could you say it again?" };
   }
 
   if (sanitizedMessage.length > MAX_INPUT_LENGTH) {
-    return `Whoa, that's a lot of text! My neural circuits are overloaded. Can you keep it under ${MAX_INPUT_LENGTH} characters?`;
+    return {
+      reply: `Whoa, that's a lot of text! My neural circuits are overloaded. Can you keep it under ${MAX_INPUT_LENGTH} characters?`,
+    };
   }
 
   // Rate limiting: Prevent rapid successive requests that could exhaust API quota
   const now = Date.now();
   if (now - lastChatRequestTime < RATE_LIMIT_MS) {
-    return "I'm processing a lot of thoughts right now! Please give me a moment to catch my breath.";
+    return {
+      reply:
+        "I'm processing a lot of thoughts right now! Please give me a moment to catch my breath.",
+      unavailable: 'rate-limited',
+      message: sanitizedMessage,
+    };
   }
 
   // Update persistent rate limit immediately to prevent race conditions and enforce attempt limits
   lastChatRequestTime = now;
   safeSetLocalStorage(CHAT_RATE_LIMIT_KEY, now.toString());
 
-  const model = getModel();
-  if (!model) {
-    return MISSING_API_KEY_ERROR;
+  const provider = getProvider();
+  if (!provider) {
+    return {
+      reply: MISSING_API_KEY_ERROR,
+      unavailable: 'missing-provider',
+      message: sanitizedMessage,
+    };
+  }
+
+  // Sanitize history messages to prevent injection attacks from tampered localStorage
+  const sanitizedHistory = sanitizeHistoryForGemini(history);
+  const sources = retrieveContext(sanitizedMessage, sanitizedHistory);
+
+  return {
+    provider,
+    sources,
+    request: {
+      systemPrompt: buildSystemPrompt(sources, withTools),
+      history: sanitizedHistory,
+      message: sanitizedMessage,
+      ...(withTools ? { tools: getToolDeclarations() } : {}),
+    },
+  };
+};
+
+/**
+ * Maps a chat API failure to a user-facing reply.
+ *
+ * @param {unknown} error - The error thrown by the provider or `withTimeout`
+ * @returns {string} Friendly error message
+ * @private
+ */
+const getChatErrorReply = error => {
+  // Comprehensive error handling with specific messages for different failure modes
+  const errorMessage = error?.message || 'Unknown error';
+  const isLeakedKey = errorMessage.toLowerCase().includes('reported as leaked');
+  const isTimeout = error instanceof TimeoutError;
+
+  // Handle leaked API key scenario (requires key rotation)
+  if (isLeakedKey) {
+    return 'The Gemini API key was blocked because it was detected as leaked. Rotate the key in GitHub Secrets, restrict it to the deployed domain, and try again.';
+  }
+
+  // Handle timeout scenario
+  if (isTimeout) {
+    return "I'm thinking really hard, but my connection seems to be slow. Try asking me again!";
   }
 
+  // Generic error fallback
+  return 'I seem to be having a connection glitch. Maybe my neural pathways are crossed? Try again later!';
+};
+
+/**
+ * Sends a chat message to the configured AI provider and returns a response.
+ *
+ * This function implements several security and performance measures:
+ * - Input validation (type checking and length limits)
+ * - Rate limiting to prevent API abuse
+ * - Timeout protection to prevent hanging requests
+ * - Comprehensive error handling for various failure scenarios
+ *
+ * @async
+ * @param {string} userMessage - The user's message to send to the AI
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} [history=[]] - Optional chat history for context
+ * @returns {Promise<string>} The AI's response text or an error message
+ *
+ * @example
+ * const response = await chatWithGemini("What are Rishabh's skills?");
+ * // => "Rishabh has expertise in..."
+ *
+ * @example
+ * // With history for multi-turn conversation
+ * const history = [
+ *   { role: "user", parts: [{ text: "Hello" }] },
+ *   { role: "model", parts: [{ text: "Hi! How can I help?" }] }
+ * ];
+ * const response = await chatWithGemini("Tell me more", history);
+ */
+export const chatWithGemini = async (userMessage, history = []) => {
   try {
-    // Sanitize history messages to prevent injection attacks from tampered localStorage
-    const sanitizedHistory = sanitizeHistoryForGemini(history);
-
-    // Initialize chat with system prompt and conversation history
-    const chat = model.startChat({
-      history: [
-        {
-          role: 'user',
-          parts: [{ text: SYSTEM_PROMPT }],
-        },
-        {
-          role: 'model',
-          parts: [{ text: 'Understood. I am Digital Rishabh. Ask me anything about Rishabh!' }],
-        },
-        ...sanitizedHistory,
-      ],
-    });
+    const prepared = prepareChat(userMessage, history);
+    if ('reply' in prepared) {
+      return prepared.reply;
+    }
 
     // Send message with timeout protection to prevent hanging requests
-    const result = await withTimeout(chat.sendMessage(sanitizedMessage), API_TIMEOUT);
-    const responseText = result.response.text();
-    return responseText;
+    const { provider, request } = prepared;
+    return await withTimeout(provider.chat(request), API_TIMEOUT);
   } catch (error) {
-    // Comprehensive error handling with specific messages for different failure modes
-    const errorMessage = error?.message || 'Unknown error';
-    const isLeakedKey = errorMessage.toLowerCase().includes('reported as leaked');
-    const isTimeout = error instanceof TimeoutError;
+    return getChatErrorReply(error);
+  }
+};
 
-    // Handle leaked API key scenario (requires key rotation)
-    if (isLeakedKey) {
-      return 'The Gemini API key was blocked because it was detected as leaked. Rotate the key in GitHub Secrets, restrict it to the deployed domain, and try again.';
+/**
+ * Streams a chat response from the configured AI provider, yielding text chunks as they arrive.
+ *
+ * Applies the same validation, rate limiting and error mapping as `chatWithGemini`;
+ * early replies and mapped errors are yielded as a single chunk. `API_TIMEOUT`
+ * bounds the wait for the first chunk and every gap between chunks, so a stalled
+ * stream still fails fast. Aborting `signal` cancels the underlying request and ends
+ * the generator quietly, keeping whatever was already yielded.
+ *
+ * When the model is unavailable (no provider configured, rate limited, or timed out
+ * before any text arrived) and a `fallback` is given, its answer is yielded in place
+ * of the canned error, e.g. a local answer from `services/offlineAnswers`.
+ *
+ * Passing `onToolCall` offers the model the site actions from `services/chatTools`.
+ * Tool calls are handed to it as they arrive, unvalidated, and are not yielded.
+ *
+ * @async
+ * @generator
+ * @param {string} userMessage - The user's message to send to the AI
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} [history=[]] - Optional chat history for context
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops generation when aborted
+ * @param {(message: string, reason: 'missing-provider'|'rate-limited'|'timeout') => string} [options.fallback]
+ *   Answers the sanitized message when the model is unavailable
+ * @param {(sources: Array<{id: string, title: string, url: string}>) => void} [options.onSources]
+ *   Receives the retrieved passages, in citation order, before the first chunk
+ * @param {(call: {name: string, args: unknown}) => void} [options.onToolCall]
+ *   Receives each tool call the model makes; validate before running it
+ * @yields {string} Incremental response text
+ *
+ * @example
+ * const controller = new AbortController();
+ * let reply = '';
+ * for await (const chunk of streamChatWithGemini('Hi!', [], { signal: controller.signal })) {
+ *   reply += chunk;
+ * }
+ */
+export async function* streamChatWithGemini(
+  userMessage,
+  history = [],
+  { signal, fallback, onSources, onToolCall } = {}
+) {
+  let hasYielded = false;
+  let sanitizedMessage = null;
+  let iterator = null;
+  // Aborted when the caller aborts and whenever the stream ends, so a stalled or
+  // abandoned request is cancelled instead of left running
+  const controller = new AbortController();
+  const followSignal = () => controller.abort(signal.reason);
+  if (signal?.aborted) followSignal();
+  else signal?.addEventListener('abort', followSignal, { once: true });
+
+  try {
+    const prepared = prepareChat(userMessage, history, { withTools: Boolean(onToolCall) });
+    if ('reply' in prepared) {
+      const fallbackReply =
+        prepared.unavailable && fallback ? fallback(prepared.message, prepared.unavailable) : null;
+      yield fallbackReply || prepared.reply;
+      return;
     }
 
-    // Handle timeout scenario
-    if (isTimeout) {
-      return "I'm thinking really hard, but my connection seems to be slow. Try asking me again!";
+    const { provider, request, sources } = prepared;
+    sanitizedMessage = request.message;
+    onSources?.(sources.map(({ id, title, url }) => ({ id, title, url })));
+    const stream = provider.streamChat({ ...request, signal: controller.signal });
+    iterator = stream[Symbol.asyncIterator]();
+
+    while (true) {
+      const { value, done } = await withAbort(withTimeout(iterator.next(), API_TIMEOUT), signal);
+      if (done) break;
+
+      if (value?.type === 'tool-call') {
+        onToolCall?.({ name: value.name, args: value.args });
+      } else if (value) {
+        hasYielded = true;
+        yield value;
+      }
+    }
+  } catch (error) {
+    // User pressed stop: keep the partial answer without an error message
+    if (signal?.aborted || error?.name === 'AbortError') {
+      return;
     }
 
-    // Generic error fallback
-    return 'I seem to be having a connection glitch. Maybe my neural pathways are crossed? Try again later!';
+    const fallbackReply =
+      !hasYielded && fallback && error instanceof TimeoutError
+        ? fallback(sanitizedMessage, 'timeout')
+        : null;
+    if (fallbackReply) {
+      yield fallbackReply;
+      return;
+    }
+
+    const reply = getChatErrorReply(error);
+    yield hasYielded ? `\n\n${reply}` : reply;
+  } finally {
+    signal?.removeEventListener('abort', followSignal);
+    controller.abort();
+    // Not awaited: a stalled `next()` would hold up `return()` as well
+    Promise.resolve(iterator?.return?.()).catch(() => {});
+  }
+}
+
+/**
+ * Condenses older chat messages, and the summary of the ones before them, into a
+ * rolling summary the chat keeps in place of those messages.
+ *
+ * Uses the AI provider when one is configured. Without one, or when it fails or times
+ * out, returns `fallback(messages, previousSummary)` instead (e.g. the extractive
+ * summariser in `services/chatSummary`). Not rate limited: the chat only asks after
+ * a batch of messages has left the context window.
+ *
+ * @async
+ * @param {Array<{role: string, text: string}>} messages - Messages to summarise, oldest first
+ * @param {string} [previousSummary=''] - Summary of the messages before them
+ * @param {object} [options]
+ * @param {(messages: Array<Object>, previousSummary: string) => string} [options.fallback] - Local summariser
+ * @returns {Promise<{text: string, offline: boolean}|null>} Summary (`offline` when written by the fallback), or null
+ *
+ * @example
+ * const summary = await summarizeConversation(olderMessages, '', { fallback: summarizeExtractively });
+ * // => { text: 'The visitor asked about AWS certifications...', offline: false }
+ */
+export const summarizeConversation = async (messages, previousSummary = '', { fallback } = {}) => {
+  const summarizeLocally = () => {
+    const text = fallback ? fallback(messages, previousSummary) : '';
+    return text ? { text, offline: true } : null;
+  };
+
+  const provider = getProvider();
+  if (!provider) {
+    return summarizeLocally();
+  }
+
+  // Same per-message and total limits as chat history; the most recent text wins
+  const transcript = [
+    ...messages
+      .map(message => {
+        const text = [...sanitizeInput(message.text)]
+          .slice(0, HISTORY_SANITIZATION_LIMITS.maxCharsPerPart)
+          .join('');
+        return `${message.role === 'user' ? 'Visitor' : 'Rishabh'}: ${text}`;
+      })
+      .join('\n\n'),
+  ]
+    .slice(-HISTORY_SANITIZATION_LIMITS.maxTotalChars)
+    .join('');
+
+  const prompt = `
+    Summarise this part of a chat between a visitor and Digital Rishabh, the AI version of Rishabh Agrawal on his portfolio site.
+    Keep what the visitor asked about, what they said about themselves, and the facts and links given in the answers.
+    Write short plain sentences, under 150 words, no headings.
+
+    ${previousSummary ? `Summary of the conversation before this part:\n${sanitizeInput(previousSummary)}\n\n` : ''}Conversation:
+    ${transcript}
+    `;
+
+  try {
+    const text = sanitizeInput(await withTimeout(provider.generate(prompt), API_TIMEOUT));
+    return text
+      ? { text: [...text].slice(0, MAX_SUMMARY_CHARS).join(''), offline: false }
+      : summarizeLocally();
+  } catch {
+    return summarizeLocally();
   }
 };
 
@@ -279,7 +611,7 @@ export const sanitizeHistoryForGemini = history => {
 };
 
 /**
- * Generates a humorous "roast" of the resume using Gemini AI.
+ * Generates a humorous "roast" of the resume using the configured AI provider.
  *
  * This function provides an entertaining feature that pokes fun at resume buzzwords
  * and common tropes. Implements the same security measures as chatWithGemini:
@@ -305,8 +637,8 @@ export const roastResume = async () => {
   lastRoastRequestTime = now;
   safeSetLocalStorage(ROAST_RATE_LIMIT_KEY, now.toString());
 
-  const model = getModel();
-  if (!model) {
+  const provider = getProvider();
+  if (!provider) {
     return MISSING_API_KEY_ERROR;
   }
 
@@ -332,9 +664,7 @@ export const roastResume = async () => {
 
   try {
     // Generate roast with timeout protection
-    const result = await withTimeout(model.generateContent(prompt), API_TIMEOUT);
-    const responseText = result.response.text();
-    return responseText;
+    return await withTimeout(provider.generate(prompt), API_TIMEOUT);
   } catch (error) {
     // Same error handling as chatWithGemini for consistency
     const errorMessage = error?.message || 'Unknown error';
@@ -1,6 +1,14 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { chatWithGemini, roastResume, sanitizeHistoryForGemini } from './ai';
+import {
+  chatWithGemini,
+  roastResume,
+  sanitizeHistoryForGemini,
+  setAIProvider,
+  streamChatWithGemini,
+  summarizeConversation,
+} from './ai';
+import { createMockProvider } from './providers/mock';
 import * as storage from '../utils/storage';
 
 // Mock dependencies
@@ -18,6 +26,7 @@ vi.mock('../utils/security', async importOriginal => {
 describe('AI Service', () => {
   let mockGenerateContent;
   let mockSendMessage;
+  let mockSendMessageStream;
   let mockStartChat;
   let mockGetGenerativeModel;
   // Start with a base time
@@ -34,8 +43,10 @@ describe('AI Service', () => {
     // Setup GoogleGenerativeAI mocks
     mockGenerateContent = vi.fn();
     mockSendMessage = vi.fn();
+    mockSendMessageStream = vi.fn();
     mockStartChat = vi.fn().mockReturnValue({
       sendMessage: mockSendMessage,
+      sendMessageStream: mockSendMessageStream,
     });
     mockGetGenerativeModel = vi.fn().mockReturnValue({
       startChat: mockStartChat,
@@ -118,6 +129,123 @@ describe('AI Service', () => {
     });
   });
 
+  describe('streamChatWithGemini', () => {
+    const streamOf = async function* (...texts) {
+      for (const text of texts) {
+        yield { text: () => text };
+      }
+    };
+
+    const collect = async iterable => {
+      const chunks = [];
+      for await (const chunk of iterable) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    it('should yield chunks as they arrive', async () => {
+      mockSendMessageStream.mockResolvedValue({ stream: streamOf('Hello', ', ', 'world') });
+
+      const chunks = await collect(streamChatWithGemini('Hi'));
+
+      expect(chunks).toEqual(['Hello', ', ', 'world']);
+      expect(mockSendMessageStream).toHaveBeenCalledWith('Hi', {
+        signal: expect.any(AbortSignal),
+      });
+      expect(storage.safeSetLocalStorage).toHaveBeenCalled();
+    });
+
+    it('should yield validation replies without calling the API', async () => {
+      const chunks = await collect(streamChatWithGemini(''));
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toContain("I didn't catch that");
+      expect(mockStartChat).not.toHaveBeenCalled();
+    });
+
+    it('should share the chat rate limit', async () => {
+      mockSendMessage.mockResolvedValue({ response: { text: () => 'Response' } });
+      await chatWithGemini('First message');
+
+      const chunks = await collect(streamChatWithGemini('Second message'));
+
+      expect(chunks[0]).toContain('give me a moment');
+      expect(mockSendMessageStream).not.toHaveBeenCalled();
+    });
+
+    it('should map leaked key errors', async () => {
+      mockSendMessageStream.mockRejectedValue(new Error('API key was reported as leaked'));
+
+      const chunks = await collect(streamChatWithGemini('Hello'));
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toContain('detected as leaked');
+    });
+
+    it('should time out when the stream stalls', async () => {
+      mockSendMessageStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => 'Partial' };
+          await new Promise(() => {});
+        })(),
+      });
+
+      const promise = collect(streamChatWithGemini('Hello'));
+      await vi.advanceTimersByTimeAsync(15000);
+      const chunks = await promise;
+
+      expect(chunks[0]).toBe('Partial');
+      expect(chunks[1]).toContain('connection seems to be slow');
+    });
+
+    it('should cancel the request and close the stream after a timeout', async () => {
+      const iterator = {
+        next: vi.fn(() => new Promise(() => {})),
+        return: vi.fn(async () => ({ done: true })),
+      };
+      const streamChat = vi.fn(() => ({ [Symbol.asyncIterator]: () => iterator }));
+      setAIProvider({ streamChat });
+
+      try {
+        const promise = collect(streamChatWithGemini('Hello'));
+        await vi.advanceTimersByTimeAsync(15000);
+        const chunks = await promise;
+
+        expect(chunks[0]).toContain('connection seems to be slow');
+        expect(streamChat.mock.calls[0][0].signal.aborted).toBe(true);
+        expect(iterator.return).toHaveBeenCalled();
+      } finally {
+        setAIProvider(null);
+      }
+    });
+
+    it('should stop quietly when aborted mid-stream', async () => {
+      const controller = new AbortController();
+      mockSendMessageStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => 'Partial' };
+          await new Promise(() => {});
+        })(),
+      });
+
+      const chunks = [];
+      const promise = (async () => {
+        for await (const chunk of streamChatWithGemini('Hello', [], {
+          signal: controller.signal,
+        })) {
+          chunks.push(chunk);
+          controller.abort();
+        }
+      })();
+      await promise;
+
+      expect(chunks).toEqual(['Partial']);
+      const [, { signal }] = mockSendMessageStream.mock.calls[0];
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
   describe('roastResume', () => {
     it('should generate roast successfully', async () => {
       // Reset rate limit
@@ -183,6 +311,245 @@ describe('AI Service', () => {
     });
   });
 
+  describe('offline fallback', () => {
+    const collect = async iterable => {
+      const chunks = [];
+      for await (const chunk of iterable) chunks.push(chunk);
+      return chunks;
+    };
+
+    it('should answer with the fallback when rate limited', async () => {
+      mockSendMessage.mockResolvedValue({ response: { text: () => 'Response' } });
+      await chatWithGemini('First message');
+      const fallback = vi.fn().mockReturnValue('Offline reply');
+
+      const chunks = await collect(streamChatWithGemini('Skills?', [], { fallback }));
+
+      expect(chunks).toEqual(['Offline reply']);
+      expect(fallback).toHaveBeenCalledWith('Skills?', 'rate-limited');
+    });
+
+    it('should answer with the fallback on timeout before any text', async () => {
+      mockSendMessageStream.mockReturnValue(new Promise(() => {}));
+      const fallback = vi.fn().mockReturnValue('Offline reply');
+
+      const promise = collect(streamChatWithGemini('Skills?', [], { fallback }));
+      await vi.advanceTimersByTimeAsync(15000);
+
+      expect(await promise).toEqual(['Offline reply']);
+      expect(fallback).toHaveBeenCalledWith('Skills?', 'timeout');
+    });
+
+    it('should not use the fallback for rejected input or other errors', async () => {
+      const fallback = vi.fn().mockReturnValue('Offline reply');
+      mockSendMessageStream.mockRejectedValue(new Error('API Error'));
+
+      const [emptyReply] = await collect(streamChatWithGemini('', [], { fallback }));
+      const [errorReply] = await collect(streamChatWithGemini('Hello', [], { fallback }));
+
+      expect(emptyReply).toContain("I didn't catch that");
+      expect(errorReply).toContain('connection glitch');
+      expect(fallback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conversation summaries', () => {
+    const messages = [
+      { role: 'user', text: 'Which AWS certifications do you have?' },
+      { role: 'model', text: 'I am an AWS Certified Cloud Practitioner.' },
+    ];
+
+    it('should summarise through the provider', async () => {
+      mockGenerateContent.mockResolvedValue({
+        response: { text: () => 'The visitor asked about AWS certifications.' },
+      });
+      const fallback = vi.fn();
+
+      const summary = await summarizeConversation(messages, 'They said hello.', { fallback });
+
+      expect(summary).toEqual({
+        text: 'The visitor asked about AWS certifications.',
+        offline: false,
+      });
+      const prompt = mockGenerateContent.mock.calls[0][0];
+      expect(prompt).toContain('They said hello.');
+      expect(prompt).toContain('Visitor: Which AWS certifications do you have?');
+      expect(prompt).toContain('Rishabh: I am an AWS Certified Cloud Practitioner.');
+      expect(fallback).not.toHaveBeenCalled();
+    });
+
+    it('should not be rate limited by chat requests', async () => {
+      mockSendMessage.mockResolvedValue({ response: { text: () => 'Response' } });
+      mockGenerateContent.mockResolvedValue({ response: { text: () => 'Summary' } });
+      await chatWithGemini('First message');
+
+      expect(await summarizeConversation(messages)).toEqual({ text: 'Summary', offline: false });
+    });
+
+    it('should use the fallback when the provider fails', async () => {
+      mockGenerateContent.mockRejectedValue(new Error('API Error'));
+      const fallback = vi.fn().mockReturnValue('- Visitor asked about AWS');
+
+      const summary = await summarizeConversation(messages, '', { fallback });
+
+      expect(summary).toEqual({ text: '- Visitor asked about AWS', offline: true });
+      expect(fallback).toHaveBeenCalledWith(messages, '');
+    });
+
+    it('should use the fallback on timeout', async () => {
+      mockGenerateContent.mockReturnValue(new Promise(() => {}));
+      const fallback = vi.fn().mockReturnValue('Local summary');
+
+      const promise = summarizeConversation(messages, '', { fallback });
+      await vi.advanceTimersByTimeAsync(15000);
+
+      expect(await promise).toEqual({ text: 'Local summary', offline: true });
+    });
+
+    it('should return null without a provider result or fallback', async () => {
+      mockGenerateContent.mockResolvedValue({ response: { text: () => '' } });
+
+      expect(await summarizeConversation(messages)).toBeNull();
+    });
+  });
+
+  describe('retrieval context', () => {
+    const systemPromptOf = () => mockStartChat.mock.calls[0][0].history[0].parts[0].text;
+
+    it('should put the best matching passages into the system prompt', async () => {
+      mockSendMessage.mockResolvedValue({ response: { text: () => 'Response' } });
+
+      await chatWithGemini('Which AWS certifications do you have?');
+
+      const systemPrompt = systemPromptOf();
+      expect(systemPrompt).toContain('## Context');
+      expect(systemPrompt).toContain('[1] Resume: Certifications (resume/certifications)');
+      expect(systemPrompt).not.toContain('"email"');
+    });
+
+    it('should report the retrieved sources before streaming', async () => {
+      mockSendMessageStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => 'See [1].' };
+        })(),
+      });
+      const onSources = vi.fn();
+
+      const chunks = [];
+      for await (const chunk of streamChatWithGemini('Which AWS certifications?', [], {
+        onSources,
+      })) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual(['See [1].']);
+
+      expect(onSources).toHaveBeenCalledTimes(1);
+      expect(onSources.mock.calls[0][0][0]).toEqual({
+        id: 'resume/certifications',
+        title: 'Resume: Certifications',
+        url: '/resume',
+      });
+    });
+
+    it('should tell the model when nothing matches', async () => {
+      mockSendMessage.mockResolvedValue({ response: { text: () => 'Response' } });
+
+      await chatWithGemini('zxqv');
+
+      expect(systemPromptOf()).toContain('No passages matched this question');
+    });
+  });
+
+  describe('tool calling', () => {
+    const collect = async iterable => {
+      const chunks = [];
+      for await (const chunk of iterable) chunks.push(chunk);
+      return chunks;
+    };
+
+    it('should offer the site tools and hand calls to onToolCall', async () => {
+      mockSendMessageStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => 'Opening Snake.', functionCalls: () => undefined };
+          yield {
+            text: () => '',
+            functionCalls: () => [{ name: 'start_game', args: { game: 'snake' } }],
+          };
+        })(),
+      });
+      const onToolCall = vi.fn();
+
+      const chunks = await collect(streamChatWithGemini('Play snake', [], { onToolCall }));
+
+      expect(chunks).toEqual(['Opening Snake.']);
+      expect(onToolCall).toHaveBeenCalledWith({ name: 'start_game', args: { game: 'snake' } });
+      const { tools, history } = mockStartChat.mock.calls[0][0];
+      expect(tools[0].functionDeclarations.map(declaration => declaration.name)).toContain(
+        'start_game'
+      );
+      expect(history[0].parts[0].text).toContain('## Actions');
+    });
+
+    it('should not offer tools without onToolCall', async () => {
+      mockSendMessageStream.mockResolvedValue({
+        stream: (async function* () {
+          yield { text: () => 'Hi' };
+        })(),
+      });
+
+      await collect(streamChatWithGemini('Play snake'));
+
+      const { tools, history } = mockStartChat.mock.calls[0][0];
+      expect(tools).toBeUndefined();
+      expect(history[0].parts[0].text).not.toContain('## Actions');
+    });
+  });
+
+  describe('with the mock provider', () => {
+    beforeEach(() => {
+      setAIProvider(createMockProvider());
+    });
+
+    afterEach(() => {
+      setAIProvider(null);
+    });
+
+    it('should chat without calling Gemini', async () => {
+      const response = await chatWithGemini('Hello', [
+        { role: 'user', parts: [{ text: 'Hi' }] },
+        { role: 'model', parts: [{ text: 'Hey' }] },
+      ]);
+
+      expect(response).toBe('Mock reply #2: you said "Hello".');
+      expect(mockGetGenerativeModel).not.toHaveBeenCalled();
+    });
+
+    it('should stream the same reply in chunks', async () => {
+      const chunks = [];
+      for await (const chunk of streamChatWithGemini('Hello')) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.join('')).toBe('Mock reply #1: you said "Hello".');
+    });
+
+    it('should roast through the provider', async () => {
+      const response = await roastResume();
+
+      expect(response).toContain('Mock generation');
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+
+    it('should keep rate limiting in front of the provider', async () => {
+      await chatWithGemini('First message');
+      const response = await chatWithGemini('Second message');
+
+      expect(response).toContain('give me a moment');
+    });
+  });
+
   describe('sanitizeHistoryForGemini', () => {
     it('should valid history', () => {
       const history = [
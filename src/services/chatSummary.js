@@ -0,0 +1,125 @@
+/**
+ * Chat Summary Module
+ *
+ * Extractive summariser for the chatbot's rolling conversation summary, used when the
+ * AI provider cannot write one (no API key, timeout, or error). Sentences from the
+ * previous summary and the messages being condensed are scored by how central their
+ * terms are to the conversation, and the best ones are kept in their original order.
+ * No network, fully deterministic.
+ *
+ * @module services/chatSummary
+ */
+
+import { tokenize } from '../utils/retrieval.js';
+
+/**
+ * Longest rolling summary kept for a conversation.
+ * @type {number}
+ */
+export const MAX_SUMMARY_CHARS = 2000;
+
+// Longest single sentence kept in a summary
+const MAX_SENTENCE_CHARS = 280;
+
+// Visitor questions carry the topics of the conversation; earlier summary lines
+// already survived one round of selection
+const QUESTION_BONUS = 1.5;
+const PREVIOUS_SUMMARY_BONUS = 1.25;
+
+/**
+ * Strips markdown syntax so sentences read as plain text.
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ * @private
+ */
+const stripMarkdown = text =>
+  text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[`*_#>|]/g, '')
+    .replace(/\s*\[\d+\]/g, '');
+
+/**
+ * Splits text into trimmed sentences, clamping long ones.
+ *
+ * @param {string} text - Plain text
+ * @returns {string[]} Sentences
+ * @private
+ */
+const splitSentences = text =>
+  text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => tokenize(sentence).length > 0)
+    .map(sentence =>
+      sentence.length > MAX_SENTENCE_CHARS
+        ? `${sentence.slice(0, MAX_SENTENCE_CHARS - 1)}…`
+        : sentence
+    );
+
+/**
+ * Condenses messages (and the previous summary) into a short summary without an AI model.
+ *
+ * @param {Array<{role: string, text: string}>} messages - Messages to fold into the summary, oldest first
+ * @param {string} [previousSummary=''] - Summary of the messages before them
+ * @returns {string} Summary lines of at most `MAX_SUMMARY_CHARS`; empty when there is nothing to keep
+ *
+ * @example
+ * summarizeExtractively([{ role: 'user', text: 'Which AWS certifications do you have?' }, ...]);
+ * // => "- Visitor asked: Which AWS certifications do you have?\n- Answer: ..."
+ */
+export const summarizeExtractively = (messages, previousSummary = '') => {
+  const candidates = [
+    ...splitSentences(previousSummary.replace(/^- /gm, '')).map(text => ({
+      text,
+      bonus: PREVIOUS_SUMMARY_BONUS,
+    })),
+    ...messages.flatMap(message =>
+      splitSentences(stripMarkdown(message.text)).map(sentence =>
+        message.role === 'user'
+          ? { text: `Visitor asked: ${sentence}`, bonus: QUESTION_BONUS }
+          : { text: `Answer: ${sentence}`, bonus: 1 }
+      )
+    ),
+  ];
+
+  // Term frequency across the whole conversation: central topics score highest
+  const frequency = {};
+  const termsByCandidate = candidates.map(candidate => {
+    const terms = [...new Set(tokenize(candidate.text))];
+    terms.forEach(term => {
+      frequency[term] = (frequency[term] || 0) + 1;
+    });
+    return terms;
+  });
+
+  const ranked = candidates
+    .map((candidate, index) => {
+      const terms = termsByCandidate[index];
+      const centrality = terms.reduce((sum, term) => sum + frequency[term], 0);
+      return {
+        ...candidate,
+        index,
+        score: (candidate.bonus * centrality) / Math.sqrt(terms.length),
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  const seen = new Set();
+  let length = 0;
+  for (const candidate of ranked) {
+    const line = `- ${candidate.text}`;
+    if (seen.has(candidate.text) || length + line.length + 1 > MAX_SUMMARY_CHARS) continue;
+    seen.add(candidate.text);
+    selected.push({ ...candidate, line });
+    length += line.length + 1;
+  }
+
+  return selected
+    .sort((a, b) => a.index - b.index)
+    .map(candidate => candidate.line)
+    .join('\n');
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_SUMMARY_CHARS, summarizeExtractively } from './chatSummary';
+
+describe('summarizeExtractively', () => {
+  const messages = [
+    { role: 'user', text: 'Which AWS certifications do you have?' },
+    {
+      role: 'model',
+      text: 'I am an **AWS Certified Cloud Practitioner** [1]. See [my resume](/resume).\n\n```js\nconst aws = 1;\n```',
+    },
+    { role: 'user', text: 'Nice weather today.' },
+  ];
+
+  it('keeps questions and answers as plain text in order', () => {
+    const summary = summarizeExtractively(messages);
+    const lines = summary.split('\n');
+
+    expect(lines[0]).toBe('- Visitor asked: Which AWS certifications do you have?');
+    expect(summary).toContain('- Answer: I am an AWS Certified Cloud Practitioner.');
+    expect(summary).toContain('- Answer: See my resume.');
+    expect(summary).not.toContain('const aws');
+  });
+
+  it('carries the previous summary forward', () => {
+    const summary = summarizeExtractively(messages, '- Visitor asked: What projects use Python?');
+
+    expect(summary.split('\n')[0]).toBe('- Visitor asked: What projects use Python?');
+  });
+
+  it('stays within the summary limit and prefers central sentences', () => {
+    const long = Array.from({ length: 60 }, (_, index) => ({
+      role: 'model',
+      text: `AWS cloud certification detail number ${index} about AWS cloud work.`,
+    }));
+
+    const summary = summarizeExtractively([...long, { role: 'user', text: 'Unrelated pizza.' }]);
+
+    expect(summary.length).toBeLessThanOrEqual(MAX_SUMMARY_CHARS);
+    expect(summary).toContain('AWS cloud');
+  });
+
+  it('returns an empty summary when nothing is worth keeping', () => {
+    expect(summarizeExtractively([{ role: 'user', text: '?!' }])).toBe('');
+  });
+});
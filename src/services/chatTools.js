@@ -0,0 +1,200 @@
+/**
+ * Chat Tools Module
+ *
+ * Client-side actions the chatbot can request through function calling: navigate to a
+ * page, open a project or Playground snippet, start a game, switch the theme and open
+ * the terminal. Each tool pairs a declaration sent to the model with a runner that
+ * drives the site. Arguments come from the model, so they are checked against closed
+ * sets of known values before anything runs.
+ *
+ * @module services/chatTools
+ */
+
+import { resumeData } from '../data/resume.js';
+import { getSnippetsByLanguage } from '../data/snippets.js';
+import { GAME_INSTRUCTIONS } from '../components/games/gameInstructionsData.js';
+import { THEMES } from '../components/shared/theme-context.js';
+import { getProjectSlug } from '../utils/slug.js';
+
+/** Top-level routes the `navigate` tool may open, with their page names */
+const ROUTES = {
+  '/': 'Home',
+  '/projects': 'Projects',
+  '/resume': 'Resume',
+  '/blog': 'Blog',
+  '/contact': 'Contact',
+  '/games': 'Games',
+  '/playground': 'Playground',
+};
+
+const projectsBySlug = new Map(
+  resumeData.projects.map(project => [getProjectSlug(project, resumeData.projects), project])
+);
+const snippetsById = new Map(getSnippetsByLanguage('all').map(snippet => [snippet.id, snippet]));
+
+/**
+ * @typedef {object} ChatTool
+ * @property {string} name - Function name the model calls
+ * @property {string} description - When the model should use the tool
+ * @property {Record<string, {description: string, enum: string[]}>} params - Required string arguments
+ * @property {(args: object) => string} label - Past-tense summary shown as an action chip
+ * @property {(args: object, context: ChatToolContext) => void} run - Performs the action
+ */
+
+/**
+ * @typedef {object} ChatToolContext
+ * @property {(path: string) => void} navigate - Router navigation
+ * @property {(theme: string) => void} [setTheme] - Theme setter from the theme context
+ */
+
+/**
+ * Tool registry, in the order the tools are offered to the model.
+ * @type {ChatTool[]}
+ */
+export const CHAT_TOOLS = [
+  {
+    name: 'navigate',
+    description: 'Open a page of the portfolio site.',
+    params: {
+      path: { description: 'Route of the page to open', enum: Object.keys(ROUTES) },
+    },
+    label: ({ path }) => `Opened ${ROUTES[path]}`,
+    run: ({ path }, { navigate }) => navigate(path),
+  },
+  {
+    name: 'open_project',
+    description: 'Open the case study page of one of the projects.',
+    params: {
+      slug: { description: 'Project slug', enum: [...projectsBySlug.keys()] },
+    },
+    label: ({ slug }) => `Opened project ${projectsBySlug.get(slug).title}`,
+    run: ({ slug }, { navigate }) => navigate(`/projects/${slug}`),
+  },
+  {
+    name: 'open_snippet',
+    description: 'Open a Playground snippet in its live preview, Python runner or JS/HTML sandbox.',
+    params: {
+      id: { description: 'Snippet id', enum: [...snippetsById.keys()] },
+    },
+    label: ({ id }) => `Opened snippet ${snippetsById.get(id).title}`,
+    run: ({ id }, { navigate }) => navigate(`/playground?snippet=${encodeURIComponent(id)}`),
+  },
+  {
+    name: 'start_game',
+    description: 'Open the Games page with a game selected.',
+    params: {
+      game: { description: 'Game id', enum: Object.keys(GAME_INSTRUCTIONS) },
+    },
+    label: ({ game }) => `Started ${GAME_INSTRUCTIONS[game].title}`,
+    run: ({ game }, { navigate }) => navigate(`/games?game=${encodeURIComponent(game)}`),
+  },
+  {
+    name: 'switch_theme',
+    description: 'Switch the site theme.',
+    params: {
+      theme: { description: 'Theme name', enum: Object.values(THEMES) },
+    },
+    label: ({ theme }) => `Switched to the ${theme} theme`,
+    run: ({ theme }, { setTheme }) => setTheme?.(theme),
+  },
+  {
+    name: 'open_terminal',
+    description: 'Open the interactive terminal mode.',
+    params: {},
+    label: () => 'Opened the terminal',
+    run: () => document.dispatchEvent(new CustomEvent('openTerminal')),
+  },
+];
+
+const toolsByName = new Map(CHAT_TOOLS.map(tool => [tool.name, tool]));
+
+/**
+ * Function declarations for the model, as JSON-schema-style parameter objects.
+ * Tools without arguments omit `parameters`.
+ *
+ * @returns {Array<import('./providers/index.js').ToolDeclaration>} Declarations in registry order
+ */
+export const getToolDeclarations = () =>
+  CHAT_TOOLS.map(({ name, description, params }) => {
+    const keys = Object.keys(params);
+    if (keys.length === 0) return { name, description };
+
+    return {
+      name,
+      description,
+      parameters: {
+        type: 'object',
+        properties: Object.fromEntries(
+          keys.map(key => [
+            key,
+            { type: 'string', description: params[key].description, enum: params[key].enum },
+          ])
+        ),
+        required: keys,
+      },
+    };
+  });
+
+/**
+ * Checks a tool call requested by the model.
+ *
+ * A call is valid when the tool exists, `args` is a plain object, every declared
+ * argument is present and one of its allowed values, and no other arguments are set.
+ *
+ * @param {{name: string, args: unknown}} call - Tool call from the provider
+ * @returns {{ok: true, tool: ChatTool, args: object}|{ok: false, error: string}} Validation result
+ *
+ * @example
+ * validateToolCall({ name: 'start_game', args: { game: 'snake' } });
+ * // => { ok: true, tool: {...}, args: { game: 'snake' } }
+ */
+export const validateToolCall = call => {
+  const tool = toolsByName.get(call?.name);
+  if (!tool) {
+    return { ok: false, error: `Unknown action "${String(call?.name)}"` };
+  }
+
+  const args = call.args ?? {};
+  if (typeof args !== 'object' || Array.isArray(args)) {
+    return { ok: false, error: 'Arguments must be an object' };
+  }
+
+  const unexpected = Object.keys(args).find(key => !Object.hasOwn(tool.params, key));
+  if (unexpected) {
+    return { ok: false, error: `Unexpected argument "${unexpected}"` };
+  }
+
+  for (const [key, { enum: allowed }] of Object.entries(tool.params)) {
+    if (!allowed.includes(args[key])) {
+      return { ok: false, error: `Invalid ${key}` };
+    }
+  }
+
+  return { ok: true, tool, args };
+};
+
+/**
+ * Validates and runs a tool call.
+ *
+ * @param {{name: string, args: unknown}} call - Tool call from the provider
+ * @param {ChatToolContext} context - Site controls the tools drive
+ * @returns {{name: string, label: string, ok: boolean}} Action summary for the transcript
+ *
+ * @example
+ * runChatTool({ name: 'navigate', args: { path: '/resume' } }, { navigate });
+ * // => { name: 'navigate', label: 'Opened Resume', ok: true }
+ */
+export const runChatTool = (call, context) => {
+  const name = String(call?.name);
+  const result = validateToolCall(call);
+  if (!result.ok) {
+    return { name, label: `Skipped ${name}: ${result.error}`, ok: false };
+  }
+
+  try {
+    result.tool.run(result.args, context);
+  } catch {
+    return { name, label: `Could not run ${name}`, ok: false };
+  }
+  return { name, label: result.tool.label(result.args), ok: true };
+};
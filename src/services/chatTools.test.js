@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CHAT_TOOLS, getToolDeclarations, validateToolCall, runChatTool } from './chatTools';
+import { resumeData } from '../data/resume';
+import { getProjectSlug } from '../utils/slug';
+
+describe('chatTools', () => {
+  const projectSlug = getProjectSlug(resumeData.projects[0], resumeData.projects);
+
+  describe('getToolDeclarations', () => {
+    it('declares every tool with closed sets of argument values', () => {
+      const declarations = getToolDeclarations();
+
+      expect(declarations.map(declaration => declaration.name)).toEqual(
+        CHAT_TOOLS.map(tool => tool.name)
+      );
+      const navigate = declarations.find(declaration => declaration.name === 'navigate');
+      expect(navigate.parameters.required).toEqual(['path']);
+      expect(navigate.parameters.properties.path.enum).toContain('/resume');
+    });
+
+    it('omits parameters for tools without arguments', () => {
+      const terminal = getToolDeclarations().find(
+        declaration => declaration.name === 'open_terminal'
+      );
+
+      expect(terminal).not.toHaveProperty('parameters');
+    });
+  });
+
+  describe('validateToolCall', () => {
+    it('accepts known tools with allowed arguments', () => {
+      expect(validateToolCall({ name: 'start_game', args: { game: 'snake' } }).ok).toBe(true);
+      expect(validateToolCall({ name: 'open_project', args: { slug: projectSlug } }).ok).toBe(true);
+      expect(validateToolCall({ name: 'open_terminal' }).ok).toBe(true);
+    });
+
+    it('rejects unknown tools', () => {
+      expect(validateToolCall({ name: 'delete_site', args: {} })).toEqual({
+        ok: false,
+        error: 'Unknown action "delete_site"',
+      });
+    });
+
+    it('rejects values outside the allowed set', () => {
+      expect(
+        validateToolCall({ name: 'navigate', args: { path: 'https://evil.example' } })
+      ).toEqual({ ok: false, error: 'Invalid path' });
+      expect(validateToolCall({ name: 'switch_theme', args: { theme: 'hotdog' } }).ok).toBe(false);
+    });
+
+    it('rejects missing, extra or malformed arguments', () => {
+      expect(validateToolCall({ name: 'start_game', args: {} }).ok).toBe(false);
+      expect(
+        validateToolCall({ name: 'start_game', args: { game: 'snake', speed: 'fast' } })
+      ).toEqual({ ok: false, error: 'Unexpected argument "speed"' });
+      expect(validateToolCall({ name: 'start_game', args: ['snake'] }).ok).toBe(false);
+      expect(validateToolCall({ name: 'start_game', args: null }).ok).toBe(false);
+    });
+
+    it('rejects arguments named after Object.prototype members', () => {
+      for (const key of ['toString', 'constructor', 'hasOwnProperty']) {
+        expect(validateToolCall({ name: 'open_terminal', args: { [key]: 'x' } })).toEqual({
+          ok: false,
+          error: `Unexpected argument "${key}"`,
+        });
+      }
+      expect(
+        validateToolCall({ name: 'open_terminal', args: JSON.parse('{"__proto__": {}}') })
+      ).toEqual({ ok: false, error: 'Unexpected argument "__proto__"' });
+    });
+  });
+
+  describe('runChatTool', () => {
+    it('navigates to deep links', () => {
+      const navigate = vi.fn();
+
+      runChatTool({ name: 'open_project', args: { slug: projectSlug } }, { navigate });
+      runChatTool({ name: 'open_snippet', args: { id: 'py-fizzbuzz' } }, { navigate });
+      const result = runChatTool({ name: 'start_game', args: { game: 'snake' } }, { navigate });
+
+      expect(navigate.mock.calls).toEqual([
+        [`/projects/${projectSlug}`],
+        ['/playground?snippet=py-fizzbuzz'],
+        ['/games?game=snake'],
+      ]);
+      expect(result).toEqual({ name: 'start_game', label: 'Started Snake', ok: true });
+    });
+
+    it('switches the theme', () => {
+      const setTheme = vi.fn();
+
+      const result = runChatTool(
+        { name: 'switch_theme', args: { theme: 'liquid' } },
+        { navigate: vi.fn(), setTheme }
+      );
+
+      expect(setTheme).toHaveBeenCalledWith('liquid');
+      expect(result.label).toBe('Switched to the liquid theme');
+    });
+
+    it('opens the terminal through a custom event', () => {
+      const listener = vi.fn();
+      document.addEventListener('openTerminal', listener);
+
+      runChatTool({ name: 'open_terminal', args: {} }, { navigate: vi.fn() });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      document.removeEventListener('openTerminal', listener);
+    });
+
+    it('does not run invalid calls', () => {
+      const navigate = vi.fn();
+
+      const result = runChatTool({ name: 'navigate', args: { path: '/admin' } }, { navigate });
+
+      expect(navigate).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        name: 'navigate',
+        label: 'Skipped navigate: Invalid path',
+        ok: false,
+      });
+    });
+  });
+});
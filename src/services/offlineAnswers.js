@@ -0,0 +1,349 @@
+/**
+ * Offline Answers Module
+ *
+ * Local question-answering over `resumeData` for when the AI provider cannot be
+ * reached (no API key, timeout, or rate limit). A question is matched to an intent
+ * by keywords plus mentions of known entities (skills, projects, companies, ...),
+ * and answered with a short markdown template. No network, fully deterministic.
+ *
+ * @module services/offlineAnswers
+ */
+
+import { resumeData } from '../data/resume.js';
+import { getProjectSlug } from '../utils/slug.js';
+
+// A keyword hit is strong evidence of intent; mentioning entities only a hint, and it
+// counts once so a common tag (e.g. "Python" on many projects) cannot outvote keywords
+const KEYWORD_WEIGHT = 3;
+const ENTITY_WEIGHT = 1;
+
+/**
+ * Lowercases text and collapses punctuation so phrases can be matched on word
+ * boundaries, e.g. `"What's your C++?"` becomes `" what s your c++ "`.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text padded with spaces
+ * @private
+ */
+const normalize = text =>
+  ` ${String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9+#.\s]/g, ' ')
+    .replace(/\.(?=\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+
+/**
+ * Whether the normalized question mentions the given term as whole words.
+ *
+ * @param {string} normalizedQuestion - Output of `normalize`
+ * @param {string} term - Keyword or entity name
+ * @returns {boolean} True if the term appears
+ * @private
+ */
+const mentions = (normalizedQuestion, term) => {
+  const normalizedTerm = normalize(term).trim();
+  return Boolean(normalizedTerm) && normalizedQuestion.includes(` ${normalizedTerm} `);
+};
+
+/**
+ * Names a question may use for an organisation: the full name, each comma-separated
+ * part, and a trailing acronym, e.g. "Amazon Web Services (AWS)" also matches "AWS"
+ * and "Mood Indigo, IIT Bombay" also matches "Mood Indigo".
+ *
+ * @param {string} name - Organisation name
+ * @returns {string[]} Candidate names
+ * @private
+ */
+const nameVariants = name => {
+  const acronym = name.match(/\(([^)]+)\)\s*$/)?.[1];
+  return [name, ...name.split(','), ...(acronym ? [acronym] : [])];
+};
+
+/**
+ * Whether the question mentions any variant of an organisation name.
+ *
+ * @param {string} normalizedQuestion - Output of `normalize`
+ * @param {string} name - Organisation name
+ * @returns {boolean} True if mentioned
+ * @private
+ */
+const mentionsOrganisation = (normalizedQuestion, name) =>
+  nameVariants(name).some(variant => mentions(normalizedQuestion, variant));
+
+const { basics, education, experience, skills, projects, certifications } = resumeData;
+const allSkills = skills.flatMap(group => group.items.map(item => ({ ...item, group })));
+
+/**
+ * Intent definitions, in tie-break order. `entities` returns resume items the
+ * question mentions; `answer` renders them (or an overview when none matched).
+ * @private
+ */
+const INTENTS = [
+  {
+    id: 'skills',
+    keywords: [
+      'skill',
+      'skills',
+      'stack',
+      'tech',
+      'technologies',
+      'tools',
+      'proficient',
+      'expertise',
+      'good at',
+      'programming',
+      'programming languages',
+      'strengths',
+    ],
+    entities: question => [
+      ...allSkills.filter(skill => mentions(question, skill.name)),
+      ...skills.filter(group => mentions(question, group.category)),
+    ],
+    answer: matches => {
+      const matchedSkills = matches.filter(match => 'proficiency' in match);
+      const matchedGroups = matches.filter(match => 'items' in match);
+
+      if (matchedSkills.length > 0) {
+        return matchedSkills
+          .map(
+            skill =>
+              `- **${skill.name}**: yes! Part of my ${skill.group.category} toolkit (${skill.proficiency}/100${skill.verified ? ', verified' : ''}).`
+          )
+          .join('\n');
+      }
+
+      const groups = matchedGroups.length > 0 ? matchedGroups : skills;
+      return [
+        'Here is my toolkit:',
+        '',
+        ...groups.map(
+          group => `- **${group.category}:** ${group.items.map(item => item.name).join(', ')}`
+        ),
+      ].join('\n');
+    },
+  },
+  {
+    id: 'projects',
+    keywords: ['project', 'projects', 'built', 'build', 'portfolio', 'work on', 'made', 'github'],
+    entities: question =>
+      projects.filter(
+        project =>
+          mentions(question, project.title) || project.tags.some(tag => mentions(question, tag))
+      ),
+    answer: (matches, question) => {
+      const byTitle = matches.filter(project => mentions(question, project.title));
+
+      if (byTitle.length > 0) {
+        return byTitle
+          .map(project => {
+            const links = [`[Case study](/projects/${getProjectSlug(project, projects)})`];
+            if (project.link) links.push(`[Live demo](${project.link})`);
+            if (project.github) links.push(`[Source](${project.github})`);
+            return [
+              `**${project.title}**: ${project.description}`,
+              '',
+              `**Tech:** ${project.tags.join(', ')}`,
+              '',
+              links.join(' · '),
+            ].join('\n');
+          })
+          .join('\n\n');
+      }
+
+      const listed = matches.length > 0 ? matches : projects.filter(project => project.featured);
+      const intro =
+        matches.length > 0
+          ? 'Projects that match:'
+          : `I have ${projects.length} projects on the site. The featured ones:`;
+      return [
+        intro,
+        '',
+        ...listed.map(
+          project =>
+            `- **[${project.title}](/projects/${getProjectSlug(project, projects)})**: ${project.tags.slice(0, 3).join(', ')}`
+        ),
+      ].join('\n');
+    },
+  },
+  {
+    id: 'education',
+    keywords: [
+      'education',
+      'study',
+      'studied',
+      'studying',
+      'degree',
+      'college',
+      'university',
+      'school',
+      'mba',
+      'pgdm',
+      'b.tech',
+      'btech',
+      'graduate',
+    ],
+    entities: question =>
+      education.filter(
+        entry => mentionsOrganisation(question, entry.institution) || mentions(question, entry.area)
+      ),
+    answer: matches =>
+      (matches.length > 0 ? matches : education)
+        .map(
+          entry =>
+            `- **${entry.area}** at ${entry.institution} (${entry.startDate} – ${entry.endDate}): ${entry.description}`
+        )
+        .join('\n'),
+  },
+  {
+    id: 'experience',
+    keywords: [
+      'experience',
+      'work',
+      'worked',
+      'job',
+      'jobs',
+      'intern',
+      'internship',
+      'role',
+      'career',
+      'company',
+    ],
+    entities: question =>
+      experience.filter(
+        entry => mentionsOrganisation(question, entry.company) || mentions(question, entry.position)
+      ),
+    answer: matches =>
+      (matches.length > 0 ? matches : experience)
+        .map(entry =>
+          [
+            `**${entry.position}**, ${entry.company} (${entry.startDate} – ${entry.endDate})`,
+            entry.summary,
+            ...(matches.length > 0 ? entry.highlights.map(highlight => `- ${highlight}`) : []),
+          ].join('\n')
+        )
+        .join('\n\n'),
+  },
+  {
+    id: 'certifications',
+    keywords: [
+      'cert',
+      'certs',
+      'certified',
+      'certification',
+      'certifications',
+      'certificate',
+      'certificates',
+      'courses',
+      'credentials',
+    ],
+    entities: question =>
+      certifications.filter(
+        cert => mentions(question, cert.name) || mentionsOrganisation(question, cert.issuer)
+      ),
+    answer: matches => {
+      const listed = matches.length > 0 ? matches : certifications;
+      return [
+        `${listed.length} certification${listed.length === 1 ? '' : 's'}:`,
+        '',
+        ...listed.map(
+          cert => `- **${cert.name}**, ${cert.issuer}${cert.date ? ` (${cert.date})` : ''}`
+        ),
+      ].join('\n');
+    },
+  },
+  {
+    id: 'languages',
+    keywords: ['language', 'languages', 'speak', 'spoken', 'fluent', 'bilingual'],
+    entities: question => basics.languages.filter(language => mentions(question, language.name)),
+    answer: matches =>
+      (matches.length > 0 ? matches : basics.languages)
+        .map(language => `- **${language.name}**: ${language.proficiency}`)
+        .join('\n'),
+  },
+  {
+    id: 'contact',
+    keywords: [
+      'contact',
+      'reach',
+      'email',
+      'hire',
+      'connect',
+      'get in touch',
+      'linkedin',
+      'message you',
+    ],
+    entities: () => [],
+    answer: () =>
+      [
+        'The best way to reach me:',
+        '',
+        ...basics.socials.map(social => `- [${social.network}](${social.url})`),
+      ].join('\n'),
+  },
+  {
+    id: 'about',
+    keywords: ['who are you', 'about you', 'yourself', 'introduce', 'hello', 'hi', 'hey'],
+    entities: () => [],
+    answer: () => `I'm **${basics.name}**, ${basics.title}. ${basics.summary.split('. ')[0]}.`,
+  },
+];
+
+/**
+ * Finds the intent that best matches a question.
+ *
+ * @param {string} question - The visitor's question
+ * @returns {{id: string, matches: Array}|null} Best intent and the entities it matched, or null
+ *
+ * @example
+ * detectIntent('Which AWS certifications do you have?');
+ * // => { id: 'certifications', matches: [{ name: 'AWS Certified Cloud Practitioner', ... }, ...] }
+ */
+export const detectIntent = question => {
+  const normalizedQuestion = normalize(question || '');
+  let best = null;
+
+  for (const intent of INTENTS) {
+    const keywordHits = intent.keywords.filter(keyword =>
+      mentions(normalizedQuestion, keyword)
+    ).length;
+    const matches = intent.entities(normalizedQuestion);
+    const score = keywordHits * KEYWORD_WEIGHT + (matches.length > 0 ? ENTITY_WEIGHT : 0);
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { id: intent.id, matches, score };
+    }
+  }
+
+  return best && { id: best.id, matches: best.matches };
+};
+
+/**
+ * Answers a question about the resume without calling an AI model.
+ *
+ * @param {string} question - The visitor's question
+ * @returns {string} Markdown answer; a list of supported topics when nothing matched
+ *
+ * @example
+ * answerOffline('What languages do you speak?');
+ * // => "- **English**: Native/Bilingual\n- **Hindi**: ..."
+ */
+export const answerOffline = question => {
+  const detected = detectIntent(question);
+
+  if (!detected) {
+    return [
+      "I can't reach my AI brain right now, but I can still answer from my resume. Try asking about my:",
+      '',
+      '- skills',
+      '- projects',
+      '- education',
+      '- work experience',
+      '- certifications',
+      '- spoken languages',
+    ].join('\n');
+  }
+
+  const intent = INTENTS.find(candidate => candidate.id === detected.id);
+  return intent.answer(detected.matches, normalize(question));
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { answerOffline, detectIntent } from './offlineAnswers';
+import { resumeData } from '../data/resume';
+
+describe('detectIntent', () => {
+  it.each([
+    ['What are your top skills?', 'skills'],
+    ['Do you know Python?', 'skills'],
+    ['Tell me about your projects', 'projects'],
+    ['Tell me about Scroll of Dharma', 'projects'],
+    ['Where did you study?', 'education'],
+    ['What did you do at Mood Indigo?', 'experience'],
+    ['Which AWS certifications do you have?', 'certifications'],
+    ['What languages do you speak?', 'languages'],
+    ['Do you speak French?', 'languages'],
+    ['How can I contact you?', 'contact'],
+    ['Hi!', 'about'],
+  ])('maps "%s" to %s', (question, intent) => {
+    expect(detectIntent(question)?.id).toBe(intent);
+  });
+
+  it('prefers skills over spoken languages for programming languages', () => {
+    expect(detectIntent('Which programming languages do you use?')?.id).toBe('skills');
+  });
+
+  it('returns null for unrelated questions', () => {
+    expect(detectIntent('What is the weather like?')).toBeNull();
+    expect(detectIntent('')).toBeNull();
+  });
+});
+
+describe('answerOffline', () => {
+  it('lists every skill category for a general skills question', () => {
+    const answer = answerOffline('What are your skills?');
+    for (const group of resumeData.skills) {
+      expect(answer).toContain(`**${group.category}:**`);
+    }
+  });
+
+  it('answers about a specific skill', () => {
+    expect(answerOffline('Are you any good at C++?')).toContain('**C++**: yes!');
+  });
+
+  it('describes a named project with its case study link', () => {
+    const answer = answerOffline('Tell me about Scroll of Dharma');
+    expect(answer).toContain('**Scroll of Dharma**');
+    expect(answer).toContain('[Case study](/projects/scroll-of-dharma)');
+  });
+
+  it('lists featured projects for a general projects question', () => {
+    const answer = answerOffline('What projects have you built?');
+    const featured = resumeData.projects.filter(project => project.featured);
+    for (const project of featured) {
+      expect(answer).toContain(project.title);
+    }
+  });
+
+  it('includes highlights for a named employer', () => {
+    const answer = answerOffline('What did you do at Mood Indigo?');
+    expect(answer).toContain('**Indigo Squad Member**');
+    expect(answer).toContain('- Secured three new sponsorships.');
+    expect(answer).not.toContain('TheSmartBridge');
+  });
+
+  it('filters certifications by issuer acronym', () => {
+    const answer = answerOffline('Which AWS certifications do you have?');
+    expect(answer).toMatch(/^2 certifications:/);
+    expect(answer).not.toContain('Udemy');
+  });
+
+  it('shares social links but no private contact details', () => {
+    const answer = answerOffline('How can I contact you?');
+    expect(answer).toContain('[LinkedIn]');
+    expect(answer).not.toContain(resumeData.basics.email);
+    expect(answer).not.toContain(resumeData.basics.phone);
+  });
+
+  it('suggests supported topics when nothing matches', () => {
+    expect(answerOffline('What is the weather like?')).toContain('Try asking about my');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Gemini AI Provider
+ *
+ * Adapter that exposes Google's Gemini API through the shared AI provider interface.
+ * A fresh model handle is created per request so a rotated key takes effect without
+ * a reload.
+ *
+ * @module services/providers/gemini
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_DEFAULT_MODEL = 'gemini-flash-latest';
+
+/**
+ * Creates the Gemini provider.
+ *
+ * Gemini chat sessions have no system role here, so the system prompt is sent as the
+ * first user turn followed by `systemAck` as the model's reply.
+ *
+ * @param {object} config
+ * @param {string} [config.apiKey] - Gemini API key
+ * @param {string} [config.model] - Model name (defaults to `gemini-flash-latest`)
+ * @param {string} [config.systemAck] - Model acknowledgement of the system prompt
+ * @returns {import('./index.js').AIProvider|null} The provider, or null without an API key
+ */
+export const createGeminiProvider = ({
+  apiKey,
+  model = GEMINI_DEFAULT_MODEL,
+  systemAck = 'Understood.',
+} = {}) => {
+  if (!apiKey) {
+    return null;
+  }
+
+  const getModel = () => new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  const startChat = (systemPrompt, history, tools = []) =>
+    getModel().startChat({
+      history: [
+        { role: 'user', parts: [{ text: systemPrompt }] },
+        { role: 'model', parts: [{ text: systemAck }] },
+        ...history,
+      ],
+      ...(tools.length > 0 ? { tools: [{ functionDeclarations: tools }] } : {}),
+    });
+
+  return {
+    id: 'gemini',
+
+    async generate(prompt) {
+      const result = await getModel().generateContent(prompt);
+      return result.response.text();
+    },
+
+    async chat({ systemPrompt, history = [], message }) {
+      const result = await startChat(systemPrompt, history).sendMessage(message);
+      return result.response.text();
+    },
+
+    async *streamChat({ systemPrompt, history = [], message, signal, tools }) {
+      const result = await startChat(systemPrompt, history, tools).sendMessageStream(message, {
+        signal,
+      });
+
+      for await (const chunk of result.stream) {
+        const text = chunk?.text?.();
+        if (text) {
+          yield text;
+        }
+
+        for (const call of chunk?.functionCalls?.() ?? []) {
+          yield { type: 'tool-call', name: call.name, args: call.args };
+        }
+      }
+    },
+  };
+};
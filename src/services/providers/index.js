@@ -0,0 +1,89 @@
+/**
+ * AI Provider Registry
+ *
+ * Defines the provider interface used by `services/ai.js` and selects an adapter
+ * from build-time configuration. Adding a backend means writing one adapter that
+ * satisfies {@link AIProvider} and registering it in `createProvider`.
+ *
+ * @module services/providers
+ */
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * @typedef {object} ChatRequest
+ * @property {string} systemPrompt - Instructions that define the assistant
+ * @property {Array<{role: 'user'|'model', parts: Array<{text: string}>}>} history - Sanitized prior turns
+ * @property {string} message - The new user message
+ * @property {AbortSignal} [signal] - Cancels a streaming request
+ * @property {ToolDeclaration[]} [tools] - Functions the model may call while streaming
+ */
+
+/**
+ * @typedef {object} ToolDeclaration
+ * @property {string} name - Function name
+ * @property {string} description - When to call it
+ * @property {object} [parameters] - JSON schema of the arguments object; omitted when there are none
+ */
+
+/**
+ * @typedef {object} ToolCall
+ * @property {'tool-call'} type - Distinguishes calls from text chunks in a stream
+ * @property {string} name - Requested function name
+ * @property {unknown} args - Arguments as sent by the model, not yet validated
+ */
+
+/**
+ * @typedef {object} AIProvider
+ * @property {string} id - Provider identifier (`gemini`, `openai`, `mock`)
+ * @property {(prompt: string) => Promise<string>} generate - One-shot text generation
+ * @property {(request: ChatRequest) => Promise<string>} chat - Full chat reply
+ * @property {(request: ChatRequest) => AsyncIterable<string|ToolCall>} streamChat - Chat reply as
+ *   text chunks, plus any tool calls the model makes
+ */
+
+export const DEFAULT_PROVIDER_ID = 'gemini';
+
+/**
+ * Creates a provider by id.
+ *
+ * @param {string} [id] - `gemini`, `openai` or `mock` (case-insensitive); defaults to Gemini
+ * @param {object} [config]
+ * @param {string} [config.geminiApiKey] - Gemini API key
+ * @param {string} [config.geminiModel] - Gemini model override
+ * @param {string} [config.systemAck] - Gemini acknowledgement of the system prompt
+ * @param {string} [config.openaiBaseUrl] - OpenAI-compatible base URL
+ * @param {string} [config.openaiModel] - OpenAI-compatible model name
+ * @param {string} [config.openaiApiKey] - OpenAI-compatible API key
+ * @returns {AIProvider|null} The provider, or null when unknown or not configured
+ *
+ * @example
+ * const provider = createProvider('openai', {
+ *   openaiBaseUrl: 'http://localhost:11434/v1',
+ *   openaiModel: 'llama3.2',
+ * });
+ */
+export const createProvider = (id, config = {}) => {
+  const providerId = (id || DEFAULT_PROVIDER_ID).trim().toLowerCase();
+
+  switch (providerId) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: config.geminiApiKey,
+        model: config.geminiModel || undefined,
+        systemAck: config.systemAck,
+      });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: config.openaiBaseUrl,
+        model: config.openaiModel,
+        apiKey: config.openaiApiKey,
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { createProvider } from './index';
+
+describe('createProvider', () => {
+  it('defaults to Gemini when an API key is configured', () => {
+    expect(createProvider(undefined, { geminiApiKey: 'key' })?.id).toBe('gemini');
+    expect(createProvider(' Gemini ', { geminiApiKey: 'key' })?.id).toBe('gemini');
+  });
+
+  it('returns null when the selected provider is not configured', () => {
+    expect(createProvider('gemini', {})).toBeNull();
+    expect(createProvider('openai', { openaiModel: 'llama3.2' })).toBeNull();
+  });
+
+  it('creates the OpenAI-compatible provider from its base URL and model', () => {
+    const provider = createProvider('openai', {
+      openaiBaseUrl: 'http://localhost:11434/v1',
+      openaiModel: 'llama3.2',
+    });
+    expect(provider?.id).toBe('openai');
+  });
+
+  it('creates the mock provider without configuration', () => {
+    expect(createProvider('mock')?.id).toBe('mock');
+  });
+
+  it('returns null for unknown providers', () => {
+    expect(createProvider('skynet', { geminiApiKey: 'key' })).toBeNull();
+  });
+});
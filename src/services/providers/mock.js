@@ -0,0 +1,77 @@
+/**
+ * Mock AI Provider
+ *
+ * Deterministic local provider for offline development and tests. It never touches
+ * the network: the same input always produces the same output, and streamed replies
+ * concatenate to exactly the one-shot reply.
+ *
+ * @module services/providers/mock
+ */
+
+/**
+ * Default chat reply: echoes the message so tests can assert on it.
+ *
+ * @param {{message: string, history: Array}} params - Chat request
+ * @returns {string} Reply text
+ * @private
+ */
+const defaultReply = ({ message, history }) =>
+  `Mock reply #${Math.floor(history.length / 2) + 1}: you said "${message}".`;
+
+/**
+ * Default one-shot generation: a fixed line that reports the prompt size.
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} Generated text
+ * @private
+ */
+const defaultGenerate = prompt =>
+  `Mock generation for a ${prompt.length}-character prompt. Nothing to roast offline!`;
+
+/**
+ * Splits text into word-sized chunks, keeping whitespace so chunks join losslessly.
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Chunks
+ * @private
+ */
+const toChunks = text => text.match(/\S+\s*|\s+/g) || [];
+
+/**
+ * Creates the mock provider.
+ *
+ * @param {object} [config]
+ * @param {(params: {message: string, history: Array}) => string} [config.reply] - Chat reply builder
+ * @param {(prompt: string) => string} [config.generate] - One-shot generation builder
+ * @param {(params: {message: string, tools: Array}) => Array<{name: string, args: object}>} [config.toolCalls]
+ *   Tool calls to stream after the reply when tools are offered; none by default
+ * @returns {import('./index.js').AIProvider} The provider
+ */
+export const createMockProvider = ({
+  reply = defaultReply,
+  generate = defaultGenerate,
+  toolCalls = () => [],
+} = {}) => ({
+  id: 'mock',
+
+  async generate(prompt) {
+    return generate(prompt);
+  },
+
+  async chat({ history = [], message }) {
+    return reply({ message, history });
+  },
+
+  async *streamChat({ history = [], message, signal, tools = [] }) {
+    for (const chunk of toChunks(reply({ message, history }))) {
+      if (signal?.aborted) return;
+      yield chunk;
+    }
+
+    if (tools.length === 0) return;
+    for (const { name, args } of toolCalls({ message, tools })) {
+      if (signal?.aborted) return;
+      yield { type: 'tool-call', name, args };
+    }
+  },
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { createMockProvider } from './mock';
+
+const collect = async iterable => {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return chunks;
+};
+
+describe('createMockProvider', () => {
+  const history = [
+    { role: 'user', parts: [{ text: 'Hello' }] },
+    { role: 'model', parts: [{ text: 'Hi' }] },
+  ];
+
+  it('replies deterministically', async () => {
+    const provider = createMockProvider();
+    const request = { systemPrompt: 'ignored', history, message: 'Skills?' };
+
+    const first = await provider.chat(request);
+    const second = await provider.chat(request);
+
+    expect(first).toBe('Mock reply #2: you said "Skills?".');
+    expect(second).toBe(first);
+  });
+
+  it('streams chunks that join to the one-shot reply', async () => {
+    const provider = createMockProvider();
+    const request = { systemPrompt: '', history, message: 'Tell me more' };
+
+    const chunks = await collect(provider.streamChat(request));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(await provider.chat(request));
+  });
+
+  it('stops streaming once the signal is aborted', async () => {
+    const provider = createMockProvider();
+    const controller = new AbortController();
+    const chunks = [];
+
+    for await (const chunk of provider.streamChat({
+      history: [],
+      message: 'one two three',
+      signal: controller.signal,
+    })) {
+      chunks.push(chunk);
+      controller.abort();
+    }
+
+    expect(chunks).toHaveLength(1);
+  });
+
+  it('streams configured tool calls only when tools are offered', async () => {
+    const provider = createMockProvider({
+      reply: () => 'Done.',
+      toolCalls: () => [{ name: 'navigate', args: { path: '/resume' } }],
+    });
+    const tools = [{ name: 'navigate', description: 'Open a page' }];
+
+    const withTools = await collect(provider.streamChat({ history: [], message: 'CV', tools }));
+    const withoutTools = await collect(provider.streamChat({ history: [], message: 'CV' }));
+
+    expect(withTools).toEqual([
+      'Done.',
+      { type: 'tool-call', name: 'navigate', args: { path: '/resume' } },
+    ]);
+    expect(withoutTools).toEqual(['Done.']);
+  });
+
+  it('accepts custom reply and generate builders', async () => {
+    const provider = createMockProvider({
+      reply: ({ message }) => message.toUpperCase(),
+      generate: prompt => `roast:${prompt}`,
+    });
+
+    await expect(provider.chat({ history: [], message: 'hey' })).resolves.toBe('HEY');
+    await expect(provider.generate('resume')).resolves.toBe('roast:resume');
+  });
+});
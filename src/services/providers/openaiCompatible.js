@@ -0,0 +1,234 @@
+/**
+ * OpenAI-Compatible AI Provider
+ *
+ * Adapter for any server that implements the OpenAI `/chat/completions` API
+ * (OpenAI, OpenRouter, Groq, Ollama, LM Studio, vLLM, ...). Streaming uses the
+ * standard server-sent events format.
+ *
+ * @module services/providers/openaiCompatible
+ */
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Validates and normalizes the configured base URL.
+ * Only HTTPS is accepted, except plain HTTP on loopback for local model servers.
+ *
+ * @param {string} baseUrl - Candidate base URL, e.g. `https://api.openai.com/v1`
+ * @returns {string|null} Base URL without trailing slashes, or null if unusable
+ */
+export const normalizeBaseUrl = baseUrl => {
+  if (typeof baseUrl !== 'string' || !baseUrl.trim()) {
+    return null;
+  }
+
+  try {
+    const url = new URL(baseUrl.trim());
+    const isSecure = url.protocol === 'https:';
+    const isLocal = url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname);
+    if (!isSecure && !isLocal) {
+      return null;
+    }
+    return url.href.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Converts Gemini-style history into OpenAI chat messages.
+ *
+ * @param {string} systemPrompt - System instructions
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} history - Prior turns
+ * @param {string} message - The new user message
+ * @returns {Array<{role: string, content: string}>} OpenAI chat messages
+ * @private
+ */
+const toChatMessages = (systemPrompt, history, message) => [
+  ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+  ...history.map(entry => ({
+    role: entry.role === 'model' ? 'assistant' : 'user',
+    content: entry.parts.map(part => part.text).join(''),
+  })),
+  { role: 'user', content: message },
+];
+
+/**
+ * Converts tool declarations into OpenAI `tools` entries.
+ *
+ * @param {Array<import('./index.js').ToolDeclaration>} tools - Tool declarations
+ * @returns {Array<object>} OpenAI function tools
+ * @private
+ */
+const toOpenAITools = tools =>
+  tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters: parameters || { type: 'object', properties: {} } },
+  }));
+
+/**
+ * Parses the JSON arguments string of an OpenAI tool call.
+ *
+ * @param {string} json - Accumulated `arguments` text
+ * @returns {unknown} Parsed arguments, or null when malformed (validation rejects it later)
+ * @private
+ */
+const parseToolArguments = json => {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parses an SSE response body and yields each `data:` payload until `[DONE]`.
+ *
+ * @param {ReadableStream<Uint8Array>} body - Response body stream
+ * @yields {string} Raw event data
+ * @private
+ */
+async function* readEventData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseLine = line => {
+    const trimmed = line.trim();
+    return trimmed.startsWith('data:') ? trimmed.slice(5).trim() : null;
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+
+      for (const line of lines) {
+        const data = parseLine(line);
+        if (data === '[DONE]') return;
+        if (data) yield data;
+      }
+
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Creates an OpenAI-compatible provider.
+ *
+ * @param {object} config
+ * @param {string} [config.baseUrl] - API base URL, e.g. `https://api.openai.com/v1`
+ * @param {string} [config.model] - Model name sent with every request
+ * @param {string} [config.apiKey] - Bearer token; optional for local servers
+ * @param {typeof fetch} [config.fetchImpl] - Fetch implementation (defaults to global fetch)
+ * @returns {import('./index.js').AIProvider|null} The provider, or null when misconfigured
+ */
+export const createOpenAICompatibleProvider = ({
+  baseUrl,
+  model,
+  apiKey,
+  fetchImpl = globalThis.fetch,
+} = {}) => {
+  const endpointBase = normalizeBaseUrl(baseUrl);
+  if (!endpointBase || !model || typeof fetchImpl !== 'function') {
+    return null;
+  }
+
+  const request = async (messages, { stream = false, signal, tools = [] } = {}) => {
+    const response = await fetchImpl(`${endpointBase}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream,
+        ...(tools.length > 0 ? { tools: toOpenAITools(tools) } : {}),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      let detail = response.statusText;
+      try {
+        const payload = await response.json();
+        detail = payload?.error?.message || detail;
+      } catch {
+        // Non-JSON error body; keep the status text
+      }
+      throw new Error(`AI provider request failed (${response.status}): ${detail}`);
+    }
+
+    return response;
+  };
+
+  return {
+    id: 'openai',
+
+    async generate(prompt) {
+      const response = await request([{ role: 'user', content: prompt }]);
+      const payload = await response.json();
+      return payload?.choices?.[0]?.message?.content ?? '';
+    },
+
+    async chat({ systemPrompt, history = [], message }) {
+      const response = await request(toChatMessages(systemPrompt, history, message));
+      const payload = await response.json();
+      return payload?.choices?.[0]?.message?.content ?? '';
+    },
+
+    async *streamChat({ systemPrompt, history = [], message, signal, tools }) {
+      const response = await request(toChatMessages(systemPrompt, history, message), {
+        stream: true,
+        signal,
+        tools,
+      });
+      if (!response.body) {
+        throw new Error('AI provider returned an empty stream');
+      }
+
+      const toolCalls = [];
+
+      for await (const data of readEventData(response.body)) {
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        if (event?.error) {
+          throw new Error(event.error.message || 'AI provider stream failed');
+        }
+
+        const delta = event?.choices?.[0]?.delta;
+        if (delta?.content) {
+          yield delta.content;
+        }
+
+        // Tool calls arrive in fragments keyed by index; arguments are a streamed JSON string
+        delta?.tool_calls?.forEach(fragment => {
+          const index = fragment.index ?? 0;
+          toolCalls[index] ??= { name: '', arguments: '' };
+          if (fragment.function?.name) toolCalls[index].name = fragment.function.name;
+          if (fragment.function?.arguments) {
+            toolCalls[index].arguments += fragment.function.arguments;
+          }
+        });
+      }
+
+      for (const call of toolCalls.filter(Boolean)) {
+        yield { type: 'tool-call', name: call.name, args: parseToolArguments(call.arguments) };
+      }
+    },
+  };
+};
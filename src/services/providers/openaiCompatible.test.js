@@ -0,0 +1,205 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createOpenAICompatibleProvider, normalizeBaseUrl } from './openaiCompatible';
+
+// Minimal stand-in for a fetch Response body that yields the given text pieces
+const bodyFrom = pieces => {
+  const encoder = new TextEncoder();
+  const queue = pieces.map(piece => encoder.encode(piece));
+  return {
+    getReader: () => ({
+      read: async () =>
+        queue.length ? { value: queue.shift(), done: false } : { value: undefined, done: true },
+      releaseLock: vi.fn(),
+    }),
+  };
+};
+
+const jsonResponse = payload => ({ ok: true, status: 200, json: async () => payload });
+
+const collect = async iterable => {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return chunks;
+};
+
+describe('normalizeBaseUrl', () => {
+  it('accepts https and loopback http URLs', () => {
+    expect(normalizeBaseUrl('https://api.example.com/v1/')).toBe('https://api.example.com/v1');
+    expect(normalizeBaseUrl('http://localhost:11434/v1')).toBe('http://localhost:11434/v1');
+  });
+
+  it('rejects insecure, malformed or empty URLs', () => {
+    expect(normalizeBaseUrl('http://api.example.com/v1')).toBeNull();
+    expect(normalizeBaseUrl('javascript:alert(1)')).toBeNull();
+    expect(normalizeBaseUrl('not a url')).toBeNull();
+    expect(normalizeBaseUrl('')).toBeNull();
+    expect(normalizeBaseUrl(undefined)).toBeNull();
+  });
+});
+
+describe('createOpenAICompatibleProvider', () => {
+  const baseConfig = { baseUrl: 'https://api.example.com/v1', model: 'test-model' };
+
+  it('returns null when the base URL or model is missing', () => {
+    expect(createOpenAICompatibleProvider({ model: 'm', fetchImpl: vi.fn() })).toBeNull();
+    expect(
+      createOpenAICompatibleProvider({ baseUrl: baseConfig.baseUrl, fetchImpl: vi.fn() })
+    ).toBeNull();
+  });
+
+  it('maps history to chat messages and returns the reply', async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Hi there' } }] }));
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, apiKey: 'sk-1', fetchImpl });
+
+    const reply = await provider.chat({
+      systemPrompt: 'Be nice',
+      history: [
+        { role: 'user', parts: [{ text: 'Hello' }] },
+        { role: 'model', parts: [{ text: 'Hey' }] },
+      ],
+      message: 'How are you?',
+    });
+
+    expect(reply).toBe('Hi there');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://api.example.com/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer sk-1');
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'test-model',
+      stream: false,
+      messages: [
+        { role: 'system', content: 'Be nice' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hey' },
+        { role: 'user', content: 'How are you?' },
+      ],
+    });
+  });
+
+  it('omits the Authorization header without an API key', async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Roasted' } }] }));
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+
+    await expect(provider.generate('Roast me')).resolves.toBe('Roasted');
+    expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  it('throws with the API error message on a failed response', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 403,
+      statusText: 'Forbidden',
+      json: async () => ({ error: { message: 'API key was reported as leaked' } }),
+    });
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+
+    await expect(provider.generate('Roast me')).rejects.toThrow(
+      'AI provider request failed (403): API key was reported as leaked'
+    );
+  });
+
+  it('streams deltas from server-sent events split across reads', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: bodyFrom([
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\ndata: {"choices":[{"delta":{"content":"Hel',
+        'lo"}}]}\n\n: keep-alive\n\ndata: {"choices":[{"delta":{"content":" world"}}]}\n\n',
+        'data: [DONE]\n\ndata: {"choices":[{"delta":{"content":"ignored"}}]}\n\n',
+      ]),
+    });
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+    const controller = new AbortController();
+
+    const chunks = await collect(
+      provider.streamChat({
+        systemPrompt: 'Be nice',
+        history: [],
+        message: 'Hi',
+        signal: controller.signal,
+      })
+    );
+
+    expect(chunks).toEqual(['Hello', ' world']);
+    const init = fetchImpl.mock.calls[0][1];
+    expect(JSON.parse(init.body).stream).toBe(true);
+    expect(init.signal).toBe(controller.signal);
+  });
+
+  it('sends tools and yields tool calls assembled from streamed fragments', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: bodyFrom([
+        'data: {"choices":[{"delta":{"content":"Opening it."}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"name":"start_game","arguments":"{\\"ga"}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"me\\":\\"snake\\"}"}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":1,"function":{"name":"open_terminal","arguments":"{bad"}}]}}]}\n\n',
+        'data: [DONE]\n\n',
+      ]),
+    });
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+    const tools = [
+      { name: 'start_game', description: 'Start a game', parameters: { type: 'object' } },
+      { name: 'open_terminal', description: 'Open the terminal' },
+    ];
+
+    const chunks = await collect(
+      provider.streamChat({ systemPrompt: '', history: [], message: 'Play snake', tools })
+    );
+
+    expect(chunks).toEqual([
+      'Opening it.',
+      { type: 'tool-call', name: 'start_game', args: { game: 'snake' } },
+      { type: 'tool-call', name: 'open_terminal', args: null },
+    ]);
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).tools).toEqual([
+      {
+        type: 'function',
+        function: {
+          name: 'start_game',
+          description: 'Start a game',
+          parameters: { type: 'object' },
+        },
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'open_terminal',
+          description: 'Open the terminal',
+          parameters: { type: 'object', properties: {} },
+        },
+      },
+    ]);
+  });
+
+  it('omits tools from the request when none are offered', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: bodyFrom(['data: [DONE]\n\n']),
+    });
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+
+    await collect(provider.streamChat({ systemPrompt: '', history: [], message: 'Hi' }));
+
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).not.toHaveProperty('tools');
+  });
+
+  it('throws when the stream reports an error event', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: bodyFrom(['data: {"error":{"message":"Rate limit reached"}}\n\n']),
+    });
+    const provider = createOpenAICompatibleProvider({ ...baseConfig, fetchImpl });
+
+    await expect(
+      collect(provider.streamChat({ systemPrompt: '', history: [], message: 'Hi' }))
+    ).rejects.toThrow('Rate limit reached');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Browser file download and upload helpers for client-side exports
+ * (chat transcripts and similar JSON or text files).
+ */
+
+/**
+ * Saves text as a file through a temporary object URL and anchor click.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [mimeType='text/plain'] - MIME type of the file
+ *
+ * @example
+ * downloadTextFile('chat.md', '# Chat', 'text/markdown');
+ */
+export const downloadTextFile = (filename, content, mimeType = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Reads a user-selected file as text, refusing files over a size limit before
+ * anything is read.
+ *
+ * @param {File} file - File from an `<input type="file">`
+ * @param {number} maxBytes - Largest accepted size
+ * @returns {Promise<string>} File contents
+ * @throws {RangeError} When the file is larger than `maxBytes`
+ */
+export const readTextFile = async (file, maxBytes) => {
+  if (file.size > maxBytes) {
+    throw new RangeError(`File is larger than ${Math.round(maxBytes / 1024)} KB`);
+  }
+  return file.text();
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { downloadTextFile, readTextFile } from './download';
+
+describe('download utilities', () => {
+  const { createObjectURL, revokeObjectURL } = URL;
+
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    vi.restoreAllMocks();
+  });
+
+  it('downloads text through a temporary link', () => {
+    URL.createObjectURL = vi.fn(() => 'blob:test');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    downloadTextFile('chat.md', '# Chat', 'text/markdown');
+
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/markdown;charset=utf-8');
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('a[download]')).toBeNull();
+  });
+
+  it('reads files within the size limit', async () => {
+    const file = new File(['{"ok":true}'], 'chat.json', { type: 'application/json' });
+
+    await expect(readTextFile(file, 1024)).resolves.toBe('{"ok":true}');
+  });
+
+  it('rejects files over the size limit', async () => {
+    const file = new File(['x'.repeat(2048)], 'big.json');
+
+    await expect(readTextFile(file, 1024)).rejects.toThrow('File is larger than 1 KB');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Fuzzy Match Utilities Module
+ *
+ * Scored subsequence matching for the Command Palette. A query matches a text when
+ * its characters appear in order; the score rewards characters that start a word
+ * (so "gtp" finds "Go to Projects" by its acronym) and runs of consecutive characters,
+ * and penalizes the gaps between them. The best-scoring alignment is found with
+ * dynamic programming, so "pro" in "Open project" matches the word, not scattered
+ * letters.
+ *
+ * @module utils/fuzzyMatch
+ */
+
+// Points per matched character, and bonuses for where it sits
+const MATCH_SCORE = 1;
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 6;
+
+// Penalties per skipped character between matches and before the first match
+const GAP_PENALTY = 1;
+const LEADING_GAP_PENALTY = 0.5;
+
+/**
+ * Whether the character at `index` starts a word: the first character, one after
+ * a separator, or an uppercase letter after a lowercase one.
+ *
+ * @param {string} text - Text being matched
+ * @param {number} index - Character position
+ * @returns {boolean} True at a word start
+ * @private
+ */
+const isWordStart = (text, index) => {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  const current = text[index];
+  return (
+    /[\s\-_/.:()]/.test(previous) ||
+    (previous === previous.toLowerCase() &&
+      previous !== previous.toUpperCase() &&
+      current !== current.toLowerCase())
+  );
+};
+
+/**
+ * Matches a query against a text as a case-insensitive subsequence. Whitespace in
+ * the query is ignored.
+ *
+ * @param {string} query - What the visitor typed
+ * @param {string} text - Candidate text, e.g. a command label
+ * @returns {{score: number, positions: number[]}|null} Score (higher is better) and
+ *   the matched character positions in `text`, or null when the text does not match
+ *
+ * @example
+ * fuzzyMatch('gtp', 'Go to Projects');
+ * // => { score: 23, positions: [0, 3, 6] }
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.replace(/\s+/g, '').toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, positions: [] };
+  if (needle.length > haystack.length) return null;
+
+  const bonus = Array.from(
+    haystack,
+    (_, index) => MATCH_SCORE + (isWordStart(text, index) ? WORD_START_BONUS : 0)
+  );
+
+  // scores[i][j]: best score with needle[i] matched at haystack[j]; from[i][j]: where
+  // needle[i - 1] was matched on that path
+  const scores = [];
+  const from = [];
+  needle.split('').forEach((char, i) => {
+    const row = new Array(haystack.length).fill(-Infinity);
+    const links = new Array(haystack.length).fill(-1);
+    // Best earlier match of needle[i - 1] with its gap penalty up to the current column
+    let bestGapped = -Infinity;
+    let bestGappedAt = -1;
+
+    for (let j = i; j < haystack.length; j += 1) {
+      if (i > 0 && j >= 2) {
+        const candidate = scores[i - 1][j - 2] + GAP_PENALTY * (j - 1);
+        if (candidate > bestGapped) {
+          bestGapped = candidate;
+          bestGappedAt = j - 2;
+        }
+      }
+      if (haystack[j] !== char) continue;
+
+      if (i === 0) {
+        row[j] = bonus[j] - LEADING_GAP_PENALTY * j;
+        continue;
+      }
+      const consecutive = scores[i - 1][j - 1] + CONSECUTIVE_BONUS;
+      const gapped = bestGapped - GAP_PENALTY * j;
+      if (consecutive >= gapped && consecutive > -Infinity) {
+        row[j] = consecutive + bonus[j];
+        links[j] = j - 1;
+      } else if (gapped > -Infinity) {
+        row[j] = gapped + bonus[j];
+        links[j] = bestGappedAt;
+      }
+    }
+    scores.push(row);
+    from.push(links);
+  });
+
+  const last = scores[needle.length - 1];
+  let end = -1;
+  last.forEach((score, j) => {
+    if (score > -Infinity && (end === -1 || score > last[end])) end = j;
+  });
+  if (end === -1) return null;
+
+  const positions = [];
+  for (let i = needle.length - 1, j = end; i >= 0; i -= 1) {
+    positions.unshift(j);
+    j = from[i][j];
+  }
+  return { score: last[end], positions };
+};
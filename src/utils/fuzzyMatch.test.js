@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch } from './fuzzyMatch';
+
+describe('fuzzyMatch', () => {
+  it('matches subsequences case-insensitively and reports positions', () => {
+    expect(fuzzyMatch('gtp', 'Go to Projects')).toEqual({ score: 23, positions: [0, 3, 6] });
+    expect(fuzzyMatch('PRO', 'Open project').positions).toEqual([5, 6, 7]);
+    expect(fuzzyMatch('play snake', 'Play Snake').positions).toHaveLength(9);
+  });
+
+  it('returns null when the characters are missing or out of order', () => {
+    expect(fuzzyMatch('xyz', 'Go to Projects')).toBeNull();
+    expect(fuzzyMatch('pg', 'Go to Projects')).toBeNull();
+    expect(fuzzyMatch('aa', 'a')).toBeNull();
+  });
+
+  it('matches everything with an empty query', () => {
+    expect(fuzzyMatch('  ', 'Anything')).toEqual({ score: 0, positions: [] });
+  });
+
+  it('prefers word starts, camelCase humps and consecutive runs', () => {
+    const score = (query, text) => fuzzyMatch(query, text).score;
+
+    expect(score('gb', 'Go to Blog')).toBeGreaterThan(score('gb', 'Hugbox'));
+    expect(score('jhs', 'JsHtmlSandbox')).toBeGreaterThan(score('jhs', 'jshs'));
+    expect(score('sna', 'Snack')).toBeGreaterThan(score('sna', 'Spinach'));
+  });
+});
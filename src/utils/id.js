@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Unique id helper for records kept in browser storage (chat messages and
+ * threads, saved Playground snippets).
+ */
+
+// Monotonic counter for ID fallback to prevent insecure pseudo-randomness
+let fallbackCounter = 0;
+
+/**
+ * Generates a unique id.
+ *
+ * @returns {string} Random UUID, or a timestamp-based fallback without Web Crypto
+ */
+export const generateId = () => {
+  if (typeof crypto !== 'undefined') {
+    if (typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    if (typeof crypto.getRandomValues === 'function') {
+      const array = new Uint32Array(4);
+      crypto.getRandomValues(array);
+      return Array.from(array, dec => dec.toString(16).padStart(8, '0')).join('-');
+    }
+  }
+
+  // Final fallback if crypto is entirely unavailable (very rare in modern browsers)
+  // 🛡️ Sentinel: Replaced Math.random() with a monotonic counter to avoid insecure pseudo-randomness
+  const timestamp = Date.now();
+  fallbackCounter += 1;
+  return `${timestamp}-${fallbackCounter}`;
+};
@@ -0,0 +1,21 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { generateId } from './id';
+
+describe('generateId', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns a random UUID when Web Crypto supports it', () => {
+    expect(generateId()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  });
+
+  it('falls back to distinct timestamp ids without Web Crypto', () => {
+    vi.stubGlobal('crypto', undefined);
+    const first = generateId();
+    const second = generateId();
+
+    expect(first).toMatch(/^\d+-\d+$/);
+    expect(second).not.toBe(first);
+  });
+});
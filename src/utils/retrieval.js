@@ -0,0 +1,330 @@
+/**
+ * Retrieval Utilities Module
+ *
+ * Chunking and BM25 ranking for the chatbot's local knowledge base. The index is
+ * built at build time by `scripts/build-retrieval-index.js` (resume sections, blog
+ * posts and Playground snippets) and searched in the browser per question, so only
+ * the most relevant chunks are sent to the model.
+ *
+ * Kept free of Vite-specific imports so the build script can use it directly.
+ *
+ * @module utils/retrieval
+ */
+
+import { getBlogSlug, getProjectSlug, slugify } from './slug.js';
+
+export const RETRIEVAL_INDEX_VERSION = 1;
+
+// Standard BM25 parameters: term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Upper bound on chunk text so a single chunk cannot blow the prompt budget
+const MAX_CHUNK_CHARS = 1200;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can did do does for from had has have he her his how i ' +
+    'if in into is it its me my of on or our she so tell than that the their them then there ' +
+    'these they this to us was we were what when where which who why will with you your about'
+  ).split(' ')
+);
+
+/**
+ * Splits text into lowercase search terms. Drops stopwords and strips a plural
+ * "s" so "projects" matches "project". Keeps `+` and `#` for names like C++ or C#.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance
+ *
+ * @example
+ * tokenize('What Python projects has he built?');
+ * // => ['python', 'project', 'built']
+ */
+export const tokenize = text =>
+  String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(term => term && !STOPWORDS.has(term))
+    .map(term =>
+      term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term
+    );
+
+/**
+ * Clamps chunk text to `MAX_CHUNK_CHARS`, cutting at a word boundary.
+ *
+ * @param {string} text - Chunk text
+ * @returns {string} Text no longer than the limit
+ * @private
+ */
+const clampText = text => {
+  const trimmed = text.trim();
+  if (trimmed.length <= MAX_CHUNK_CHARS) return trimmed;
+  const cut = trimmed.slice(0, MAX_CHUNK_CHARS);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+/**
+ * Splits a long markdown body into paragraph-aligned pieces under the chunk limit.
+ *
+ * @param {string} markdown - Markdown body
+ * @returns {string[]} Body pieces
+ * @private
+ */
+const splitBody = markdown => {
+  const pieces = [];
+  let current = '';
+
+  for (const paragraph of markdown.split(/\n{2,}/)) {
+    const next = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (next.length > MAX_CHUNK_CHARS && current) {
+      pieces.push(current);
+      current = paragraph;
+    } else {
+      current = next;
+    }
+  }
+
+  if (current.trim()) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * @typedef {object} RetrievalChunk
+ * @property {string} id - Stable identifier, e.g. `project/coding-for-mba`
+ * @property {'resume'|'project'|'blog'|'snippet'} source - Where the chunk came from
+ * @property {string} title - Human-readable label used in citations
+ * @property {string} url - Site path (or original article URL) to open the source
+ * @property {string} text - Chunk content injected into the prompt
+ */
+
+/**
+ * Splits the site's content into retrieval chunks.
+ *
+ * Only public resume fields are used; email and phone never enter the index.
+ *
+ * @param {object} sources
+ * @param {object} sources.resume - `resumeData`
+ * @param {Array<object>} [sources.blogs] - Entries from `blogs.json`
+ * @param {Record<string, string>} [sources.blogBodies] - Markdown bodies keyed by blog slug
+ * @param {Array<object>} [sources.snippets] - Playground snippets
+ * @returns {RetrievalChunk[]} Chunks in a stable order
+ */
+export const buildChunks = ({ resume, blogs = [], blogBodies = {}, snippets = [] }) => {
+  const { basics, education, experience, skills, projects, certifications } = resume;
+  const chunks = [];
+  const add = chunk => chunks.push({ ...chunk, text: clampText(chunk.text) });
+
+  add({
+    id: 'resume/summary',
+    source: 'resume',
+    title: 'Resume: Summary',
+    url: '/resume',
+    text: `${basics.name}, ${basics.title}. Based in ${basics.location.city}, ${basics.location.country}. ${basics.summary}`,
+  });
+
+  add({
+    id: 'resume/contact',
+    source: 'resume',
+    title: 'Resume: Contact',
+    url: '/contact',
+    text: `Contact and social profiles: ${basics.socials.map(social => `${social.network} ${social.url}`).join('; ')}.`,
+  });
+
+  add({
+    id: 'resume/languages',
+    source: 'resume',
+    title: 'Resume: Spoken languages',
+    url: '/resume',
+    text: `Spoken languages: ${basics.languages.map(language => `${language.name} (${language.proficiency})`).join(', ')}.`,
+  });
+
+  education.forEach(entry => {
+    add({
+      id: `resume/education/${slugify(entry.institution)}`,
+      source: 'resume',
+      title: `Education: ${entry.institution}`,
+      url: '/resume',
+      text: `Education: ${entry.area} at ${entry.institution}, ${entry.startDate} to ${entry.endDate}. ${entry.description}`,
+    });
+  });
+
+  experience.forEach(entry => {
+    add({
+      id: `resume/experience/${slugify(entry.company)}`,
+      source: 'resume',
+      title: `Experience: ${entry.position}, ${entry.company}`,
+      url: '/resume',
+      text: [
+        `Work experience: ${entry.position} at ${entry.company}, ${entry.startDate} to ${entry.endDate}.`,
+        entry.summary,
+        ...(entry.highlights || []),
+      ].join(' '),
+    });
+  });
+
+  skills.forEach(group => {
+    add({
+      id: `resume/skills/${slugify(group.category)}`,
+      source: 'resume',
+      title: `Skills: ${group.category}`,
+      url: '/resume',
+      text: `${group.category} skills: ${group.items
+        .map(item => `${item.name} (${item.proficiency}/100${item.verified ? ', verified' : ''})`)
+        .join(', ')}.`,
+    });
+  });
+
+  add({
+    id: 'resume/certifications',
+    source: 'resume',
+    title: 'Resume: Certifications',
+    url: '/resume',
+    text: `Certifications: ${certifications
+      .map(cert => `${cert.name} from ${cert.issuer}${cert.date ? ` (${cert.date})` : ''}`)
+      .join('; ')}.`,
+  });
+
+  projects.forEach(project => {
+    const slug = getProjectSlug(project, projects);
+    const caseStudy = project.caseStudy;
+    add({
+      id: `project/${slug}`,
+      source: 'project',
+      title: `Project: ${project.title}`,
+      url: `/projects/${slug}`,
+      text: [
+        `Project ${project.title}: ${project.description}`,
+        `Tech: ${project.tags.join(', ')}.`,
+        project.stars ? `${project.stars} GitHub stars.` : '',
+        caseStudy?.problem ? `Problem: ${caseStudy.problem}` : '',
+        caseStudy?.approach?.length ? `Approach: ${caseStudy.approach.join(' ')}` : '',
+        caseStudy?.results?.length ? `Results: ${caseStudy.results.join(' ')}` : '',
+      ]
+        .filter(Boolean)
+        .join(' '),
+    });
+  });
+
+  blogs.forEach(blog => {
+    const slug = getBlogSlug(blog);
+    const title = `Blog: ${blog.title}`;
+    const tags = blog.tags?.length ? ` Tags: ${blog.tags.join(', ')}.` : '';
+    add({
+      id: `blog/${slug}`,
+      source: 'blog',
+      title,
+      url: `/blog/${slug}`,
+      text: `Blog post "${blog.title}" on ${blog.source}, ${blog.date}.${tags} ${blog.summary}`,
+    });
+
+    const body = blogBodies[slug];
+    if (body) {
+      splitBody(body).forEach((piece, index) => {
+        add({
+          id: `blog/${slug}#${index + 1}`,
+          source: 'blog',
+          title,
+          url: `/blog/${slug}`,
+          text: `From the blog post "${blog.title}": ${piece}`,
+        });
+      });
+    }
+  });
+
+  snippets.forEach(snippet => {
+    add({
+      id: `snippet/${snippet.id}`,
+      source: 'snippet',
+      title: `Playground: ${snippet.title}`,
+      url: '/playground',
+      text: [
+        `Playground ${snippet.language} snippet "${snippet.title}" (${snippet.category}): ${snippet.description}`,
+        snippet.tags?.length ? `Tags: ${snippet.tags.join(', ')}.` : '',
+        `Code: ${snippet.code}`,
+      ]
+        .filter(Boolean)
+        .join(' '),
+    });
+  });
+
+  return chunks;
+};
+
+/**
+ * Precomputes BM25 statistics for a set of chunks. The result is plain JSON so
+ * it can be written at build time and imported in the browser.
+ *
+ * @param {RetrievalChunk[]} chunks - Chunks from `buildChunks`
+ * @returns {{version: number, avgLength: number, docFreq: Record<string, number>, chunks: Array<RetrievalChunk & {length: number, terms: Record<string, number>}>}} Serializable index
+ */
+export const buildIndex = chunks => {
+  // Null-prototype maps, so terms such as "constructor" do not hit Object.prototype
+  const docFreq = Object.create(null);
+  let totalLength = 0;
+
+  const indexedChunks = chunks.map(chunk => {
+    const tokens = tokenize(`${chunk.title} ${chunk.text}`);
+    const terms = Object.create(null);
+    tokens.forEach(term => {
+      terms[term] = (terms[term] || 0) + 1;
+    });
+    Object.keys(terms).forEach(term => {
+      docFreq[term] = (docFreq[term] || 0) + 1;
+    });
+    totalLength += tokens.length;
+    return { ...chunk, length: tokens.length, terms };
+  });
+
+  return {
+    version: RETRIEVAL_INDEX_VERSION,
+    avgLength: indexedChunks.length ? totalLength / indexedChunks.length : 0,
+    docFreq,
+    chunks: indexedChunks,
+  };
+};
+
+/**
+ * Ranks index chunks against a query with BM25.
+ *
+ * @param {ReturnType<typeof buildIndex>} index - Index from `buildIndex`
+ * @param {string} query - Free-text question
+ * @param {number} [limit=5] - Maximum number of chunks to return
+ * @returns {Array<RetrievalChunk & {score: number}>} Best chunks first; empty when nothing matches
+ *
+ * @example
+ * searchIndex(index, 'Which AWS certifications?', 3);
+ * // => [{ id: 'resume/certifications', title: 'Resume: Certifications', score: 4.2, ... }]
+ */
+export const searchIndex = (index, query, limit = 5) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!index?.chunks?.length || queryTerms.length === 0) return [];
+
+  const totalChunks = index.chunks.length;
+
+  return index.chunks
+    .map(chunk => {
+      let score = 0;
+      queryTerms.forEach(term => {
+        // Indexes loaded from JSON are plain objects; only count their own terms
+        const frequency = Object.hasOwn(chunk.terms, term) ? chunk.terms[term] : 0;
+        if (!frequency) return;
+        const docFreq = Object.hasOwn(index.docFreq, term) ? index.docFreq[term] : 0;
+        const idf = Math.log(1 + (totalChunks - docFreq + 0.5) / (docFreq + 0.5));
+        const lengthNorm = 1 - BM25_B + BM25_B * (chunk.length / (index.avgLength || 1));
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      });
+      return { chunk, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk, score }) => ({
+      id: chunk.id,
+      source: chunk.source,
+      title: chunk.title,
+      url: chunk.url,
+      text: chunk.text,
+      score,
+    }));
+};
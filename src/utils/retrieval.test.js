@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  buildChunks,
+  buildIndex,
+  searchIndex,
+  RETRIEVAL_INDEX_VERSION,
+} from './retrieval';
+import { resumeData } from '../data/resume';
+
+const blogs = [
+  {
+    title: 'Why Spreadsheets Still Win',
+    source: 'Medium',
+    date: '2024-05-01',
+    summary: 'A love letter to Excel pivot tables.',
+    tags: ['Excel'],
+    link: 'https://medium.com/@example/why-spreadsheets-still-win',
+  },
+];
+
+const snippets = [
+  {
+    id: 'py-fizzbuzz',
+    title: 'FizzBuzz',
+    language: 'python',
+    category: 'Basics',
+    description: 'The classic interview warm-up.',
+    tags: ['loops'],
+    code: 'for i in range(1, 16): print(i)',
+  },
+];
+
+describe('retrieval utilities', () => {
+  describe('tokenize', () => {
+    it('drops stopwords and strips plural endings', () => {
+      expect(tokenize('What Python projects has he built?')).toEqual([
+        'python',
+        'project',
+        'built',
+      ]);
+    });
+
+    it('keeps language names with symbols', () => {
+      expect(tokenize('C++ and C#')).toEqual(['c++', 'c#']);
+    });
+
+    it('does not strip double s', () => {
+      expect(tokenize('business class')).toEqual(['business', 'class']);
+    });
+
+    it('returns an empty list for nullish input', () => {
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('buildChunks', () => {
+    const chunks = buildChunks({
+      resume: resumeData,
+      blogs,
+      blogBodies: { 'why-spreadsheets-still-win': 'First paragraph.\n\nSecond paragraph.' },
+      snippets,
+    });
+
+    it('covers resume sections, projects, blogs and snippets', () => {
+      const ids = chunks.map(chunk => chunk.id);
+
+      expect(ids).toContain('resume/summary');
+      expect(ids).toContain('resume/certifications');
+      expect(ids.some(id => id.startsWith('project/'))).toBe(true);
+      expect(ids).toContain('blog/why-spreadsheets-still-win');
+      expect(ids).toContain('blog/why-spreadsheets-still-win#1');
+      expect(ids).toContain('snippet/py-fizzbuzz');
+    });
+
+    it('never includes email or phone', () => {
+      const allText = chunks.map(chunk => chunk.text).join(' ');
+
+      expect(allText).not.toContain(resumeData.basics.email);
+      if (resumeData.basics.phone) expect(allText).not.toContain(resumeData.basics.phone);
+    });
+
+    it('links projects to their case study pages', () => {
+      const project = chunks.find(chunk => chunk.source === 'project');
+
+      expect(project.url).toMatch(/^\/projects\/[a-z0-9-]+$/);
+    });
+
+    it('keeps every chunk under the size limit', () => {
+      chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(1201));
+    });
+  });
+
+  describe('searchIndex', () => {
+    const index = buildIndex(buildChunks({ resume: resumeData, blogs, snippets }));
+
+    it('builds a versioned index', () => {
+      expect(index.version).toBe(RETRIEVAL_INDEX_VERSION);
+      expect(index.avgLength).toBeGreaterThan(0);
+    });
+
+    it('ranks the most relevant chunk first', () => {
+      const [best] = searchIndex(index, 'Which certifications do you hold?');
+
+      expect(best.id).toBe('resume/certifications');
+      expect(best.score).toBeGreaterThan(0);
+    });
+
+    it('finds blog posts and snippets', () => {
+      expect(searchIndex(index, 'spreadsheets pivot tables')[0].id).toBe(
+        'blog/why-spreadsheets-still-win'
+      );
+      expect(searchIndex(index, 'fizzbuzz')[0].id).toBe('snippet/py-fizzbuzz');
+    });
+
+    it('respects the limit', () => {
+      expect(searchIndex(index, 'python data analysis', 2)).toHaveLength(2);
+    });
+
+    it('ignores Object.prototype names in queries and indexed text', () => {
+      const loaded = JSON.parse(JSON.stringify(index));
+      expect(searchIndex(loaded, 'constructor')).toEqual([]);
+      expect(searchIndex(loaded, 'constructor fizzbuzz')[0].id).toBe('snippet/py-fizzbuzz');
+
+      const withConstructor = buildIndex([
+        { id: 'a', source: 'blog', title: 'Classes', url: '/blog/a', text: 'A constructor call' },
+        { id: 'b', source: 'blog', title: 'Other', url: '/blog/b', text: 'Unrelated words' },
+      ]);
+      const [best] = searchIndex(JSON.parse(JSON.stringify(withConstructor)), 'constructor');
+      expect(best.id).toBe('a');
+      expect(Number.isFinite(best.score)).toBe(true);
+    });
+
+    it('returns nothing for unknown or empty queries', () => {
+      expect(searchIndex(index, 'zxqv')).toEqual([]);
+      expect(searchIndex(index, 'what is the')).toEqual([]);
+      expect(searchIndex(null, 'python')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview URL slug helpers shared by the router, SEO generators and build scripts.
+ *
+ * Kept dependency-free (no JSON or Vite-specific imports) so Node scripts such as
+ * `scripts/generate-sitemap.js` can import it directly.
+ */
+
+/**
+ * Converts arbitrary text into a lowercase, hyphen-separated URL slug.
+ * Diacritics are stripped and any run of non-alphanumeric characters collapses
+ * into a single hyphen.
+ *
+ * @param {string} value - Text to slugify
+ * @returns {string} URL-safe slug (may be empty)
+ *
+ * @example
+ * slugify('AI Attendance Management System'); // => 'ai-attendance-management-system'
+ */
+export const slugify = value =>
+  String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/** Slugs already assigned to each project list, so lookups stay cheap */
+const projectSlugCache = new WeakMap();
+
+/**
+ * Assigns every project its route slug. An explicit `slug` field on the project wins;
+ * otherwise the slug is derived from the title. Repeats get `-2`, `-3`, ... in list
+ * order, like the de-duplicated blog slugs the sync script writes, so every case study
+ * has its own URL.
+ *
+ * @param {Array<Object>} projects - Project list (usually resumeData.projects)
+ * @returns {Map<Object, string>} Route slug of each project
+ *
+ * @example
+ * getProjectSlugs([{ title: 'Portfolio' }, { title: 'Portfolio' }]);
+ * // => Map { {...} => 'portfolio', {...} => 'portfolio-2' }
+ */
+export const getProjectSlugs = projects => {
+  const cached = projectSlugCache.get(projects);
+  if (cached) return cached;
+
+  const slugs = new Map();
+  const taken = new Set();
+  // Derived slugs never take a slug another project sets explicitly
+  const reserved = new Set(projects.map(project => project?.slug).filter(Boolean));
+  projects.forEach(project => {
+    const base = project?.slug || slugify(project?.title) || 'project';
+    const isFree = slug => !taken.has(slug) && (slug === project?.slug || !reserved.has(slug));
+    let slug = base;
+    for (let count = 2; !isFree(slug); count += 1) slug = `${base}-${count}`;
+    taken.add(slug);
+    slugs.set(project, slug);
+  });
+  projectSlugCache.set(projects, slugs);
+  return slugs;
+};
+
+/**
+ * Returns the route slug of a project, unique within its list (see `getProjectSlugs`).
+ *
+ * @param {Object} project - Project object from `projects`
+ * @param {Array<Object>} projects - The whole project list, never a filtered part of it
+ * @returns {string} Project slug used in `/projects/:slug`
+ */
+export const getProjectSlug = (project, projects) =>
+  getProjectSlugs(projects).get(project) ?? (project?.slug || slugify(project?.title));
+
+/**
+ * Finds a project by its route slug.
+ *
+ * @param {Array<Object>} projects - Project list (usually resumeData.projects)
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|undefined} Matching project, if any
+ */
+export const findProjectBySlug = (projects, slug) => {
+  if (!slug) return undefined;
+  const normalized = slug.toLowerCase();
+  for (const [project, projectSlug] of getProjectSlugs(projects)) {
+    if (projectSlug === normalized) return project;
+  }
+  return undefined;
+};
+
+/**
+ * Returns the route slug for a blog post. The sync script writes an explicit,
+ * de-duplicated `slug`; older entries without one fall back to the title.
+ *
+ * @param {Object} blog - Blog post object from blogs.json
+ * @returns {string} Blog slug used in `/blog/:slug`
+ */
+export const getBlogSlug = blog => blog?.slug || slugify(blog?.title);
+
+/**
+ * Finds a blog post by its route slug.
+ *
+ * @param {Array<Object>} blogs - Blog list (usually blogs.json)
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|undefined} Matching blog post, if any
+ */
+export const findBlogBySlug = (blogs, slug) => {
+  if (!slug) return undefined;
+  const normalized = slug.toLowerCase();
+  return blogs.find(blog => getBlogSlug(blog) === normalized);
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  slugify,
+  getProjectSlug,
+  getProjectSlugs,
+  findProjectBySlug,
+  getBlogSlug,
+  findBlogBySlug,
+} from './slug';
+
+describe('slug utilities', () => {
+  describe('slugify', () => {
+    it('lowercases and hyphenates words', () => {
+      expect(slugify('AI Attendance Management System')).toBe('ai-attendance-management-system');
+    });
+
+    it('collapses punctuation and trims stray hyphens', () => {
+      expect(slugify('  Python Course - GIM BDA!  ')).toBe('python-course-gim-bda');
+    });
+
+    it('strips diacritics', () => {
+      expect(slugify('Café Señor')).toBe('cafe-senor');
+    });
+
+    it('returns an empty string for nullish input', () => {
+      expect(slugify(undefined)).toBe('');
+      expect(slugify(null)).toBe('');
+    });
+  });
+
+  describe('getProjectSlug', () => {
+    it('derives the slug from the title', () => {
+      const project = { title: 'Coding-For-MBA' };
+      expect(getProjectSlug(project, [project])).toBe('coding-for-mba');
+    });
+
+    it('prefers an explicit slug field', () => {
+      const project = { title: 'Renamed Project', slug: 'original-name' };
+      expect(getProjectSlug(project, [project])).toBe('original-name');
+    });
+
+    it('numbers repeated slugs in list order', () => {
+      const projects = [
+        { title: 'Portfolio' },
+        { title: 'Portfolio!' },
+        { title: 'Other', slug: 'portfolio-2' },
+      ];
+
+      expect([...getProjectSlugs(projects).values()]).toEqual([
+        'portfolio',
+        'portfolio-3',
+        'portfolio-2',
+      ]);
+      expect(getProjectSlug(projects[1], projects)).toBe('portfolio-3');
+    });
+  });
+
+  describe('findProjectBySlug', () => {
+    const projects = [{ title: 'VITable' }, { title: 'Geralt Discord Bot' }];
+
+    it('finds the matching project case-insensitively', () => {
+      expect(findProjectBySlug(projects, 'Geralt-Discord-Bot')).toBe(projects[1]);
+    });
+
+    it('resolves every route when titles repeat', () => {
+      const twins = [{ title: 'Portfolio' }, { title: 'Portfolio' }];
+
+      expect(findProjectBySlug(twins, getProjectSlug(twins[0], twins))).toBe(twins[0]);
+      expect(findProjectBySlug(twins, getProjectSlug(twins[1], twins))).toBe(twins[1]);
+      expect(findProjectBySlug(twins, 'portfolio-2')).toBe(twins[1]);
+    });
+
+    it('returns undefined for unknown or empty slugs', () => {
+      expect(findProjectBySlug(projects, 'missing')).toBeUndefined();
+      expect(findProjectBySlug(projects, '')).toBeUndefined();
+    });
+  });
+
+  describe('blog slugs', () => {
+    const blogs = [
+      { title: 'My Technical Journey', slug: 'my-technical-journey-2' },
+      { title: 'Beyond the Myth' },
+    ];
+
+    it('prefers the synced slug and falls back to the title', () => {
+      expect(getBlogSlug(blogs[0])).toBe('my-technical-journey-2');
+      expect(getBlogSlug(blogs[1])).toBe('beyond-the-myth');
+    });
+
+    it('finds posts by slug', () => {
+      expect(findBlogBySlug(blogs, 'my-technical-journey-2')).toBe(blogs[0]);
+      expect(findBlogBySlug(blogs, 'beyond-the-myth')).toBe(blogs[1]);
+      expect(findBlogBySlug(blogs, 'my-technical-journey')).toBeUndefined();
+    });
+  });
+});
@@ -7,8 +7,12 @@
  * @see https://vitejs.dev/config/
  */
 
-import { defineConfig } from 'vite';
+import fs from 'node:fs';
+import path from 'node:path';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { normalizeBaseUrl } from './src/services/providers/openaiCompatible.js';
+import { getSnippetsByLanguage } from './src/data/snippets.js';
 
 const VENDOR_REACT_PACKAGES = [
   'react',
@@ -35,23 +39,244 @@ function chunkByDependency(id) {
   }
 }
 
-export default defineConfig({
-  plugins: [react()],
-  base: '/', // Base public path when served in production
-  build: {
-    // Increase chunk size warning limit to 1MB (1000 KB)
-    // This prevents warnings for larger bundles like the AI service and D3 visualizations
-    chunkSizeWarningLimit: 1000,
-
-    // Vite 8 (Rolldown) expects output.manualChunks to be a function.
-    // We intentionally keep our stable vendor chunk names so long-term bundle
-    // comparisons remain readable across releases.
-    rolldownOptions: {
-      output: {
-        // Caveat: package-path matching relies on node_modules path segments.
-        // Re-evaluate if dependency paths change (for example in PnP/virtual FS setups).
-        manualChunks: chunkByDependency,
+/**
+ * Adds a source to a CSP directive in index.html, unless it is already listed.
+ *
+ * @param {string} html - index.html
+ * @param {string} directive - Directive name, e.g. `connect-src`
+ * @param {string} origin - Source to allow
+ * @returns {string} index.html with the source allowed
+ */
+function addCspSource(html, directive, origin) {
+  return html.replace(new RegExp(`${directive} ([^;"]*)`), (match, sources) =>
+    sources.split(/\s+/).includes(origin) ? match : `${directive} ${sources} ${origin}`
+  );
+}
+
+/**
+ * Lets the browser reach a custom OpenAI-compatible endpoint by adding its origin to
+ * the CSP `connect-src` directive in index.html. No-op for the other AI providers.
+ *
+ * @param {Record<string, string>} env - Loaded `VITE_*` environment variables
+ * @returns {import('vite').Plugin}
+ */
+function aiProviderCsp(env) {
+  const isOpenAI = env.VITE_AI_PROVIDER?.trim().toLowerCase() === 'openai';
+  const baseUrl = isOpenAI ? normalizeBaseUrl(env.VITE_OPENAI_BASE_URL) : null;
+
+  return {
+    name: 'ai-provider-csp',
+    transformIndexHtml(html) {
+      if (!baseUrl) return html;
+
+      return addCspSource(html, 'connect-src', new URL(baseUrl).origin);
+    },
+  };
+}
+
+const PYODIDE_CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+const PYODIDE_PACKAGE_DIR = path.resolve('node_modules/pyodide');
+const PYODIDE_SKIPPED_FILES = /(\.d\.ts|\.map|\.md|\.html|^package\.json)$/;
+const PYODIDE_CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm',
+  '.zip': 'application/zip',
+};
+
+/**
+ * Reads a runtime file from the `pyodide` package. With a CDN fallback, packages the
+ * local copy does not include (the npm package ships the core runtime only) are pointed
+ * at jsDelivr in `pyodide-lock.json`, so imports such as numpy keep working.
+ *
+ * @param {string} name - File name inside the package
+ * @param {boolean} cdnFallback - Whether missing packages may come from the CDN
+ * @returns {Buffer|string} File contents
+ */
+function readPyodideFile(name, cdnFallback) {
+  const filePath = path.join(PYODIDE_PACKAGE_DIR, name);
+  if (name !== 'pyodide-lock.json' || !cdnFallback) return fs.readFileSync(filePath);
+
+  const { version } = JSON.parse(
+    fs.readFileSync(path.join(PYODIDE_PACKAGE_DIR, 'package.json'), 'utf8')
+  );
+  const lock = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.values(lock.packages).forEach(pkg => {
+    if (!fs.existsSync(path.join(PYODIDE_PACKAGE_DIR, pkg.file_name))) {
+      pkg.file_name = `${PYODIDE_CDN_ORIGIN}/pyodide/v${version}/full/${pkg.file_name}`;
+    }
+  });
+  return JSON.stringify(lock);
+}
+
+/**
+ * Lists the Pyodide packages that Playground snippets import, with their dependencies,
+ * whose files the local copy does not include.
+ *
+ * @returns {string[]} Package names
+ */
+function findMissingSnippetPackages() {
+  const { packages } = JSON.parse(
+    fs.readFileSync(path.join(PYODIDE_PACKAGE_DIR, 'pyodide-lock.json'), 'utf8')
+  );
+  const packageByImport = new Map();
+  Object.entries(packages).forEach(([name, pkg]) =>
+    pkg.imports.forEach(module => packageByImport.set(module, name))
+  );
+
+  const needed = new Set();
+  const addWithDependencies = name => {
+    if (needed.has(name)) return;
+    needed.add(name);
+    packages[name].depends.forEach(addWithDependencies);
+  };
+  getSnippetsByLanguage('python').forEach(snippet => {
+    const code = snippet.interactive?.codeTemplate?.() ?? snippet.code;
+    for (const [, module] of code.matchAll(/^\s*(?:from|import)\s+([A-Za-z_]\w*)/gm)) {
+      if (packageByImport.has(module)) addWithDependencies(packageByImport.get(module));
+    }
+  });
+
+  return [...needed].filter(
+    name => !fs.existsSync(path.join(PYODIDE_PACKAGE_DIR, packages[name].file_name))
+  );
+}
+
+// Runtime files Pyodide downloads while it starts, before any package
+const PYODIDE_DOWNLOAD_FILES = [
+  'pyodide.js',
+  'pyodide.asm.js',
+  'pyodide.asm.wasm',
+  'python_stdlib.zip',
+  'pyodide-lock.json',
+];
+
+/**
+ * Measures the runtime files Pyodide downloads while it starts, for its loading progress.
+ *
+ * @param {boolean} cdnFallback - Whether `pyodide-lock.json` is served rewritten (see
+ *   `readPyodideFile`)
+ * @returns {Record<string, number>} Size in bytes by file name; empty without the package
+ */
+function readPyodideDownloadSizes(cdnFallback) {
+  if (!fs.existsSync(path.join(PYODIDE_PACKAGE_DIR, 'pyodide.js'))) return {};
+  return Object.fromEntries(
+    PYODIDE_DOWNLOAD_FILES.map(name => [
+      name,
+      Buffer.byteLength(readPyodideFile(name, cdnFallback)),
+    ])
+  );
+}
+
+/**
+ * Sets up where Pyodide comes from, following `VITE_PYODIDE_SOURCE` (see
+ * `pyodideLoader.js`). This is the one place that allows jsDelivr in the CSP: for `cdn`
+ * (the default) and `local`, which falls back to it, but not for `local-only`.
+ *
+ * For `local` and `local-only` the runtime is served from our own output under
+ * `<base>pyodide/`: the dev server answers from the `pyodide` package, and the build
+ * copies it. With `local-only`, a warning lists the packages Playground snippets import
+ * that the local copy lacks, since those snippets cannot run.
+ *
+ * Either way it defines `__PYODIDE_DOWNLOAD_SIZES__` for `pyodideLoader.js` from the
+ * installed `pyodide` package, which pins the version the CDN URLs use.
+ *
+ * @param {Record<string, string>} env - Loaded `VITE_*` environment variables
+ * @returns {import('vite').Plugin}
+ */
+function pyodideRuntime(env) {
+  const source = env.VITE_PYODIDE_SOURCE?.trim().toLowerCase() || 'cdn';
+  const allowCdn = source !== 'local-only';
+  const allowCdnInCsp = html =>
+    allowCdn
+      ? addCspSource(
+          addCspSource(html, 'script-src', PYODIDE_CDN_ORIGIN),
+          'connect-src',
+          PYODIDE_CDN_ORIGIN
+        )
+      : html;
+  const defineDownloadSizes = () => ({
+    define: {
+      __PYODIDE_DOWNLOAD_SIZES__: JSON.stringify(readPyodideDownloadSizes(source === 'local')),
+    },
+  });
+  if (source !== 'local' && source !== 'local-only') {
+    return {
+      name: 'pyodide-runtime',
+      config: defineDownloadSizes,
+      transformIndexHtml: allowCdnInCsp,
+    };
+  }
+  if (!fs.existsSync(path.join(PYODIDE_PACKAGE_DIR, 'pyodide.js'))) {
+    throw new Error(`VITE_PYODIDE_SOURCE=${source} needs the pyodide package (pnpm install)`);
+  }
+
+  const files = fs
+    .readdirSync(PYODIDE_PACKAGE_DIR)
+    .filter(name => !PYODIDE_SKIPPED_FILES.test(name));
+  let base = '/';
+  let outDir = 'dist';
+
+  return {
+    name: 'pyodide-runtime',
+    config: defineDownloadSizes,
+    configResolved(config) {
+      base = config.base;
+      outDir = path.resolve(config.root, config.build.outDir);
+
+      const missing = allowCdn ? [] : findMissingSnippetPackages();
+      if (missing.length) {
+        config.logger.warn(
+          `VITE_PYODIDE_SOURCE=local-only: the local Pyodide copy lacks ${missing.join(', ')}, ` +
+            'so Playground snippets importing them will fail. Use VITE_PYODIDE_SOURCE=local ' +
+            'to load missing packages from jsDelivr.'
+        );
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}pyodide`, (req, res, next) => {
+        const name = decodeURIComponent(req.url.split('?')[0].replace(/^\//, ''));
+        if (!files.includes(name)) return next();
+        res.setHeader(
+          'Content-Type',
+          PYODIDE_CONTENT_TYPES[path.extname(name)] ?? 'application/octet-stream'
+        );
+        res.end(readPyodideFile(name, allowCdn));
+      });
+    },
+    transformIndexHtml: allowCdnInCsp,
+    writeBundle() {
+      const target = path.join(outDir, 'pyodide');
+      fs.mkdirSync(target, { recursive: true });
+      files.forEach(name =>
+        fs.writeFileSync(path.join(target, name), readPyodideFile(name, allowCdn))
+      );
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_');
+
+  return {
+    plugins: [react(), aiProviderCsp(env), pyodideRuntime(env)],
+    base: '/', // Base public path when served in production
+    build: {
+      // Increase chunk size warning limit to 1MB (1000 KB)
+      // This prevents warnings for larger bundles like the AI service and D3 visualizations
+      chunkSizeWarningLimit: 1000,
+
+      // Vite 8 (Rolldown) expects output.manualChunks to be a function.
+      // We intentionally keep our stable vendor chunk names so long-term bundle
+      // comparisons remain readable across releases.
+      rolldownOptions: {
+        output: {
+          // Caveat: package-path matching relies on node_modules path segments.
+          // Re-evaluate if dependency paths change (for example in PnP/virtual FS setups).
+          manualChunks: chunkByDependency,
+        },
       },
     },
-  },
+  };
 });